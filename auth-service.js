@@ -0,0 +1,97 @@
+const { AuthServer, AUTH_DEFAULTS, loadTokens, exitCodeFor } = require('./index');
+
+function parseArguments(argv = process.argv.slice(2), env = process.env) {
+    const args = argv;
+    const config = {
+        host: AUTH_DEFAULTS.host,
+        port: parseInt(env.CHROME_PROXY_AUTH_PORT) || AUTH_DEFAULTS.port,
+        tokens: [],
+        tokensFile: env.CHROME_PROXY_TOKENS_FILE || null,
+        help: args.includes('--help') || args.includes('-h')
+    };
+    
+    args.forEach((arg, index) => {
+        if (arg === '--host' && args[index + 1]) {
+            config.host = args[index + 1];
+        }
+        if (arg === '--port' && args[index + 1]) {
+            config.port = parseInt(args[index + 1]) || config.port;
+        }
+        if (arg === '--token' && args[index + 1]) {
+            config.tokens.push(args[index + 1]);
+        }
+        if (arg === '--tokens-file' && args[index + 1]) {
+            config.tokensFile = args[index + 1];
+        }
+    });
+    // Tokens are opt-in; a tokens file without any is a mistake, not a
+    // request for an open proxy
+    config.required = config.tokens.length > 0 || !!config.tokensFile || !!env.CHROME_PROXY_TOKENS;
+    
+    return config;
+}
+
+function showHelp() {
+    console.log(`
+DevTools Proxy Auth Service
+
+Answers nginx's auth_request checks: 204 for requests that carry a valid
+token (Authorization: Bearer <token>, or ?token=<token> on WebSocket URLs),
+401 for everything else.
+
+Usage: node auth-service.js [options]
+
+Options:
+  --host <host>         Address to listen on (default: ${AUTH_DEFAULTS.host})
+  --port <port>         Port to listen on (default: CHROME_PROXY_AUTH_PORT or ${AUTH_DEFAULTS.port})
+  --token <token>       Accept this token; may be given more than once
+  --tokens-file <path>  Accept the tokens in this file, one per line
+  --help, -h            Show this help message
+
+Environment:
+  CHROME_PROXY_TOKENS   Comma-separated tokens to accept
+  CHROME_PROXY_TOKENS_FILE
+                        Default for --tokens-file
+
+Without any token configured the check is off and every request passes.
+`);
+}
+
+async function main() {
+    const config = parseArguments();
+    
+    if (config.help) {
+        showHelp();
+        process.exit(0);
+    }
+    
+    let server;
+    try {
+        const tokens = config.required ? loadTokens({ tokens: config.tokens, tokensFile: config.tokensFile }) : null;
+        server = new AuthServer(tokens, { logger: console });
+        const address = await server.listen(config.port, config.host);
+        if (tokens) {
+            console.log(`Auth service accepting ${tokens.length} token(s) on http://${address.address}:${address.port}`);
+        } else {
+            console.log(`No tokens configured; auth service on http://${address.address}:${address.port} lets every request through`);
+        }
+    } catch (error) {
+        console.error('Auth service failed to start:', error.message);
+        process.exit(exitCodeFor(error));
+    }
+    
+    const shutdown = async () => {
+        await server.close();
+        process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parseArguments
+};
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const {
+    ChromeSupervisor,
+    SUPERVISOR_DEFAULTS,
+    PORT_RANGE,
+    generateNginxConfig,
+    NGINX_DEFAULTS,
+    JsonRewriter,
+    parseAddress,
+    exitCodeFor
+} = require('./index');
+
+const execFileAsync = promisify(execFile);
+
+function parseArguments(argv = process.argv.slice(2), env = process.env) {
+    const args = argv;
+    const config = {
+        instances: SUPERVISOR_DEFAULTS.instances,
+        basePort: parseInt(env.CHROME_DEBUG_PORT) || SUPERVISOR_DEFAULTS.basePort,
+        chromePath: env.CHROME_PATH || SUPERVISOR_DEFAULTS.chromePath,
+        healthInterval: SUPERVISOR_DEFAULTS.healthInterval,
+        nginxConfig: null,
+        reloadNginx: args.includes('--reload-nginx'),
+        printNginxConfig: args.includes('--print-nginx-config'),
+        auth: !args.includes('--no-auth'),
+        help: args.includes('--help') || args.includes('-h')
+    };
+    
+    args.forEach((arg, index) => {
+        if (arg === '--instances' && args[index + 1]) {
+            config.instances = parseInt(args[index + 1]);
+        }
+        if (arg === '--base-port' && args[index + 1]) {
+            config.basePort = parseInt(args[index + 1]);
+        }
+        if (arg === '--chrome' && args[index + 1]) {
+            config.chromePath = args[index + 1];
+        }
+        if (arg === '--health-interval' && args[index + 1]) {
+            config.healthInterval = parseInt(args[index + 1]) || SUPERVISOR_DEFAULTS.healthInterval;
+        }
+        if (arg === '--nginx-config' && args[index + 1]) {
+            config.nginxConfig = args[index + 1];
+        }
+    });
+    
+    return config;
+}
+
+function showHelp() {
+    console.log(`
+Chrome Pool Supervisor
+
+Starts several headless Chrome instances, restarts any that crash or stop
+answering, and writes the nginx configuration that routes to them.
+
+Usage: node chrome-pool.js [options]
+
+Options:
+  --instances <n>       Number of Chrome instances (default: ${SUPERVISOR_DEFAULTS.instances})
+  --base-port <port>    Debugging port of the first instance; the others follow
+                        (default: CHROME_DEBUG_PORT or ${SUPERVISOR_DEFAULTS.basePort}, range ${PORT_RANGE.min}-${PORT_RANGE.max})
+  --chrome <path>       Chrome binary (default: CHROME_PATH or ${SUPERVISOR_DEFAULTS.chromePath})
+  --health-interval <ms>
+                        Time between health checks (default: ${SUPERVISOR_DEFAULTS.healthInterval})
+  --nginx-config <file> Write the pool's nginx configuration to this file
+  --reload-nginx        Run "nginx -s reload" once the configuration is written
+  --print-nginx-config  Print the nginx configuration and exit without starting Chrome
+  --no-auth             Leave the token check (auth-service.js) out of the configuration
+  --help, -h            Show this help message
+
+Routes in the generated configuration:
+  /instance/<n>/...     Chrome instance n, e.g. /instance/2/json/version
+  /instance/<n>/health  200 while instance n answers /json/version
+  /...                  The whole pool, one instance per client address
+All but /health need a token when auth-service.js has tokens configured, unless
+--no-auth is given.
+
+Examples:
+  node chrome-pool.js --instances 4 --nginx-config /etc/nginx/nginx.conf --reload-nginx
+  node chrome-pool.js --instances 3 --print-nginx-config > nginx.conf
+`);
+}
+
+function nginxConfigFor(config, instances) {
+    return generateNginxConfig(instances, config.auth ? {} : { authService: null });
+}
+
+async function writeNginxConfig(config, instances) {
+    const nginxConfig = nginxConfigFor(config, instances);
+    fs.writeFileSync(config.nginxConfig, nginxConfig);
+    console.log(`nginx configuration written to ${config.nginxConfig}`);
+    
+    if (config.reloadNginx) {
+        await execFileAsync('nginx', ['-s', 'reload']);
+        console.log('nginx reloaded');
+    }
+}
+
+// Starts the pool and keeps it running until SIGINT/SIGTERM. Resolves with
+// an exit code when it cannot start, otherwise with null.
+async function runPool(config) {
+    let supervisor;
+    // Serves the /json routes of the generated configuration
+    const rewriter = new JsonRewriter({ upstream: parseAddress(NGINX_DEFAULTS.internalListen), logger: console });
+    try {
+        supervisor = new ChromeSupervisor({
+            instances: config.instances,
+            basePort: config.basePort,
+            chromePath: config.chromePath,
+            healthInterval: config.healthInterval,
+            logger: console
+        });
+    } catch (error) {
+        console.error('Invalid pool configuration:', error.message);
+        return exitCodeFor(error);
+    }
+    
+    if (config.printNginxConfig) {
+        process.stdout.write(nginxConfigFor(config, supervisor.instances));
+        return 0;
+    }
+    
+    try {
+        console.log(`Starting ${config.instances} Chrome instance(s) on ports ${config.basePort}-${config.basePort + config.instances - 1}...`);
+        await supervisor.start();
+        await rewriter.listen();
+        if (config.nginxConfig) {
+            await writeNginxConfig(config, supervisor.instances);
+        }
+        console.log('Chrome pool is running; press Ctrl+C to stop');
+    } catch (error) {
+        console.error('Chrome pool failed to start:', error.message);
+        await supervisor.stop();
+        await rewriter.close().catch(() => {});
+        return exitCodeFor(error);
+    }
+    
+    const shutdown = async () => {
+        console.log('Stopping Chrome pool...');
+        await supervisor.stop();
+        await rewriter.close();
+        process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+    
+    return null;
+}
+
+async function main() {
+    const config = parseArguments();
+    
+    if (config.help) {
+        showHelp();
+        process.exit(0);
+    }
+    
+    const exitCode = await runPool(config);
+    if (exitCode !== null) {
+        process.exit(exitCode);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parseArguments,
+    runPool
+};
@@ -0,0 +1,92 @@
+const { FixtureServer, FIXTURE_DEFAULTS, MockChromeServer, exitCodeFor } = require('./index');
+
+function parseArguments(argv = process.argv.slice(2), env = process.env) {
+    const args = argv;
+    const config = {
+        host: FIXTURE_DEFAULTS.host,
+        port: parseInt(env.FIXTURE_PORT) || FIXTURE_DEFAULTS.port,
+        mockCdp: null,
+        help: args.includes('--help') || args.includes('-h')
+    };
+    
+    args.forEach((arg, index) => {
+        if (arg === '--host' && args[index + 1]) {
+            config.host = args[index + 1];
+        }
+        if (arg === '--port' && args[index + 1]) {
+            config.port = parseInt(args[index + 1]) || config.port;
+        }
+        if (arg === '--mock-cdp' && args[index + 1]) {
+            config.mockCdp = parseInt(args[index + 1]) || null;
+        }
+    });
+    
+    return config;
+}
+
+function showHelp() {
+    console.log(`
+Offline Test Fixtures
+
+Serves pages with known behaviour (static, slow, endless polling, redirect
+chains, HTTP errors, large pages, console errors, a form) to capture instead
+of third-party sites. With --mock-cdp it also stands in for Chrome, so
+test-connection.js can run without a browser or internet access.
+
+Usage: node fixture-server.js [options]
+
+Options:
+  --host <host>         Address to listen on (default: ${FIXTURE_DEFAULTS.host})
+  --port <port>         Port to listen on (default: FIXTURE_PORT or ${FIXTURE_DEFAULTS.port})
+  --mock-cdp <port>     Also serve a mock Chrome debugging endpoint (/json/*
+                        and CDP WebSockets) on this port
+  --help, -h            Show this help message
+
+Fixtures:
+  /html, /slow?ms=2000, /slow-load?ms=2000, /polling?interval=250,
+  /redirect/<n>, /status/<code>, /large?kb=1024, /console-error, /form
+
+Example:
+  node fixture-server.js --mock-cdp 9222 &
+  node test-connection.js --port 9222 --url http://127.0.0.1:${FIXTURE_DEFAULTS.port}/form
+`);
+}
+
+async function main() {
+    const config = parseArguments();
+    
+    if (config.help) {
+        showHelp();
+        process.exit(0);
+    }
+    
+    const fixtures = new FixtureServer({ logger: console });
+    const mock = config.mockCdp ? new MockChromeServer({ logger: console }) : null;
+    try {
+        await fixtures.listen(config.port, config.host);
+        console.log(`Fixtures served on ${fixtures.url('/')}`);
+        if (mock) {
+            const mockAddress = await mock.listen(config.mockCdp, config.host);
+            console.log(`Mock Chrome debugging endpoint on http://${mockAddress.address}:${mockAddress.port}`);
+        }
+    } catch (error) {
+        console.error('Fixture server failed to start:', error.message);
+        process.exit(exitCodeFor(error));
+    }
+    
+    const shutdown = async () => {
+        await fixtures.close();
+        if (mock) await mock.close();
+        process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parseArguments
+};
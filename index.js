@@ -0,0 +1,144 @@
+const { ChromeProxyClient, SCREENSHOT_FORMATS, OUTPUT_FORMATS, parseClip } = require('./lib/client');
+const {
+    connectWithRetry,
+    checkHealth,
+    checkStatus,
+    closeTarget,
+    createTarget,
+    fetchChromeVersion,
+    resolveDebuggerUrl,
+    waitForChromeReady
+} = require('./lib/connection');
+const { ProxyEndpoint } = require('./lib/endpoint');
+const { PAPER_SIZES, buildPrintOptions } = require('./lib/pdf');
+const { DEVICE_PRESETS, parseViewport, resolveEmulation, describeEmulation } = require('./lib/devices');
+const { loadManifest, parseManifest, runBatch } = require('./lib/batch');
+const { runParallelBatch } = require('./lib/pool');
+const { CaptureServer, parseRequest } = require('./lib/server');
+const { WAIT_EVENTS, validateWaitConditions, waitForPageLoad } = require('./lib/page-load');
+const { HarRecorder, writeHar } = require('./lib/har');
+const { DiagnosticsCollector, hasPageErrors, describeDiagnostics } = require('./lib/diagnostics');
+const { BUDGETS, MetricsCollector, parseBudgets, checkBudgets, exceededBudgets, describeMetrics, describeBudgetFailures } = require('./lib/metrics');
+const { BLOCK_PRESETS, THROTTLE_PRESETS, NetworkInterceptor, parseInterception, describeInterception } = require('./lib/intercept');
+const { STEP_ACTIONS, loadScenario, parseScenario, validateSteps, splitSetupSteps, runSteps } = require('./lib/scenario');
+const {
+    COMPARE_DEFAULTS,
+    compareImages,
+    checkBaseline,
+    compareCapture,
+    describeComparison,
+    validateCompareOptions
+} = require('./lib/regression');
+const { decodePng, encodePng } = require('./lib/png');
+const { SOAK_DEFAULTS, runSoak } = require('./lib/soak');
+const { DEFAULT_CHROME_PORT, BENCHMARK_DEFAULTS, runBenchmark, formatBenchmark } = require('./lib/benchmark');
+const { PORT_RANGE, SUPERVISOR_DEFAULTS, ChromeSupervisor } = require('./lib/supervisor');
+const { NGINX_DEFAULTS, generateNginxConfig, parseAddress } = require('./lib/nginx-config');
+const { REWRITER_DEFAULTS, JsonRewriter, rewriteDebuggerUrls } = require('./lib/rewriter');
+const { AUTH_DEFAULTS, AuthServer, extractToken, loadTokens } = require('./lib/auth');
+const { STATUS_DEFAULTS, StatusServer, collectStatus } = require('./lib/status');
+const { FIXTURE_DEFAULTS, FixtureServer } = require('./lib/fixtures');
+const { MOCK_CDP_DEFAULTS, MockChromeServer, remoteObject } = require('./lib/mock-cdp');
+const { CONFIG_FILES, CONFIG_OPTIONS, loadConfigFile, resolveConfig, resolveFlags, describeConfig } = require('./lib/config');
+const { EXIT_CODES, ERROR_CATEGORIES, exitCodeFor, describeError } = require('./lib/exit-codes');
+const errors = require('./lib/errors');
+
+module.exports = {
+    ChromeProxyClient,
+    SCREENSHOT_FORMATS,
+    OUTPUT_FORMATS,
+    parseClip,
+    PAPER_SIZES,
+    buildPrintOptions,
+    ProxyEndpoint,
+    DEVICE_PRESETS,
+    parseViewport,
+    resolveEmulation,
+    describeEmulation,
+    connectWithRetry,
+    checkHealth,
+    checkStatus,
+    closeTarget,
+    createTarget,
+    fetchChromeVersion,
+    resolveDebuggerUrl,
+    waitForChromeReady,
+    WAIT_EVENTS,
+    validateWaitConditions,
+    waitForPageLoad,
+    HarRecorder,
+    writeHar,
+    DiagnosticsCollector,
+    hasPageErrors,
+    describeDiagnostics,
+    BUDGETS,
+    MetricsCollector,
+    parseBudgets,
+    checkBudgets,
+    exceededBudgets,
+    describeMetrics,
+    describeBudgetFailures,
+    BLOCK_PRESETS,
+    THROTTLE_PRESETS,
+    NetworkInterceptor,
+    parseInterception,
+    describeInterception,
+    STEP_ACTIONS,
+    loadScenario,
+    parseScenario,
+    validateSteps,
+    splitSetupSteps,
+    runSteps,
+    COMPARE_DEFAULTS,
+    compareImages,
+    checkBaseline,
+    compareCapture,
+    describeComparison,
+    validateCompareOptions,
+    decodePng,
+    encodePng,
+    SOAK_DEFAULTS,
+    runSoak,
+    DEFAULT_CHROME_PORT,
+    BENCHMARK_DEFAULTS,
+    runBenchmark,
+    formatBenchmark,
+    PORT_RANGE,
+    SUPERVISOR_DEFAULTS,
+    ChromeSupervisor,
+    NGINX_DEFAULTS,
+    generateNginxConfig,
+    parseAddress,
+    REWRITER_DEFAULTS,
+    JsonRewriter,
+    rewriteDebuggerUrls,
+    AUTH_DEFAULTS,
+    AuthServer,
+    extractToken,
+    loadTokens,
+    STATUS_DEFAULTS,
+    StatusServer,
+    collectStatus,
+    FIXTURE_DEFAULTS,
+    FixtureServer,
+    MOCK_CDP_DEFAULTS,
+    MockChromeServer,
+    remoteObject,
+    CONFIG_FILES,
+    CONFIG_OPTIONS,
+    loadConfigFile,
+    resolveConfig,
+    resolveFlags,
+    describeConfig,
+    loadManifest,
+    parseManifest,
+    runBatch,
+    runParallelBatch,
+    CaptureServer,
+    parseRequest,
+    EXIT_CODES,
+    ERROR_CATEGORIES,
+    exitCodeFor,
+    describeError,
+    ...errors
+};
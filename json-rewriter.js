@@ -0,0 +1,78 @@
+const { JsonRewriter, REWRITER_DEFAULTS, parseAddress, exitCodeFor } = require('./index');
+
+function parseArguments(argv = process.argv.slice(2), env = process.env) {
+    const args = argv;
+    const config = {
+        host: REWRITER_DEFAULTS.host,
+        port: REWRITER_DEFAULTS.port,
+        upstream: `127.0.0.1:${parseInt(env.CHROME_DEBUG_PORT) || REWRITER_DEFAULTS.upstream.port}`,
+        help: args.includes('--help') || args.includes('-h')
+    };
+    
+    args.forEach((arg, index) => {
+        if (arg === '--host' && args[index + 1]) {
+            config.host = args[index + 1];
+        }
+        if (arg === '--port' && args[index + 1]) {
+            config.port = parseInt(args[index + 1]) || config.port;
+        }
+        if (arg === '--upstream' && args[index + 1]) {
+            config.upstream = args[index + 1];
+        }
+    });
+    
+    return config;
+}
+
+function showHelp() {
+    console.log(`
+DevTools /json Rewriter
+
+Forwards the proxy's /json requests to Chrome and rewrites the WebSocket URLs
+in the responses (webSocketDebuggerUrl, devtoolsFrontendUrl) to the address
+clients used to reach nginx.
+
+Usage: node json-rewriter.js [options]
+
+Options:
+  --host <host>         Address to listen on (default: ${REWRITER_DEFAULTS.host})
+  --port <port>         Port to listen on (default: ${REWRITER_DEFAULTS.port})
+  --upstream <host:port>
+                        Chrome's debugging address (default: 127.0.0.1 on
+                        CHROME_DEBUG_PORT or ${REWRITER_DEFAULTS.upstream.port})
+  --help, -h            Show this help message
+`);
+}
+
+async function main() {
+    const config = parseArguments();
+    
+    if (config.help) {
+        showHelp();
+        process.exit(0);
+    }
+    
+    const rewriter = new JsonRewriter({ upstream: parseAddress(config.upstream), logger: console });
+    try {
+        const address = await rewriter.listen(config.port, config.host);
+        console.log(`Rewriting /json responses from ${config.upstream} on http://${address.address}:${address.port}`);
+    } catch (error) {
+        console.error('/json rewriter failed to start:', error.message);
+        process.exit(exitCodeFor(error));
+    }
+    
+    const shutdown = async () => {
+        await rewriter.close();
+        process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parseArguments
+};
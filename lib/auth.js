@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const { ConfigError } = require('./errors');
+const { silentLogger } = require('./utils');
+
+// Where nginx.conf expects the auth service; kept off the 48000-49000 range
+// reserved for Chrome and bound to loopback so only nginx can reach it
+const AUTH_DEFAULTS = {
+    host: '127.0.0.1',
+    port: 8181,
+    logger: silentLogger
+};
+
+// The token a request carries: an `Authorization: Bearer` header, or a
+// `token` query parameter for WebSocket upgrades, which cannot set headers.
+// Behind auth_request the original URI arrives as X-Original-URI.
+function extractToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (match) {
+        return match[1];
+    }
+    
+    const uri = req.headers['x-original-uri'] || req.url;
+    return new URL(uri, 'http://localhost').searchParams.get('token');
+}
+
+function digest(token) {
+    return crypto.createHash('sha256').update(token).digest();
+}
+
+// Tokens from CHROME_PROXY_TOKENS (comma-separated) and `tokensFile` (one per
+// line, # for comments), without duplicates
+function loadTokens({ tokens = [], tokensFile = null, env = process.env } = {}) {
+    const all = [...tokens];
+    
+    if (env.CHROME_PROXY_TOKENS) {
+        all.push(...env.CHROME_PROXY_TOKENS.split(','));
+    }
+    if (tokensFile) {
+        let text;
+        try {
+            text = fs.readFileSync(tokensFile, 'utf8');
+        } catch (error) {
+            throw new ConfigError(`Cannot read tokens file ${tokensFile}: ${error.message}`, { cause: error });
+        }
+        all.push(...text.split('\n').filter(line => !line.trim().startsWith('#')));
+    }
+    
+    return [...new Set(all.map(token => token.trim()).filter(Boolean))];
+}
+
+// Target of nginx's auth_request: answers 204 when the request nginx is
+// checking carries one of `tokens` and 401 otherwise. Tokens are compared as
+// SHA-256 digests in constant time. With `tokens` null no token is required
+// and every request passes.
+class AuthServer {
+    constructor(tokens, options = {}) {
+        if (tokens !== null && (!Array.isArray(tokens) || tokens.length === 0)) {
+            throw new ConfigError('The auth service needs at least one token');
+        }
+        
+        this.options = { ...AUTH_DEFAULTS, ...options };
+        this.logger = this.options.logger;
+        this.digests = tokens === null ? null : tokens.map(digest);
+        this.stats = { allowed: 0, denied: 0 };
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+    
+    async listen(port = this.options.port, host = this.options.host) {
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+        
+        return this.server.address();
+    }
+    
+    async close() {
+        await new Promise(resolve => this.server.close(resolve));
+    }
+    
+    isAuthorized(token) {
+        if (this.digests === null) {
+            return true;
+        }
+        if (!token) {
+            return false;
+        }
+        const candidate = digest(token);
+        // Checked against every token so the timing does not reveal which matched
+        return this.digests.reduce((found, known) => crypto.timingSafeEqual(candidate, known) || found, false);
+    }
+    
+    handle(req, res) {
+        if (this.isAuthorized(extractToken(req))) {
+            this.stats.allowed++;
+            res.writeHead(204);
+            return res.end();
+        }
+        
+        this.stats.denied++;
+        const uri = (req.headers['x-original-uri'] || req.url).split('?')[0];
+        this.logger.error(`Denied ${req.headers['x-original-method'] || req.method} ${uri} from ${req.headers['x-real-ip'] || req.socket.remoteAddress}`);
+        res.writeHead(401, { 'WWW-Authenticate': 'Bearer realm="chrome-devtools"' });
+        res.end();
+    }
+}
+
+module.exports = {
+    AUTH_DEFAULTS,
+    AuthServer,
+    extractToken,
+    loadTokens
+};
@@ -0,0 +1,395 @@
+const fs = require('fs');
+const path = require('path');
+const { OUTPUT_FORMATS, parseClip, validateClip } = require('./client');
+const { buildPrintOptions } = require('./pdf');
+const { parseViewport, resolveEmulation, describeEmulation } = require('./devices');
+const { validateWaitConditions } = require('./page-load');
+const { compareCapture, describeComparison } = require('./regression');
+const { hasPageErrors, describeDiagnostics } = require('./diagnostics');
+const { checkBudgets, exceededBudgets, describeMetrics, describeBudgetFailures } = require('./metrics');
+const { validateSteps, splitSetupSteps, runSteps, clearHeaders } = require('./scenario');
+const { describeInterception } = require('./intercept');
+const { ManifestError, ConfigError, PageError, BudgetError } = require('./errors');
+const { silentLogger, sleep } = require('./utils');
+
+const ENTRY_KEYS = [
+    'url', 'name', 'format', 'quality', 'timeout',
+    'fullPage', 'selector', 'clip', 'pdf',
+    'device', 'viewport', 'dpr', 'userAgent',
+    'waitFor', 'waitSelector', 'waitFunction',
+    'steps'
+];
+const EMULATION_KEYS = ['device', 'viewport', 'dpr', 'userAgent'];
+const WAIT_KEYS = ['waitFor', 'waitSelector', 'waitFunction'];
+
+// Reads a URL list: either plain text (one URL per line, '#' comments) or a
+// JSON manifest. A manifest is an array of entries or an object with
+// `defaults` and `urls`; each entry is a URL string or an object with `url`
+// and optional `name`, `format`, `quality`, `timeout`, one of `fullPage`,
+// `selector` or `clip`, `pdf` print options for the pdf format, emulation
+// settings (`device`, `viewport`, `dpr`, `userAgent`), wait conditions
+// (`waitFor`, `waitSelector`, `waitFunction`) and scenario `steps` to run
+// before the capture.
+function loadManifest(file) {
+    let content;
+    
+    try {
+        content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new ManifestError(`Cannot read URL list ${file}: ${error.message}`, { cause: error });
+    }
+    
+    return parseManifest(content, file);
+}
+
+function parseManifest(content, source = 'manifest') {
+    const trimmed = content.trim();
+    
+    if (!trimmed.startsWith('[') && !trimmed.startsWith('{')) {
+        const urls = trimmed
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+        return urls.map((url, index) => normalizeEntry(url, {}, `${source} entry ${index + 1}`));
+    }
+    
+    let manifest;
+    try {
+        manifest = JSON.parse(trimmed);
+    } catch (error) {
+        throw new ManifestError(`Invalid JSON in ${source}: ${error.message}`, { cause: error });
+    }
+    
+    const entries = Array.isArray(manifest) ? manifest : manifest.urls;
+    const defaults = Array.isArray(manifest) ? {} : (manifest.defaults || {});
+    
+    if (!Array.isArray(entries)) {
+        throw new ManifestError(`${source} must be an array of entries or an object with a "urls" array`);
+    }
+    
+    return entries.map((entry, index) => normalizeEntry(entry, defaults, `${source} entry ${index + 1}`));
+}
+
+// Validates one entry (see loadManifest) on top of `defaults`; `where` names
+// it in error messages.
+function normalizeEntry(entry, defaults, where) {
+    const normalized = {
+        ...defaults,
+        ...(typeof entry === 'string' ? { url: entry } : entry)
+    };
+    
+    if (typeof normalized.url !== 'string' || !normalized.url) {
+        throw new ManifestError(`${where} has no url`);
+    }
+    
+    const unknown = Object.keys(normalized).filter(key => !ENTRY_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw new ManifestError(`${where} has unknown option(s): ${unknown.join(', ')}`);
+    }
+    
+    if (normalized.format !== undefined && !OUTPUT_FORMATS.includes(normalized.format)) {
+        throw new ManifestError(`${where} has unsupported format "${normalized.format}"`);
+    }
+    
+    if (normalized.format === 'pdf' && (normalized.fullPage || normalized.selector || normalized.clip)) {
+        throw new ManifestError(`${where} cannot combine the pdf format with fullPage, selector or clip`);
+    }
+    
+    if (normalized.pdf !== undefined) {
+        try {
+            buildPrintOptions(normalized.pdf);
+        } catch (error) {
+            throw new ManifestError(`${where} ${error.message}`);
+        }
+    }
+    
+    if (normalized.quality !== undefined && !(Number.isInteger(normalized.quality) && normalized.quality >= 1 && normalized.quality <= 100)) {
+        throw new ManifestError(`${where} quality must be an integer between 1 and 100`);
+    }
+    
+    if ([normalized.fullPage, normalized.selector, normalized.clip].filter(Boolean).length > 1) {
+        throw new ManifestError(`${where} can only use one of fullPage, selector or clip`);
+    }
+    
+    if (normalized.clip !== undefined) {
+        try {
+            normalized.clip = typeof normalized.clip === 'string'
+                ? parseClip(normalized.clip)
+                : validateClip(normalized.clip || {});
+        } catch (error) {
+            throw new ManifestError(`${where} ${error.message}`);
+        }
+    }
+    
+    if (EMULATION_KEYS.some(key => normalized[key] !== undefined)) {
+        try {
+            if (normalized.viewport !== undefined) {
+                normalized.viewport = parseViewport(normalized.viewport);
+            }
+            resolveEmulation(normalized);
+        } catch (error) {
+            throw new ManifestError(`${where} ${error.message}`);
+        }
+    }
+    
+    try {
+        validateWaitConditions(normalized);
+    } catch (error) {
+        throw new ManifestError(`${where} ${error.message}`);
+    }
+    
+    if (normalized.timeout !== undefined && !(Number.isInteger(normalized.timeout) && normalized.timeout > 0)) {
+        throw new ManifestError(`${where} timeout must be a positive number of milliseconds`);
+    }
+    
+    if (normalized.steps !== undefined) {
+        try {
+            validateSteps(normalized.steps, 'steps');
+        } catch (error) {
+            throw new ManifestError(`${where} ${error.message}`);
+        }
+    }
+    
+    return normalized;
+}
+
+// File name for the nth capture: the index keeps names unique and in manifest
+// order, the slug keeps them readable.
+function outputFilename(entry, index, format) {
+    const slug = (entry.name || entry.url)
+        .replace(/^[a-z][a-z0-9+.-]*:(\/\/)?/i, '')
+        .replace(/[^a-z0-9]+/gi, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60)
+        .toLowerCase() || 'page';
+    
+    return `${String(index + 1).padStart(3, '0')}-${slug}.${format}`;
+}
+
+const CAPTURE_DEFAULTS = {
+    outDir: '.',
+    format: 'png',
+    quality: undefined,
+    region: {},
+    pdf: {},
+    emulation: {},
+    wait: {},
+    baseline: null,
+    // Collect console messages, exceptions and failed requests per entry;
+    // with failOnConsoleError an entry whose page threw counts as failed
+    diagnostics: false,
+    failOnConsoleError: false,
+    // Measure each page load; an entry over any of the budgets (see
+    // parseBudgets()) counts as failed
+    metrics: false,
+    budgets: null,
+    // Blocked and mocked requests, headers, cookies and throttling from
+    // parseInterception(), applied to every entry
+    interception: null,
+    // Scenario steps run on every entry that has none of its own
+    steps: null,
+    timeout: 15000,
+    renderDelay: 2000,
+    logger: silentLogger
+};
+
+// Navigates to one entry, waits for it to load and returns the screenshot or
+// PDF as a Buffer. The applied emulation and load method are recorded on
+// `result` as soon as they are known, so they survive a later failure.
+// `state` carries per-tab settings (whether emulation or extra headers from
+// a setHeaders step are active) between entries.
+async function renderEntry(client, entry, options, state = {}, result = {}) {
+    const { format, quality, region, pdf, emulation, wait, steps, timeout, renderDelay, logger } = { ...CAPTURE_DEFAULTS, ...options };
+    const entryFormat = entry.format || format;
+    const entryTimeout = entry.timeout || timeout;
+    
+    // Emulation set on the entry replaces the batch-wide settings entirely
+    const hasEntryEmulation = EMULATION_KEYS.some(key => entry[key] !== undefined);
+    const settings = resolveEmulation(hasEntryEmulation ? entry : emulation);
+    if (settings || state.emulated) {
+        await client.emulate(settings);
+        state.emulated = !!settings;
+    }
+    result.emulation = settings;
+    
+    // Wait conditions set on the entry override the batch-wide ones one by one
+    const entryWait = { ...wait };
+    WAIT_KEYS.filter(key => entry[key] !== undefined).forEach(key => {
+        entryWait[key] = entry[key];
+    });
+    
+    // Steps set on the entry replace the batch-wide scenario
+    const scenario = splitSetupSteps(entry.steps || steps || []);
+    const stepOptions = { url: entry.url, timeout: entryTimeout, logger };
+    if (scenario.setup.length > 0 || scenario.steps.length > 0) {
+        result.steps = [];
+    }
+    if (state.headers) {
+        await clearHeaders(client);
+    }
+    state.headers = [...scenario.setup, ...scenario.steps].some(step => step.action === 'setHeaders');
+    await runSteps(client, scenario.setup, { ...stepOptions, pending: scenario.steps }, result.steps);
+    
+    await client.navigate(entry.url);
+    const loadResult = await client.waitForLoad({
+        url: entry.url,
+        loadTimeout: entryTimeout,
+        ...entryWait
+    });
+    result.loadMethod = loadResult.method;
+    
+    await runSteps(client, scenario.steps, { ...stepOptions, offset: scenario.setup.length }, result.steps);
+    
+    if (renderDelay > 0) {
+        await sleep(renderDelay);
+    }
+    
+    if (entryFormat === 'pdf') {
+        return client.pdf({ ...pdf, ...entry.pdf });
+    }
+    
+    // A region set on the entry replaces the batch-wide one entirely
+    const hasEntryRegion = entry.fullPage || entry.selector || entry.clip;
+    return client.screenshot({
+        format: entryFormat,
+        quality: entry.quality || quality,
+        ...(hasEntryRegion ? { fullPage: entry.fullPage, selector: entry.selector, clip: entry.clip } : region)
+    });
+}
+
+// Renders one entry and writes the capture to `outDir`. Never throws:
+// failures are recorded on the returned result.
+async function captureEntry(client, entry, index, total, options, state = {}) {
+    const { outDir, format, baseline, diagnostics, failOnConsoleError, metrics, budgets, interception, logger } = { ...CAPTURE_DEFAULTS, ...options };
+    const entryFormat = entry.format || format;
+    const startTime = Date.now();
+    const reconnects = client.reconnects;
+    const result = { url: entry.url, status: 'failed', file: null, loadMethod: null };
+    let collector = null;
+    let meter = null;
+    let interceptor = null;
+    
+    logger.log(`[${index + 1}/${total}] Capturing ${entry.url}...`);
+    
+    try {
+        if (baseline && entryFormat !== 'png') {
+            throw new ConfigError(`Baseline comparison needs png captures, not ${entryFormat}`);
+        }
+        if (diagnostics || failOnConsoleError) {
+            collector = client.collectDiagnostics();
+        }
+        if (metrics || budgets) {
+            meter = await client.collectMetrics();
+        }
+        if (interception) {
+            interceptor = await client.interceptNetwork(interception);
+            await interceptor.setCookies(entry.url);
+        }
+        
+        const output = await renderEntry(client, entry, options, state, result);
+        if (result.emulation) {
+            logger.log(`[${index + 1}/${total}] Emulated ${describeEmulation(result.emulation)}`);
+        }
+        
+        result.file = path.join(outDir, outputFilename(entry, index, entryFormat));
+        fs.writeFileSync(result.file, output);
+        logger.log(`[${index + 1}/${total}] Saved ${result.file} (${result.loadMethod})`);
+        
+        if (baseline) {
+            result.comparison = compareCapture(output, result.file, baseline);
+            logger.log(`[${index + 1}/${total}] ${describeComparison(result.comparison)}`);
+        }
+        if (interceptor) {
+            result.interception = await interceptor.stop();
+            logger.log(`[${index + 1}/${total}] Interception: ${describeInterception(result.interception)}`);
+        }
+        if (collector) {
+            result.diagnostics = collector.stop();
+            logger.log(`[${index + 1}/${total}] Diagnostics: ${describeDiagnostics(result.diagnostics)}`);
+            if (failOnConsoleError && hasPageErrors(result.diagnostics)) {
+                throw new PageError(`Page errors: ${describeDiagnostics(result.diagnostics)}`);
+            }
+        }
+        if (meter) {
+            result.metrics = await meter.stop();
+            logger.log(`[${index + 1}/${total}] Metrics: ${describeMetrics(result.metrics)}`);
+            if (budgets) {
+                result.budgets = checkBudgets(result.metrics, budgets);
+                if (exceededBudgets(result.budgets).length > 0) {
+                    throw new BudgetError(`Budget exceeded: ${describeBudgetFailures(result.budgets)}`);
+                }
+            }
+        }
+        result.status = 'success';
+    } catch (error) {
+        result.error = error.message;
+        result.errorCode = error.code || null;
+        logger.log(`[${index + 1}/${total}] Failed ${entry.url}: ${error.message}`);
+    }
+    
+    // Kept for failed entries too: a page that broke is when they matter most
+    if (collector && !result.diagnostics) {
+        result.diagnostics = collector.stop();
+    }
+    if (meter && !result.metrics) {
+        result.metrics = await meter.stop();
+    }
+    if (interceptor && !result.interception) {
+        result.interception = await interceptor.stop();
+    }
+    
+    // Sessions the client had to resume while capturing this entry
+    result.reconnects = client.reconnects - reconnects;
+    result.durationMs = Date.now() - startTime;
+    return result;
+}
+
+// Captures every entry over the client's single CDP connection. Failures are
+// recorded per entry and never abort the rest of the batch.
+async function runBatch(client, entries, options = {}) {
+    const outDir = options.outDir || CAPTURE_DEFAULTS.outDir;
+    fs.mkdirSync(outDir, { recursive: true });
+    
+    const results = [];
+    const state = {};
+    
+    for (let i = 0; i < entries.length; i++) {
+        results.push(await captureEntry(client, entries[i], i, entries.length, options, state));
+    }
+    
+    return summarizeBatch(results);
+}
+
+function summarizeBatch(results) {
+    const loadMethods = {};
+    results.forEach(result => {
+        if (result.loadMethod) {
+            loadMethods[result.loadMethod] = (loadMethods[result.loadMethod] || 0) + 1;
+        }
+    });
+    
+    const succeeded = results.filter(result => result.status === 'success').length;
+    // Captures that differ from their baseline or have none yet
+    const regressions = results.filter(result => result.comparison && ['mismatch', 'missing'].includes(result.comparison.status)).length;
+    
+    return {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        regressions,
+        reconnects: results.reduce((sum, result) => sum + (result.reconnects || 0), 0),
+        loadMethods,
+        results
+    };
+}
+
+module.exports = {
+    loadManifest,
+    parseManifest,
+    normalizeEntry,
+    outputFilename,
+    renderEntry,
+    captureEntry,
+    runBatch,
+    summarizeBatch
+};
@@ -0,0 +1,202 @@
+const { performance } = require('perf_hooks');
+const { ProxyEndpoint } = require('./endpoint');
+const { connectWithRetry, createTarget, closeTarget, fetchChromeVersion } = require('./connection');
+const { ConnectionError, ConfigError } = require('./errors');
+const { silentLogger, latencyStats } = require('./utils');
+
+// The Chrome debugging port start-chrome.sh uses unless CHROME_DEBUG_PORT
+// picks another one in 48000-49000
+const DEFAULT_CHROME_PORT = 48333;
+
+const BENCHMARK_DEFAULTS = {
+    // WebSocket sessions opened and closed
+    connects: 10,
+    // Runtime.evaluate round trips over one session
+    evaluations: 100,
+    // Screenshots of a noise-filled page, which PNG cannot compress much
+    screenshots: 10,
+    viewport: { width: 1280, height: 720 },
+    // Untimed round trips before each measured phase
+    warmup: 3,
+    logger: silentLogger
+};
+
+// Fills the viewport with random pixels so every screenshot is a large,
+// incompressible payload
+const NOISE_PAGE = 'data:text/html,<body style="margin:0"><canvas id="c"></canvas><script>' +
+    'const c = document.getElementById("c"); c.width = innerWidth; c.height = innerHeight;' +
+    'const ctx = c.getContext("2d"); const image = ctx.createImageData(c.width, c.height);' +
+    'for (let i = 0; i < image.data.length; i++) image.data[i] = i % 4 === 3 ? 255 : Math.random() * 256 | 0;' +
+    'ctx.putImageData(image, 0, 0);</script></body>';
+
+async function timed(fn) {
+    const start = performance.now();
+    const value = await fn();
+    return { ms: performance.now() - start, value };
+}
+
+// Runs the workload against one path (a ProxyEndpoint for either nginx or
+// Chrome's own port) on a fresh tab, which is closed again afterwards.
+async function benchmarkPath(name, endpoint, options = {}) {
+    const { connects, evaluations, screenshots, viewport, warmup, logger } = { ...BENCHMARK_DEFAULTS, ...options };
+    
+    let version;
+    try {
+        version = await fetchChromeVersion(endpoint, 5000);
+    } catch (error) {
+        throw new ConnectionError(`Cannot reach Chrome via the ${name} path (${endpoint.httpUrl()}): ${error.message}`, { cause: error });
+    }
+    
+    const target = await createTarget(endpoint);
+    const result = { name, url: endpoint.httpUrl(), browser: version.Browser };
+    
+    try {
+        logger.log(`[${name}] Opening ${connects} CDP session(s)...`);
+        const connectTimes = [];
+        for (let i = 0; i < connects; i++) {
+            const { ms, value: session } = await timed(() => connectWithRetry(endpoint, 1, silentLogger, { target }));
+            connectTimes.push(ms);
+            await session.close();
+        }
+        result.connect = latencyStats(connectTimes);
+        
+        const session = await connectWithRetry(endpoint, 1, silentLogger, { target });
+        try {
+            const { Page, Runtime, Emulation } = session;
+            await Page.enable();
+            
+            logger.log(`[${name}] Timing ${evaluations} Runtime.evaluate round trip(s)...`);
+            const evaluate = () => Runtime.evaluate({ expression: '1', returnByValue: true });
+            for (let i = 0; i < warmup; i++) {
+                await evaluate();
+            }
+            const evaluateTimes = [];
+            for (let i = 0; i < evaluations; i++) {
+                evaluateTimes.push((await timed(evaluate)).ms);
+            }
+            result.evaluate = latencyStats(evaluateTimes);
+            
+            logger.log(`[${name}] Transferring ${screenshots} ${viewport.width}x${viewport.height} screenshot(s)...`);
+            await Emulation.setDeviceMetricsOverride({ ...viewport, deviceScaleFactor: 1, mobile: false });
+            const loaded = Page.loadEventFired();
+            await Page.navigate({ url: NOISE_PAGE });
+            await loaded;
+            
+            const capture = () => Page.captureScreenshot({ format: 'png' });
+            if (warmup > 0) {
+                await capture();
+            }
+            const screenshotTimes = [];
+            let bytes = 0;
+            for (let i = 0; i < screenshots; i++) {
+                const { ms, value } = await timed(capture);
+                screenshotTimes.push(ms);
+                // Measured as sent over the WebSocket, i.e. base64
+                bytes += Buffer.byteLength(value.data);
+            }
+            const totalMs = screenshotTimes.reduce((sum, ms) => sum + ms, 0);
+            result.screenshot = {
+                ...latencyStats(screenshotTimes),
+                bytes,
+                bytesPerSecond: totalMs > 0 ? Math.round(bytes / (totalMs / 1000)) : null
+            };
+        } finally {
+            await session.close().catch(() => {});
+        }
+    } finally {
+        await closeTarget(endpoint, target.id).catch(error => {
+            logger.error(`[${name}] Failed to close target ${target.id}: ${error.message}`);
+        });
+    }
+    
+    return result;
+}
+
+// Runs the same workload directly against Chrome and through the nginx proxy
+// and reports both along with the proxy's overhead. `proxy` and `direct` are
+// ProxyEndpoint instances or options for one; `direct` defaults to the proxy
+// host on Chrome's debugging port, over plain HTTP.
+async function runBenchmark(proxy, direct = {}, options = {}) {
+    ['connects', 'evaluations', 'screenshots'].forEach(key => {
+        if (options[key] !== undefined && !(Number.isInteger(options[key]) && options[key] > 0)) {
+            throw new ConfigError(`Benchmark ${key} must be a positive integer`);
+        }
+    });
+    
+    const proxyEndpoint = proxy instanceof ProxyEndpoint ? proxy : new ProxyEndpoint(proxy);
+    const directEndpoint = direct instanceof ProxyEndpoint ? direct : new ProxyEndpoint({
+        host: proxyEndpoint.host,
+        port: DEFAULT_CHROME_PORT,
+        ...direct
+    });
+    
+    const directResult = await benchmarkPath('direct', directEndpoint, options);
+    const proxyResult = await benchmarkPath('nginx', proxyEndpoint, options);
+    
+    return {
+        direct: directResult,
+        nginx: proxyResult,
+        overhead: compareResults(directResult, proxyResult)
+    };
+}
+
+// Extra time (ms) and relative cost (%) of the proxy for each median, and the
+// share of direct throughput it keeps
+function compareResults(direct, nginx) {
+    const difference = phase => {
+        const extra = nginx[phase].p50 - direct[phase].p50;
+        return {
+            p50: Math.round(extra * 100) / 100,
+            percent: direct[phase].p50 > 0 ? Math.round(extra / direct[phase].p50 * 1000) / 10 : null
+        };
+    };
+    const throughput = direct.screenshot.bytesPerSecond && nginx.screenshot.bytesPerSecond
+        ? Math.round(nginx.screenshot.bytesPerSecond / direct.screenshot.bytesPerSecond * 1000) / 10
+        : null;
+    
+    return {
+        connect: difference('connect'),
+        evaluate: difference('evaluate'),
+        screenshot: difference('screenshot'),
+        throughputPercent: throughput
+    };
+}
+
+function formatBytesPerSecond(value) {
+    return value === null ? '-' : `${(value / 1024 / 1024).toFixed(2)} MB/s`;
+}
+
+// Plain-text table comparing the two paths, one row per metric
+function formatBenchmark(report) {
+    const { direct, nginx, overhead } = report;
+    const rows = [['Metric', 'direct', 'nginx', 'overhead']];
+    const signed = value => `${value >= 0 ? '+' : ''}${value}`;
+    
+    ['connect', 'evaluate', 'screenshot'].forEach(phase => {
+        ['p50', 'p90', 'p99', 'max'].forEach(stat => {
+            const extra = Math.round((nginx[phase][stat] - direct[phase][stat]) * 100) / 100;
+            const percent = stat === 'p50' && overhead[phase].percent !== null ? ` (${signed(overhead[phase].percent)}%)` : '';
+            rows.push([`${phase} ${stat} (ms)`, String(direct[phase][stat]), String(nginx[phase][stat]), `${signed(extra)}${percent}`]);
+        });
+    });
+    rows.push([
+        'screenshot throughput',
+        formatBytesPerSecond(direct.screenshot.bytesPerSecond),
+        formatBytesPerSecond(nginx.screenshot.bytesPerSecond),
+        overhead.throughputPercent === null ? '-' : `${overhead.throughputPercent}% of direct`
+    ]);
+    
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    return rows
+        .map(row => row.map((cell, column) => column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])).join('  '))
+        .join('\n');
+}
+
+module.exports = {
+    DEFAULT_CHROME_PORT,
+    BENCHMARK_DEFAULTS,
+    benchmarkPath,
+    runBenchmark,
+    compareResults,
+    formatBenchmark
+};
@@ -0,0 +1,453 @@
+const { connectWithRetry, checkHealth, checkStatus, waitForChromeReady } = require('./connection');
+const { ProxyEndpoint } = require('./endpoint');
+const { waitForPageLoad } = require('./page-load');
+const { buildPrintOptions } = require('./pdf');
+const { HarRecorder } = require('./har');
+const { DiagnosticsCollector } = require('./diagnostics');
+const { MetricsCollector } = require('./metrics');
+const { NetworkInterceptor } = require('./intercept');
+const { ConnectionError, NavigationError, CaptureError, ConfigError } = require('./errors');
+const { silentLogger } = require('./utils');
+
+const SCREENSHOT_FORMATS = ['png', 'jpeg', 'webp'];
+const OUTPUT_FORMATS = [...SCREENSHOT_FORMATS, 'pdf'];
+
+class ChromeProxyClient {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || new ProxyEndpoint(options);
+        this.maxRetries = options.maxRetries || 5;
+        // How many times a navigation, load wait or capture is resumed on a
+        // fresh session after Chrome drops the connection in the middle of it
+        this.maxReconnects = options.maxReconnects !== undefined ? options.maxReconnects : 2;
+        this.readyTimeout = options.readyTimeout || 30000;
+        this.verbose = !!options.verbose;
+        this.logger = options.logger || silentLogger;
+        this.target = options.target || null;
+        this.emulation = null;
+        // Headers from setExtraHeaders(), sent with every request
+        this.extraHeaders = null;
+        this.client = null;
+        this.chromeVersion = null;
+        // Last report from the proxy's /status endpoint, if it has one
+        this.proxyStatus = null;
+        this.connectionAttempts = 0;
+        this.reconnects = 0;
+        // Set when Chrome (or the proxy) closed the session rather than us
+        this.dropped = false;
+        this.currentUrl = null;
+        this.loadOptions = {};
+        // Recorders and collectors bound to the session; resume() moves the
+        // ones not yet stopped to the new session
+        this.collectors = [];
+        // Duration in ms of the most recent run of each phase
+        this.timings = {};
+    }
+    
+    get baseUrl() {
+        return this.endpoint.httpUrl();
+    }
+    
+    get connected() {
+        return !!this.client;
+    }
+    
+    // Health check, wait for /json/version, open the CDP session and enable
+    // the domains every later step relies on.
+    async connect() {
+        if (this.client) {
+            return this;
+        }
+        
+        await this.checkReady();
+        return this.attach();
+    }
+    
+    // nginx's /health only shows nginx is up; /status, where the proxy has
+    // it, also says whether Chrome is, so a dead backend fails right away
+    // with ChromeUnavailableError rather than after readyTimeout
+    async checkReady() {
+        await this.timed('healthCheck', async () => {
+            await checkHealth(this.endpoint, this.logger);
+            this.proxyStatus = await checkStatus(this.endpoint, this.logger);
+        });
+        this.chromeVersion = await this.timed('chromeReady', () => waitForChromeReady(this.endpoint, this.readyTimeout, this.logger));
+        return this.chromeVersion;
+    }
+    
+    // Opens the CDP session without the readiness checks, for callers that
+    // already know Chrome is up (e.g. a pool attaching to freshly created
+    // targets).
+    async attach() {
+        if (this.client) {
+            return this;
+        }
+        
+        await this.timed('connect', async () => {
+            this.client = await connectWithRetry(this.endpoint, this.maxRetries, this.logger, {
+                target: this.target,
+                onAttempt: attempt => {
+                    this.connectionAttempts = attempt;
+                }
+            });
+            
+            // Forget a session Chrome dropped (e.g. a restart) so the next
+            // connect() opens a fresh one instead of failing on a dead socket.
+            // The emulation settings are kept for resume() to restore.
+            const session = this.client;
+            this.dropped = false;
+            session.on('disconnect', () => {
+                if (this.client === session) {
+                    this.client = null;
+                    this.dropped = true;
+                    this.logger.log('Chrome connection lost');
+                }
+            });
+            
+            this.emulation = null;
+            
+            const {Network, Page, Runtime} = this.client;
+            
+            this.logger.log('Enabling Chrome DevTools domains...');
+            await Network.enable();
+            if (this.verbose) this.logger.log('Network domain enabled');
+            await Page.enable();
+            if (this.verbose) this.logger.log('Page domain enabled');
+            await Runtime.enable();
+            if (this.verbose) this.logger.log('Runtime domain enabled');
+            this.logger.log('All domains enabled successfully');
+        });
+        
+        return this;
+    }
+    
+    // Reopens a session Chrome dropped, with the same backoff as the first
+    // connect, and restores what the old one had: the enabled domains, the
+    // emulation settings, the extra headers, the running collectors and, with `restorePage`, the
+    // page last navigated to if the tab itself is gone (e.g. Chrome
+    // restarted). A collector that cannot follow fails the resume with
+    // ConnectionError rather than leave its report silently incomplete.
+    async resume(restorePage = false) {
+        const emulation = this.emulation;
+        this.reconnects++;
+        this.logger.log(`Reconnecting to Chrome (reconnect ${this.reconnects})...`);
+        
+        await this.attach();
+        if (emulation) {
+            await this.emulate(emulation);
+        }
+        if (this.extraHeaders) {
+            await this.client.Network.setExtraHTTPHeaders({ headers: this.extraHeaders });
+        }
+        
+        this.collectors = this.collectors.filter(collector => !collector.stopped);
+        for (const collector of this.collectors) {
+            try {
+                await collector.reattach(this.client);
+            } catch (error) {
+                throw new ConnectionError(`Could not restore ${collector.constructor.name} on the new session: ${error.message}`, { cause: error });
+            }
+        }
+        
+        if (restorePage && this.currentUrl) {
+            const { result } = await this.client.Runtime.evaluate({ expression: 'location.href', returnByValue: true });
+            if (result.value === 'about:blank' && this.currentUrl !== 'about:blank') {
+                this.logger.log(`Page was lost with the connection; reloading ${this.currentUrl}`);
+                await this.client.Page.navigate({ url: this.currentUrl });
+                await this.loadPage(this.client, this.loadOptions);
+            }
+        }
+        
+        this.logger.log('Session resumed');
+    }
+    
+    // Runs one step against the current session. If Chrome drops the session
+    // while the step runs (or dropped it since the last step), the session is
+    // resumed and the step run again, at most `maxReconnects` times. A retried
+    // navigation loads its page anyway; other steps get the page restored.
+    async withReconnect(step, fn) {
+        for (let attempt = 0; ; attempt++) {
+            if (!this.client && this.dropped && attempt < this.maxReconnects) {
+                await this.resume(step !== 'navigation');
+                continue;
+            }
+            
+            const session = this.requireConnection();
+            let onDisconnect;
+            const lost = new Promise((resolve, reject) => {
+                onDisconnect = () => reject(new ConnectionError(`Chrome connection lost during ${step}`));
+                session.once('disconnect', onDisconnect);
+            });
+            
+            try {
+                return await Promise.race([fn(session), lost]);
+            } catch (error) {
+                if (this.client === session || !this.dropped || attempt >= this.maxReconnects) {
+                    throw error;
+                }
+                this.logger.log(`Connection lost during ${step} (${error.message}); retrying`);
+                await this.resume(step !== 'navigation');
+            } finally {
+                session.removeListener('disconnect', onDisconnect);
+            }
+        }
+    }
+    
+    async navigate(url) {
+        this.currentUrl = url;
+        
+        return this.withReconnect('navigation', async client => {
+            let result;
+            
+            try {
+                result = await this.timed('navigation', () => client.Page.navigate({url}));
+            } catch (error) {
+                throw new NavigationError(`Failed to navigate to ${url}: ${error.message}`, { cause: error });
+            }
+            
+            if (result.errorText) {
+                throw new NavigationError(`Failed to navigate to ${url}: ${result.errorText}`);
+            }
+            
+            this.logger.log('Navigation initiated, frameId:', result.frameId);
+            return result;
+        });
+    }
+    
+    async waitForLoad(options = {}) {
+        this.loadOptions = options;
+        
+        return this.withReconnect('load', client => this.timed('load', () => this.loadPage(client, options)));
+    }
+    
+    loadPage(client, options) {
+        return waitForPageLoad(client, options.url, {
+            verboseLogging: this.verbose,
+            logger: this.logger,
+            ...options
+        });
+    }
+    
+    // Applies settings from resolveEmulation() (metrics, touch, user agent)
+    // before the next navigation; null restores Chrome's launch defaults.
+    async emulate(settings) {
+        const client = this.requireConnection();
+        const { Emulation } = client;
+        
+        if (!settings) {
+            await Emulation.clearDeviceMetricsOverride();
+            await Emulation.setTouchEmulationEnabled({ enabled: false });
+            // An empty override hands the user agent back to the browser
+            await Emulation.setUserAgentOverride({ userAgent: '' });
+            this.emulation = null;
+            return;
+        }
+        
+        await Emulation.setDeviceMetricsOverride({
+            width: settings.width,
+            height: settings.height,
+            deviceScaleFactor: settings.deviceScaleFactor,
+            mobile: !!settings.mobile
+        });
+        await Emulation.setTouchEmulationEnabled({ enabled: !!settings.hasTouch });
+        await Emulation.setUserAgentOverride({ userAgent: settings.userAgent || '' });
+        
+        this.emulation = settings;
+        if (this.verbose) this.logger.log('Emulation applied:', settings);
+    }
+    
+    // Sends `headers` with every request from now on; {} clears them. They
+    // belong to the CDP session, so resume() sets them again on a new one.
+    // `session` is the one a withReconnect() step runs against.
+    async setExtraHeaders(headers, session = this.requireConnection()) {
+        await session.Network.setExtraHTTPHeaders({ headers });
+        this.extraHeaders = Object.keys(headers).length > 0 ? headers : null;
+    }
+    
+    // Starts recording network traffic; call startPage() on the returned
+    // HarRecorder before each navigation and stop() for the HAR log.
+    recordHar(options = {}) {
+        const client = this.requireConnection();
+        const [name, version] = ((this.chromeVersion && this.chromeVersion.Browser) || '').split('/');
+        
+        return this.track(new HarRecorder(client, {
+            logger: this.logger,
+            browser: name ? { name, version: version || '' } : null,
+            ...options
+        }).start());
+    }
+    
+    // Starts collecting console messages, exceptions and failed requests;
+    // stop() on the returned collector gives the diagnostics report.
+    collectDiagnostics(options = {}) {
+        const client = this.requireConnection();
+        return this.track(new DiagnosticsCollector(client, { logger: this.logger, ...options }).start());
+    }
+    
+    // Starts measuring the next page load; resolves with the collector, whose
+    // stop() gives the performance report once the page has loaded.
+    async collectMetrics(options = {}) {
+        const client = this.requireConnection();
+        return this.track(await new MetricsCollector(client, { logger: this.logger, ...options }).start());
+    }
+    
+    // Keeps a started collector on whichever session is current until it is
+    // stopped; see resume()
+    track(collector) {
+        this.collectors = this.collectors.filter(tracked => !tracked.stopped).concat(collector);
+        return collector;
+    }
+    
+    // Applies interception settings from parseInterception() until the
+    // returned interceptor is stopped; its stop() gives the report.
+    async interceptNetwork(settings, options = {}) {
+        const client = this.requireConnection();
+        return this.track(await new NetworkInterceptor(client, settings, { logger: this.logger, ...options }).start());
+    }
+    
+    // Returns the captured image as a Buffer; writing it anywhere is left to
+    // the caller. At most one of `fullPage`, `selector` or `clip` ({x, y,
+    // width, height} in CSS pixels) narrows or widens the captured area;
+    // without them the current viewport is captured.
+    async screenshot(options = {}) {
+        const { format = 'png', quality, fullPage, selector, clip } = options;
+        
+        if (!SCREENSHOT_FORMATS.includes(format)) {
+            throw new CaptureError(`Unsupported screenshot format: ${format}`);
+        }
+        if ([fullPage, selector, clip].filter(Boolean).length > 1) {
+            throw new CaptureError('Only one of fullPage, selector or clip can be used per screenshot');
+        }
+        
+        const screenshotOptions = { format };
+        if (format === 'jpeg' && quality) {
+            screenshotOptions.quality = quality;
+        }
+        
+        const region = clip ? validateClip(clip) : null;
+        
+        return this.withReconnect('capture', async client => {
+            const area = fullPage ? await this.measurePage() : (selector ? await this.measureElement(selector) : region);
+            const params = { ...screenshotOptions };
+            if (area) {
+                params.clip = { ...area, scale: 1 };
+                params.captureBeyondViewport = true;
+            }
+            
+            try {
+                const screenshot = await this.timed('capture', () => client.Page.captureScreenshot(params));
+                return Buffer.from(screenshot.data, 'base64');
+            } catch (error) {
+                throw new CaptureError(`Failed to capture screenshot: ${error.message}`, { cause: error });
+            }
+        });
+    }
+    
+    // Prints the current page with Page.printToPDF and returns the PDF as a
+    // Buffer. See buildPrintOptions() for the accepted options.
+    async pdf(options = {}) {
+        const params = buildPrintOptions(options);
+        
+        return this.withReconnect('capture', async client => {
+            try {
+                const pdf = await this.timed('capture', () => client.Page.printToPDF(params));
+                return Buffer.from(pdf.data, 'base64');
+            } catch (error) {
+                throw new CaptureError(`Failed to print PDF: ${error.message}`, { cause: error });
+            }
+        });
+    }
+    
+    // Full scrollable size of the document in CSS pixels
+    async measurePage() {
+        const client = this.requireConnection();
+        const metrics = await client.Page.getLayoutMetrics();
+        const { width, height } = metrics.cssContentSize || metrics.contentSize;
+        
+        return { x: 0, y: 0, width: Math.ceil(width), height: Math.ceil(height) };
+    }
+    
+    // Bounding box of the first element matching `selector`, relative to the
+    // document rather than the viewport so off-screen elements work too.
+    async measureElement(selector) {
+        const client = this.requireConnection();
+        const { result, exceptionDetails } = await client.Runtime.evaluate({
+            expression: `(() => {
+                const element = document.querySelector(${JSON.stringify(selector)});
+                if (!element) return null;
+                const rect = element.getBoundingClientRect();
+                return { x: rect.left + window.scrollX, y: rect.top + window.scrollY, width: rect.width, height: rect.height };
+            })()`,
+            returnByValue: true
+        });
+        
+        if (exceptionDetails) {
+            throw new CaptureError(`Invalid selector ${selector}: ${exceptionDetails.exception ? exceptionDetails.exception.description : exceptionDetails.text}`);
+        }
+        if (!result.value) {
+            throw new CaptureError(`No element matches selector ${selector}`);
+        }
+        if (result.value.width === 0 || result.value.height === 0) {
+            throw new CaptureError(`Element matching ${selector} has no visible area`);
+        }
+        
+        return result.value;
+    }
+    
+    async close() {
+        if (!this.client) {
+            return;
+        }
+        
+        const client = this.client;
+        this.client = null;
+        await client.close();
+        this.logger.log('Chrome connection closed cleanly');
+    }
+    
+    // Runs `fn`, recording its duration under `phase` whether or not it fails
+    async timed(phase, fn) {
+        const startTime = Date.now();
+        try {
+            return await fn();
+        } finally {
+            this.timings[phase] = Date.now() - startTime;
+        }
+    }
+    
+    requireConnection() {
+        if (!this.client) {
+            throw new ConnectionError('Not connected; call connect() first');
+        }
+        return this.client;
+    }
+}
+
+function validateClip(clip) {
+    const { x, y, width, height } = clip;
+    const valid = [x, y, width, height].every(value => Number.isFinite(value)) &&
+        x >= 0 && y >= 0 && width > 0 && height > 0;
+    
+    if (!valid) {
+        throw new ConfigError('Clip must have non-negative x/y and positive width/height');
+    }
+    return { x, y, width, height };
+}
+
+// Parses the "x,y,width,height" form used by --clip
+function parseClip(value) {
+    const parts = String(value).split(',').map(part => Number(part.trim()));
+    if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) {
+        throw new ConfigError(`Invalid clip "${value}"; expected x,y,width,height`);
+    }
+    
+    const [x, y, width, height] = parts;
+    return validateClip({ x, y, width, height });
+}
+
+module.exports = {
+    ChromeProxyClient,
+    SCREENSHOT_FORMATS,
+    OUTPUT_FORMATS,
+    parseClip,
+    validateClip
+};
@@ -0,0 +1,447 @@
+const fs = require('fs');
+const path = require('path');
+const { OUTPUT_FORMATS, parseClip } = require('./client');
+const { resolveEmulation } = require('./devices');
+const { buildPrintOptions } = require('./pdf');
+const { validateWaitConditions } = require('./page-load');
+const { parseBudgets } = require('./metrics');
+const { DEFAULT_CHROME_PORT } = require('./benchmark');
+const { THROTTLE_PRESETS, parseInterception } = require('./intercept');
+const { ConfigError } = require('./errors');
+
+// Looked up in the working directory when neither --config nor
+// CHROME_PROXY_CONFIG names a file
+const CONFIG_FILES = ['chrome-proxy.config.json', 'chrome-proxy.config.js'];
+
+const ENV_PREFIX = 'CHROME_PROXY_';
+const TRUE_VALUES = ['1', 'true', 'yes', 'on'];
+const FALSE_VALUES = ['0', 'false', 'no', 'off'];
+
+// Every option of test-connection.js. Each one is a --kebab-case flag, a
+// camelCase key in a config file or profile and a CHROME_PROXY_SNAKE_CASE
+// environment variable, except where `file` or `env` is false. `target` is
+// where the value lands in the resolved config (the option name if omitted,
+// null for options handled in buildConfig()). A `list` flag can be given
+// more than once, each value adding to the list; a later source replaces the
+// list as a whole.
+const CONFIG_OPTIONS = {
+    url: { type: 'string', target: 'testUrl' },
+    urlsFile: { type: 'string' },
+    outDir: { type: 'string', default: 'screenshots' },
+    concurrency: { type: 'integer', min: 1, default: 1 },
+    timeout: { type: 'integer', min: 1, default: 15000 },
+    maxReconnects: { type: 'integer', min: 0, default: 2 },
+    format: { type: 'enum', values: OUTPUT_FORMATS, target: 'screenshotFormat', default: 'png' },
+    quality: { type: 'integer', min: 1, max: 100, target: 'screenshotQuality', default: 80 },
+    fullPage: { type: 'boolean' },
+    selector: { type: 'string' },
+    clip: { type: 'string' },
+    pdf: { type: 'boolean', target: null },
+    paper: { type: 'string', target: 'pdf.paper' },
+    landscape: { type: 'boolean', target: 'pdf.landscape', default: false },
+    margin: { type: 'string', target: 'pdf.margin' },
+    printBackground: { type: 'boolean', target: 'pdf.printBackground', default: false },
+    headerTemplate: { type: 'string', target: 'pdf.headerTemplate' },
+    footerTemplate: { type: 'string', target: 'pdf.footerTemplate' },
+    device: { type: 'string', target: 'emulation.device' },
+    viewport: { type: 'string', target: 'emulation.viewport' },
+    dpr: { type: 'number', min: 0, exclusive: true, target: 'emulation.dpr' },
+    userAgent: { type: 'string', target: 'emulation.userAgent' },
+    // Checked by validateWaitConditions() like the manifest's waitFor
+    waitFor: { type: 'string', target: 'wait.waitFor' },
+    waitSelector: { type: 'string', target: 'wait.waitSelector' },
+    waitFunction: { type: 'string', target: 'wait.waitFunction' },
+    har: { type: 'string', target: 'harFile' },
+    harContent: { type: 'boolean' },
+    scenario: { type: 'string' },
+    collectDiagnostics: { type: 'boolean' },
+    failOnConsoleError: { type: 'boolean' },
+    metrics: { type: 'boolean' },
+    budget: { type: 'budget' },
+    block: { type: 'list', separator: ',' },
+    header: { type: 'list' },
+    cookie: { type: 'list' },
+    mock: { type: 'list' },
+    throttle: { type: 'enum', values: Object.keys(THROTTLE_PRESETS) },
+    baseline: { type: 'string' },
+    updateBaseline: { type: 'boolean' },
+    threshold: { type: 'number', min: 0, max: 1, default: 0.1 },
+    maxDiff: { type: 'number', min: 0, max: 100, default: 0 },
+    dryRun: { type: 'boolean' },
+    soak: { type: 'number', min: 0, exclusive: true },
+    pingInterval: { type: 'integer', min: 1, default: 5000 },
+    proxyTimeout: { type: 'number', min: 0, exclusive: true, default: 300 },
+    benchmark: { type: 'boolean' },
+    directHost: { type: 'string' },
+    // CHROME_DEBUG_PORT is what start-chrome.sh reads, so it is honoured too
+    directPort: { type: 'integer', min: 1, max: 65535, default: DEFAULT_CHROME_PORT, legacyEnv: 'CHROME_DEBUG_PORT' },
+    iterations: { type: 'integer', min: 1, default: 100 },
+    serve: { type: 'string' },
+    maxQueue: { type: 'integer', min: 1, default: 20 },
+    serveSteps: { type: 'boolean' },
+    host: { type: 'string', target: 'endpoint.host' },
+    port: { type: 'integer', min: 1, max: 65535, target: 'endpoint.port' },
+    secure: { type: 'boolean', target: 'endpoint.secure' },
+    insecure: { type: 'boolean', target: 'endpoint.insecure' },
+    caFile: { type: 'string', target: 'endpoint.caFile' },
+    token: { type: 'string', target: 'endpoint.token' },
+    instance: { type: 'integer', min: 1, target: null },
+    json: { type: 'boolean' },
+    verbose: { type: 'boolean', alias: '-v' },
+    config: { type: 'string', target: 'configFile', file: false },
+    profile: { type: 'string' },
+    printConfig: { type: 'boolean', file: false, env: false },
+    help: { type: 'boolean', alias: '-h', file: false, env: false }
+};
+
+function flagName(name) {
+    return `--${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+}
+
+function envName(name) {
+    return ENV_PREFIX + name.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase();
+}
+
+const FLAGS = {};
+Object.entries(CONFIG_OPTIONS).forEach(([name, option]) => {
+    FLAGS[flagName(name)] = name;
+    if (option.alias) FLAGS[option.alias] = name;
+});
+
+function describeRange({ min, max, exclusive }) {
+    if (min !== undefined && max !== undefined) return ` between ${min} and ${max}`;
+    if (min !== undefined) return exclusive ? ` above ${min}` : ` of at least ${min}`;
+    return '';
+}
+
+// Checks and converts one value. Flags and environment variables are always
+// strings (`fromText`); config files must use the JSON type itself. `where`
+// names the value's source in error messages, e.g. '--quality' or
+// '"quality" in chrome-proxy.config.json'.
+function coerce(name, raw, where, fromText) {
+    const option = CONFIG_OPTIONS[name];
+    const fail = expected => {
+        throw new ConfigError(`${where} must be ${expected} (got ${JSON.stringify(raw)})`);
+    };
+    
+    if (option.type === 'boolean') {
+        if (typeof raw === 'boolean') return raw;
+        const text = fromText ? String(raw).toLowerCase() : null;
+        if (TRUE_VALUES.includes(text)) return true;
+        if (FALSE_VALUES.includes(text)) return false;
+        return fail('true or false');
+    }
+    
+    if (option.type === 'integer' || option.type === 'number') {
+        const integer = option.type === 'integer';
+        const value = fromText && typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+        const expected = `${integer ? 'an integer' : 'a number'}${describeRange(option)}`;
+        if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+            return fail(expected);
+        }
+        const belowMin = option.exclusive ? value <= option.min : value < option.min;
+        if ((option.min !== undefined && belowMin) || (option.max !== undefined && value > option.max)) {
+            return fail(expected);
+        }
+        return value;
+    }
+    
+    if (option.type === 'budget') {
+        try {
+            return parseBudgets(raw);
+        } catch (error) {
+            throw new ConfigError(`${where}: ${error.message}`, { cause: error });
+        }
+    }
+    
+    if (option.type === 'list') {
+        const items = (Array.isArray(raw) ? raw : [raw])
+            .flatMap(item => (typeof item === 'string' && option.separator ? item.split(option.separator) : [item]));
+        if (items.length === 0 || items.some(item => typeof item !== 'string' || !item.trim())) {
+            return fail(fromText ? 'a non-empty value' : 'a string or an array of non-empty strings');
+        }
+        return items.map(item => item.trim());
+    }
+    
+    if (typeof raw !== 'string' || !raw.trim()) {
+        return fail('a non-empty string');
+    }
+    if (option.type === 'enum' && !option.values.includes(raw)) {
+        return fail(`one of ${option.values.join(', ')}`);
+    }
+    return raw;
+}
+
+// Command line flags as [name, raw value] pairs, in order. Boolean flags take
+// no value; every other flag takes the next argument or `--flag=value`.
+// `lenient` skips unknown arguments and flags missing their value instead of
+// throwing.
+function parseFlags(argv, { lenient = false } = {}) {
+    const pairs = [];
+    
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        const [flag, inline] = arg.startsWith('--') && arg.includes('=')
+            ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+            : [arg, undefined];
+        const name = FLAGS[flag];
+        
+        if (!name) {
+            if (lenient) continue;
+            throw new ConfigError(arg.startsWith('-')
+                ? `Unknown option ${flag}; see --help`
+                : `Unexpected argument "${arg}"; see --help`);
+        }
+        if (CONFIG_OPTIONS[name].type === 'boolean') {
+            pairs.push([name, inline === undefined ? true : inline]);
+            continue;
+        }
+        
+        const value = inline !== undefined ? inline : argv[index + 1];
+        if (value === undefined || (inline === undefined && value.startsWith('--'))) {
+            if (lenient) continue;
+            throw new ConfigError(`${flag} needs a value`);
+        }
+        if (inline === undefined) index++;
+        pairs.push([name, value]);
+    }
+    
+    return pairs;
+}
+
+// CHROME_PROXY_* variables (and the legacy names) that are set, as
+// [name, raw value] pairs
+function envPairs(env) {
+    const pairs = [];
+    Object.entries(CONFIG_OPTIONS).forEach(([name, option]) => {
+        if (option.env === false) return;
+        [option.legacyEnv, envName(name)].filter(Boolean).forEach(variable => {
+            if (env[variable] !== undefined && env[variable] !== '') {
+                pairs.push([name, env[variable], variable]);
+            }
+        });
+    });
+    return pairs;
+}
+
+function findConfigFile(explicit, cwd) {
+    if (explicit) {
+        const file = path.resolve(cwd, explicit);
+        if (!fs.existsSync(file)) {
+            throw new ConfigError(`Config file ${explicit} not found`);
+        }
+        return file;
+    }
+    const found = CONFIG_FILES.map(name => path.join(cwd, name)).find(file => fs.existsSync(file));
+    return found || null;
+}
+
+// Reads a config file: JSON, or a CommonJS module exporting the same object.
+// Option keys sit at the top level, with named sets of them under "profiles".
+function loadConfigFile(file) {
+    let data;
+    
+    if (file.endsWith('.js')) {
+        try {
+            data = require(file);
+        } catch (error) {
+            throw new ConfigError(`Cannot load config file ${file}: ${error.message}`, { cause: error });
+        }
+    } else {
+        let content;
+        try {
+            content = fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            throw new ConfigError(`Cannot read config file ${file}: ${error.message}`, { cause: error });
+        }
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new ConfigError(`Invalid JSON in config file ${file}: ${error.message}`, { cause: error });
+        }
+    }
+    
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new ConfigError(`Config file ${file} must contain an object of options`);
+    }
+    const { profiles = {} } = data;
+    if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+        throw new ConfigError(`"profiles" in ${file} must be an object of named option sets`);
+    }
+    Object.entries(profiles).forEach(([profile, options]) => {
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+            throw new ConfigError(`Profile "${profile}" in ${file} must be an object of options`);
+        }
+    });
+    
+    return data;
+}
+
+// Option keys of a file or profile as [name, value] pairs
+function filePairs(options, where, { allowProfile }) {
+    return Object.entries(options)
+        .filter(([key]) => key !== 'profiles')
+        .map(([key, value]) => {
+            const option = CONFIG_OPTIONS[key];
+            if (!option || option.file === false || (key === 'profile' && !allowProfile)) {
+                throw new ConfigError(`Unknown option "${key}" in ${where}`);
+            }
+            return [key, value];
+        });
+}
+
+// What an unset option without a default resolves to, by type
+const EMPTY_VALUES = {
+    boolean: () => false,
+    list: () => []
+};
+
+function setPath(target, keyPath, value) {
+    const keys = keyPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => object[key], target);
+    parent[last] = value;
+}
+
+// The resolved config object test-connection.js works with, from the
+// validated option values
+function buildConfig(values) {
+    const config = { emulation: {}, wait: {}, pdf: {}, endpoint: {} };
+    
+    Object.entries(CONFIG_OPTIONS).forEach(([name, option]) => {
+        if (option.target === null) return;
+        const target = option.target || name;
+        const value = values[name] !== undefined ? values[name] : option.default;
+        if (value !== undefined) {
+            setPath(config, target, value);
+        } else if (!target.includes('.')) {
+            config[target] = EMPTY_VALUES[option.type] !== undefined ? EMPTY_VALUES[option.type]() : null;
+        }
+    });
+    
+    if (values.pdf) {
+        config.screenshotFormat = 'pdf';
+    }
+    if (values.instance) {
+        // Routes generated by chrome-pool.js for one pool instance
+        config.endpoint.basePath = `/instance/${values.instance}`;
+    }
+    config.budget = values.budget && Object.keys(values.budget).length > 0 ? values.budget : null;
+    config.collectDiagnostics = config.collectDiagnostics || config.failOnConsoleError;
+    config.metrics = config.metrics || !!config.budget;
+    
+    return config;
+}
+
+// Checks between options, and the values only the capture code knows how to
+// parse, so --print-config and a bad run fail the same way before Chrome is
+// touched
+function validateConfig(config, sources, cwd) {
+    if (sources.quality && !config.urlsFile && config.screenshotFormat !== 'jpeg') {
+        throw new ConfigError(`quality (from ${sources.quality}) only applies to jpeg screenshots, not ${config.screenshotFormat}`);
+    }
+    resolveEmulation(config.emulation);
+    validateWaitConditions(config.wait);
+    if (config.clip) {
+        parseClip(config.clip);
+    }
+    if (config.screenshotFormat === 'pdf') {
+        buildPrintOptions(config.pdf);
+    }
+    parseInterception(config, cwd);
+}
+
+// Resolves the configuration from, lowest precedence first: the defaults in
+// CONFIG_OPTIONS, the config file, the selected profile, CHROME_PROXY_*
+// environment variables and the command line flags. `sources` records where
+// each value that is not a default came from.
+function resolveConfig({ argv = [], env = {}, cwd = process.cwd() } = {}) {
+    const flags = parseFlags(argv);
+    const fromEnv = envPairs(env);
+    const last = (pairs, name) => pairs.filter(([key]) => key === name).map(([, value]) => value).pop();
+    
+    const explicitFile = last(flags, 'config') || last(fromEnv, 'config');
+    const configFile = findConfigFile(explicitFile, cwd);
+    const data = configFile ? loadConfigFile(configFile) : {};
+    const fileName = configFile ? path.basename(configFile) : null;
+    
+    const profile = last(flags, 'profile') || last(fromEnv, 'profile') || data.profile || null;
+    const profiles = data.profiles || {};
+    if (profile && !configFile) {
+        throw new ConfigError(`Profile "${profile}" needs a config file (${CONFIG_FILES.join(' or ')}, or --config)`);
+    }
+    if (profile && !Object.prototype.hasOwnProperty.call(profiles, profile)) {
+        const available = Object.keys(profiles);
+        throw new ConfigError(`Unknown profile "${profile}" in ${fileName}; ${available.length > 0 ? `available: ${available.join(', ')}` : 'it defines no profiles'}`);
+    }
+    
+    const profilePairs = profile ? filePairs(profiles[profile], `profile "${profile}" of ${fileName}`, { allowProfile: false }) : [];
+    const layers = [
+        ...filePairs(data, fileName, { allowProfile: true })
+            .map(([name, raw]) => ({ name, raw, where: `"${name}" in ${fileName}`, source: fileName })),
+        ...profilePairs
+            .map(([name, raw]) => ({ name, raw, where: `"${name}" in profile "${profile}" of ${fileName}`, source: `profile ${profile}` })),
+        ...fromEnv.map(([name, raw, variable]) => ({ name, raw, where: variable, source: variable, fromText: true })),
+        ...flags.map(([name, raw]) => ({ name, raw, where: flagName(name), source: flagName(name), fromText: true }))
+    ];
+    
+    const values = {};
+    const sources = {};
+    layers.forEach(({ name, raw, where, source, fromText }) => {
+        const value = coerce(name, raw, where, !!fromText);
+        if (name === 'budget') {
+            // Budgets add up across sources, one metric at a time
+            values[name] = { ...values.budget, ...value };
+        } else if (CONFIG_OPTIONS[name].type === 'list' && sources[name] === source) {
+            values[name] = [...values[name], ...value];
+        } else {
+            values[name] = value;
+        }
+        sources[name] = source;
+    });
+    
+    const config = buildConfig(values);
+    config.configFile = configFile;
+    config.profile = profile;
+    config.sources = sources;
+    validateConfig(config, sources, cwd);
+    
+    return config;
+}
+
+// What the command line alone asks for, built the way resolveConfig() builds
+// it but leaving flags that do not parse at their defaults. For describing a
+// run whose options were rejected.
+function resolveFlags(argv) {
+    const values = {};
+    parseFlags(argv, { lenient: true }).forEach(([name, raw]) => {
+        try {
+            values[name] = coerce(name, raw, flagName(name), true);
+        } catch (error) {
+            // Left at its default
+        }
+    });
+    return buildConfig(values);
+}
+
+// The resolved configuration as --print-config shows it, with the token
+// masked
+function describeConfig(config) {
+    const { configFile, profile, sources, ...settings } = config;
+    const endpoint = { ...settings.endpoint };
+    if (endpoint.token) {
+        endpoint.token = '***';
+    }
+    return { configFile, profile, config: { ...settings, endpoint }, sources };
+}
+
+module.exports = {
+    CONFIG_FILES,
+    CONFIG_OPTIONS,
+    flagName,
+    envName,
+    loadConfigFile,
+    resolveConfig,
+    resolveFlags,
+    describeConfig
+};
@@ -0,0 +1,197 @@
+const CDP = require('chrome-remote-interface');
+const { request } = require('./http');
+const { registerEndpointTls } = require('./tls');
+const { HealthCheckError, ChromeNotReadyError, ChromeUnavailableError, ConnectionError, AuthenticationError } = require('./errors');
+const { silentLogger, sleep } = require('./utils');
+
+// Follows the target's webSocketDebuggerUrl when it already points at the
+// endpoint, as the proxy's /json rewriter (lib/rewriter.js) makes it do.
+// Chrome reached without the rewriter reports its own address instead, so
+// then only the path is kept and the rest comes from the proxy endpoint.
+function proxiedDebuggerUrl(endpoint, target) {
+    const url = new URL(target.webSocketDebuggerUrl);
+    const defaultPort = url.protocol === 'wss:' ? 443 : 80;
+    const pointsAtEndpoint = url.hostname === endpoint.host &&
+        Number(url.port || defaultPort) === endpoint.port &&
+        (url.protocol === 'wss:') === endpoint.secure;
+    
+    if (!pointsAtEndpoint) {
+        return endpoint.wsUrl(url.pathname);
+    }
+    if (endpoint.token && !url.searchParams.has('token')) {
+        url.searchParams.set('token', endpoint.token);
+    }
+    return url.toString();
+}
+
+// Picks the target CDP would choose by default (first inspectable page)
+async function resolveDebuggerUrl(endpoint) {
+    const response = await request(endpoint, '/json/list');
+    if (!response.ok) {
+        throw new Error(`Target list request failed with status ${response.status}`);
+    }
+    
+    const targets = response.json().filter(target => target.webSocketDebuggerUrl);
+    const target = targets.find(candidate => candidate.type === 'page') || targets[0];
+    if (!target) {
+        throw new Error('No inspectable targets');
+    }
+    
+    return proxiedDebuggerUrl(endpoint, target);
+}
+
+// Opens a new tab through the proxy's /json/new endpoint
+async function createTarget(endpoint, url = 'about:blank') {
+    const response = await request(endpoint, `/json/new?${encodeURIComponent(url)}`, { method: 'PUT' });
+    if (!response.ok) {
+        throw new ConnectionError(`Failed to create target: ${response.status} ${response.body.trim()}`);
+    }
+    return response.json();
+}
+
+async function closeTarget(endpoint, targetId) {
+    const response = await request(endpoint, `/json/close/${encodeURIComponent(targetId)}`);
+    if (!response.ok) {
+        throw new ConnectionError(`Failed to close target ${targetId}: ${response.status} ${response.body.trim()}`);
+    }
+}
+
+// Connects to `options.target` (a /json/new or /json/list entry) when given,
+// otherwise to the default page target. `options.onAttempt` is called with
+// the attempt number before each try.
+async function connectWithRetry(endpoint, maxRetries = 5, logger = silentLogger, options = {}) {
+    const { target = null, onAttempt = () => {} } = options;
+    let lastError;
+    
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+            onAttempt(attempt);
+            logger.log(`Connection attempt ${attempt}/${maxRetries}...`);
+            const url = target ? proxiedDebuggerUrl(endpoint, target) : await resolveDebuggerUrl(endpoint);
+            // The TLS handshake happens while the WebSocket opens; see lib/tls.js
+            const release = registerEndpointTls(endpoint);
+            try {
+                return await CDP({ target: url, local: true });
+            } finally {
+                release();
+            }
+        } catch (error) {
+            // A rejected token will not be accepted on the next attempt either
+            if (error instanceof AuthenticationError) {
+                throw error;
+            }
+            if (/Unexpected server response: 401/.test(error.message)) {
+                throw new AuthenticationError(`The proxy refused the CDP WebSocket: ${endpoint.token ? 'token rejected' : 'a token is required (--token or CHROME_PROXY_TOKEN)'}`, { cause: error });
+            }
+            lastError = error;
+            logger.log(`Attempt ${attempt} failed:`, error.message);
+            
+            if (attempt < maxRetries) {
+                const delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
+                logger.log(`Retrying in ${delay}ms...`);
+                await sleep(delay);
+            }
+        }
+    }
+    
+    const error = new ConnectionError(
+        `Failed to connect after ${maxRetries} attempts. Last error: ${lastError.message}`,
+        { cause: lastError }
+    );
+    error.attempts = maxRetries;
+    throw error;
+}
+
+async function checkHealth(endpoint, logger = silentLogger) {
+    let response;
+    
+    try {
+        response = await request(endpoint, '/health');
+    } catch (error) {
+        throw new HealthCheckError(`Health endpoint unreachable: ${error.message}`, { cause: error });
+    }
+    
+    logger.log('Health check response status:', response.status);
+    if (!response.ok) {
+        throw new HealthCheckError(`Health check failed with status ${response.status}`);
+    }
+    logger.log('Health check passed.');
+}
+
+// Asks the proxy's status sidecar (lib/status.js) whether Chrome is up, so a
+// dead backend fails at once instead of after the whole readiness wait.
+// Resolves with the report, or with null when the proxy has no usable
+// /status (an older nginx.conf, a chrome-pool.js pool, the sidecar down), in
+// which case the caller falls back to polling /json/version.
+async function checkStatus(endpoint, logger = silentLogger) {
+    let response;
+    
+    try {
+        response = await request(endpoint, '/status');
+    } catch (error) {
+        if (error instanceof AuthenticationError) {
+            throw error;
+        }
+        logger.log(`Status endpoint unavailable (${error.message}); polling Chrome instead`);
+        return null;
+    }
+    
+    let report = null;
+    try {
+        report = response.json();
+    } catch (error) {
+        // Not the sidecar, e.g. Chrome's own 404 behind an older nginx.conf
+    }
+    if (!report || !report.upstream || (response.status !== 200 && response.status !== 503)) {
+        logger.log(`No status endpoint on the proxy (status ${response.status}); polling Chrome instead`);
+        return null;
+    }
+    
+    if (report.status !== 'ok') {
+        throw new ChromeUnavailableError(`The proxy reports Chrome unreachable at ${report.upstream.address}: ${report.upstream.error || report.status}`);
+    }
+    logger.log(`Proxy status: ${report.chrome.browser}, ${report.targets ? report.targets.total : '?'} target(s), ${report.sessions !== null ? report.sessions : '?'} active session(s)`);
+    return report;
+}
+
+async function fetchChromeVersion(endpoint, timeout) {
+    const response = await request(endpoint, '/json/version', { timeout });
+    if (!response.ok) {
+        throw new Error(`Chrome endpoint status: ${response.status}`);
+    }
+    return response.json();
+}
+
+async function waitForChromeReady(endpoint, maxWaitTime = 30000, logger = silentLogger) {
+    const startTime = Date.now();
+    
+    while (Date.now() - startTime < maxWaitTime) {
+        try {
+            // Check if Chrome DevTools endpoint is accessible through nginx
+            const data = await fetchChromeVersion(endpoint, 2000);
+            logger.log('Chrome is ready. Version:', data.Browser);
+            return data;
+        } catch (error) {
+            if (error instanceof AuthenticationError) {
+                throw error;
+            }
+            // Chrome not ready yet, continue waiting
+        }
+        
+        logger.log('Waiting for Chrome to be ready...');
+        await sleep(1000);
+    }
+    
+    throw new ChromeNotReadyError(`Chrome not ready after ${maxWaitTime}ms`);
+}
+
+module.exports = {
+    connectWithRetry,
+    checkHealth,
+    checkStatus,
+    closeTarget,
+    createTarget,
+    fetchChromeVersion,
+    resolveDebuggerUrl,
+    waitForChromeReady
+};
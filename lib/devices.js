@@ -0,0 +1,100 @@
+const { ConfigError } = require('./errors');
+
+const IOS_USER_AGENT = 'Mozilla/5.0 (iPhone; CPU iPhone OS 16_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.6 Mobile/15E148 Safari/604.1';
+const IPAD_USER_AGENT = 'Mozilla/5.0 (iPad; CPU OS 16_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.6 Mobile/15E148 Safari/604.1';
+const ANDROID_USER_AGENT = 'Mozilla/5.0 (Linux; Android 13; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36';
+const GALAXY_USER_AGENT = 'Mozilla/5.0 (Linux; Android 13; SM-G981B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36';
+
+// Named presets for --device. Desktop presets keep Chrome's own user agent.
+const DEVICE_PRESETS = {
+    'iphone-se': { width: 375, height: 667, deviceScaleFactor: 2, mobile: true, hasTouch: true, userAgent: IOS_USER_AGENT },
+    'iphone-14': { width: 390, height: 844, deviceScaleFactor: 3, mobile: true, hasTouch: true, userAgent: IOS_USER_AGENT },
+    'iphone-14-pro-max': { width: 430, height: 932, deviceScaleFactor: 3, mobile: true, hasTouch: true, userAgent: IOS_USER_AGENT },
+    'ipad': { width: 820, height: 1180, deviceScaleFactor: 2, mobile: true, hasTouch: true, userAgent: IPAD_USER_AGENT },
+    'pixel-7': { width: 412, height: 915, deviceScaleFactor: 2.625, mobile: true, hasTouch: true, userAgent: ANDROID_USER_AGENT },
+    'galaxy-s20': { width: 360, height: 800, deviceScaleFactor: 3, mobile: true, hasTouch: true, userAgent: GALAXY_USER_AGENT },
+    'desktop-720p': { width: 1280, height: 720, deviceScaleFactor: 1, mobile: false, hasTouch: false },
+    'desktop-1080p': { width: 1920, height: 1080, deviceScaleFactor: 1, mobile: false, hasTouch: false },
+    'desktop-1440p': { width: 2560, height: 1440, deviceScaleFactor: 1, mobile: false, hasTouch: false }
+};
+
+// Parses "WxH" (as used by --viewport) into {width, height}
+function parseViewport(value) {
+    if (value && typeof value === 'object') {
+        return validateViewport(value, JSON.stringify(value));
+    }
+    
+    const match = /^\s*(\d+)\s*[xX]\s*(\d+)\s*$/.exec(String(value));
+    if (!match) {
+        throw new ConfigError(`Invalid viewport "${value}"; expected WIDTHxHEIGHT, e.g. 1280x720`);
+    }
+    return validateViewport({ width: Number(match[1]), height: Number(match[2]) }, value);
+}
+
+function validateViewport({ width, height }, source) {
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+        throw new ConfigError(`Invalid viewport ${source}; width and height must be positive integers`);
+    }
+    return { width, height };
+}
+
+// Combines a device preset with explicit viewport / dpr / user agent
+// overrides into the settings ChromeProxyClient.emulate() applies. Returns
+// null when nothing is requested, i.e. Chrome's launch defaults stay in effect.
+function resolveEmulation(options = {}) {
+    const { device, viewport, dpr, userAgent } = options;
+    
+    if (!device && !viewport && dpr === undefined && !userAgent) {
+        return null;
+    }
+    
+    let settings = { width: 1280, height: 720, deviceScaleFactor: 1, mobile: false, hasTouch: false };
+    
+    if (device) {
+        const preset = DEVICE_PRESETS[device];
+        if (!preset) {
+            throw new ConfigError(`Unknown device "${device}"; available: ${Object.keys(DEVICE_PRESETS).join(', ')}`);
+        }
+        settings = { device, ...preset };
+    }
+    
+    if (viewport) {
+        settings = { ...settings, ...parseViewport(viewport) };
+    }
+    
+    if (dpr !== undefined) {
+        const scale = Number(dpr);
+        if (!Number.isFinite(scale) || scale <= 0) {
+            throw new ConfigError(`Invalid device scale factor "${dpr}"; expected a positive number`);
+        }
+        settings.deviceScaleFactor = scale;
+    }
+    
+    if (userAgent) {
+        settings.userAgent = userAgent;
+    }
+    
+    return settings;
+}
+
+// One-line description for run output, e.g. "iphone-14 390x844 @3x mobile"
+function describeEmulation(settings) {
+    if (!settings) {
+        return 'browser defaults';
+    }
+    
+    const parts = [];
+    if (settings.device) parts.push(settings.device);
+    parts.push(`${settings.width}x${settings.height}`, `@${settings.deviceScaleFactor}x`);
+    if (settings.mobile) parts.push('mobile');
+    if (settings.hasTouch) parts.push('touch');
+    if (settings.userAgent) parts.push(`UA "${settings.userAgent}"`);
+    return parts.join(' ');
+}
+
+module.exports = {
+    DEVICE_PRESETS,
+    parseViewport,
+    resolveEmulation,
+    describeEmulation
+};
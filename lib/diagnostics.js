@@ -0,0 +1,190 @@
+const { silentLogger } = require('./utils');
+
+// Console API calls that count as page errors for --fail-on-console-error
+const ERROR_LEVELS = ['error', 'assert'];
+
+// Plain text for one console.* argument. Strings and numbers come with a
+// value, objects with a description such as "Error: boom\n    at ...", and
+// NaN/Infinity/bigints only as unserializableValue.
+function remoteObjectText(arg = {}) {
+    if (arg.value !== undefined) {
+        return typeof arg.value === 'string' ? arg.value : JSON.stringify(arg.value);
+    }
+    if (arg.unserializableValue !== undefined) {
+        return arg.unserializableValue;
+    }
+    return arg.description || arg.type || '';
+}
+
+function stackText(stackTrace) {
+    if (!stackTrace || !Array.isArray(stackTrace.callFrames)) {
+        return null;
+    }
+    return stackTrace.callFrames
+        .map(frame => `    at ${frame.functionName || '<anonymous>'} (${frame.url}:${frame.lineNumber + 1}:${frame.columnNumber + 1})`)
+        .join('\n');
+}
+
+// Where a console call or exception came from: the top stack frame, with
+// 1-based line numbers as browsers show them
+function sourceLocation(stackTrace, fallback = {}) {
+    const frame = stackTrace && stackTrace.callFrames && stackTrace.callFrames[0];
+    const source = frame || fallback;
+    return {
+        url: source.url || null,
+        line: typeof source.lineNumber === 'number' ? source.lineNumber + 1 : null,
+        column: typeof source.columnNumber === 'number' ? source.columnNumber + 1 : null
+    };
+}
+
+// Records what went wrong on the page while it loaded: console messages,
+// uncaught exceptions, requests that failed outright and responses with an
+// HTTP error status. Each list keeps at most `maxEntries` items; the rest are
+// counted in `dropped` so a noisy page cannot grow the report without limit.
+class DiagnosticsCollector {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.logger = options.logger || silentLogger;
+        this.maxEntries = options.maxEntries || 100;
+        this.console = [];
+        this.exceptions = [];
+        this.failedRequests = [];
+        this.httpErrors = [];
+        this.counts = { console: 0, consoleErrors: 0, exceptions: 0, failedRequests: 0, httpErrors: 0 };
+        this.requests = new Map();
+        this.unsubscribe = [];
+        this.stopped = false;
+    }
+    
+    start() {
+        const {Network, Runtime} = this.client;
+        
+        this.unsubscribe = [
+            Runtime.consoleAPICalled(params => this.onConsole(params)),
+            Runtime.exceptionThrown(params => this.onException(params)),
+            Network.requestWillBeSent(params => this.onRequest(params)),
+            Network.responseReceived(params => this.onResponse(params)),
+            Network.loadingFailed(params => this.onFailed(params))
+        ];
+        return this;
+    }
+    
+    // Carries on collecting on a new session after a reconnect
+    reattach(client) {
+        this.unsubscribe.forEach(off => off());
+        this.client = client;
+        return this.start();
+    }
+    
+    add(list, item) {
+        this.counts[list]++;
+        if (this[list].length < this.maxEntries) {
+            this[list].push(item);
+        }
+    }
+    
+    onConsole({ type, args = [], stackTrace }) {
+        const { url, line } = sourceLocation(stackTrace);
+        const level = type === 'warning' ? 'warn' : type;
+        const text = args.map(remoteObjectText).join(' ');
+        this.add('console', { level, text, url, line });
+        if (ERROR_LEVELS.includes(level)) {
+            this.counts.consoleErrors++;
+            this.logger.log(`console.${level}: ${text}`);
+        }
+    }
+    
+    onException({ exceptionDetails = {} }) {
+        const { exception, text, stackTrace } = exceptionDetails;
+        // "Uncaught" alone is not much use; the exception's description has
+        // the error class and message
+        const message = (exception && (exception.description || remoteObjectText(exception))) || text || 'Unknown exception';
+        const { url, line, column } = sourceLocation(stackTrace, exceptionDetails);
+        this.add('exceptions', {
+            message: message.split('\n')[0],
+            url,
+            line,
+            column,
+            stack: stackText(stackTrace)
+        });
+        this.logger.log(`Page exception: ${message.split('\n')[0]}`);
+    }
+    
+    onRequest({ requestId, request, type }) {
+        this.requests.set(requestId, { url: request.url, method: request.method, type: type || null });
+    }
+    
+    onResponse({ requestId, response, type }) {
+        if (response.status < 400) return;
+        
+        const record = this.requests.get(requestId) || {};
+        this.add('httpErrors', {
+            url: response.url,
+            method: record.method || null,
+            status: response.status,
+            statusText: response.statusText || '',
+            type: type || record.type || null
+        });
+    }
+    
+    onFailed({ requestId, type, errorText, canceled, blockedReason }) {
+        const record = this.requests.get(requestId);
+        if (!record) return;
+        
+        this.add('failedRequests', {
+            url: record.url,
+            method: record.method,
+            type: type || record.type,
+            errorText,
+            canceled: !!canceled,
+            blockedReason: blockedReason || null
+        });
+    }
+    
+    // Unsubscribes and returns the report; safe to call more than once
+    stop() {
+        this.stopped = true;
+        this.unsubscribe.forEach(off => off());
+        this.unsubscribe = [];
+        this.requests.clear();
+        return this.toJSON();
+    }
+    
+    toJSON() {
+        const lists = ['console', 'exceptions', 'failedRequests', 'httpErrors'];
+        const dropped = {};
+        lists.forEach(list => {
+            dropped[list] = this.counts[list] - this[list].length;
+        });
+        
+        return {
+            console: [...this.console],
+            exceptions: [...this.exceptions],
+            failedRequests: [...this.failedRequests],
+            httpErrors: [...this.httpErrors],
+            counts: { ...this.counts },
+            dropped
+        };
+    }
+}
+
+// True when the page threw or logged an error, which is what
+// --fail-on-console-error fails on. Failed requests and HTTP errors are only
+// reported: pages routinely survive a missing favicon or a blocked tracker.
+function hasPageErrors(report) {
+    return !!report && (report.counts.exceptions > 0 || report.counts.consoleErrors > 0);
+}
+
+// One line for logs, e.g. "2 exception(s), 1 console error(s), 3 failed request(s), 0 HTTP error(s)"
+function describeDiagnostics(report) {
+    const { counts } = report;
+    return `${counts.exceptions} exception(s), ${counts.consoleErrors} console error(s), ` +
+        `${counts.failedRequests} failed request(s), ${counts.httpErrors} HTTP error(s)`;
+}
+
+module.exports = {
+    DiagnosticsCollector,
+    hasPageErrors,
+    describeDiagnostics,
+    remoteObjectText
+};
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const { ConfigError } = require('./errors');
+
+const DEFAULT_HOST = 'localhost';
+const DEFAULT_HTTP_PORT = 80;
+const DEFAULT_HTTPS_PORT = 443;
+
+// Where the nginx proxy lives and how to talk to it. Every HTTP probe and the
+// CDP WebSocket are built from the same endpoint so they cannot drift apart.
+class ProxyEndpoint {
+    constructor(options = {}) {
+        this.secure = !!options.secure;
+        this.host = options.host || DEFAULT_HOST;
+        this.port = Number(options.port) || (this.secure ? DEFAULT_HTTPS_PORT : DEFAULT_HTTP_PORT);
+        this.insecure = !!options.insecure;
+        this.caFile = options.caFile || null;
+        this.ca = options.ca || (this.caFile ? readCaFile(this.caFile) : null);
+        // Path prefix every request goes under, e.g. /instance/2 to reach one
+        // instance of a Chrome pool (see lib/nginx-config.js)
+        this.basePath = normalizeBasePath(options.basePath);
+        // Access token for a proxy that checks credentials (see lib/auth.js)
+        this.token = options.token || null;
+    }
+    
+    httpUrl(path = '') {
+        return `${this.secure ? 'https' : 'http'}://${this.host}:${this.port}${this.path(path)}`;
+    }
+    
+    // WebSocket clients cannot set an Authorization header, so the token
+    // travels in the query string instead
+    wsUrl(path = '') {
+        const query = this.token ? `?token=${encodeURIComponent(this.token)}` : '';
+        return `${this.secure ? 'wss' : 'ws'}://${this.host}:${this.port}${this.path(path)}${query}`;
+    }
+    
+    // Headers for HTTP requests to the proxy
+    headers() {
+        return this.token ? { Authorization: `Bearer ${this.token}` } : {};
+    }
+    
+    // Request path for `path` on this endpoint
+    path(path = '') {
+        return `${this.basePath}${path}`;
+    }
+    
+    // TLS settings for https.request / tls.connect; empty for plain HTTP
+    tlsOptions() {
+        if (!this.secure) {
+            return {};
+        }
+        
+        const options = {};
+        if (this.ca) {
+            options.ca = this.ca;
+        }
+        if (this.insecure) {
+            options.rejectUnauthorized = false;
+        }
+        return options;
+    }
+    
+    toJSON() {
+        return {
+            host: this.host,
+            port: this.port,
+            secure: this.secure,
+            basePath: this.basePath,
+            // Never the token itself, as this ends up in logs and reports
+            authenticated: !!this.token,
+            caFile: this.caFile,
+            insecure: this.insecure
+        };
+    }
+}
+
+function readCaFile(file) {
+    try {
+        return fs.readFileSync(file);
+    } catch (error) {
+        throw new ConfigError(`Cannot read CA file ${file}: ${error.message}`, { cause: error });
+    }
+}
+
+// '/instance/2/' and 'instance/2' -> '/instance/2'; nothing -> ''
+function normalizeBasePath(basePath) {
+    const trimmed = String(basePath || '').replace(/^\/+|\/+$/g, '');
+    return trimmed ? `/${trimmed}` : '';
+}
+
+module.exports = {
+    ProxyEndpoint,
+    DEFAULT_HOST,
+    DEFAULT_HTTP_PORT,
+    DEFAULT_HTTPS_PORT
+};
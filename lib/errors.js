@@ -0,0 +1,77 @@
+// Typed errors raised by the client so callers can tell which phase failed
+// without matching on message text.
+class ChromeProxyError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = this.constructor.code;
+        if (options.cause) {
+            this.cause = options.cause;
+        }
+    }
+}
+ChromeProxyError.code = 'CHROME_PROXY_ERROR';
+
+class HealthCheckError extends ChromeProxyError {}
+HealthCheckError.code = 'HEALTH_CHECK_FAILED';
+
+class ChromeNotReadyError extends ChromeProxyError {}
+ChromeNotReadyError.code = 'CHROME_NOT_READY';
+
+class ConnectionError extends ChromeProxyError {}
+ConnectionError.code = 'CONNECTION_FAILED';
+
+class NavigationError extends ChromeProxyError {}
+NavigationError.code = 'NAVIGATION_FAILED';
+
+class CaptureError extends ChromeProxyError {}
+CaptureError.code = 'CAPTURE_FAILED';
+
+class ManifestError extends ChromeProxyError {}
+ManifestError.code = 'INVALID_MANIFEST';
+
+class BatchError extends ChromeProxyError {}
+BatchError.code = 'BATCH_FAILED';
+
+class ConfigError extends ChromeProxyError {}
+ConfigError.code = 'INVALID_CONFIG';
+
+class VisualRegressionError extends ChromeProxyError {}
+VisualRegressionError.code = 'VISUAL_REGRESSION';
+
+class SoakTestError extends ChromeProxyError {}
+SoakTestError.code = 'SOAK_FAILED';
+
+class AuthenticationError extends ChromeProxyError {}
+AuthenticationError.code = 'AUTH_FAILED';
+
+class PageError extends ChromeProxyError {}
+PageError.code = 'PAGE_ERRORS';
+
+class ScenarioError extends ChromeProxyError {}
+ScenarioError.code = 'SCENARIO_FAILED';
+
+class BudgetError extends ChromeProxyError {}
+BudgetError.code = 'BUDGET_EXCEEDED';
+
+class ChromeUnavailableError extends ChromeProxyError {}
+ChromeUnavailableError.code = 'CHROME_UNAVAILABLE';
+
+module.exports = {
+    ChromeProxyError,
+    HealthCheckError,
+    ChromeNotReadyError,
+    ConnectionError,
+    NavigationError,
+    CaptureError,
+    ManifestError,
+    BatchError,
+    ConfigError,
+    VisualRegressionError,
+    SoakTestError,
+    AuthenticationError,
+    PageError,
+    ScenarioError,
+    BudgetError,
+    ChromeUnavailableError
+};
@@ -0,0 +1,67 @@
+// Process exit codes and error categories for machine-readable output. Each
+// typed error code maps to one category so CI can tell a proxy failure from a
+// navigation timeout without parsing log text.
+const EXIT_CODES = {
+    SUCCESS: 0,
+    UNKNOWN_ERROR: 1,
+    INVALID_CONFIG: 2,
+    HEALTH_CHECK_FAILED: 3,
+    CHROME_NOT_READY: 4,
+    CONNECTION_FAILED: 5,
+    NAVIGATION_FAILED: 6,
+    CAPTURE_FAILED: 7,
+    BATCH_FAILED: 8,
+    VISUAL_REGRESSION: 9,
+    SOAK_FAILED: 10,
+    AUTH_FAILED: 11,
+    PAGE_ERRORS: 12,
+    SCENARIO_FAILED: 13,
+    BUDGET_EXCEEDED: 14,
+    CHROME_UNAVAILABLE: 15
+};
+
+const ERROR_CATEGORIES = {
+    INVALID_CONFIG: 'config',
+    INVALID_MANIFEST: 'config',
+    HEALTH_CHECK_FAILED: 'health-check',
+    CHROME_NOT_READY: 'chrome-not-ready',
+    CONNECTION_FAILED: 'cdp-connect',
+    NAVIGATION_FAILED: 'navigation',
+    CAPTURE_FAILED: 'capture',
+    BATCH_FAILED: 'batch',
+    VISUAL_REGRESSION: 'visual-regression',
+    SOAK_FAILED: 'soak',
+    AUTH_FAILED: 'auth',
+    PAGE_ERRORS: 'page-errors',
+    SCENARIO_FAILED: 'scenario',
+    BUDGET_EXCEEDED: 'budget',
+    CHROME_UNAVAILABLE: 'chrome-unavailable'
+};
+
+function exitCodeFor(error) {
+    if (!error) {
+        return EXIT_CODES.SUCCESS;
+    }
+    if (error.code === 'INVALID_MANIFEST') {
+        return EXIT_CODES.INVALID_CONFIG;
+    }
+    return EXIT_CODES[error.code] || EXIT_CODES.UNKNOWN_ERROR;
+}
+
+// Plain-object form of an error for JSON reports
+function describeError(error) {
+    return {
+        category: ERROR_CATEGORIES[error.code] || 'unknown',
+        code: error.code || null,
+        type: error.constructor.name,
+        message: error.message,
+        exitCode: exitCodeFor(error)
+    };
+}
+
+module.exports = {
+    EXIT_CODES,
+    ERROR_CATEGORIES,
+    exitCodeFor,
+    describeError
+};
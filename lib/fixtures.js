@@ -0,0 +1,242 @@
+const http = require('http');
+const { encodePng } = require('./png');
+const { silentLogger } = require('./utils');
+
+const FIXTURE_DEFAULTS = {
+    host: '127.0.0.1',
+    port: 8090,
+    // Upper bounds for the ?ms= and ?kb= query values, so a typo cannot tie
+    // the server up or fill memory
+    maxDelay: 60000,
+    maxSizeKb: 20480,
+    logger: silentLogger
+};
+
+const PIXEL = encodePng({ width: 1, height: 1, data: Buffer.from([32, 96, 160, 255]) });
+
+function html(title, body, head = '') {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+${head}</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function queryNumber(url, name, fallback, max) {
+    const value = Number(url.searchParams.get(name));
+    return Number.isFinite(value) && value >= 0 ? Math.min(value, max) : fallback;
+}
+
+// Pages with known, repeatable behaviour to point Chrome at instead of
+// third-party sites. Each route answers a GET; `url` is the parsed request
+// URL and `reply(status, body, headers)` sends the response.
+const ROUTES = [
+    {
+        path: /^\/$/,
+        description: 'This list',
+        handle(server, url, reply) {
+            const links = ROUTES.slice(1).map(route => `<li><code>${route.example}</code> ${route.description}</li>`).join('\n');
+            reply(200, html('Fixtures', `<h1>Fixtures</h1>\n<ul>\n${links}\n</ul>`));
+        }
+    },
+    {
+        path: /^\/html$/,
+        example: '/html',
+        description: 'A small static page',
+        handle(server, url, reply) {
+            reply(200, html('Test', '<h1>Chrome Connection Test</h1>\n<p>This is a test page.</p>'));
+        }
+    },
+    {
+        path: /^\/slow$/,
+        example: '/slow?ms=2000',
+        description: 'A page whose response is held back for ms milliseconds',
+        handle(server, url, reply) {
+            const ms = queryNumber(url, 'ms', 2000, server.options.maxDelay);
+            server.later(ms, () => reply(200, html('Slow', `<h1>Answered after ${ms}ms</h1>`)));
+        }
+    },
+    {
+        path: /^\/slow-load$/,
+        example: '/slow-load?ms=2000',
+        description: 'A page that is parsed at once but whose load event waits for a slow image',
+        handle(server, url, reply) {
+            const ms = queryNumber(url, 'ms', 2000, server.options.maxDelay);
+            reply(200, html('Slow load', `<h1>Slow load</h1>\n<img src="/slow-image?ms=${ms}" width="1" height="1" alt="">`));
+        }
+    },
+    {
+        path: /^\/slow-image$/,
+        example: '/slow-image?ms=2000',
+        description: 'A 1x1 PNG held back for ms milliseconds',
+        handle(server, url, reply) {
+            const ms = queryNumber(url, 'ms', 2000, server.options.maxDelay);
+            server.later(ms, () => reply(200, PIXEL, { 'Content-Type': 'image/png' }));
+        }
+    },
+    {
+        path: /^\/polling$/,
+        example: '/polling?interval=250',
+        description: 'A page that fetches /poll forever, so the network never goes idle',
+        handle(server, url, reply) {
+            const interval = queryNumber(url, 'interval', 250, server.options.maxDelay);
+            reply(200, html('Polling', '<h1>Polling</h1>\n<p id="count">0</p>', `<script>
+let count = 0;
+setInterval(() => fetch('/poll?n=' + (++count)).then(() => {
+    document.getElementById('count').textContent = count;
+}), ${interval});
+</script>
+`));
+        }
+    },
+    {
+        path: /^\/poll$/,
+        example: '/poll',
+        description: 'A tiny JSON response for /polling',
+        handle(server, url, reply) {
+            reply(200, JSON.stringify({ time: Date.now() }), { 'Content-Type': 'application/json' });
+        }
+    },
+    {
+        path: /^\/redirect\/(\d+)$/,
+        example: '/redirect/3',
+        description: 'A chain of n 302 redirects ending at /html',
+        handle(server, url, reply, [hops]) {
+            const remaining = Math.min(Number(hops), 20);
+            reply(302, '', { Location: remaining > 1 ? `/redirect/${remaining - 1}` : '/html' });
+        }
+    },
+    {
+        path: /^\/status\/(\d{3})$/,
+        example: '/status/404',
+        description: 'A page served with the given HTTP status (200-599)',
+        handle(server, url, reply, [code]) {
+            const status = Number(code) >= 200 && Number(code) <= 599 ? Number(code) : 400;
+            reply(status, html(`Status ${status}`, `<h1>${status} ${http.STATUS_CODES[status] || ''}</h1>`));
+        }
+    },
+    {
+        path: /^\/large$/,
+        example: '/large?kb=1024',
+        description: 'A page of roughly kb kilobytes of text',
+        handle(server, url, reply) {
+            const kb = queryNumber(url, 'kb', 1024, server.options.maxSizeKb);
+            const paragraph = `<p>${'Lorem ipsum dolor sit amet, consectetur adipiscing elit. '.repeat(17)}</p>\n`;
+            const count = Math.max(1, Math.round(kb * 1024 / paragraph.length));
+            reply(200, html('Large', `<h1>About ${kb}KB</h1>\n${paragraph.repeat(count)}`));
+        }
+    },
+    {
+        path: /^\/console-error$/,
+        example: '/console-error',
+        description: 'A page that logs a console error, throws and requests a missing image',
+        handle(server, url, reply) {
+            reply(200, html('Console error', '<h1>Console error</h1>\n<img src="/status/404" alt="">\n<script>\nconsole.error(\'Fixture console error\');\nthrow new Error(\'Fixture exception\');\n</script>'));
+        }
+    },
+    {
+        path: /^\/form$/,
+        example: '/form',
+        description: 'A form for scenario steps: type into #name, click #submit, read #greeting',
+        handle(server, url, reply) {
+            reply(200, html('Form', `<h1>Form</h1>
+<input id="name" autocomplete="off">
+<button id="submit">Submit</button>
+<p id="greeting"></p>
+<script>
+document.getElementById('submit').addEventListener('click', () => {
+    document.getElementById('greeting').textContent = 'Hello, ' + document.getElementById('name').value;
+});
+</script>`));
+        }
+    }
+];
+
+// Local HTTP server with the fixture pages in ROUTES, so the CLI and tests
+// have targets that behave the same every time and need no internet access.
+class FixtureServer {
+    constructor(options = {}) {
+        this.options = { ...FIXTURE_DEFAULTS, ...options };
+        this.logger = this.options.logger;
+        // Paths requested so far, query included
+        this.requests = [];
+        this.timers = new Set();
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+    
+    async listen(port = this.options.port, host = this.options.host) {
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+        
+        return this.server.address();
+    }
+    
+    // Full URL of a fixture path on the address the server listens on
+    url(pathname = '/html') {
+        const { address, port } = this.server.address();
+        const host = address.includes(':') ? `[${address}]` : address;
+        return `http://${host}:${port}${pathname}`;
+    }
+    
+    // Stops at once, including responses still being held back
+    async close() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        const closed = new Promise(resolve => this.server.close(resolve));
+        this.server.closeAllConnections();
+        await closed;
+    }
+    
+    later(ms, fn) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            fn();
+        }, ms);
+        this.timers.add(timer);
+    }
+    
+    handle(req, res) {
+        const url = new URL(req.url, 'http://fixtures');
+        this.requests.push(req.url);
+        this.logger.log(`${req.method} ${req.url}`);
+        
+        const reply = (status, body, headers = {}) => {
+            if (res.destroyed) return;
+            res.writeHead(status, {
+                'Content-Type': 'text/html; charset=utf-8',
+                'Content-Length': Buffer.byteLength(body),
+                'Cache-Control': 'no-store',
+                ...headers
+            });
+            res.end(req.method === 'HEAD' ? undefined : body);
+        };
+        
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            return reply(405, html('Method not allowed', '<h1>405 Method Not Allowed</h1>'), { Allow: 'GET, HEAD' });
+        }
+        
+        for (const route of ROUTES) {
+            const match = route.path.exec(url.pathname);
+            if (match) {
+                return route.handle(this, url, reply, match.slice(1));
+            }
+        }
+        reply(404, html('Not found', `<h1>No fixture at ${url.pathname}</h1>`));
+    }
+}
+
+module.exports = {
+    FIXTURE_DEFAULTS,
+    FixtureServer
+};
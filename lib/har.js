@@ -0,0 +1,303 @@
+const fs = require('fs');
+const { name, version } = require('../package.json');
+const { silentLogger } = require('./utils');
+
+const HTTP_VERSIONS = {
+    'http/1.0': 'HTTP/1.0',
+    'http/1.1': 'HTTP/1.1',
+    h2: 'HTTP/2',
+    h3: 'HTTP/3'
+};
+
+function headerList(headers = {}) {
+    return Object.entries(headers).map(([headerName, value]) => ({ name: headerName, value: String(value) }));
+}
+
+function headerValue(headers = {}, wanted) {
+    const key = Object.keys(headers).find(headerName => headerName.toLowerCase() === wanted);
+    return key === undefined ? undefined : headers[key];
+}
+
+function queryString(url) {
+    try {
+        return [...new URL(url).searchParams].map(([key, value]) => ({ name: key, value }));
+    } catch (error) {
+        return [];
+    }
+}
+
+function round(ms) {
+    return Math.round(ms * 1000) / 1000;
+}
+
+// HAR timings from Chrome's ResourceTiming. Phases Chrome did not go through
+// (reused connection, cache hit) are -1 as the spec requires; `endTime` is the
+// monotonic timestamp at which the response finished.
+function entryTimings(timing, startTime, endTime) {
+    const total = Math.max(0, (endTime - startTime) * 1000);
+    
+    if (!timing) {
+        return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 0, receive: round(total) };
+    }
+    
+    const phase = (start, end) => (start >= 0 && end >= start ? round(end - start) : -1);
+    const firstPhase = [timing.dnsStart, timing.connectStart, timing.sendStart].find(value => value >= 0);
+    const queued = Math.max(0, (timing.requestTime - startTime) * 1000);
+    
+    return {
+        blocked: round(queued + (firstPhase || 0)),
+        dns: phase(timing.dnsStart, timing.dnsEnd),
+        connect: phase(timing.connectStart, timing.connectEnd),
+        ssl: phase(timing.sslStart, timing.sslEnd),
+        send: Math.max(0, round(timing.sendEnd - timing.sendStart)),
+        wait: Math.max(0, round(timing.receiveHeadersEnd - timing.sendEnd)),
+        receive: Math.max(0, round((endTime - timing.requestTime) * 1000 - timing.receiveHeadersEnd))
+    };
+}
+
+// Records Network and Page events for one or more navigations and turns them
+// into a HAR 1.2 log. Call startPage() before each navigation and stop() once
+// the page has loaded; with `content` the response bodies are included.
+class HarRecorder {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.content = !!options.content;
+        this.logger = options.logger || silentLogger;
+        this.browser = options.browser || null;
+        this.pages = [];
+        this.entries = [];
+        this.requests = new Map();
+        this.bodies = [];
+        this.unsubscribe = [];
+        // Latest monotonic timestamp seen, used to close pending requests
+        this.lastTimestamp = 0;
+        this.stopped = false;
+    }
+    
+    start() {
+        const {Network, Page} = this.client;
+        
+        this.unsubscribe = [
+            Network.requestWillBeSent(params => this.onRequest(params)),
+            Network.responseReceived(params => this.onResponse(params)),
+            Network.dataReceived(params => this.onData(params)),
+            Network.loadingFinished(params => this.onFinished(params)),
+            Network.loadingFailed(params => this.onFailed(params)),
+            Page.domContentEventFired(({ timestamp }) => this.onPageTiming('onContentLoad', timestamp)),
+            Page.loadEventFired(({ timestamp }) => this.onPageTiming('onLoad', timestamp))
+        ];
+        return this;
+    }
+    
+    // Carries on recording on a new session after a reconnect. Requests the
+    // old session left open end as pending when the recording stops.
+    reattach(client) {
+        this.unsubscribe.forEach(off => off());
+        this.client = client;
+        return this.start();
+    }
+    
+    startPage(url) {
+        this.pages.push({
+            id: `page_${this.pages.length + 1}`,
+            title: url,
+            startedDateTime: new Date().toISOString(),
+            startTime: null,
+            pageTimings: { onContentLoad: -1, onLoad: -1 }
+        });
+    }
+    
+    get currentPage() {
+        if (this.pages.length === 0) {
+            this.startPage('');
+        }
+        return this.pages[this.pages.length - 1];
+    }
+    
+    onRequest({ requestId, request, timestamp, wallTime, redirectResponse, type }) {
+        this.lastTimestamp = Math.max(this.lastTimestamp, timestamp);
+        const previous = this.requests.get(requestId);
+        
+        // A redirect reuses the request id; the hop that got the 3xx ends here
+        if (previous && redirectResponse) {
+            previous.response = redirectResponse;
+            this.finish(previous, timestamp);
+        }
+        
+        const page = this.currentPage;
+        if (page.startTime === null) {
+            page.startTime = timestamp;
+            page.startedDateTime = new Date(wallTime * 1000).toISOString();
+        }
+        
+        this.requests.set(requestId, {
+            requestId,
+            pageref: page.id,
+            request,
+            type,
+            startTime: timestamp,
+            wallTime,
+            response: null,
+            dataLength: 0,
+            transferSize: 0,
+            error: null
+        });
+    }
+    
+    onResponse({ requestId, response }) {
+        const record = this.requests.get(requestId);
+        if (record) {
+            record.response = response;
+        }
+    }
+    
+    onData({ requestId, dataLength }) {
+        const record = this.requests.get(requestId);
+        if (record) {
+            record.dataLength += dataLength;
+        }
+    }
+    
+    onFinished({ requestId, timestamp, encodedDataLength }) {
+        this.lastTimestamp = Math.max(this.lastTimestamp, timestamp);
+        const record = this.requests.get(requestId);
+        if (!record) return;
+        
+        record.transferSize = encodedDataLength;
+        const entry = this.finish(record, timestamp);
+        
+        if (this.content && entry.response.status !== 0) {
+            this.bodies.push(this.client.Network.getResponseBody({ requestId }).then(({ body, base64Encoded }) => {
+                entry.response.content.text = body;
+                if (base64Encoded) {
+                    entry.response.content.encoding = 'base64';
+                }
+            }).catch(error => {
+                this.logger.log(`No response body for ${record.request.url}: ${error.message}`);
+            }));
+        }
+    }
+    
+    onFailed({ requestId, timestamp, errorText, canceled }) {
+        this.lastTimestamp = Math.max(this.lastTimestamp, timestamp);
+        const record = this.requests.get(requestId);
+        if (!record) return;
+        
+        record.error = canceled ? 'canceled' : errorText;
+        this.finish(record, timestamp);
+    }
+    
+    onPageTiming(name, timestamp) {
+        this.lastTimestamp = Math.max(this.lastTimestamp, timestamp);
+        const page = this.currentPage;
+        if (page.startTime !== null && page.pageTimings[name] === -1) {
+            page.pageTimings[name] = round((timestamp - page.startTime) * 1000);
+        }
+    }
+    
+    finish(record, endTime) {
+        this.requests.delete(record.requestId);
+        const entry = this.buildEntry(record, endTime);
+        this.entries.push(entry);
+        return entry;
+    }
+    
+    buildEntry(record, endTime) {
+        const { request, response } = record;
+        const timings = entryTimings(response && response.timing, record.startTime, endTime);
+        const time = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+            .reduce((sum, phase) => sum + Math.max(0, timings[phase]), 0);
+        const requestHeaders = (response && response.requestHeaders) || request.headers;
+        const httpVersion = response ? (HTTP_VERSIONS[response.protocol] || response.protocol || '') : '';
+        
+        const entry = {
+            pageref: record.pageref,
+            startedDateTime: new Date(record.wallTime * 1000).toISOString(),
+            time: round(time),
+            request: {
+                method: request.method,
+                url: request.url,
+                httpVersion,
+                cookies: [],
+                headers: headerList(requestHeaders),
+                queryString: queryString(request.url),
+                headersSize: -1,
+                bodySize: request.postData ? Buffer.byteLength(request.postData) : 0
+            },
+            response: {
+                status: response ? response.status : 0,
+                statusText: response ? response.statusText : '',
+                httpVersion,
+                cookies: [],
+                headers: headerList(response ? response.headers : {}),
+                content: {
+                    size: record.dataLength,
+                    mimeType: response ? response.mimeType || '' : 'x-unknown'
+                },
+                redirectURL: (response && headerValue(response.headers, 'location')) || '',
+                headersSize: -1,
+                bodySize: -1,
+                _transferSize: record.transferSize
+            },
+            cache: {},
+            timings,
+            _resourceType: record.type ? record.type.toLowerCase() : undefined
+        };
+        
+        if (request.postData) {
+            entry.request.postData = {
+                mimeType: headerValue(request.headers, 'content-type') || '',
+                text: request.postData
+            };
+        }
+        if (response && response.remoteIPAddress) {
+            entry.serverIPAddress = response.remoteIPAddress.replace(/^\[|\]$/g, '');
+        }
+        if (record.error) {
+            entry._error = record.error;
+        }
+        
+        return entry;
+    }
+    
+    // Unsubscribes, waits for pending response bodies and returns the HAR.
+    // Requests still in flight are included with status 0 so hung requests
+    // show up rather than silently disappearing from the log.
+    async stop() {
+        this.stopped = true;
+        this.unsubscribe.forEach(off => off());
+        this.unsubscribe = [];
+        
+        [...this.requests.values()].forEach(record => {
+            record.error = 'Still pending when the recording stopped';
+            this.finish(record, Math.max(this.lastTimestamp, record.startTime));
+        });
+        await Promise.all(this.bodies);
+        
+        return this.toJSON();
+    }
+    
+    toJSON() {
+        const entries = [...this.entries].sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+        
+        return {
+            log: {
+                version: '1.2',
+                creator: { name, version },
+                browser: this.browser || undefined,
+                pages: this.pages.map(({ id, title, startedDateTime, pageTimings }) => ({ startedDateTime, id, title, pageTimings })),
+                entries
+            }
+        };
+    }
+}
+
+function writeHar(file, har) {
+    fs.writeFileSync(file, JSON.stringify(har, null, 2));
+}
+
+module.exports = {
+    HarRecorder,
+    entryTimings,
+    writeHar
+};
@@ -0,0 +1,57 @@
+const http = require('http');
+const https = require('https');
+const { AuthenticationError } = require('./errors');
+
+const DEFAULT_REQUEST_TIMEOUT = 10000;
+
+// Minimal HTTP client for the proxy's plain endpoints (/health, /json/*).
+// Uses the core modules rather than fetch so the endpoint's CA file and
+// --insecure setting apply to HTTPS requests. The endpoint's token is sent
+// with every request, and a 401 rejects with AuthenticationError.
+function request(endpoint, path, options = {}) {
+    const { method = 'GET', timeout = DEFAULT_REQUEST_TIMEOUT } = options;
+    const transport = endpoint.secure ? https : http;
+    
+    return new Promise((resolve, reject) => {
+        const req = transport.request({
+            host: endpoint.host,
+            port: endpoint.port,
+            path: endpoint.path(path),
+            method,
+            headers: endpoint.headers(),
+            ...endpoint.tlsOptions()
+        }, (res) => {
+            if (res.statusCode === 401) {
+                res.resume();
+                const reason = endpoint.token ? 'rejected the token' : 'requires a token (--token or CHROME_PROXY_TOKEN)';
+                return reject(new AuthenticationError(`${endpoint.httpUrl(path)} ${reason}`));
+            }
+            
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                body += chunk;
+            });
+            res.on('end', () => {
+                resolve({
+                    status: res.statusCode,
+                    ok: res.statusCode >= 200 && res.statusCode < 300,
+                    headers: res.headers,
+                    body,
+                    json: () => JSON.parse(body)
+                });
+            });
+            res.on('error', reject);
+        });
+        
+        req.setTimeout(timeout, () => {
+            req.destroy(new Error(`Request to ${endpoint.httpUrl(path)} timed out after ${timeout}ms`));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+module.exports = {
+    request
+};
@@ -0,0 +1,346 @@
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('./errors');
+const { silentLogger } = require('./utils');
+
+// Named sets for --block. Presets with a resource type block everything of
+// that type; the rest are URL patterns. Anything that is not a preset name is
+// itself a URL pattern.
+const BLOCK_PRESETS = {
+    images: { resourceType: 'Image' },
+    fonts: { resourceType: 'Font' },
+    media: { resourceType: 'Media' },
+    stylesheets: { resourceType: 'Stylesheet' },
+    ads: {
+        urls: [
+            '*://*.doubleclick.net/*',
+            '*://*.googlesyndication.com/*',
+            '*://*.googleadservices.com/*',
+            '*://*.adnxs.com/*',
+            '*://*.amazon-adsystem.com/*',
+            '*://*.criteo.com/*',
+            '*://*.taboola.com/*',
+            '*://*.outbrain.com/*'
+        ]
+    },
+    trackers: {
+        urls: [
+            '*://*.google-analytics.com/*',
+            '*://*.googletagmanager.com/*',
+            '*://connect.facebook.net/*',
+            '*://*.hotjar.com/*',
+            '*://*.segment.io/*',
+            '*://*.mixpanel.com/*',
+            '*://*.clarity.ms/*',
+            '*://*.nr-data.net/*'
+        ]
+    }
+};
+
+// DevTools' network throttling presets, throughput in bytes per second
+const THROTTLE_PRESETS = {
+    offline: { offline: true, latency: 0, downloadThroughput: 0, uploadThroughput: 0 },
+    'slow-3g': { offline: false, latency: 2000, downloadThroughput: 50000, uploadThroughput: 50000 },
+    'fast-3g': { offline: false, latency: 562.5, downloadThroughput: 180000, uploadThroughput: 84375 },
+    '4g': { offline: false, latency: 165, downloadThroughput: 1012500, uploadThroughput: 168750 }
+};
+
+const NO_THROTTLING = { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 };
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.json': 'application/json',
+    '.js': 'application/javascript',
+    '.css': 'text/css',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.woff2': 'font/woff2'
+};
+
+// Requests listed by URL in the report, per action; the counts stay exact
+const MAX_LISTED = 50;
+
+// A Fetch domain URL pattern ('*' any run of characters, '?' one, '\'
+// escapes) as a RegExp over the whole URL, for telling which rule paused a
+// request
+function patternToRegExp(pattern) {
+    let source = '';
+    for (let index = 0; index < pattern.length; index++) {
+        const char = pattern[index];
+        if (char === '\\' && index + 1 < pattern.length) {
+            source += pattern[++index].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        } else if (char === '*') {
+            source += '.*';
+        } else if (char === '?') {
+            source += '.';
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+// --header "Name: value"
+function parseHeader(spec) {
+    const separator = spec.indexOf(':');
+    const name = separator > 0 ? spec.slice(0, separator).trim() : '';
+    if (!name) {
+        throw new ConfigError(`Invalid header "${spec}"; expected "Name: value"`);
+    }
+    return [name, spec.slice(separator + 1).trim()];
+}
+
+// --cookie "name=value; Domain=example.com; Path=/; Secure; HttpOnly" as a
+// Network.setCookies cookie. Without a Domain it is set for the captured URL.
+function parseCookie(spec) {
+    const [pair, ...attributes] = spec.split(';').map(part => part.trim());
+    const separator = pair.indexOf('=');
+    if (separator <= 0) {
+        throw new ConfigError(`Invalid cookie "${spec}"; expected "name=value"`);
+    }
+    
+    const cookie = { name: pair.slice(0, separator).trim(), value: pair.slice(separator + 1).trim() };
+    attributes.filter(Boolean).forEach(attribute => {
+        const [key, value = ''] = attribute.split('=').map(side => side.trim());
+        const lower = key.toLowerCase();
+        if (lower === 'domain' || lower === 'path') {
+            cookie[lower] = value;
+        } else if (lower === 'secure' || lower === 'httponly') {
+            cookie[lower === 'secure' ? 'secure' : 'httpOnly'] = true;
+        } else {
+            throw new ConfigError(`Invalid cookie "${spec}"; unsupported attribute "${key}"`);
+        }
+    });
+    return cookie;
+}
+
+// --mock "pattern=file": requests matching the URL pattern are answered with
+// the file's content. The file is read up front so a missing one fails the
+// run before Chrome is touched.
+function parseMock(spec, cwd = process.cwd()) {
+    const separator = spec.lastIndexOf('=');
+    const pattern = separator > 0 ? spec.slice(0, separator).trim() : '';
+    const file = separator > 0 ? spec.slice(separator + 1).trim() : '';
+    if (!pattern || !file) {
+        throw new ConfigError(`Invalid mock "${spec}"; expected "pattern=file"`);
+    }
+    
+    let body;
+    try {
+        body = fs.readFileSync(path.resolve(cwd, file));
+    } catch (error) {
+        throw new ConfigError(`Cannot read mock file ${file}: ${error.message}`, { cause: error });
+    }
+    return {
+        pattern,
+        file,
+        body,
+        contentType: CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream'
+    };
+}
+
+// The interception settings of a run from the --block, --header, --cookie,
+// --throttle and --mock values (see resolveConfig()), or null when none are
+// set. Mock files are read relative to `cwd`.
+function parseInterception({ block = [], header = [], cookie = [], throttle = null, mock = [] }, cwd = process.cwd()) {
+    if (block.length === 0 && header.length === 0 && cookie.length === 0 && !throttle && mock.length === 0) {
+        return null;
+    }
+    if (throttle && !THROTTLE_PRESETS[throttle]) {
+        throw new ConfigError(`Unknown throttle preset "${throttle}"; expected one of: ${Object.keys(THROTTLE_PRESETS).join(', ')}`);
+    }
+    
+    const blocks = [];
+    block.forEach(spec => {
+        const preset = BLOCK_PRESETS[spec];
+        if (preset && preset.resourceType) {
+            blocks.push({ rule: spec, resourceType: preset.resourceType });
+        } else {
+            (preset ? preset.urls : [spec]).forEach(pattern => blocks.push({ rule: spec, pattern }));
+        }
+    });
+    
+    return {
+        blocks,
+        mocks: mock.map(spec => parseMock(spec, cwd)),
+        headers: Object.fromEntries(header.map(parseHeader)),
+        cookies: cookie.map(parseCookie),
+        throttle
+    };
+}
+
+// Applies one run's interception settings to a page session: extra request
+// headers, cookies, throttled network conditions and, through the Fetch
+// domain, blocked and mocked requests. Mocks win over blocks. Start it before
+// the navigation; stop() undoes everything but the cookies and returns what
+// was intercepted.
+class NetworkInterceptor {
+    constructor(client, settings, options = {}) {
+        this.client = client;
+        this.settings = settings;
+        this.logger = options.logger || silentLogger;
+        this.rules = [
+            ...settings.mocks.map(mock => ({ action: 'mocked', rule: mock.pattern, regex: patternToRegExp(mock.pattern), mock })),
+            ...settings.blocks.map(block => ({
+                action: 'blocked',
+                rule: block.rule,
+                resourceType: block.resourceType,
+                regex: block.pattern ? patternToRegExp(block.pattern) : null,
+                pattern: block.pattern
+            }))
+        ];
+        this.hasHeaders = Object.keys(settings.headers).length > 0;
+        this.report = {
+            blocked: 0,
+            mocked: 0,
+            requests: [],
+            throttle: settings.throttle,
+            headers: Object.keys(settings.headers),
+            cookies: settings.cookies.map(cookie => cookie.name)
+        };
+        this.unsubscribe = [];
+        this.fetching = false;
+        // Where setCookies() put the cookies without a domain
+        this.cookieUrl = null;
+        this.stopped = false;
+    }
+    
+    async start() {
+        const {Fetch, Network} = this.client;
+        
+        if (this.settings.throttle) {
+            await Network.emulateNetworkConditions(THROTTLE_PRESETS[this.settings.throttle]);
+        }
+        if (this.rules.length > 0 || this.hasHeaders) {
+            this.unsubscribe = [Fetch.requestPaused(params => this.handleRequest(params))];
+            // Headers go on every request; otherwise only what a rule matches
+            // is paused
+            const patterns = this.hasHeaders
+                ? [{ urlPattern: '*' }]
+                : this.rules.map(rule => (rule.resourceType
+                    ? { urlPattern: '*', resourceType: rule.resourceType }
+                    : { urlPattern: rule.pattern || rule.rule }));
+            await Fetch.enable({ patterns });
+            this.fetching = true;
+        }
+        return this;
+    }
+    
+    // Applies everything again on a new session after a reconnect: the old
+    // session's interception and throttling went with it, and a restarted
+    // Chrome has lost the cookies too
+    async reattach(client) {
+        this.unsubscribe.forEach(off => off());
+        this.unsubscribe = [];
+        this.fetching = false;
+        this.client = client;
+        await this.start();
+        if (this.cookieUrl !== null) {
+            await this.setCookies(this.cookieUrl);
+        }
+        return this;
+    }
+    
+    // Sets the --cookie cookies, those without a domain for `url`. Call it
+    // before navigating there.
+    async setCookies(url) {
+        if (this.settings.cookies.length === 0) return;
+        const cookies = this.settings.cookies.map(cookie => {
+            if (cookie.domain) return cookie;
+            if (!/^https?:/.test(url || '')) {
+                throw new ConfigError(`Cookie ${cookie.name} needs a Domain to be set for ${url}`);
+            }
+            return { url, ...cookie };
+        });
+        await this.client.Network.setCookies({ cookies });
+        this.cookieUrl = url;
+    }
+    
+    async handleRequest({ requestId, request, resourceType }) {
+        const {Fetch} = this.client;
+        const match = this.rules.find(rule => (rule.resourceType
+            ? rule.resourceType === resourceType
+            : rule.regex.test(request.url)));
+        
+        try {
+            if (match && match.action === 'mocked') {
+                await Fetch.fulfillRequest({
+                    requestId,
+                    responseCode: 200,
+                    responseHeaders: [
+                        { name: 'Content-Type', value: match.mock.contentType },
+                        { name: 'Access-Control-Allow-Origin', value: '*' }
+                    ],
+                    body: match.mock.body.toString('base64')
+                });
+            } else if (match) {
+                await Fetch.failRequest({ requestId, errorReason: 'BlockedByClient' });
+            } else if (this.hasHeaders) {
+                const headers = { ...request.headers, ...this.settings.headers };
+                await Fetch.continueRequest({
+                    requestId,
+                    headers: Object.entries(headers).map(([name, value]) => ({ name, value }))
+                });
+            } else {
+                await Fetch.continueRequest({ requestId });
+            }
+        } catch (error) {
+            // The page navigated away or closed while the request was paused
+            this.logger.log(`Interception of ${request.url} failed: ${error.message}`);
+            return;
+        }
+        
+        if (match) {
+            this.report[match.action]++;
+            if (this.report.requests.length < MAX_LISTED) {
+                this.report.requests.push({ action: match.action, url: request.url, rule: match.rule });
+            }
+        }
+    }
+    
+    // Unsubscribes, lifts the interception and throttling and returns the
+    // report: counts of blocked and mocked requests, the first of them by URL
+    // with the rule that matched, and the throttle, header and cookie names
+    // that applied.
+    async stop() {
+        const {Fetch, Network} = this.client;
+        this.stopped = true;
+        this.unsubscribe.forEach(off => off());
+        this.unsubscribe = [];
+        
+        if (this.fetching) {
+            this.fetching = false;
+            await Fetch.disable().catch(() => {});
+        }
+        if (this.settings.throttle) {
+            await Network.emulateNetworkConditions(NO_THROTTLING).catch(() => {});
+        }
+        
+        return { ...this.report, requests: [...this.report.requests] };
+    }
+}
+
+// One line for logs, e.g. "3 blocked, 1 mocked request(s), throttled to slow-3g, 1 header(s), 2 cookie(s)"
+function describeInterception(report) {
+    const parts = [`${report.blocked} blocked, ${report.mocked} mocked request(s)`];
+    if (report.throttle) parts.push(`throttled to ${report.throttle}`);
+    if (report.headers.length > 0) parts.push(`${report.headers.length} header(s)`);
+    if (report.cookies.length > 0) parts.push(`${report.cookies.length} cookie(s)`);
+    return parts.join(', ');
+}
+
+module.exports = {
+    BLOCK_PRESETS,
+    THROTTLE_PRESETS,
+    NetworkInterceptor,
+    parseInterception,
+    parseHeader,
+    parseCookie,
+    parseMock,
+    describeInterception
+};
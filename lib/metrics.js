@@ -0,0 +1,243 @@
+const { ConfigError } = require('./errors');
+const { silentLogger } = require('./utils');
+
+// Installed in every new document before its own scripts run. Buffered
+// observers also pick up entries from before they were created; flush()
+// takes what the observers have not delivered yet so a read right after the
+// load event is complete. CLS is the plain sum of shifts without recent
+// input, not the session-windowed value the web-vitals library reports.
+const VITALS_SCRIPT = `(() => {
+    if (window.__chromeProxyVitals) return;
+    const vitals = { fcp: null, lcp: null, cls: 0 };
+    const observers = [];
+    const observe = (type, handle) => {
+        try {
+            const observer = new PerformanceObserver(list => list.getEntries().forEach(handle));
+            observer.observe({ type, buffered: true });
+            observers.push({ observer, handle });
+        } catch (error) {
+            // Entry type not supported by this browser
+        }
+    };
+    observe('paint', entry => {
+        if (entry.name === 'first-contentful-paint') vitals.fcp = entry.startTime;
+    });
+    observe('largest-contentful-paint', entry => {
+        vitals.lcp = entry.startTime;
+    });
+    observe('layout-shift', entry => {
+        if (!entry.hadRecentInput) vitals.cls += entry.value;
+    });
+    vitals.flush = () => observers.forEach(({ observer, handle }) => observer.takeRecords().forEach(handle));
+    Object.defineProperty(window, '__chromeProxyVitals', { value: vitals });
+})()`;
+
+// Navigation timing and the vitals above, in ms since the navigation started.
+// A page loaded before the collector started has no vitals object, so FCP
+// falls back to the paint timeline there.
+const READ_SCRIPT = `(() => {
+    const vitals = window.__chromeProxyVitals;
+    if (vitals) vitals.flush();
+    const navigation = performance.getEntriesByType('navigation')[0];
+    const paint = performance.getEntriesByName('first-contentful-paint')[0];
+    const since = value => (value > 0 ? value : null);
+    return {
+        url: location.href,
+        timing: navigation ? {
+            ttfb: since(navigation.responseStart),
+            domContentLoaded: since(navigation.domContentLoadedEventEnd),
+            load: since(navigation.loadEventEnd)
+        } : { ttfb: null, domContentLoaded: null, load: null },
+        vitals: {
+            fcp: vitals && vitals.fcp !== null ? vitals.fcp : (paint ? paint.startTime : null),
+            lcp: vitals ? vitals.lcp : null,
+            cls: vitals ? vitals.cls : null
+        }
+    };
+})()`;
+
+// What --budget accepts: where each value lives in the report and its unit
+const BUDGETS = {
+    ttfb: { unit: 'ms', value: report => report.timing.ttfb },
+    fcp: { unit: 'ms', value: report => report.vitals.fcp },
+    lcp: { unit: 'ms', value: report => report.vitals.lcp },
+    cls: { unit: '', value: report => report.vitals.cls },
+    domContentLoaded: { unit: 'ms', value: report => report.timing.domContentLoaded },
+    load: { unit: 'ms', value: report => report.timing.load },
+    requests: { unit: '', value: report => report.network.requests },
+    bytes: { unit: 'B', value: report => report.network.bytes },
+    jsHeap: { unit: 'B', value: report => report.metrics.JSHeapUsedSize }
+};
+
+function round(value, digits = 0) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+// Measures one page load: CDP's Performance.getMetrics counters, navigation
+// timing, FCP/LCP/CLS from observers injected before the page's own scripts,
+// and request count and bytes from the Network events. Start it before the
+// navigation and call stop() once the page has loaded.
+class MetricsCollector {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.logger = options.logger || silentLogger;
+        this.network = { requests: 0, failed: 0, bytes: 0 };
+        this.unsubscribe = [];
+        this.scriptId = null;
+        this.stopped = false;
+    }
+    
+    async start() {
+        const {Network, Page, Performance} = this.client;
+        
+        this.unsubscribe = [
+            Network.requestWillBeSent(() => {
+                this.network.requests++;
+            }),
+            Network.loadingFinished(({ encodedDataLength }) => {
+                this.network.bytes += encodedDataLength || 0;
+            }),
+            Network.loadingFailed(() => {
+                this.network.failed++;
+            })
+        ];
+        await Performance.enable();
+        const { identifier } = await Page.addScriptToEvaluateOnNewDocument({ source: VITALS_SCRIPT });
+        this.scriptId = identifier;
+        return this;
+    }
+    
+    // Carries on measuring on a new session after a reconnect. The vitals
+    // script went with the old session, so it is added again; the network
+    // counts carry over.
+    async reattach(client) {
+        this.unsubscribe.forEach(off => off());
+        this.client = client;
+        this.scriptId = null;
+        return this.start();
+    }
+    
+    // Reads the page's numbers, unsubscribes and returns the report. A value
+    // the page could not give (e.g. LCP on a page with no content) is null.
+    async stop() {
+        const {Page, Performance, Runtime} = this.client;
+        this.stopped = true;
+        this.unsubscribe.forEach(off => off());
+        this.unsubscribe = [];
+        
+        const report = {
+            url: null,
+            timing: { ttfb: null, domContentLoaded: null, load: null },
+            vitals: { fcp: null, lcp: null, cls: null },
+            network: { ...this.network },
+            metrics: {}
+        };
+        
+        try {
+            const { metrics } = await Performance.getMetrics();
+            metrics.forEach(({ name, value }) => {
+                report.metrics[name] = value;
+            });
+        } catch (error) {
+            this.logger.log(`Performance metrics unavailable: ${error.message}`);
+        }
+        
+        try {
+            const { result, exceptionDetails } = await Runtime.evaluate({ expression: READ_SCRIPT, returnByValue: true });
+            if (!exceptionDetails && result.value) {
+                const { url, timing, vitals } = result.value;
+                report.url = url;
+                Object.keys(timing).forEach(key => {
+                    report.timing[key] = round(timing[key]);
+                });
+                report.vitals = { fcp: round(vitals.fcp), lcp: round(vitals.lcp), cls: round(vitals.cls, 4) };
+            }
+        } catch (error) {
+            this.logger.log(`Page timing unavailable: ${error.message}`);
+        }
+        
+        if (this.scriptId) {
+            const identifier = this.scriptId;
+            this.scriptId = null;
+            await Page.removeScriptToEvaluateOnNewDocument({ identifier }).catch(() => {});
+            await Performance.disable().catch(() => {});
+        }
+        
+        return report;
+    }
+}
+
+// --budget "lcp=2500,cls=0.1" (or an object of the same) as { lcp: 2500, cls: 0.1 }
+function parseBudgets(spec) {
+    if (!spec) return {};
+    const pairs = typeof spec === 'string'
+        ? spec.split(',').filter(part => part.trim()).map(part => part.split('=').map(side => side.trim()))
+        : Object.entries(spec);
+    
+    const budgets = {};
+    pairs.forEach(([name, value]) => {
+        if (!Object.keys(BUDGETS).includes(name)) {
+            throw new ConfigError(`Unknown budget "${name}"; expected one of: ${Object.keys(BUDGETS).join(', ')}`);
+        }
+        const limit = typeof value === 'number' ? value : Number(value);
+        if (value === undefined || value === '' || !Number.isFinite(limit) || limit < 0) {
+            throw new ConfigError(`Budget ${name} must be a non-negative number`);
+        }
+        budgets[name] = limit;
+    });
+    return budgets;
+}
+
+// One result per budget: 'pass', 'fail', or 'unmeasured' when the page gave
+// no value for it. Unmeasured budgets are reported but do not fail.
+function checkBudgets(report, budgets = {}) {
+    return Object.entries(budgets).map(([metric, budget]) => {
+        const { unit, value: read } = BUDGETS[metric];
+        const value = read(report);
+        const measured = typeof value === 'number';
+        return {
+            metric,
+            budget,
+            value: measured ? value : null,
+            unit,
+            status: !measured ? 'unmeasured' : (value > budget ? 'fail' : 'pass')
+        };
+    });
+}
+
+function exceededBudgets(results) {
+    return results.filter(result => result.status === 'fail');
+}
+
+function formatValue(value, unit) {
+    if (value === null || value === undefined) return 'n/a';
+    if (unit === 'B') return value >= 1024 ? `${round(value / 1024, 1)}KB` : `${value}B`;
+    return `${value}${unit}`;
+}
+
+// One line for logs, e.g. "TTFB 12ms, FCP 230ms, LCP 410ms, CLS 0.012, load 520ms, 14 request(s), 312.4KB"
+function describeMetrics(report) {
+    const { timing, vitals, network } = report;
+    return `TTFB ${formatValue(timing.ttfb, 'ms')}, FCP ${formatValue(vitals.fcp, 'ms')}, ` +
+        `LCP ${formatValue(vitals.lcp, 'ms')}, CLS ${formatValue(vitals.cls, '')}, ` +
+        `load ${formatValue(timing.load, 'ms')}, ${network.requests} request(s), ${formatValue(network.bytes, 'B')}`;
+}
+
+// e.g. "lcp 3120ms > 2500ms, requests 64 > 50"
+function describeBudgetFailures(results) {
+    return exceededBudgets(results)
+        .map(({ metric, value, budget, unit }) => `${metric} ${formatValue(value, unit)} > ${formatValue(budget, unit)}`)
+        .join(', ');
+}
+
+module.exports = {
+    BUDGETS,
+    MetricsCollector,
+    parseBudgets,
+    checkBudgets,
+    exceededBudgets,
+    describeMetrics,
+    describeBudgetFailures
+};
@@ -0,0 +1,438 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { encodePng } = require('./png');
+const { silentLogger } = require('./utils');
+
+const MOCK_CDP_DEFAULTS = {
+    host: '127.0.0.1',
+    // Chrome's own default remote debugging port
+    port: 9222,
+    browser: 'HeadlessChrome/120.0.6099.109',
+    // Time from the document response to DOMContentLoaded and then to load
+    loadDelay: 20,
+    viewport: { width: 800, height: 600 },
+    // Redirects followed for one navigation, as Chrome caps them too
+    maxRedirects: 20,
+    logger: silentLogger
+};
+
+// Node network errors as Chrome reports them in errorText
+const NET_ERRORS = {
+    ECONNREFUSED: 'net::ERR_CONNECTION_REFUSED',
+    ECONNRESET: 'net::ERR_CONNECTION_RESET',
+    ENOTFOUND: 'net::ERR_NAME_NOT_RESOLVED',
+    ETIMEDOUT: 'net::ERR_TIMED_OUT'
+};
+
+// A JavaScript value as a Runtime.RemoteObject
+function remoteObject(value) {
+    if (value === undefined) return { type: 'undefined' };
+    if (value === null) return { type: 'object', subtype: 'null', value: null };
+    return { type: typeof value, value };
+}
+
+// Seconds on a monotonic clock, like CDP's MonotonicTime
+function monotonic() {
+    return Number(process.hrtime.bigint()) / 1e9;
+}
+
+function fetchOnce(url, timeout) {
+    const transport = url.startsWith('https:') ? https : http;
+    return new Promise((resolve, reject) => {
+        const req = transport.get(url, res => {
+            const chunks = [];
+            const { remoteAddress, remotePort } = res.socket;
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ res, body: Buffer.concat(chunks), remoteAddress, remotePort }));
+            res.on('error', reject);
+        });
+        req.setTimeout(timeout, () => req.destroy(Object.assign(new Error('timed out'), { code: 'ETIMEDOUT' })));
+        req.on('error', reject);
+    });
+}
+
+// What the default handlers know how to answer. Everything else, including
+// the *.enable calls, gets an empty result; override any method with
+// handle().
+const DEFAULT_HANDLERS = {
+    'Browser.getVersion'() {
+        return { protocolVersion: '1.3', product: this.options.browser, userAgent: `Mozilla/5.0 ${this.options.browser}`, jsVersion: '12.0' };
+    },
+    
+    async 'Page.navigate'({ url }, target) {
+        return this.navigate(target, url);
+    },
+    
+    'Page.reload'(params, target) {
+        return this.navigate(target, target.url).then(() => ({}));
+    },
+    
+    'Page.captureScreenshot'({ clip }, target) {
+        const { width, height } = clip ? { width: Math.ceil(clip.width), height: Math.ceil(clip.height) } : target.viewport;
+        const data = Buffer.alloc(width * height * 4, 255);
+        return { data: encodePng({ width, height, data }).toString('base64') };
+    },
+    
+    'Page.printToPDF'() {
+        return { data: Buffer.from('%PDF-1.4\n% mock page\n%%EOF\n').toString('base64') };
+    },
+    
+    'Page.addScriptToEvaluateOnNewDocument'() {
+        return { identifier: String(++this.scriptIds) };
+    },
+    
+    'Performance.getMetrics'(params, target) {
+        return {
+            metrics: [
+                { name: 'Timestamp', value: monotonic() },
+                { name: 'Documents', value: 1 },
+                { name: 'Nodes', value: target.readyState === 'complete' ? 12 : 4 },
+                { name: 'JSHeapUsedSize', value: 1048576 },
+                { name: 'JSHeapTotalSize', value: 2097152 }
+            ]
+        };
+    },
+    
+    // `attached` while a page has a CDP session open, as Chrome reports it
+    'Target.getTargets'() {
+        return {
+            targetInfos: [...this.targets.values()].map(target => ({
+                targetId: target.id,
+                type: target.type,
+                title: target.title,
+                url: target.url,
+                attached: target.sockets.size > 0,
+                canAccessOpener: false
+            }))
+        };
+    },
+    
+    'Page.getLayoutMetrics'(params, target) {
+        const { width, height } = target.viewport;
+        const viewport = { pageX: 0, pageY: 0, clientWidth: width, clientHeight: height };
+        return {
+            layoutViewport: viewport,
+            cssLayoutViewport: viewport,
+            contentSize: { x: 0, y: 0, width, height },
+            cssContentSize: { x: 0, y: 0, width, height }
+        };
+    },
+    
+    'Emulation.setDeviceMetricsOverride'({ width, height }, target) {
+        target.viewport = width && height ? { width, height } : { ...this.options.viewport };
+        return {};
+    },
+    
+    'Emulation.clearDeviceMetricsOverride'(params, target) {
+        target.viewport = { ...this.options.viewport };
+        return {};
+    },
+    
+    // Only the expressions the client itself relies on; pages are never run
+    'Runtime.evaluate'({ expression }, target) {
+        const known = {
+            'document.readyState': target.readyState,
+            'location.href': target.url,
+            'document.title': target.title
+        };
+        return { result: remoteObject(known[expression]) };
+    }
+};
+
+// Stands in for Chrome's remote debugging port: the /json endpoints, a CDP
+// WebSocket per page target and the browser WebSocket, so the client can be
+// tested without a browser. Page.navigate really fetches http(s) URLs (e.g.
+// a FixtureServer) and reports the document request, redirects included,
+// through Network events, then fires DOMContentLoaded and load after
+// `loadDelay`. Pages are never rendered or run: screenshots are blank PNGs of
+// the viewport size and Runtime.evaluate only knows document.readyState,
+// location.href and document.title unless overridden with handle().
+class MockChromeServer {
+    constructor(options = {}) {
+        this.options = { ...MOCK_CDP_DEFAULTS, ...options };
+        this.logger = this.options.logger;
+        this.browserId = crypto.randomUUID();
+        this.targets = new Map();
+        // The browser-wide session of /json/version's webSocketDebuggerUrl
+        this.browser = { id: this.browserId, type: 'browser', sockets: new Set() };
+        this.handlers = {};
+        this.scriptIds = 0;
+        // Every command received, as { targetId, method, params }
+        this.received = [];
+        this.sockets = new Set();
+        this.server = http.createServer((req, res) => this.handleHttp(req, res));
+        this.wss = new WebSocket.Server({ noServer: true });
+        this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+        this.createTarget('about:blank');
+    }
+    
+    async listen(port = this.options.port, host = this.options.host) {
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+        
+        return this.server.address();
+    }
+    
+    async close() {
+        this.sockets.forEach(ws => ws.terminate());
+        this.targets.forEach(target => clearTimeout(target.loadTimer));
+        await new Promise(resolve => this.wss.close(resolve));
+        const closed = new Promise(resolve => this.server.close(resolve));
+        this.server.closeAllConnections();
+        await closed;
+    }
+    
+    // Replaces the answer to a CDP method. `handler(params, target)` returns
+    // the result (or a promise of it) and may throw to send a CDP error.
+    handle(method, handler) {
+        this.handlers[method] = handler;
+        return this;
+    }
+    
+    // Sends an event to every session, or only to those of one target
+    emit(method, params = {}, targetId = null) {
+        this.targets.forEach(target => {
+            if (!targetId || target.id === targetId) {
+                this.emitTo(target, method, params);
+            }
+        });
+    }
+    
+    emitTo(target, method, params) {
+        const message = JSON.stringify({ method, params });
+        target.sockets.forEach(ws => ws.send(message));
+    }
+    
+    // Closes every CDP WebSocket without a close frame, like a Chrome crash
+    dropConnections() {
+        this.sockets.forEach(ws => ws.terminate());
+    }
+    
+    createTarget(url) {
+        const id = crypto.randomBytes(16).toString('hex').toUpperCase();
+        const target = {
+            id,
+            type: 'page',
+            url,
+            title: url,
+            readyState: 'complete',
+            viewport: { ...this.options.viewport },
+            sockets: new Set(),
+            loadTimer: null
+        };
+        this.targets.set(id, target);
+        return target;
+    }
+    
+    describeTarget(target, host) {
+        const address = `${host}/devtools/page/${target.id}`;
+        return {
+            description: '',
+            devtoolsFrontendUrl: `/devtools/inspector.html?ws=${address}`,
+            id: target.id,
+            title: target.title,
+            type: target.type,
+            url: target.url,
+            webSocketDebuggerUrl: `ws://${address}`
+        };
+    }
+    
+    handleHttp(req, res) {
+        const url = new URL(req.url, 'http://mock');
+        const host = req.headers.host;
+        const json = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json; charset=UTF-8' });
+            res.end(JSON.stringify(body, null, 3));
+        };
+        const text = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'text/plain' });
+            res.end(body);
+        };
+        
+        if (url.pathname === '/health') {
+            return text(200, 'healthy\n');
+        }
+        if (url.pathname === '/json/version') {
+            return json(200, {
+                Browser: this.options.browser,
+                'Protocol-Version': '1.3',
+                'User-Agent': `Mozilla/5.0 ${this.options.browser}`,
+                webSocketDebuggerUrl: `ws://${host}/devtools/browser/${this.browserId}`
+            });
+        }
+        if (url.pathname === '/json' || url.pathname === '/json/list') {
+            return json(200, [...this.targets.values()].map(target => this.describeTarget(target, host)));
+        }
+        if (url.pathname === '/json/new') {
+            if (req.method !== 'PUT') {
+                return text(405, `Using unsafe HTTP verb ${req.method} to invoke /json/new. This action supports only PUT verb.`);
+            }
+            const target = this.createTarget(decodeURIComponent(url.search.slice(1)) || 'about:blank');
+            return json(200, this.describeTarget(target, host));
+        }
+        const close = /^\/json\/close\/(.+)$/.exec(url.pathname);
+        if (close) {
+            const target = this.targets.get(close[1]);
+            if (!target) {
+                return text(404, `No such target id: ${close[1]}`);
+            }
+            this.closeTarget(target);
+            return text(200, 'Target is closing');
+        }
+        text(404, 'Not found');
+    }
+    
+    closeTarget(target) {
+        clearTimeout(target.loadTimer);
+        target.sockets.forEach(ws => ws.close());
+        this.targets.delete(target.id);
+    }
+    
+    handleUpgrade(req, socket, head) {
+        const match = /^\/devtools\/(page|browser)\/([^/?]+)/.exec(req.url);
+        const target = match && (match[1] === 'browser'
+            ? (match[2] === this.browserId ? this.browser : null)
+            : this.targets.get(match[2]));
+        if (!target) {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+        
+        this.wss.handleUpgrade(req, socket, head, ws => {
+            this.sockets.add(ws);
+            target.sockets.add(ws);
+            this.logger.log(`CDP session opened on target ${target.id}`);
+            ws.on('message', data => this.dispatch(ws, target, data));
+            ws.on('close', () => {
+                this.sockets.delete(ws);
+                target.sockets.delete(ws);
+                this.logger.log(`CDP session closed on target ${target.id}`);
+            });
+        });
+    }
+    
+    async dispatch(ws, target, data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return;
+        }
+        
+        const { id, method, params = {} } = message;
+        this.received.push({ targetId: target.id, method, params });
+        const handler = this.handlers[method] || DEFAULT_HANDLERS[method];
+        
+        let reply;
+        try {
+            const result = handler ? await handler.call(this, params, target) : {};
+            reply = { id, result: result || {} };
+        } catch (error) {
+            reply = { id, error: { code: error.code || -32000, message: error.message } };
+        }
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(reply));
+        }
+    }
+    
+    // Loads `url` into the target: the document request for http(s) URLs,
+    // then the lifecycle events. Resolves with the Page.navigate result.
+    async navigate(target, url) {
+        clearTimeout(target.loadTimer);
+        const loaderId = crypto.randomBytes(16).toString('hex').toUpperCase();
+        
+        let finalUrl = url;
+        let title = url;
+        if (/^https?:/.test(url)) {
+            const loaded = await this.loadDocument(target, url, loaderId);
+            if (loaded.errorText) {
+                return { frameId: target.id, loaderId, errorText: loaded.errorText };
+            }
+            finalUrl = loaded.url;
+            const match = /<title>([^<]*)<\/title>/i.exec(loaded.body);
+            title = match ? match[1] : finalUrl;
+        }
+        
+        target.url = finalUrl;
+        target.title = title;
+        target.readyState = 'loading';
+        target.loadTimer = setTimeout(() => {
+            target.readyState = 'interactive';
+            this.emitTo(target, 'Page.domContentEventFired', { timestamp: monotonic() });
+            target.loadTimer = setTimeout(() => {
+                target.readyState = 'complete';
+                this.emitTo(target, 'Page.loadEventFired', { timestamp: monotonic() });
+            }, this.options.loadDelay);
+        }, this.options.loadDelay);
+        
+        return { frameId: target.id, loaderId };
+    }
+    
+    // Fetches the document, following redirects the way Chrome reports them:
+    // one request id, with each hop's 3xx as redirectResponse
+    async loadDocument(target, url, requestId) {
+        let current = url;
+        let redirectResponse;
+        
+        for (let hop = 0; ; hop++) {
+            const timestamp = monotonic();
+            this.emitTo(target, 'Network.requestWillBeSent', {
+                requestId,
+                loaderId: requestId,
+                documentURL: current,
+                request: { url: current, method: 'GET', headers: {} },
+                timestamp,
+                wallTime: Date.now() / 1000,
+                type: 'Document',
+                frameId: target.id,
+                ...(redirectResponse ? { redirectResponse } : {})
+            });
+            
+            let fetched;
+            try {
+                fetched = await fetchOnce(current, 30000);
+            } catch (error) {
+                const errorText = NET_ERRORS[error.code] || 'net::ERR_FAILED';
+                this.emitTo(target, 'Network.loadingFailed', { requestId, timestamp: monotonic(), type: 'Document', errorText, canceled: false });
+                return { errorText };
+            }
+            
+            const { res, body, remoteAddress, remotePort } = fetched;
+            const response = {
+                url: current,
+                status: res.statusCode,
+                statusText: res.statusMessage || '',
+                headers: res.headers,
+                mimeType: String(res.headers['content-type'] || '').split(';')[0],
+                protocol: 'http/1.1',
+                remoteIPAddress: remoteAddress,
+                remotePort,
+                encodedDataLength: body.length
+            };
+            
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && hop < this.options.maxRedirects) {
+                redirectResponse = response;
+                current = new URL(res.headers.location, current).href;
+                continue;
+            }
+            
+            this.emitTo(target, 'Network.responseReceived', { requestId, loaderId: requestId, timestamp: monotonic(), type: 'Document', response, frameId: target.id });
+            this.emitTo(target, 'Network.dataReceived', { requestId, timestamp: monotonic(), dataLength: body.length, encodedDataLength: body.length });
+            this.emitTo(target, 'Network.loadingFinished', { requestId, timestamp: monotonic(), encodedDataLength: body.length });
+            return { url: current, body: body.toString('utf8') };
+        }
+    }
+}
+
+module.exports = {
+    MOCK_CDP_DEFAULTS,
+    MockChromeServer,
+    remoteObject
+};
@@ -0,0 +1,259 @@
+const { AUTH_DEFAULTS } = require('./auth');
+const { REWRITER_DEFAULTS } = require('./rewriter');
+const { ConfigError } = require('./errors');
+
+const NGINX_DEFAULTS = {
+    // Address the Chrome instances listen on, as seen from nginx
+    chromeHost: '127.0.0.1',
+    listen: 80,
+    // host:port of the token check (auth-service.js); null leaves the pool
+    // open to anyone who can reach nginx
+    authService: `${AUTH_DEFAULTS.host}:${AUTH_DEFAULTS.port}`,
+    // host:port of the /json rewriter (JsonRewriter, run by chrome-pool.js)
+    // and the loopback listener it forwards to; null passes /json responses
+    // through with Chrome's own WebSocket URLs
+    rewriter: `${REWRITER_DEFAULTS.host}:${REWRITER_DEFAULTS.port}`,
+    internalListen: '127.0.0.1:8183',
+    // Set to null to leave out the TLS server
+    sslListen: 443,
+    sslCertificate: '/etc/ssl/certs/nginx-selfsigned.crt',
+    sslCertificateKey: '/etc/ssl/private/nginx-selfsigned.key'
+};
+
+// Indents a block given as lines, which may themselves hold several lines
+function indent(lines, depth) {
+    const pad = '    '.repeat(depth);
+    return lines.join('\n').split('\n').map(line => (line ? pad + line : line)).join('\n');
+}
+
+// Same upstream settings as the single chrome_debugger upstream in nginx.conf
+function upstream(name, servers, extra = []) {
+    return [
+        `upstream ${name} {`,
+        ...extra.map(line => `    ${line}`),
+        ...servers.map(server => `    server ${server} max_fails=3 fail_timeout=30s;`),
+        '    keepalive 32;',
+        '    keepalive_requests 1000;',
+        '    keepalive_timeout 60s;',
+        '}'
+    ];
+}
+
+// auth_request lines for a location. Chrome cannot find a target whose
+// WebSocket URL still carries ?token=, so `rewrite` drops the query (and, as
+// proxy_pass then ignores its own URI, must also strip any location prefix).
+function authLines(rewrite) {
+    return [
+        '    auth_request /_auth;',
+        '    if ($arg_token) {',
+        `        rewrite ${rewrite} break;`,
+        '    }',
+        '    '
+    ];
+}
+
+// Subrequest target for auth_request, as in nginx.conf
+const AUTH_LOCATION = [
+    'location = /_auth {',
+    '    internal;',
+    '    proxy_pass http://auth_service/auth;',
+    '    proxy_http_version 1.1;',
+    '    proxy_set_header Connection "";',
+    '    proxy_pass_request_body off;',
+    '    proxy_set_header Content-Length "";',
+    '    proxy_set_header X-Original-URI $request_uri;',
+    '    proxy_set_header X-Original-Method $request_method;',
+    '    proxy_set_header X-Real-IP $remote_addr;',
+    '}'
+];
+
+// WebSocket-capable proxy location, matching the one in nginx.conf. A
+// trailing slash on `target` makes nginx strip the location prefix.
+function proxyLocation(path, target, forwardedProto, auth) {
+    return [
+        `location ${path} {`,
+        ...(auth ? authLines(path === '/' ? '^ $uri?' : `^${path.slice(0, -1)}(/.*)$ $1?`) : []),
+        `    proxy_pass ${target};`,
+        '    proxy_http_version 1.1;',
+        '    proxy_set_header Upgrade $http_upgrade;',
+        '    proxy_set_header Connection $connection_upgrade;',
+        '    proxy_set_header Host $host;',
+        '    proxy_set_header X-Real-IP $remote_addr;',
+        '    proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;',
+        `    proxy_set_header X-Forwarded-Proto ${forwardedProto};`,
+        '    ',
+        '    # Enhanced timeouts for WebSocket connections',
+        '    proxy_connect_timeout 10s;',
+        '    proxy_send_timeout 300s;',
+        '    proxy_read_timeout 300s;',
+        '    ',
+        '    # WebSocket specific settings',
+        '    proxy_buffering off;',
+        '    proxy_cache_bypass $http_upgrade;',
+        '    proxy_redirect off;',
+        '    ',
+        '    # Keep connection alive for long-lived WebSocket connections',
+        '    proxy_socket_keepalive on;',
+        '}'
+    ];
+}
+
+// /json and /instance/<n>/json, sent to the rewriter with the address the
+// client used
+function rewriterLocation(forwardedProto, auth) {
+    return [
+        'location ~ ^(/instance/[0-9]+)?/json {',
+        ...(auth ? ['    auth_request /_auth;'] : []),
+        '    proxy_pass http://json_rewriter;',
+        '    proxy_http_version 1.1;',
+        '    proxy_set_header Connection "";',
+        '    proxy_set_header X-Forwarded-Host $http_host;',
+        `    proxy_set_header X-Forwarded-Proto ${forwardedProto};`,
+        '    proxy_set_header X-Real-IP $remote_addr;',
+        '}'
+    ];
+}
+
+// Where the rewriter forwards /json requests. It passes the client address
+// on as X-Real-IP, and hashing on that sends each request to the instance
+// the client's WebSocket goes to.
+function internalServerBlock(instances, internalListen) {
+    return [
+        'server {',
+        `    listen ${internalListen};`,
+        '    set $chrome_client $http_x_real_ip;',
+        '    # Chrome only answers /json for an IP address or localhost',
+        '    proxy_set_header Host localhost;',
+        '',
+        ...instances.flatMap(instance => [
+            `    location /instance/${instance.index}/ {`,
+            `        proxy_pass http://chrome_instance_${instance.index}/;`,
+            '    }',
+            ''
+        ]),
+        '    location / {',
+        '        proxy_pass http://chrome_pool;',
+        '    }',
+        '}'
+    ];
+}
+
+function serverBlock(instances, { listen, ssl, forwardedProto, auth, rewrite, sslCertificate, sslCertificateKey }) {
+    const lines = [
+        'server {',
+        `    listen ${listen}${ssl ? ' ssl' : ''};`,
+        '    server_name _;',
+        '    set $chrome_client $remote_addr;',
+        ''
+    ];
+    
+    if (ssl) {
+        lines.push(
+            `    ssl_certificate ${sslCertificate};`,
+            `    ssl_certificate_key ${sslCertificateKey};`,
+            '',
+            '    ssl_protocols TLSv1.2 TLSv1.3;',
+            '    ssl_ciphers HIGH:!aNULL:!MD5;',
+            '    ssl_prefer_server_ciphers on;',
+            ''
+        );
+    }
+    
+    lines.push(
+        '    location /health {',
+        '        access_log off;',
+        '        return 200 "healthy\\n";',
+        '        add_header Content-Type text/plain;',
+        '    }',
+        ''
+    );
+    if (auth) {
+        lines.push(indent(AUTH_LOCATION, 1), '');
+    }
+    if (rewrite) {
+        lines.push(indent(rewriterLocation(forwardedProto, auth), 1), '');
+    }
+    
+    instances.forEach(instance => {
+        // Healthy only while this instance answers /json/version
+        lines.push(
+            `    location = /instance/${instance.index}/health {`,
+            '        access_log off;',
+            ...(auth ? ['        auth_request /_auth;'] : []),
+            `        proxy_pass http://chrome_instance_${instance.index}/json/version;`,
+            '    }',
+            '',
+            indent(proxyLocation(`/instance/${instance.index}/`, `http://chrome_instance_${instance.index}/`, forwardedProto, auth), 1),
+            ''
+        );
+    });
+    
+    lines.push(indent(proxyLocation('/', 'http://chrome_pool', forwardedProto, auth), 1), '}');
+    return lines;
+}
+
+// Builds an nginx.conf for a pool of Chrome instances ({ index, port }).
+// Each instance is reachable under /instance/<index>/ (including its own
+// /instance/<index>/health), and everything else is spread over the pool.
+// Unless `authService` is null, all of it but /health needs a token, and
+// unless `rewriter` is null, /json responses name the proxy's address.
+// CDP target ids only exist on the instance that created them, so the pool
+// hashes on the client address: one client always lands on the same
+// instance, and its /json/* calls and WebSocket stay together.
+function generateNginxConfig(instances, options = {}) {
+    const { chromeHost, listen, authService, rewriter, internalListen, sslListen, sslCertificate, sslCertificateKey } = { ...NGINX_DEFAULTS, ...options };
+    const auth = !!authService;
+    const rewrite = !!rewriter;
+    if (!Array.isArray(instances) || instances.length === 0) {
+        throw new ConfigError('An nginx configuration needs at least one Chrome instance');
+    }
+    
+    const upstreams = [
+        ...instances.flatMap(instance => [...upstream(`chrome_instance_${instance.index}`, [`${chromeHost}:${instance.port}`]), '']),
+        ...upstream('chrome_pool', instances.map(instance => `${chromeHost}:${instance.port}`), ['hash $chrome_client consistent;'])
+    ];
+    if (auth) {
+        upstreams.push('', 'upstream auth_service {', `    server ${authService};`, '    keepalive 8;', '}');
+    }
+    if (rewrite) {
+        upstreams.push('', 'upstream json_rewriter {', `    server ${rewriter};`, '    keepalive 8;', '}');
+    }
+    const servers = [serverBlock(instances, { listen, ssl: false, forwardedProto: '$scheme', auth, rewrite })];
+    if (sslListen) {
+        servers.push(serverBlock(instances, { listen: sslListen, ssl: true, forwardedProto: 'https', auth, rewrite, sslCertificate, sslCertificateKey }));
+    }
+    if (rewrite) {
+        servers.push(internalServerBlock(instances, internalListen));
+    }
+    
+    return [
+        `# Generated by chrome-pool.js for ${instances.length} Chrome instance(s); edits are overwritten`,
+        'events {',
+        '    worker_connections 1024;',
+        '}',
+        '',
+        'http {',
+        indent(upstreams, 1),
+        '',
+        '    map $http_upgrade $connection_upgrade {',
+        '        default upgrade;',
+        "        '' close;",
+        '    }',
+        '',
+        servers.map(server => indent(server, 1)).join('\n\n'),
+        '}',
+        ''
+    ].join('\n');
+}
+
+// host and port of a "host:port" setting
+function parseAddress(address) {
+    const separator = address.lastIndexOf(':');
+    return { host: address.slice(0, separator), port: parseInt(address.slice(separator + 1)) };
+}
+
+module.exports = {
+    NGINX_DEFAULTS,
+    parseAddress,
+    generateNginxConfig
+};
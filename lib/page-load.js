@@ -0,0 +1,220 @@
+const { ConfigError, NavigationError } = require('./errors');
+const { silentLogger, sleep } = require('./utils');
+
+const WAIT_EVENTS = ['load', 'domcontentloaded', 'networkidle'];
+
+// Lifecycle events already reached for each document.readyState, so a
+// condition is met even when its event fired before we started listening.
+const READY_STATE_EVENTS = {
+    loading: [],
+    interactive: ['domcontentloaded'],
+    complete: ['domcontentloaded', 'load']
+};
+
+// Checks the --wait-for / --wait-selector / --wait-function options and
+// returns them; throws ConfigError for anything that could never be met.
+function validateWaitConditions(options = {}) {
+    const { waitFor, waitSelector, waitFunction } = options;
+    
+    if (waitFor !== undefined && !WAIT_EVENTS.includes(waitFor)) {
+        throw new ConfigError(`Unsupported wait event "${waitFor}". Use one of: ${WAIT_EVENTS.join(', ')}`);
+    }
+    if (waitSelector !== undefined && (typeof waitSelector !== 'string' || !waitSelector.trim())) {
+        throw new ConfigError('Wait selector must be a non-empty CSS selector');
+    }
+    if (waitFunction !== undefined && (typeof waitFunction !== 'string' || !waitFunction.trim())) {
+        throw new ConfigError('Wait function must be a non-empty JavaScript expression');
+    }
+    
+    return { waitFor, waitSelector, waitFunction };
+}
+
+// Counts in-flight requests by id. A request is done once it finishes or
+// fails, so a failed request no longer keeps the page from going idle, and
+// a response for a request we never saw start cannot push the count down.
+function trackNetwork(Network, log) {
+    const inflight = new Set();
+    let lastActivity = Date.now();
+    
+    const onStarted = ({ requestId }) => {
+        inflight.add(requestId);
+        lastActivity = Date.now();
+        log(`Network request started. Active requests: ${inflight.size}`);
+    };
+    
+    const onDone = ({ requestId }) => {
+        if (inflight.delete(requestId)) {
+            lastActivity = Date.now();
+            log(`Network request done. Active requests: ${inflight.size}`);
+        }
+    };
+    
+    const unsubscribe = [
+        Network.requestWillBeSent(onStarted),
+        Network.loadingFinished(onDone),
+        Network.loadingFailed(onDone)
+    ];
+    
+    return {
+        isIdle: idleTime => inflight.size === 0 && Date.now() - lastActivity >= idleTime,
+        dispose: () => unsubscribe.forEach(off => off())
+    };
+}
+
+// Resolves to undefined once `ms` have passed, so a wait function whose
+// promise never settles cannot outlive the overall timeout.
+function withTimeout(promise, ms) {
+    let timer;
+    const expired = new Promise(resolve => {
+        timer = setTimeout(resolve, Math.max(ms, 0));
+    });
+    
+    return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+// Waits until the page is ready, bounded by `loadTimeout`.
+//
+// With explicit conditions (`waitFor`, `waitSelector`, `waitFunction`) every
+// one of them must be met, otherwise a NavigationError names the ones still
+// pending. Without them, the first of the load event or network idle after
+// DOMContentLoaded wins, and a timeout only logs and resolves with
+// `success: false` so the caller can capture the page as it is.
+async function waitForPageLoad(client, url, options = {}) {
+    const {
+        loadTimeout = 15000,
+        networkIdleTime = 500,
+        pollInterval = 100,
+        verboseLogging = false,
+        logger = silentLogger
+    } = options;
+    const { waitFor, waitSelector, waitFunction } = validateWaitConditions(options);
+    
+    const {Network, Page, Runtime} = client;
+    const deadline = Date.now() + loadTimeout;
+    const verbose = message => {
+        if (verboseLogging) logger.log(message);
+    };
+    const reached = {};
+    let lastError = null;
+    
+    const evaluate = async expression => {
+        try {
+            const response = await withTimeout(Runtime.evaluate({
+                expression,
+                returnByValue: true,
+                awaitPromise: true
+            }), deadline - Date.now());
+            
+            if (!response) return undefined;
+            if (response.exceptionDetails) {
+                const { exception, text } = response.exceptionDetails;
+                lastError = (exception && exception.description) || text;
+                return undefined;
+            }
+            return response.result.value;
+        } catch (error) {
+            // The execution context goes away while a new document commits
+            lastError = error.message;
+            return undefined;
+        }
+    };
+    
+    const hasReached = event => event === 'networkidle'
+        ? reached.domcontentloaded && network.isIdle(networkIdleTime)
+        : !!reached[event];
+    
+    const conditions = [];
+    if (waitFor) {
+        conditions.push({ method: waitFor, description: waitFor, met: async () => hasReached(waitFor) });
+    }
+    if (waitSelector) {
+        conditions.push({
+            method: 'selector',
+            description: `selector ${waitSelector}`,
+            met: async () => !!await evaluate(`!!document.querySelector(${JSON.stringify(waitSelector)})`)
+        });
+    }
+    if (waitFunction) {
+        conditions.push({ method: 'function', description: `function ${waitFunction}`, met: async () => !!await evaluate(waitFunction) });
+    }
+    
+    const explicit = conditions.length > 0;
+    if (!explicit) {
+        conditions.push(
+            { method: 'loadEventFired', description: 'the load event', met: async () => hasReached('load') },
+            { method: 'networkIdle', description: 'network idle', met: async () => hasReached('networkidle') }
+        );
+    }
+    
+    verbose(`Waiting up to ${loadTimeout}ms for ${conditions.map(condition => condition.description).join(explicit ? ' and ' : ' or ')}...`);
+    
+    const network = trackNetwork(Network, verbose);
+    const unsubscribe = [
+        Page.domContentEventFired(() => {
+            reached.domcontentloaded = true;
+        }),
+        Page.loadEventFired(() => {
+            reached.domcontentloaded = true;
+            reached.load = true;
+        })
+    ];
+    
+    try {
+        let pending = conditions;
+        
+        while (true) {
+            if (!reached.load && (waitFor || !explicit)) {
+                const readyState = await evaluate('document.readyState');
+                (READY_STATE_EVENTS[readyState] || []).forEach(event => {
+                    reached[event] = true;
+                });
+            }
+            
+            const stillPending = [];
+            for (const condition of pending) {
+                if (await condition.met()) {
+                    verbose(`Wait condition met: ${condition.description}`);
+                    if (!explicit) {
+                        logger.log(`Page loaded successfully via ${condition.method}`);
+                        return { success: true, method: condition.method };
+                    }
+                } else {
+                    stillPending.push(condition);
+                }
+            }
+            pending = stillPending;
+            
+            if (pending.length === 0) {
+                const method = conditions.map(condition => condition.method).join('+');
+                logger.log(`Page loaded successfully via ${method}`);
+                return { success: true, method };
+            }
+            
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) break;
+            await sleep(Math.min(pollInterval, remaining));
+        }
+        
+        if (explicit) {
+            const waitingFor = pending.map(condition => condition.description).join(', ');
+            throw new NavigationError(
+                `Timed out after ${loadTimeout}ms loading ${url} waiting for ${waitingFor}` +
+                (lastError ? ` (last error: ${lastError})` : '')
+            );
+        }
+        
+        logger.log(`Load not detected within ${loadTimeout}ms, continuing with the page as it is`);
+        return { success: false, method: 'timeout' };
+        
+    } finally {
+        // Clean up event listeners
+        network.dispose();
+        unsubscribe.forEach(off => off());
+    }
+}
+
+module.exports = {
+    WAIT_EVENTS,
+    validateWaitConditions,
+    waitForPageLoad
+};
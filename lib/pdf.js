@@ -0,0 +1,100 @@
+const { ConfigError } = require('./errors');
+
+// Paper sizes in inches, as Page.printToPDF expects
+const PAPER_SIZES = {
+    letter: { width: 8.5, height: 11 },
+    legal: { width: 8.5, height: 14 },
+    tabloid: { width: 11, height: 17 },
+    a3: { width: 11.69, height: 16.54 },
+    a4: { width: 8.27, height: 11.69 },
+    a5: { width: 5.83, height: 8.27 }
+};
+
+const UNITS_PER_INCH = {
+    in: 1,
+    cm: 2.54,
+    mm: 25.4,
+    px: 96
+};
+
+// Converts "1in", "2.5cm", "10mm", "96px" or a bare number (inches) to inches
+function parseLength(value) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(in|cm|mm|px)?\s*$/i.exec(String(value));
+    if (!match) {
+        throw new ConfigError(`Invalid length "${value}"; expected a number with an optional in, cm, mm or px unit`);
+    }
+    return Number(match[1]) / UNITS_PER_INCH[(match[2] || 'in').toLowerCase()];
+}
+
+// Accepts one value for all sides or "top,right,bottom,left" (CSS order)
+function parseMargins(value) {
+    const parts = String(value).split(',').map(parseLength);
+    
+    if (parts.length === 1) {
+        const [all] = parts;
+        return { top: all, right: all, bottom: all, left: all };
+    }
+    if (parts.length === 4) {
+        const [top, right, bottom, left] = parts;
+        return { top, right, bottom, left };
+    }
+    throw new ConfigError(`Invalid margin "${value}"; expected one value or top,right,bottom,left`);
+}
+
+// Builds Page.printToPDF parameters from the user-facing options:
+// paper, landscape, margin, printBackground, headerTemplate, footerTemplate.
+function buildPrintOptions(options = {}) {
+    const {
+        paper = 'letter',
+        landscape = false,
+        margin,
+        printBackground = false,
+        headerTemplate,
+        footerTemplate
+    } = options;
+    
+    const size = PAPER_SIZES[String(paper).toLowerCase()];
+    if (!size) {
+        throw new ConfigError(`Unknown paper size "${paper}"; available: ${Object.keys(PAPER_SIZES).join(', ')}`);
+    }
+    
+    const params = {
+        paperWidth: size.width,
+        paperHeight: size.height,
+        landscape: !!landscape,
+        printBackground: !!printBackground
+    };
+    
+    if (margin !== undefined) {
+        const margins = typeof margin === 'object'
+            ? {
+                top: parseLength(margin.top || 0),
+                right: parseLength(margin.right || 0),
+                bottom: parseLength(margin.bottom || 0),
+                left: parseLength(margin.left || 0)
+            }
+            : parseMargins(margin);
+        params.marginTop = margins.top;
+        params.marginRight = margins.right;
+        params.marginBottom = margins.bottom;
+        params.marginLeft = margins.left;
+    }
+    
+    // Chrome only prints header/footer when asked to, and then fills in its
+    // own default for whichever template is missing; an empty span keeps
+    // that side blank instead.
+    if (headerTemplate || footerTemplate) {
+        params.displayHeaderFooter = true;
+        params.headerTemplate = headerTemplate || '<span></span>';
+        params.footerTemplate = footerTemplate || '<span></span>';
+    }
+    
+    return params;
+}
+
+module.exports = {
+    PAPER_SIZES,
+    parseLength,
+    parseMargins,
+    buildPrintOptions
+};
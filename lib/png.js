@@ -0,0 +1,176 @@
+const zlib = require('zlib');
+
+// Just enough PNG to compare Chrome's screenshots: 8-bit, non-interlaced
+// images of any colour type are decoded to RGBA, and RGBA images are encoded
+// for diff output.
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Bytes per pixel for each colour type at 8 bits per channel
+const CHANNELS = {
+    0: 1, // greyscale
+    2: 3, // RGB
+    3: 1, // palette index
+    4: 2, // greyscale + alpha
+    6: 4 // RGBA
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const toLeft = Math.abs(estimate - left);
+    const toUp = Math.abs(estimate - up);
+    const toUpLeft = Math.abs(estimate - upLeft);
+    
+    if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+    return toUp <= toUpLeft ? up : upLeft;
+}
+
+// Returns { width, height, data } with `data` as RGBA bytes
+function decodePng(buffer) {
+    if (buffer.length < SIGNATURE.length || !buffer.subarray(0, SIGNATURE.length).equals(SIGNATURE)) {
+        throw new Error('not a PNG file');
+    }
+    
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+    
+    for (let offset = SIGNATURE.length; offset + 8 <= buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += length + 12;
+        
+        if (type === 'IHDR') {
+            header = {
+                width: data.readUInt32BE(0),
+                height: data.readUInt32BE(4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+    
+    if (!header) {
+        throw new Error('PNG has no IHDR chunk');
+    }
+    const { width, height, bitDepth, colorType, interlace } = header;
+    const channels = CHANNELS[colorType];
+    if (bitDepth !== 8 || !channels || interlace !== 0) {
+        throw new Error(`unsupported PNG (bit depth ${bitDepth}, colour type ${colorType}, interlace ${interlace})`);
+    }
+    if (colorType === 3 && !palette) {
+        throw new Error('palette PNG has no PLTE chunk');
+    }
+    
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const stride = width * channels;
+    if (raw.length < height * (stride + 1)) {
+        throw new Error('PNG image data is truncated');
+    }
+    
+    // Undo the per-row filters in place
+    const pixels = Buffer.alloc(height * stride);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const source = y * (stride + 1) + 1;
+        const row = y * stride;
+        
+        for (let x = 0; x < stride; x++) {
+            const left = x >= channels ? pixels[row + x - channels] : 0;
+            const up = y > 0 ? pixels[row - stride + x] : 0;
+            const upLeft = y > 0 && x >= channels ? pixels[row - stride + x - channels] : 0;
+            let predictor = 0;
+            
+            if (filter === 1) predictor = left;
+            else if (filter === 2) predictor = up;
+            else if (filter === 3) predictor = (left + up) >> 1;
+            else if (filter === 4) predictor = paeth(left, up, upLeft);
+            else if (filter !== 0) throw new Error(`invalid PNG filter type ${filter}`);
+            
+            pixels[row + x] = (raw[source + x] + predictor) & 0xff;
+        }
+    }
+    
+    const data = Buffer.alloc(width * height * 4);
+    for (let i = 0, p = 0; i < width * height; i++, p += channels) {
+        const out = i * 4;
+        if (colorType === 0 || colorType === 4) {
+            data[out] = data[out + 1] = data[out + 2] = pixels[p];
+            data[out + 3] = colorType === 4 ? pixels[p + 1] : 255;
+        } else if (colorType === 3) {
+            const index = pixels[p];
+            palette.copy(data, out, index * 3, index * 3 + 3);
+            data[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+        } else {
+            data[out] = pixels[p];
+            data[out + 1] = pixels[p + 1];
+            data[out + 2] = pixels[p + 2];
+            data[out + 3] = colorType === 6 ? pixels[p + 3] : 255;
+        }
+    }
+    
+    return { width, height, data };
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    
+    return Buffer.concat([length, body, crc]);
+}
+
+// Encodes { width, height, data } (RGBA bytes) as an unfiltered PNG
+function encodePng({ width, height, data }) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = 6;
+    
+    const stride = width * 4;
+    const raw = Buffer.alloc(height * (stride + 1));
+    for (let y = 0; y < height; y++) {
+        data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+    
+    return Buffer.concat([
+        SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+module.exports = {
+    decodePng,
+    encodePng
+};
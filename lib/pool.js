@@ -0,0 +1,124 @@
+const fs = require('fs');
+const { ChromeProxyClient } = require('./client');
+const { captureEntry, summarizeBatch } = require('./batch');
+const { createTarget, closeTarget } = require('./connection');
+const { CaptureError } = require('./errors');
+const { silentLogger, withDeadline } = require('./utils');
+
+// Extra time an entry may take beyond its load timeout (render delay,
+// capture, file write) before its tab is considered hung.
+const HUNG_PAGE_MARGIN = 30000;
+
+// Like runBatch, but spreads the entries over `concurrency` tabs, each opened
+// through the proxy's /json/new endpoint with its own CDP connection. An entry
+// that overruns its deadline is failed and its tab replaced, so one hung page
+// only costs a single worker a single slot. All tabs are closed at the end.
+async function runParallelBatch(clientOptions, entries, options = {}) {
+    const {
+        concurrency = 2,
+        outDir = '.',
+        timeout = 15000,
+        hungPageMargin = HUNG_PAGE_MARGIN,
+        logger = silentLogger
+    } = options;
+    
+    fs.mkdirSync(outDir, { recursive: true });
+    
+    const readyClient = new ChromeProxyClient({ ...clientOptions, logger });
+    await readyClient.checkReady();
+    const endpoint = readyClient.endpoint;
+    
+    const results = new Array(entries.length);
+    const workerCount = Math.max(1, Math.min(concurrency, entries.length));
+    let next = 0;
+    
+    async function openTab() {
+        const target = await createTarget(endpoint);
+        const client = new ChromeProxyClient({ ...clientOptions, endpoint, target, logger });
+        
+        try {
+            await client.attach();
+        } catch (error) {
+            await closeTarget(endpoint, target.id).catch(() => {});
+            throw error;
+        }
+        
+        logger.log(`Opened target ${target.id}`);
+        return { target, client, state: {} };
+    }
+    
+    async function discardTab(tab) {
+        await tab.client.close().catch(() => {});
+        try {
+            await closeTarget(endpoint, tab.target.id);
+            logger.log(`Closed target ${tab.target.id}`);
+        } catch (error) {
+            logger.error(`Failed to close target ${tab.target.id}: ${error.message}`);
+        }
+    }
+    
+    async function worker() {
+        let tab = null;
+        
+        try {
+            while (next < entries.length) {
+                const index = next++;
+                const entry = entries[index];
+                
+                if (!tab) {
+                    try {
+                        tab = await openTab();
+                    } catch (error) {
+                        results[index] = failedResult(entry, error);
+                        logger.log(`[${index + 1}/${entries.length}] Failed ${entry.url}: ${error.message}`);
+                        continue;
+                    }
+                }
+                
+                const deadline = (entry.timeout || timeout) + hungPageMargin;
+                const outcome = await withDeadline(
+                    captureEntry(tab.client, entry, index, entries.length, options, tab.state),
+                    deadline
+                );
+                
+                if (outcome.timedOut) {
+                    const error = new CaptureError(`Capture of ${entry.url} did not finish within ${deadline}ms; target abandoned`);
+                    results[index] = failedResult(entry, error, deadline);
+                    logger.log(`[${index + 1}/${entries.length}] ${error.message}`);
+                    await discardTab(tab);
+                    tab = null;
+                } else {
+                    results[index] = { ...outcome.result, targetId: tab.target.id };
+                }
+            }
+        } finally {
+            if (tab) {
+                await discardTab(tab);
+            }
+        }
+    }
+    
+    const workers = [];
+    for (let i = 0; i < workerCount; i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+    
+    return summarizeBatch(results);
+}
+
+function failedResult(entry, error, durationMs = 0) {
+    return {
+        url: entry.url,
+        status: 'failed',
+        file: null,
+        loadMethod: null,
+        error: error.message,
+        errorCode: error.code || null,
+        durationMs
+    };
+}
+
+module.exports = {
+    runParallelBatch
+};
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const { decodePng, encodePng } = require('./png');
+const { ConfigError } = require('./errors');
+
+const COMPARE_DEFAULTS = {
+    // Per-pixel colour tolerance, 0 (exact) to 1 (anything goes)
+    threshold: 0.1,
+    // Percentage of differing pixels allowed before the comparison fails
+    maxDiff: 0
+};
+
+// Largest YIQ distance between two colours (black vs white)
+const MAX_YIQ_DELTA = 35215;
+
+// Composites a channel over white so transparent pixels compare by what the
+// viewer would actually see.
+function blend(value, alpha) {
+    return 255 + (value - 255) * alpha;
+}
+
+function yiqDelta(a, i, b, j) {
+    const alphaA = a[i + 3] / 255;
+    const alphaB = b[j + 3] / 255;
+    const r = blend(a[i], alphaA) - blend(b[j], alphaB);
+    const g = blend(a[i + 1], alphaA) - blend(b[j + 1], alphaB);
+    const bl = blend(a[i + 2], alphaA) - blend(b[j + 2], alphaB);
+    
+    const y = r * 0.29889531 + g * 0.58662247 + bl * 0.11448223;
+    const iq = r * 0.59597799 - g * 0.2741761 - bl * 0.32180189;
+    const q = r * 0.21147017 - g * 0.52261711 + bl * 0.31114694;
+    return 0.5053 * y * y + 0.299 * iq * iq + 0.1957 * q * q;
+}
+
+// Compares two decoded RGBA images pixel by pixel. Images of different sizes
+// are compared over the larger canvas, pixels outside either image counting
+// as different. The diff image shows unchanged pixels as a faded greyscale
+// copy of `actual` and changed pixels in red.
+function compareImages(actual, expected, options = {}) {
+    const { threshold = COMPARE_DEFAULTS.threshold } = options;
+    const width = Math.max(actual.width, expected.width);
+    const height = Math.max(actual.height, expected.height);
+    const maxDelta = MAX_YIQ_DELTA * threshold * threshold;
+    const diff = Buffer.alloc(width * height * 4);
+    let diffPixels = 0;
+    
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const out = (y * width + x) * 4;
+            const inActual = x < actual.width && y < actual.height;
+            const inExpected = x < expected.width && y < expected.height;
+            const i = (y * actual.width + x) * 4;
+            const j = (y * expected.width + x) * 4;
+            const changed = !inActual || !inExpected || yiqDelta(actual.data, i, expected.data, j) > maxDelta;
+            
+            if (changed) {
+                diffPixels++;
+                diff[out] = 255;
+                diff[out + 1] = 0;
+                diff[out + 2] = 0;
+            } else {
+                const alpha = actual.data[i + 3] / 255;
+                const grey = blend(0.299 * actual.data[i] + 0.587 * actual.data[i + 1] + 0.114 * actual.data[i + 2], alpha);
+                diff[out] = diff[out + 1] = diff[out + 2] = Math.round(255 - (255 - grey) * 0.1);
+            }
+            diff[out + 3] = 255;
+        }
+    }
+    
+    const totalPixels = width * height;
+    return {
+        width,
+        height,
+        sizeMatches: actual.width === expected.width && actual.height === expected.height,
+        diffPixels,
+        mismatch: totalPixels === 0 ? 0 : Math.round(diffPixels / totalPixels * 100 * 1000) / 1000,
+        diff: { width, height, data: diff }
+    };
+}
+
+// Checks a PNG capture against the baseline file. With `update` the capture
+// becomes the new baseline instead. The returned status is one of 'match',
+// 'mismatch', 'missing' (no baseline yet) or 'updated'; a diff image is
+// written to `diffFile` whenever any pixel differs.
+function checkBaseline(image, baselineFile, options = {}) {
+    const {
+        threshold = COMPARE_DEFAULTS.threshold,
+        maxDiff = COMPARE_DEFAULTS.maxDiff,
+        update = false,
+        diffFile = null
+    } = options;
+    const result = { status: null, baseline: baselineFile, mismatch: null, diffPixels: null, diffFile: null };
+    
+    if (update) {
+        fs.mkdirSync(path.dirname(baselineFile), { recursive: true });
+        fs.writeFileSync(baselineFile, image);
+        result.status = 'updated';
+        return result;
+    }
+    
+    if (!fs.existsSync(baselineFile)) {
+        result.status = 'missing';
+        return result;
+    }
+    
+    let expected;
+    try {
+        expected = decodePng(fs.readFileSync(baselineFile));
+    } catch (error) {
+        throw new ConfigError(`Cannot read baseline ${baselineFile}: ${error.message}`, { cause: error });
+    }
+    
+    const comparison = compareImages(decodePng(image), expected, { threshold });
+    const percent = comparison.diffPixels / (comparison.width * comparison.height) * 100;
+    result.status = comparison.diffPixels > 0 && percent > maxDiff ? 'mismatch' : 'match';
+    result.mismatch = comparison.mismatch;
+    result.diffPixels = comparison.diffPixels;
+    result.sizeMatches = comparison.sizeMatches;
+    
+    if (comparison.diffPixels > 0 && diffFile) {
+        fs.writeFileSync(diffFile, encodePng(comparison.diff));
+        result.diffFile = diffFile;
+    } else if (diffFile) {
+        // Left over from an earlier run that did differ
+        fs.rmSync(diffFile, { force: true });
+    }
+    
+    return result;
+}
+
+// Baseline for a capture named `filename`: `baseline` is either a .png file
+// (single captures only) or a directory holding one baseline per file name.
+function baselinePath(baseline, filename) {
+    const isFile = path.extname(baseline).toLowerCase() === '.png' &&
+        !(fs.existsSync(baseline) && fs.statSync(baseline).isDirectory());
+    
+    return isFile ? baseline : path.join(baseline, filename);
+}
+
+// screenshot.png -> screenshot.diff.png
+function diffFilename(file) {
+    const ext = path.extname(file);
+    return `${file.slice(0, file.length - ext.length)}.diff${ext}`;
+}
+
+// Compares a capture just written to `file` with its baseline; the diff image
+// goes next to the capture as <name>.diff.png.
+function compareCapture(image, file, options) {
+    const { baseline, ...compareOptions } = options;
+    
+    return checkBaseline(image, baselinePath(baseline, path.basename(file)), {
+        ...compareOptions,
+        diffFile: diffFilename(file)
+    });
+}
+
+function validateCompareOptions({ threshold, maxDiff } = {}) {
+    if (threshold !== undefined && !(Number.isFinite(threshold) && threshold >= 0 && threshold <= 1)) {
+        throw new ConfigError('Threshold must be a number between 0 and 1');
+    }
+    if (maxDiff !== undefined && !(Number.isFinite(maxDiff) && maxDiff >= 0 && maxDiff <= 100)) {
+        throw new ConfigError('Maximum difference must be a percentage between 0 and 100');
+    }
+}
+
+function describeComparison(comparison) {
+    if (comparison.status === 'updated') {
+        return `baseline updated (${comparison.baseline})`;
+    }
+    if (comparison.status === 'missing') {
+        return `no baseline at ${comparison.baseline}; run with --update-baseline to create it`;
+    }
+    return `${comparison.mismatch}% of pixels differ from ${comparison.baseline}` +
+        (comparison.sizeMatches ? '' : ' (image size changed)') +
+        (comparison.diffFile ? `, diff: ${comparison.diffFile}` : '');
+}
+
+module.exports = {
+    COMPARE_DEFAULTS,
+    compareImages,
+    checkBaseline,
+    compareCapture,
+    baselinePath,
+    diffFilename,
+    validateCompareOptions,
+    describeComparison
+};
@@ -0,0 +1,147 @@
+const http = require('http');
+const { extractToken } = require('./auth');
+const { silentLogger } = require('./utils');
+
+const REWRITER_DEFAULTS = {
+    host: '127.0.0.1',
+    port: 8182,
+    // Where /json requests are forwarded: Chrome itself, or for a pool the
+    // internal nginx listener that routes to the instances
+    upstream: { host: '127.0.0.1', port: 48333 },
+    timeout: 10000,
+    logger: silentLogger
+};
+
+// The address clients used to reach the proxy, from the X-Forwarded-* headers
+// nginx sets. `prefix` is whatever came before /json in the path, e.g.
+// /instance/2 on a Chrome pool.
+function externalOrigin(req) {
+    const scheme = String(req.headers['x-forwarded-proto'] || 'http').split(',')[0].trim();
+    const pathname = req.url.split('?')[0];
+    return {
+        secure: scheme === 'https',
+        host: req.headers['x-forwarded-host'] || req.headers.host,
+        prefix: pathname.slice(0, Math.max(pathname.indexOf('/json'), 0))
+    };
+}
+
+// Drops the token parameter, which only nginx needs, from a request path.
+// /json/new takes the rest of the query as its URL, so only a trailing
+// token=... or one of several &-separated parameters is removed.
+function stripToken(requestPath) {
+    return requestPath.replace(/([?&])token=[^&]*(&|$)/, (match, before, after) => (after ? before : '')).replace(/\?$/, '');
+}
+
+// Points the WebSocket URLs in a /json/version or /json/list body at the
+// proxy: `webSocketDebuggerUrl` and the ws=/wss= parameter of
+// `devtoolsFrontendUrl` keep their path and get the proxy's scheme, host and
+// prefix, plus `token` when the caller authenticated with one.
+function rewriteDebuggerUrls(data, { secure, host, prefix = '', token = null }) {
+    if (Array.isArray(data)) {
+        return data.map(item => rewriteDebuggerUrls(item, { secure, host, prefix, token }));
+    }
+    if (!data || typeof data !== 'object') {
+        return data;
+    }
+    
+    const query = token ? `?token=${encodeURIComponent(token)}` : '';
+    const rewritten = { ...data };
+    if (typeof data.webSocketDebuggerUrl === 'string') {
+        const { pathname } = new URL(data.webSocketDebuggerUrl);
+        rewritten.webSocketDebuggerUrl = `${secure ? 'wss' : 'ws'}://${host}${prefix}${pathname}${query}`;
+    }
+    if (typeof data.devtoolsFrontendUrl === 'string') {
+        rewritten.devtoolsFrontendUrl = data.devtoolsFrontendUrl.replace(/([?&])wss?=([^&#]*)/, (match, separator, target) => {
+            const pathname = decodeURIComponent(target).replace(/^[^/]*/, '').split('?')[0];
+            return `${separator}${secure ? 'wss' : 'ws'}=${encodeURIComponent(`${host}${prefix}${pathname}${query}`)}`;
+        });
+    }
+    return rewritten;
+}
+
+// Sits between nginx and Chrome for the /json endpoints. Chrome builds the
+// WebSocket URLs in its responses from the address it was reached on
+// (e.g. ws://127.0.0.1:48333/...), which is useless to clients outside the
+// proxy; this forwards each request upstream and rewrites those URLs to the
+// proxy's external address. Everything else passes through unchanged.
+class JsonRewriter {
+    constructor(options = {}) {
+        this.options = { ...REWRITER_DEFAULTS, ...options };
+        this.logger = this.options.logger;
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+    
+    async listen(port = this.options.port, host = this.options.host) {
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+        
+        return this.server.address();
+    }
+    
+    async close() {
+        await new Promise(resolve => this.server.close(resolve));
+    }
+    
+    handle(req, res) {
+        const { upstream, timeout } = this.options;
+        const origin = externalOrigin(req);
+        const headers = { 'X-Real-IP': req.headers['x-real-ip'] || req.socket.remoteAddress };
+        
+        const forward = http.request({
+            host: upstream.host,
+            port: upstream.port,
+            path: stripToken(req.url),
+            method: req.method,
+            headers
+        }, upstreamRes => {
+            const isJson = /application\/json/.test(upstreamRes.headers['content-type'] || '');
+            if (!isJson || !origin.host) {
+                res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+                return upstreamRes.pipe(res);
+            }
+            
+            const chunks = [];
+            upstreamRes.on('data', chunk => chunks.push(chunk));
+            upstreamRes.on('end', () => {
+                let body = Buffer.concat(chunks);
+                try {
+                    const data = rewriteDebuggerUrls(JSON.parse(body.toString('utf8')), { ...origin, token: extractToken(req) });
+                    body = Buffer.from(JSON.stringify(data, null, 3));
+                } catch (error) {
+                    // Not the JSON it claimed to be; hand it on as it is
+                    this.logger.error(`Could not rewrite ${req.url.split('?')[0]}: ${error.message}`);
+                }
+                res.writeHead(upstreamRes.statusCode, {
+                    'Content-Type': upstreamRes.headers['content-type'],
+                    'Content-Length': body.length
+                });
+                res.end(body);
+            });
+        });
+        
+        forward.setTimeout(timeout, () => {
+            forward.destroy(new Error(`No answer within ${timeout}ms`));
+        });
+        forward.on('error', error => {
+            this.logger.error(`${req.method} ${req.url.split('?')[0]} -> ${upstream.host}:${upstream.port} failed: ${error.message}`);
+            if (!res.headersSent) {
+                res.writeHead(502, { 'Content-Type': 'text/plain' });
+            }
+            res.end(`Chrome is unreachable: ${error.message}\n`);
+        });
+        req.pipe(forward);
+    }
+}
+
+module.exports = {
+    REWRITER_DEFAULTS,
+    JsonRewriter,
+    externalOrigin,
+    rewriteDebuggerUrls,
+    stripToken
+};
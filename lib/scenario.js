@@ -0,0 +1,355 @@
+const fs = require('fs');
+const { WAIT_EVENTS, waitForPageLoad } = require('./page-load');
+const { ConfigError, ScenarioError } = require('./errors');
+const { silentLogger, sleep } = require('./utils');
+
+// Options each step action accepts besides the common `action`, `name` and
+// `timeout`
+const STEP_ACTIONS = {
+    setCookies: ['cookies'],
+    setHeaders: ['headers'],
+    evaluate: ['expression'],
+    click: ['selector'],
+    type: ['selector', 'text'],
+    scroll: ['selector', 'x', 'y'],
+    wait: ['ms', 'selector', 'function', 'event']
+};
+const COMMON_KEYS = ['action', 'name', 'timeout'];
+
+// Actions that change what the next request sends rather than the page, so
+// they can run before the first navigation
+const SETUP_ACTIONS = ['setCookies', 'setHeaders'];
+
+const ENTER_KEY = { key: 'Enter', code: 'Enter', text: '\r', windowsVirtualKeyCode: 13 };
+
+const isText = value => typeof value === 'string' && value.trim() !== '';
+const isSelector = value => value === undefined || isText(value);
+
+// Per action: what is wrong with a step's options, or null
+const STEP_CHECKS = {
+    setCookies(step) {
+        if (!Array.isArray(step.cookies) || step.cookies.length === 0) {
+            return 'needs a non-empty "cookies" array';
+        }
+        if (!step.cookies.every(cookie => cookie && isText(cookie.name) && typeof cookie.value === 'string')) {
+            return 'needs a name and a string value for every cookie';
+        }
+        return null;
+    },
+    
+    setHeaders(step) {
+        if (!step.headers || typeof step.headers !== 'object' || Array.isArray(step.headers)) {
+            return 'needs a "headers" object';
+        }
+        return Object.values(step.headers).every(value => typeof value === 'string') ? null : 'header values must be strings';
+    },
+    
+    evaluate: step => (isText(step.expression) ? null : 'needs a JavaScript "expression"'),
+    
+    click: step => (isText(step.selector) ? null : 'needs a CSS "selector"'),
+    
+    type(step) {
+        if (typeof step.text !== 'string') {
+            return 'needs the "text" to type';
+        }
+        return isSelector(step.selector) ? null : 'selector must be a non-empty CSS selector';
+    },
+    
+    scroll(step) {
+        const hasPosition = step.x !== undefined || step.y !== undefined;
+        if (step.selector === undefined ? !hasPosition : hasPosition) {
+            return 'needs either a selector or x/y';
+        }
+        if (!isSelector(step.selector)) {
+            return 'selector must be a non-empty CSS selector';
+        }
+        return [step.x, step.y].every(value => value === undefined || Number.isFinite(value)) ? null : 'x and y must be numbers';
+    },
+    
+    wait(step) {
+        const given = ['ms', 'selector', 'function', 'event'].filter(key => step[key] !== undefined);
+        if (given.length !== 1) {
+            return 'needs exactly one of ms, selector, function or event';
+        }
+        if (step.ms !== undefined && !(Number.isFinite(step.ms) && step.ms >= 0)) {
+            return 'ms must be a non-negative number';
+        }
+        if (step.event !== undefined && !WAIT_EVENTS.includes(step.event)) {
+            return `event must be one of: ${WAIT_EVENTS.join(', ')}`;
+        }
+        return isSelector(step.selector) && isSelector(step.function) ? null : 'selector and function must be non-empty';
+    }
+};
+
+// Reads a scenario file: a JSON array of steps, or an object with `steps`
+// and an optional `url` to open. See validateSteps() for the step format.
+function loadScenario(file) {
+    let content;
+    
+    try {
+        content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new ConfigError(`Cannot read scenario ${file}: ${error.message}`, { cause: error });
+    }
+    
+    let scenario;
+    try {
+        scenario = JSON.parse(content);
+    } catch (error) {
+        throw new ConfigError(`Invalid JSON in scenario ${file}: ${error.message}`, { cause: error });
+    }
+    
+    return parseScenario(scenario, `scenario ${file}`);
+}
+
+function parseScenario(scenario, source = 'scenario') {
+    const { url = null, steps } = Array.isArray(scenario) ? { steps: scenario } : (scenario || {});
+    
+    if (url !== null && (typeof url !== 'string' || !url)) {
+        throw new ConfigError(`${source} has an invalid url`);
+    }
+    
+    return { url, steps: validateSteps(steps, source) };
+}
+
+// Checks every step and returns them; throws ConfigError naming the first
+// step that could never run. `where` names the list in error messages.
+function validateSteps(steps, where = 'scenario') {
+    if (!Array.isArray(steps) || steps.length === 0) {
+        throw new ConfigError(`${where} must have a non-empty "steps" array`);
+    }
+    
+    steps.forEach((step, index) => {
+        const label = `${where} step ${index + 1}`;
+        
+        if (!step || typeof step !== 'object' || !STEP_ACTIONS[step.action]) {
+            throw new ConfigError(`${label} needs an action: ${Object.keys(STEP_ACTIONS).join(', ')}`);
+        }
+        
+        const unknown = Object.keys(step).filter(key => !COMMON_KEYS.includes(key) && !STEP_ACTIONS[step.action].includes(key));
+        if (unknown.length > 0) {
+            throw new ConfigError(`${label} (${step.action}) has unknown option(s): ${unknown.join(', ')}`);
+        }
+        if (step.timeout !== undefined && !(Number.isInteger(step.timeout) && step.timeout > 0)) {
+            throw new ConfigError(`${label} timeout must be a positive number of milliseconds`);
+        }
+        
+        const problem = STEP_CHECKS[step.action](step);
+        if (problem) {
+            throw new ConfigError(`${label} (${step.action}) ${problem}`);
+        }
+    });
+    
+    return steps;
+}
+
+// Leading cookie and header steps run before the page is opened, so a
+// scenario can log in with a session cookie; the rest run once it has loaded.
+function splitSetupSteps(steps) {
+    const count = steps.findIndex(step => !SETUP_ACTIONS.includes(step.action));
+    const setupCount = count === -1 ? steps.length : count;
+    return { setup: steps.slice(0, setupCount), steps: steps.slice(setupCount) };
+}
+
+// Short labels for logs and reports. Typed text, header values and cookie
+// values are left out since scenarios often carry credentials.
+const STEP_DESCRIPTIONS = {
+    setCookies: step => `set cookie(s) ${step.cookies.map(cookie => cookie.name).join(', ')}`,
+    setHeaders: step => `set header(s) ${Object.keys(step.headers).join(', ')}`,
+    evaluate: step => `evaluate ${step.expression.length > 40 ? `${step.expression.slice(0, 37)}...` : step.expression}`,
+    click: step => `click ${step.selector}`,
+    type: step => `type ${step.text.length} character(s)${step.selector ? ` into ${step.selector}` : ''}`,
+    scroll: step => (step.selector ? `scroll to ${step.selector}` : `scroll to ${step.x || 0},${step.y || 0}`),
+    wait(step) {
+        if (step.ms !== undefined) return `wait ${step.ms}ms`;
+        if (step.event !== undefined) return `wait for ${step.event}`;
+        return step.selector !== undefined ? `wait for selector ${step.selector}` : `wait for function ${step.function}`;
+    }
+};
+
+function describeStep(step) {
+    return step.name || STEP_DESCRIPTIONS[step.action](step);
+}
+
+// Runs an expression in the page and returns its value; page exceptions
+// become errors
+async function evaluate(Runtime, expression) {
+    const { result, exceptionDetails } = await Runtime.evaluate({ expression, returnByValue: true, awaitPromise: true });
+    
+    if (exceptionDetails) {
+        const { exception, text } = exceptionDetails;
+        throw new Error((exception && exception.description) || text);
+    }
+    return result.value;
+}
+
+// Scrolls the first element matching `selector` into view and returns the
+// centre of its box in viewport coordinates, for Input events
+async function elementCentre(Runtime, selector) {
+    const box = await evaluate(Runtime, `(() => {
+        const element = document.querySelector(${JSON.stringify(selector)});
+        if (!element) return null;
+        element.scrollIntoView({ block: 'center', inline: 'center' });
+        const rect = element.getBoundingClientRect();
+        return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2, width: rect.width, height: rect.height };
+    })()`);
+    
+    if (!box) {
+        throw new Error(`No element matches selector ${selector}`);
+    }
+    if (box.width === 0 || box.height === 0) {
+        throw new Error(`Element matching ${selector} has no visible area`);
+    }
+    return box;
+}
+
+const STEP_HANDLERS = {
+    async setCookies({ Network }, step, { url }) {
+        const cookies = step.cookies.map(cookie => {
+            if (cookie.url || cookie.domain) return cookie;
+            if (!url) throw new Error(`Cookie ${cookie.name} needs a url or domain`);
+            return { url, ...cookie };
+        });
+        await Network.setCookies({ cookies });
+    },
+    
+    // Replaces any headers set by an earlier step
+    async setHeaders(session, step, { client }) {
+        await client.setExtraHeaders(step.headers, session);
+    },
+    
+    evaluate({ Runtime }, step) {
+        return evaluate(Runtime, step.expression);
+    },
+    
+    async click({ Runtime, Input }, step) {
+        const { x, y } = await elementCentre(Runtime, step.selector);
+        await Input.dispatchMouseEvent({ type: 'mouseMoved', x, y });
+        await Input.dispatchMouseEvent({ type: 'mousePressed', x, y, button: 'left', clickCount: 1 });
+        await Input.dispatchMouseEvent({ type: 'mouseReleased', x, y, button: 'left', clickCount: 1 });
+    },
+    
+    // Key events per character, so pages see keydown/keyup as they would
+    // from a user; "\n" presses Enter
+    async type({ Runtime, Input }, step) {
+        if (step.selector) {
+            const focused = await evaluate(Runtime, `(() => {
+                const element = document.querySelector(${JSON.stringify(step.selector)});
+                if (!element) return false;
+                element.focus();
+                return true;
+            })()`);
+            if (!focused) {
+                throw new Error(`No element matches selector ${step.selector}`);
+            }
+        }
+        
+        for (const char of step.text) {
+            const key = char === '\n' ? ENTER_KEY : { key: char, text: char };
+            await Input.dispatchKeyEvent({ type: 'keyDown', ...key });
+            await Input.dispatchKeyEvent({ type: 'keyUp', key: key.key, code: key.code, windowsVirtualKeyCode: key.windowsVirtualKeyCode });
+        }
+    },
+    
+    async scroll({ Runtime }, step) {
+        if (step.selector) {
+            const found = await evaluate(Runtime, `(() => {
+                const element = document.querySelector(${JSON.stringify(step.selector)});
+                if (!element) return false;
+                element.scrollIntoView({ block: 'start' });
+                return true;
+            })()`);
+            if (!found) {
+                throw new Error(`No element matches selector ${step.selector}`);
+            }
+            return;
+        }
+        await evaluate(Runtime, `window.scrollTo(${step.x || 0}, ${step.y || 0})`);
+    },
+    
+    async wait(session, step, { url, timeout, logger }) {
+        if (step.ms !== undefined) {
+            await sleep(step.ms);
+            return;
+        }
+        await waitForPageLoad(session, url, {
+            loadTimeout: timeout,
+            waitFor: step.event,
+            waitSelector: step.selector,
+            waitFunction: step.function,
+            logger
+        });
+    }
+};
+
+// Runs validated steps in order against a ChromeProxyClient, each resumed
+// like any other step if Chrome drops the session. A record per step
+// ({ index, action, description, status, durationMs, value?, error? }) is
+// appended to `results` as it runs, so the caller keeps the report when a
+// step fails; the failing step ends the run with a ScenarioError and the
+// steps after it are reported as skipped, followed by the `pending` ones
+// meant to run later (e.g. the steps after the navigation, when a setup step
+// fails). `offset` numbers the steps after ones already run (e.g. the setup
+// steps).
+async function runSteps(client, steps, options = {}, results = []) {
+    const { url = client.currentUrl, timeout = 15000, offset = 0, pending = [], logger = silentLogger } = options;
+    
+    for (let i = 0; i < steps.length; i++) {
+        const step = steps[i];
+        const record = {
+            index: offset + i + 1,
+            action: step.action,
+            description: describeStep(step),
+            status: 'running',
+            durationMs: 0
+        };
+        results.push(record);
+        const startTime = Date.now();
+        
+        try {
+            const value = await client.withReconnect(`step ${record.index}`, session => STEP_HANDLERS[step.action](session, step, {
+                url: url || client.currentUrl,
+                timeout: step.timeout || timeout,
+                logger,
+                client
+            }));
+            record.status = 'success';
+            if (value !== undefined) {
+                record.value = value;
+            }
+        } catch (error) {
+            record.status = 'failed';
+            record.error = error.message;
+            [...steps.slice(i + 1), ...pending].forEach((skipped, skippedIndex) => results.push({
+                index: record.index + skippedIndex + 1,
+                action: skipped.action,
+                description: describeStep(skipped),
+                status: 'skipped',
+                durationMs: 0
+            }));
+            throw new ScenarioError(`Step ${record.index} (${record.description}) failed: ${error.message}`, { cause: error });
+        } finally {
+            record.durationMs = Date.now() - startTime;
+            logger.log(`Step ${record.index}: ${record.description} - ${record.status} (${record.durationMs}ms)`);
+        }
+    }
+    
+    return results;
+}
+
+// Drops headers a setHeaders step added, so they do not leak into the next
+// page captured on the same tab
+async function clearHeaders(client) {
+    await client.withReconnect('headers', session => client.setExtraHeaders({}, session));
+}
+
+module.exports = {
+    STEP_ACTIONS,
+    loadScenario,
+    parseScenario,
+    validateSteps,
+    splitSetupSteps,
+    describeStep,
+    runSteps,
+    clearHeaders
+};
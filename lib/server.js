@@ -0,0 +1,252 @@
+const http = require('http');
+const { ChromeProxyClient } = require('./client');
+const { normalizeEntry, renderEntry } = require('./batch');
+const { describeError } = require('./exit-codes');
+const { CaptureError, ConfigError } = require('./errors');
+const { silentLogger, withDeadline } = require('./utils');
+
+const CONTENT_TYPES = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    pdf: 'application/pdf'
+};
+
+// HTTP status for each error category; anything else is a 500. A token the
+// proxy rejects will not start working on a retry, so it is a 502 like other
+// upstream failures rather than a 503.
+const HTTP_STATUS = {
+    config: 400,
+    'health-check': 503,
+    'chrome-not-ready': 503,
+    'cdp-connect': 503,
+    auth: 502,
+    navigation: 502
+};
+
+// The service has no auth of its own, so file:, chrome: and the like would
+// let any caller read local files through Chrome
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+// Print options a POST /pdf body may give at the top level
+const PDF_KEYS = ['paper', 'landscape', 'margin', 'printBackground', 'headerTemplate', 'footerTemplate'];
+
+const SERVER_DEFAULTS = {
+    // Requests waiting or running at once; more are refused with a 503
+    maxQueue: 20,
+    maxBodySize: 1024 * 1024,
+    timeout: 15000,
+    renderDelay: 2000,
+    // Extra time a capture may take beyond its load timeout before the
+    // session is considered hung and replaced
+    hungPageMargin: 30000,
+    // Accept `steps` in request bodies. Off by default: with no auth of its
+    // own, the service would let any caller run JavaScript in Chrome and set
+    // its cookies and headers.
+    allowSteps: false,
+    logger: silentLogger
+};
+
+// Long-running capture service: keeps one warm CDP session through the proxy
+// and serves POST /screenshot and POST /pdf one request at a time. Request
+// bodies take the same options as a batch manifest entry. A session Chrome
+// dropped (or one that hung) is replaced on the next request via connect(),
+// which retries with backoff while Chrome restarts.
+class CaptureServer {
+    constructor(clientOptions = {}, options = {}) {
+        this.options = { ...SERVER_DEFAULTS, ...options };
+        this.logger = this.options.logger;
+        this.client = new ChromeProxyClient({ ...clientOptions, logger: this.logger });
+        this.queue = Promise.resolve();
+        this.pending = 0;
+        this.state = {};
+        this.stats = { processed: 0, failed: 0, rejected: 0, reconnects: 0 };
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+    
+    // Connects to Chrome first so a broken proxy fails at startup, then
+    // starts listening. Resolves with the bound address.
+    async listen(port = 3000, host = '127.0.0.1') {
+        await this.client.connect();
+        
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+        
+        return this.server.address();
+    }
+    
+    // Stops accepting requests, lets queued captures finish and closes the
+    // CDP session.
+    async close() {
+        await new Promise(resolve => this.server.close(resolve));
+        await this.queue;
+        await this.client.close().catch(() => {});
+    }
+    
+    async handle(req, res) {
+        const route = `${req.method} ${req.url.split('?')[0]}`;
+        
+        if (route === 'GET /health') {
+            return sendJson(res, 200, {
+                status: this.client.connected ? 'ok' : 'disconnected',
+                chromeVersion: this.client.chromeVersion,
+                queued: this.pending,
+                ...this.stats
+            });
+        }
+        
+        const kind = { 'POST /screenshot': 'screenshot', 'POST /pdf': 'pdf' }[route];
+        if (!kind) {
+            const known = ['/health', '/screenshot', '/pdf'].includes(req.url.split('?')[0]);
+            return sendJson(res, known ? 405 : 404, { error: { category: 'http', message: `${route} is not supported` } });
+        }
+        
+        const startTime = Date.now();
+        try {
+            const body = await readBody(req, this.options.maxBodySize);
+            if (body === null) {
+                return sendJson(res, 413, { error: { category: 'http', message: `Request body exceeds ${this.options.maxBodySize} bytes` } });
+            }
+            
+            const entry = parseRequest(kind, body, { allowSteps: this.options.allowSteps });
+            if (this.pending >= this.options.maxQueue) {
+                this.stats.rejected++;
+                res.setHeader('Retry-After', '5');
+                return sendJson(res, 503, { error: { category: 'queue-full', message: `${this.pending} capture(s) already queued` } });
+            }
+            
+            const capture = await this.enqueue(() => this.capture(entry));
+            this.stats.processed++;
+            this.logger.log(`${route} ${entry.url} -> ${capture.output.length} bytes (${capture.loadMethod}, ${Date.now() - startTime}ms)`);
+            
+            res.writeHead(200, {
+                'Content-Type': CONTENT_TYPES[entry.format || 'png'],
+                'Content-Length': capture.output.length,
+                'X-Load-Method': capture.loadMethod,
+                'X-Capture-Duration': String(Date.now() - startTime)
+            });
+            res.end(capture.output);
+        } catch (error) {
+            this.stats.failed++;
+            const described = describeError(error);
+            if (described.category === 'auth') {
+                described.message = `The proxy rejected the capture service's credentials; check its --token: ${error.message}`;
+            }
+            this.logger.error(`${route} failed: ${error.message}`);
+            sendJson(res, HTTP_STATUS[described.category] || 500, { error: described });
+        }
+    }
+    
+    // Runs `task` after everything queued before it. Failures do not stall
+    // the queue.
+    enqueue(task) {
+        this.pending++;
+        const run = this.queue.then(task).finally(() => {
+            this.pending--;
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+    
+    async capture(entry) {
+        if (!this.client.connected) {
+            this.logger.log('Reconnecting to Chrome...');
+            this.stats.reconnects++;
+            this.state = {};
+            await this.client.connect();
+        }
+        
+        const { timeout, renderDelay, hungPageMargin } = this.options;
+        const deadline = (entry.timeout || timeout) + hungPageMargin;
+        const result = {};
+        const outcome = await withDeadline(renderEntry(this.client, entry, { timeout, renderDelay }, this.state, result), deadline);
+        
+        if (outcome.timedOut) {
+            // The page may still be busy; start the next request on a fresh session
+            await this.client.close().catch(() => {});
+            throw new CaptureError(`Capture of ${entry.url} did not finish within ${deadline}ms`);
+        }
+        
+        return { output: outcome.result, ...result };
+    }
+}
+
+// Turns a request body into a batch-style entry, validated like a manifest
+// entry. POST /pdf also accepts the print options at the top level; `steps`
+// only with `allowSteps`.
+function parseRequest(kind, text, { allowSteps = false } = {}) {
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch (error) {
+        throw new ConfigError(`Invalid JSON body: ${error.message}`, { cause: error });
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new ConfigError('Request body must be a JSON object');
+    }
+    
+    if (body.steps !== undefined && !allowSteps) {
+        throw new ConfigError('Scenario steps are disabled on this capture service (start it with --serve-steps to allow them)');
+    }
+    
+    const entry = { ...body };
+    if (kind === 'pdf') {
+        if (entry.format !== undefined && entry.format !== 'pdf') {
+            throw new ConfigError('POST /pdf always produces pdf; use POST /screenshot for images');
+        }
+        entry.format = 'pdf';
+        entry.pdf = { ...entry.pdf };
+        PDF_KEYS.filter(key => entry[key] !== undefined).forEach(key => {
+            entry.pdf[key] = entry[key];
+            delete entry[key];
+        });
+    } else if (entry.format === 'pdf') {
+        throw new ConfigError('Use POST /pdf for pdf output');
+    }
+    
+    const normalized = normalizeEntry(entry, {}, 'request');
+    let protocol = null;
+    try {
+        protocol = new URL(normalized.url).protocol;
+    } catch (error) {
+        // Reported below like any other unsupported URL
+    }
+    if (!ALLOWED_PROTOCOLS.includes(protocol)) {
+        throw new ConfigError(`Only http and https URLs can be captured, not ${JSON.stringify(normalized.url)}`);
+    }
+    return normalized;
+}
+
+// Resolves with the body as text, or null if it was larger than `limit`
+// bytes. An oversized body is drained, not kept, so the 413 can still be sent.
+function readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size <= limit) {
+                chunks.push(chunk);
+            }
+        });
+        req.on('end', () => resolve(size > limit ? null : Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    const json = JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(json) });
+    res.end(json);
+}
+
+module.exports = {
+    CaptureServer,
+    parseRequest
+};
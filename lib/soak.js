@@ -0,0 +1,149 @@
+const { performance } = require('perf_hooks');
+const { silentLogger, sleep, withDeadline, latencyStats } = require('./utils');
+
+const SOAK_DEFAULTS = {
+    duration: 600000,
+    // Time between Runtime.evaluate pings
+    interval: 5000,
+    pingTimeout: 10000,
+    // nginx proxy_read_timeout / proxy_send_timeout for the CDP location
+    proxyTimeout: 300000,
+    reconnect: true,
+    logger: silentLogger
+};
+
+// A disconnect after the session carried no traffic for (nearly) the proxy
+// timeout is most likely nginx closing an idle WebSocket; anything else is
+// unexpected. The margin allows for timer drift on either side.
+function classifyDisconnect(idleFor, proxyTimeout) {
+    return idleFor >= proxyTimeout * 0.95 ? 'proxy-timeout' : 'unexpected';
+}
+
+// Holds a CDP session open through the proxy for `duration` ms, pinging it
+// with Runtime.evaluate every `interval` ms. Disconnects are recorded with how
+// long the session had been idle, so an nginx idle timeout can be told apart
+// from a dropped connection; with `reconnect` the soak then carries on over a
+// fresh session. `client` is a ChromeProxyClient, connected or not. Resolves
+// with a report; it never throws for failed pings or lost sessions.
+async function runSoak(client, options = {}) {
+    const { duration, interval, pingTimeout, proxyTimeout, reconnect, logger } = { ...SOAK_DEFAULTS, ...options };
+    const startTime = Date.now();
+    const elapsed = () => Date.now() - startTime;
+    const latencies = [];
+    const pings = { sent: 0, ok: 0, failed: 0, timedOut: 0 };
+    const disconnects = [];
+    const errors = [];
+    let reconnects = 0;
+    let lastTraffic = startTime;
+    let longestIdle = 0;
+    let sessionStart = null;
+    let longestSession = 0;
+    let watched = null;
+    
+    const endSession = () => {
+        if (sessionStart !== null) {
+            longestSession = Math.max(longestSession, Date.now() - sessionStart);
+            sessionStart = null;
+        }
+    };
+    
+    // Watches each new CDP session for the socket closing underneath it
+    const watch = () => {
+        const session = client.client;
+        if (!session || session === watched) {
+            return;
+        }
+        watched = session;
+        sessionStart = Date.now();
+        lastTraffic = Date.now();
+        session.on('disconnect', () => {
+            if (watched !== session) {
+                return;
+            }
+            const idleFor = Date.now() - lastTraffic;
+            const disconnect = { at: elapsed(), idleFor, reason: classifyDisconnect(idleFor, proxyTimeout) };
+            disconnects.push(disconnect);
+            endSession();
+            watched = null;
+            logger.error(`Session lost after ${disconnect.at}ms (idle ${idleFor}ms, ${disconnect.reason})`);
+        });
+    };
+    
+    await client.connect();
+    watch();
+    logger.log(`Soak test: pinging every ${interval}ms for ${duration}ms`);
+    
+    while (elapsed() < duration) {
+        if (!client.connected) {
+            if (!reconnect) {
+                break;
+            }
+            try {
+                await client.connect();
+                reconnects++;
+                watch();
+                logger.log(`Reconnected after ${elapsed()}ms`);
+            } catch (error) {
+                errors.push({ at: elapsed(), message: `Reconnect failed: ${error.message}` });
+                logger.error(`Reconnect failed: ${error.message}`);
+                break;
+            }
+        }
+        
+        const session = client.client;
+        longestIdle = Math.max(longestIdle, Date.now() - lastTraffic);
+        pings.sent++;
+        const pingStart = performance.now();
+        
+        try {
+            const outcome = await withDeadline(session.Runtime.evaluate({ expression: '1', returnByValue: true }), pingTimeout);
+            if (outcome.timedOut) {
+                pings.timedOut++;
+                errors.push({ at: elapsed(), message: `Ping got no answer within ${pingTimeout}ms` });
+                logger.error(`Ping ${pings.sent} got no answer within ${pingTimeout}ms`);
+            } else {
+                const latency = performance.now() - pingStart;
+                latencies.push(latency);
+                pings.ok++;
+                lastTraffic = Date.now();
+                if (client.verbose) logger.log(`Ping ${pings.sent}: ${latency.toFixed(1)}ms`);
+            }
+        } catch (error) {
+            pings.failed++;
+            errors.push({ at: elapsed(), message: error.message });
+            logger.error(`Ping ${pings.sent} failed: ${error.message}`);
+        }
+        
+        const remaining = duration - elapsed();
+        if (remaining > 0) {
+            await sleep(Math.min(interval, remaining));
+        }
+    }
+    
+    longestIdle = Math.max(longestIdle, Date.now() - lastTraffic);
+    endSession();
+    
+    return {
+        duration: elapsed(),
+        interval,
+        proxyTimeout,
+        pings,
+        latency: latencyStats(latencies),
+        disconnects,
+        reconnects,
+        errors,
+        longestIdle,
+        longestSession,
+        // Whether nginx closed a session for being idle, and whether one
+        // session stayed up longer than the timeout thanks to the pings
+        proxyTimeoutHit: disconnects.some(disconnect => disconnect.reason === 'proxy-timeout'),
+        outlivedProxyTimeout: longestSession > proxyTimeout,
+        passed: disconnects.length === 0 && errors.length === 0
+    };
+}
+
+module.exports = {
+    SOAK_DEFAULTS,
+    classifyDisconnect,
+    runSoak
+};
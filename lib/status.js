@@ -0,0 +1,174 @@
+const http = require('http');
+const CDP = require('chrome-remote-interface');
+const { silentLogger, withDeadline } = require('./utils');
+
+const STATUS_DEFAULTS = {
+    host: '127.0.0.1',
+    // 8183 is the internal listener of a chrome-pool.js nginx configuration
+    port: 8184,
+    // Chrome's debugging address, reached directly rather than through nginx
+    upstream: { host: '127.0.0.1', port: 48333 },
+    // Per request to Chrome, so a hung browser still gets a prompt answer
+    timeout: 2000,
+    logger: silentLogger
+};
+
+function getJson(upstream, path, timeout) {
+    return new Promise((resolve, reject) => {
+        const req = http.get({ host: upstream.host, port: upstream.port, path }, res => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                body += chunk;
+            });
+            res.on('end', () => {
+                if (res.statusCode !== 200) {
+                    return reject(new Error(`${path} answered with status ${res.statusCode}`));
+                }
+                try {
+                    resolve(JSON.parse(body));
+                } catch (error) {
+                    reject(new Error(`${path} did not answer with JSON`));
+                }
+            });
+            res.on('error', reject);
+        });
+        req.setTimeout(timeout, () => {
+            req.destroy(new Error(`${path} did not answer within ${timeout}ms`));
+        });
+        req.on('error', reject);
+    });
+}
+
+// Targets with a DevTools client attached, i.e. the CDP sessions clients hold
+// through the proxy. /json/list does not say, so this asks the browser target
+// over its own WebSocket, which attaches to no page itself.
+async function countSessions(browserUrl, timeout) {
+    let client = null;
+    const work = (async () => {
+        client = await CDP({ target: browserUrl, local: true });
+        const { targetInfos } = await client.Target.getTargets();
+        return targetInfos.filter(info => info.type !== 'browser' && info.attached).length;
+    })();
+    
+    try {
+        const { result, timedOut } = await withDeadline(work, timeout);
+        if (timedOut) {
+            throw new Error(`Target.getTargets did not answer within ${timeout}ms`);
+        }
+        return result;
+    } finally {
+        // A connect still under way when the deadline hit closes once it lands
+        work.catch(() => {}).then(() => client && client.close().catch(() => {}));
+    }
+}
+
+// What the status endpoint reports about Chrome at `upstream`. `status` is
+// 'ok' while Chrome answers /json/version and 'unavailable' otherwise; the
+// target list and session count are null when only those could not be read.
+async function collectStatus(upstream, options = {}) {
+    const { timeout, logger } = { ...STATUS_DEFAULTS, ...options };
+    const startTime = Date.now();
+    const report = {
+        status: 'unavailable',
+        upstream: { address: `${upstream.host}:${upstream.port}`, reachable: false, latency: null, error: null },
+        chrome: null,
+        targets: null,
+        sessions: null,
+        checkedAt: new Date().toISOString()
+    };
+    
+    let version;
+    try {
+        version = await getJson(upstream, '/json/version', timeout);
+    } catch (error) {
+        report.upstream.error = error.message;
+        return report;
+    }
+    report.status = 'ok';
+    report.upstream.reachable = true;
+    report.upstream.latency = Date.now() - startTime;
+    report.chrome = {
+        browser: version.Browser || null,
+        protocolVersion: version['Protocol-Version'] || null,
+        userAgent: version['User-Agent'] || null
+    };
+    
+    const [targets, sessions] = await Promise.allSettled([
+        getJson(upstream, '/json/list', timeout),
+        version.webSocketDebuggerUrl ? countSessions(version.webSocketDebuggerUrl, timeout) : Promise.reject(new Error('no browser WebSocket URL'))
+    ]);
+    if (targets.status === 'fulfilled' && Array.isArray(targets.value)) {
+        report.targets = {
+            total: targets.value.length,
+            pages: targets.value.filter(target => target.type === 'page').length
+        };
+    } else if (targets.status === 'rejected') {
+        logger.error(`Target list unavailable: ${targets.reason.message}`);
+    }
+    if (sessions.status === 'fulfilled') {
+        report.sessions = sessions.value;
+    } else {
+        logger.error(`Session count unavailable: ${sessions.reason.message}`);
+    }
+    
+    return report;
+}
+
+// Sidecar behind nginx's /status. nginx's own /health only shows that nginx
+// is up; this checks Chrome itself on every request and answers with the
+// collectStatus() report: 200 while Chrome answers, 503 while it does not.
+class StatusServer {
+    constructor(options = {}) {
+        this.options = { ...STATUS_DEFAULTS, ...options };
+        this.logger = this.options.logger;
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+    
+    async listen(port = this.options.port, host = this.options.host) {
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+        
+        return this.server.address();
+    }
+    
+    async close() {
+        await new Promise(resolve => this.server.close(resolve));
+    }
+    
+    async handle(req, res) {
+        const reply = (status, body) => {
+            const json = JSON.stringify(body, null, 2);
+            res.writeHead(status, {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(json),
+                'Cache-Control': 'no-store'
+            });
+            res.end(req.method === 'HEAD' ? undefined : json);
+        };
+        
+        if (req.url.split('?')[0] !== '/status') {
+            return reply(404, { error: `No such endpoint ${req.url.split('?')[0]}; try /status` });
+        }
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            return reply(405, { error: 'Only GET and HEAD are supported' });
+        }
+        
+        const report = await collectStatus(this.options.upstream, this.options);
+        if (report.status !== 'ok') {
+            this.logger.error(`Chrome at ${report.upstream.address} is unavailable: ${report.upstream.error}`);
+        }
+        reply(report.status === 'ok' ? 200 : 503, report);
+    }
+}
+
+module.exports = {
+    STATUS_DEFAULTS,
+    StatusServer,
+    collectStatus
+};
@@ -0,0 +1,255 @@
+const childProcess = require('child_process');
+const os = require('os');
+const path = require('path');
+const { ProxyEndpoint } = require('./endpoint');
+const { fetchChromeVersion, waitForChromeReady } = require('./connection');
+const { ChromeNotReadyError, ConfigError } = require('./errors');
+const { silentLogger } = require('./utils');
+
+// Debugging ports reserved for Chrome (see start-chrome.sh and the Dockerfile)
+const PORT_RANGE = { min: 48000, max: 49000 };
+
+// The flags start-chrome.sh launches Chrome with, minus the port
+const CHROME_ARGS = [
+    '--headless',
+    '--no-sandbox',
+    '--disable-gpu',
+    '--disable-dev-shm-usage',
+    '--disable-web-security',
+    '--disable-extensions',
+    '--disable-plugins',
+    '--virtual-time-budget=5000',
+    '--run-all-compositor-stages-before-draw',
+    '--disable-background-timer-throttling',
+    '--disable-renderer-backgrounding',
+    '--disable-backgrounding-occluded-windows',
+    '--remote-debugging-address=0.0.0.0'
+];
+
+const SUPERVISOR_DEFAULTS = {
+    instances: 2,
+    basePort: 48333,
+    chromePath: 'google-chrome-stable',
+    chromeArgs: CHROME_ARGS,
+    // Each instance gets its own profile directory below this one
+    userDataDir: path.join(os.tmpdir(), 'chrome-pool'),
+    host: '127.0.0.1',
+    healthInterval: 5000,
+    // Consecutive failed health checks before a running instance is killed
+    // and restarted
+    maxFailures: 3,
+    readyTimeout: 30000,
+    // First restart delay; doubles for each restart that follows without a
+    // healthy check in between, up to maxRestartDelay
+    restartDelay: 1000,
+    maxRestartDelay: 30000,
+    stopTimeout: 5000,
+    logger: silentLogger,
+    spawn: childProcess.spawn
+};
+
+// Starts N headless Chrome instances on consecutive debugging ports, checks
+// their /json/version endpoints every `healthInterval` ms and restarts any
+// that exit or stop answering. Pair with generateNginxConfig() to route to
+// them through the proxy.
+class ChromeSupervisor {
+    constructor(options = {}) {
+        this.options = { ...SUPERVISOR_DEFAULTS, ...options };
+        const { instances, basePort } = this.options;
+        
+        if (!Number.isInteger(instances) || instances < 1) {
+            throw new ConfigError('The number of Chrome instances must be a positive integer');
+        }
+        if (!Number.isInteger(basePort) || basePort < PORT_RANGE.min || basePort + instances - 1 > PORT_RANGE.max) {
+            throw new ConfigError(`Ports ${basePort}-${basePort + instances - 1} are outside the Chrome port range ${PORT_RANGE.min}-${PORT_RANGE.max}`);
+        }
+        
+        this.logger = this.options.logger;
+        this.stopping = false;
+        this.healthTimer = null;
+        this.instances = Array.from({ length: instances }, (_, i) => ({
+            index: i + 1,
+            port: basePort + i,
+            endpoint: new ProxyEndpoint({ host: this.options.host, port: basePort + i }),
+            process: null,
+            state: 'stopped',
+            restarts: 0,
+            // Restarts since the instance was last seen healthy
+            backoff: 0,
+            failures: 0,
+            startedAt: null,
+            lastHealthy: null,
+            lastExit: null,
+            restartTimer: null
+        }));
+    }
+    
+    // Launches every instance and resolves once all answer /json/version.
+    // If any does not come up within `readyTimeout`, all are stopped again.
+    async start() {
+        this.stopping = false;
+        this.instances.forEach(instance => this.launch(instance));
+        
+        try {
+            await Promise.all(this.instances.map(async instance => {
+                try {
+                    await waitForChromeReady(instance.endpoint, this.options.readyTimeout);
+                } catch (error) {
+                    throw new ChromeNotReadyError(`Chrome instance ${instance.index} (port ${instance.port}) did not start: ${error.message}`, { cause: error });
+                }
+                this.markHealthy(instance);
+            }));
+        } catch (error) {
+            await this.stop();
+            throw error;
+        }
+        
+        this.healthTimer = setInterval(() => {
+            this.checkHealth().catch(error => this.logger.error(`Health check failed: ${error.message}`));
+        }, this.options.healthInterval);
+        return this.status();
+    }
+    
+    async stop() {
+        this.stopping = true;
+        clearInterval(this.healthTimer);
+        this.healthTimer = null;
+        
+        await Promise.all(this.instances.map(async instance => {
+            clearTimeout(instance.restartTimer);
+            instance.restartTimer = null;
+            await this.terminate(instance);
+            instance.state = 'stopped';
+        }));
+    }
+    
+    // Plain snapshot of every instance for logs and status output
+    status() {
+        return this.instances.map(instance => ({
+            index: instance.index,
+            port: instance.port,
+            pid: instance.process ? instance.process.pid : null,
+            state: instance.state,
+            restarts: instance.restarts,
+            lastHealthy: instance.lastHealthy,
+            lastExit: instance.lastExit
+        }));
+    }
+    
+    launch(instance) {
+        const { chromePath, chromeArgs, userDataDir, spawn } = this.options;
+        const args = [
+            ...chromeArgs,
+            `--remote-debugging-port=${instance.port}`,
+            `--user-data-dir=${path.join(userDataDir, `instance-${instance.index}`)}`
+        ];
+        
+        const child = spawn(chromePath, args, { stdio: 'ignore' });
+        instance.process = child;
+        instance.state = 'starting';
+        instance.failures = 0;
+        instance.startedAt = Date.now();
+        this.logger.log(`Started Chrome instance ${instance.index} on port ${instance.port} (pid ${child.pid})`);
+        
+        const exited = description => {
+            if (instance.process !== child) {
+                return;
+            }
+            instance.process = null;
+            instance.lastExit = { at: Date.now(), reason: description };
+            if (!this.stopping) {
+                this.logger.error(`Chrome instance ${instance.index} ${description}`);
+                this.scheduleRestart(instance);
+            }
+        };
+        child.on('exit', (code, signal) => exited(signal ? `killed by ${signal}` : `exited with code ${code}`));
+        // Raised instead of 'exit' when the binary cannot be started at all
+        child.on('error', error => exited(`failed: ${error.message}`));
+    }
+    
+    scheduleRestart(instance) {
+        if (this.stopping || instance.restartTimer) {
+            return;
+        }
+        
+        const { restartDelay, maxRestartDelay } = this.options;
+        const delay = Math.min(restartDelay * Math.pow(2, instance.backoff), maxRestartDelay);
+        instance.state = 'restarting';
+        instance.backoff++;
+        this.logger.log(`Restarting Chrome instance ${instance.index} in ${delay}ms...`);
+        
+        instance.restartTimer = setTimeout(() => {
+            instance.restartTimer = null;
+            if (!this.stopping) {
+                instance.restarts++;
+                this.launch(instance);
+            }
+        }, delay);
+    }
+    
+    async checkHealth() {
+        await Promise.all(this.instances.map(async instance => {
+            const child = instance.process;
+            if (!child || instance.state === 'restarting') {
+                return;
+            }
+            // Chrome may exit or be replaced while the check is under way;
+            // the exit handler has taken over then
+            const gone = () => instance.process !== child || instance.state === 'restarting' || this.stopping;
+            
+            try {
+                await fetchChromeVersion(instance.endpoint, 2000);
+                if (gone()) return;
+                this.markHealthy(instance);
+            } catch (error) {
+                if (gone()) return;
+                // A freshly started Chrome gets readyTimeout to come up
+                if (instance.state === 'starting' && Date.now() - instance.startedAt < this.options.readyTimeout) {
+                    return;
+                }
+                
+                instance.failures++;
+                instance.state = 'unhealthy';
+                this.logger.error(`Chrome instance ${instance.index} health check failed (${instance.failures}/${this.options.maxFailures}): ${error.message}`);
+                if (instance.failures >= this.options.maxFailures) {
+                    // The exit handler schedules the restart
+                    child.kill('SIGKILL');
+                }
+            }
+        }));
+    }
+    
+    markHealthy(instance) {
+        if (instance.state !== 'ready') {
+            this.logger.log(`Chrome instance ${instance.index} is ready on port ${instance.port}`);
+        }
+        instance.state = 'ready';
+        instance.failures = 0;
+        instance.backoff = 0;
+        instance.lastHealthy = Date.now();
+    }
+    
+    // Asks Chrome to exit and kills it if it has not within `stopTimeout`
+    terminate(instance) {
+        const child = instance.process;
+        if (!child) {
+            return Promise.resolve();
+        }
+        
+        return new Promise(resolve => {
+            const timer = setTimeout(() => child.kill('SIGKILL'), this.options.stopTimeout);
+            child.once('exit', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+            child.kill('SIGTERM');
+        });
+    }
+}
+
+module.exports = {
+    PORT_RANGE,
+    CHROME_ARGS,
+    SUPERVISOR_DEFAULTS,
+    ChromeSupervisor
+};
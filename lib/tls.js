@@ -0,0 +1,58 @@
+const tls = require('tls');
+
+const originalConnect = tls.connect;
+// host:port -> { options, count } for the connections being opened
+const endpointTlsOptions = new Map();
+
+// chrome-remote-interface opens its WebSocket without exposing TLS options,
+// so a custom CA or --insecure cannot be passed to it directly. Instead the
+// options are registered per host:port while a connection is being opened
+// and merged into matching tls.connect() calls; connections to any other
+// host are left untouched. Returns a function that drops the registration;
+// tls.connect is restored once none is left, so the patch only exists while
+// a CDP WebSocket is being opened.
+function registerEndpointTls(endpoint) {
+    const options = endpoint.tlsOptions();
+    const key = `${endpoint.host}:${endpoint.port}`;
+    
+    if (Object.keys(options).length === 0) {
+        return () => {};
+    }
+    
+    const registration = endpointTlsOptions.get(key) || { options, count: 0 };
+    registration.options = options;
+    registration.count++;
+    endpointTlsOptions.set(key, registration);
+    if (tls.connect === originalConnect) {
+        tls.connect = connectWithEndpointOptions;
+    }
+    
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+        if (--registration.count === 0) {
+            endpointTlsOptions.delete(key);
+        }
+        if (endpointTlsOptions.size === 0 && tls.connect === connectWithEndpointOptions) {
+            tls.connect = originalConnect;
+        }
+    };
+}
+
+function connectWithEndpointOptions(...args) {
+    const options = args[0];
+    
+    if (options && typeof options === 'object') {
+        const registration = endpointTlsOptions.get(`${options.host}:${options.port}`);
+        if (registration) {
+            args[0] = { ...options, ...registration.options };
+        }
+    }
+    
+    return originalConnect.apply(tls, args);
+}
+
+module.exports = {
+    registerEndpointTls
+};
@@ -0,0 +1,58 @@
+// Logger used when the caller does not pass one, so requiring the library
+// never writes to the console on its own.
+const silentLogger = {
+    log() {},
+    error() {}
+};
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Resolves with { result } or, if `promise` takes longer than `ms`, with
+// { timedOut: true }. The promise itself keeps running either way.
+function withDeadline(promise, ms) {
+    let timer;
+    const deadline = new Promise(resolve => {
+        timer = setTimeout(() => resolve({ timedOut: true }), ms);
+    });
+    
+    return Promise.race([promise.then(result => ({ result })), deadline])
+        .finally(() => clearTimeout(timer));
+}
+
+// Nearest-rank percentile of an ascending array
+function percentile(sorted, p) {
+    if (sorted.length === 0) {
+        return null;
+    }
+    const rank = Math.ceil(p / 100 * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+}
+
+// Summary of latency samples in ms, rounded to 0.01ms; null without samples
+function latencyStats(samples) {
+    if (samples.length === 0) {
+        return null;
+    }
+    const sorted = [...samples].sort((a, b) => a - b);
+    const round = value => Math.round(value * 100) / 100;
+    
+    return {
+        min: round(sorted[0]),
+        p50: round(percentile(sorted, 50)),
+        p90: round(percentile(sorted, 90)),
+        p95: round(percentile(sorted, 95)),
+        p99: round(percentile(sorted, 99)),
+        max: round(sorted[sorted.length - 1]),
+        mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length)
+    };
+}
+
+module.exports = {
+    silentLogger,
+    sleep,
+    withDeadline,
+    percentile,
+    latencyStats
+};
@@ -12,6 +12,18 @@ fi
 
 echo "Starting Chrome with remote debugging on port $PORT"
 
+# Start the token check nginx consults before proxying to Chrome; tokens come
+# from CHROME_PROXY_TOKENS or CHROME_PROXY_TOKENS_FILE, and without either
+# the proxy stays open
+node /app/auth-service.js &
+
+# Point the WebSocket URLs in /json responses at the proxy instead of Chrome
+node /app/json-rewriter.js --upstream 127.0.0.1:$PORT &
+
+# Report Chrome's state on /status, so clients can tell a dead browser from
+# a slow one
+node /app/status-service.js --upstream 127.0.0.1:$PORT &
+
 # Start nginx in background
 nginx -g "daemon on;"
 
@@ -24,7 +36,6 @@ exec google-chrome-stable \
     --disable-web-security \
     --disable-extensions \
     --disable-plugins \
-    --disable-images \
     --virtual-time-budget=5000 \
     --run-all-compositor-stages-before-draw \
     --disable-background-timer-throttling \
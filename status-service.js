@@ -0,0 +1,83 @@
+const { StatusServer, STATUS_DEFAULTS, parseAddress, exitCodeFor } = require('./index');
+
+function parseArguments(argv = process.argv.slice(2), env = process.env) {
+    const args = argv;
+    const config = {
+        host: STATUS_DEFAULTS.host,
+        port: STATUS_DEFAULTS.port,
+        upstream: `127.0.0.1:${parseInt(env.CHROME_DEBUG_PORT) || STATUS_DEFAULTS.upstream.port}`,
+        timeout: STATUS_DEFAULTS.timeout,
+        help: args.includes('--help') || args.includes('-h')
+    };
+    
+    args.forEach((arg, index) => {
+        if (arg === '--host' && args[index + 1]) {
+            config.host = args[index + 1];
+        }
+        if (arg === '--port' && args[index + 1]) {
+            config.port = parseInt(args[index + 1]) || config.port;
+        }
+        if (arg === '--upstream' && args[index + 1]) {
+            config.upstream = args[index + 1];
+        }
+        if (arg === '--timeout' && args[index + 1]) {
+            config.timeout = parseInt(args[index + 1]) || config.timeout;
+        }
+    });
+    
+    return config;
+}
+
+function showHelp() {
+    console.log(`
+DevTools Proxy Status Service
+
+Answers the proxy's /status requests with Chrome's state: whether it is
+reachable, its version, the open targets and the CDP sessions attached to
+them. 200 while Chrome answers, 503 while it does not.
+
+Usage: node status-service.js [options]
+
+Options:
+  --host <host>         Address to listen on (default: ${STATUS_DEFAULTS.host})
+  --port <port>         Port to listen on (default: ${STATUS_DEFAULTS.port})
+  --upstream <host:port>
+                        Chrome's debugging address (default: 127.0.0.1 on
+                        CHROME_DEBUG_PORT or ${STATUS_DEFAULTS.upstream.port})
+  --timeout <ms>        Time Chrome gets to answer each check (default: ${STATUS_DEFAULTS.timeout})
+  --help, -h            Show this help message
+`);
+}
+
+async function main() {
+    const config = parseArguments();
+    
+    if (config.help) {
+        showHelp();
+        process.exit(0);
+    }
+    
+    const server = new StatusServer({ upstream: parseAddress(config.upstream), timeout: config.timeout, logger: console });
+    try {
+        const address = await server.listen(config.port, config.host);
+        console.log(`Reporting the status of Chrome at ${config.upstream} on http://${address.address}:${address.port}/status`);
+    } catch (error) {
+        console.error('Status service failed to start:', error.message);
+        process.exit(exitCodeFor(error));
+    }
+    
+    const shutdown = async () => {
+        await server.close();
+        process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parseArguments
+};
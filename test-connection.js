@@ -1,208 +1,141 @@
-const CDP = require('chrome-remote-interface');
 const fs = require('fs');
+const path = require('path');
+const {
+    ChromeProxyClient,
+    ProxyEndpoint,
+    parseClip,
+    resolveEmulation,
+    describeEmulation,
+    DEVICE_PRESETS,
+    PAPER_SIZES,
+    buildPrintOptions,
+    validateWaitConditions,
+    fetchChromeVersion,
+    loadManifest,
+    runBatch,
+    runParallelBatch,
+    CaptureServer,
+    runSoak,
+    runBenchmark,
+    formatBenchmark,
+    DEFAULT_CHROME_PORT,
+    writeHar,
+    hasPageErrors,
+    describeDiagnostics,
+    parseBudgets,
+    checkBudgets,
+    exceededBudgets,
+    describeMetrics,
+    describeBudgetFailures,
+    parseInterception,
+    describeInterception,
+    BLOCK_PRESETS,
+    THROTTLE_PRESETS,
+    loadScenario,
+    splitSetupSteps,
+    runSteps,
+    compareCapture,
+    describeComparison,
+    validateCompareOptions,
+    FixtureServer,
+    resolveConfig,
+    resolveFlags,
+    describeConfig,
+    exitCodeFor,
+    describeError,
+    HealthCheckError,
+    ChromeNotReadyError,
+    ChromeUnavailableError,
+    ConnectionError,
+    NavigationError,
+    BatchError,
+    ConfigError,
+    VisualRegressionError,
+    SoakTestError,
+    PageError,
+    BudgetError
+} = require('./index');
+const { request } = require('./lib/http');
 
-async function connectWithRetry(options, maxRetries = 5) {
-    let lastError;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            console.log(`Connection attempt ${attempt}/${maxRetries}...`);
-            return await CDP(options);
-        } catch (error) {
-            lastError = error;
-            console.log(`Attempt ${attempt} failed:`, error.message);
-            
-            if (attempt < maxRetries) {
-                const delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
-                console.log(`Retrying in ${delay}ms...`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-            }
-        }
-    }
-    
-    throw new Error(`Failed to connect after ${maxRetries} attempts. Last error: ${lastError.message}`);
-}
+// Without --url the page comes from a local FixtureServer; the data: URL
+// stands in when Chrome cannot reach it (e.g. Chrome on another host).
+const FALLBACK_TEST_URL = 'data:text/html,<html><head><title>Test</title></head><body><h1>Chrome Connection Test</h1><p>This is a test page.</p></body></html>';
 
-async function waitForChromeReady(maxWaitTime = 30000) {
-    const startTime = Date.now();
-    
-    while (Date.now() - startTime < maxWaitTime) {
-        try {
-            // Check if Chrome DevTools endpoint is accessible through nginx
-            const response = await fetch('http://localhost:80/json/version', {
-                timeout: 2000
-            });
-            
-            if (response.ok) {
-                const data = await response.json();
-                console.log('Chrome is ready. Version:', data.Browser);
-                return true;
-            }
-        } catch (error) {
-            // Chrome not ready yet, continue waiting
-        }
-        
-        console.log('Waiting for Chrome to be ready...');
-        await new Promise(resolve => setTimeout(resolve, 1000));
-    }
-    
-    throw new Error(`Chrome not ready after ${maxWaitTime}ms`);
-}
+// With --json stdout is reserved for the result object, so progress output
+// goes to stderr instead.
+const stderrLogger = {
+    log: (...args) => console.error(...args),
+    error: (...args) => console.error(...args)
+};
 
-async function waitForPageLoad(Page, url, options = {}) {
-    const {
-        loadTimeout = 15000,
-        domTimeout = 10000,
-        networkIdleTimeout = 5000,
-        maxNetworkIdleTime = 2000,
-        verboseLogging = false
-    } = options;
-    
-    let loadMethod = 'unknown';
-    let networkRequests = 0;
-    let lastNetworkActivity = Date.now();
-    
-    if (verboseLogging) console.log('Setting up page load detection strategies...');
-    
-    // Track network activity for idle detection
-    const onRequestWillBeSent = () => {
-        networkRequests++;
-        lastNetworkActivity = Date.now();
-        if (verboseLogging) console.log(`Network request started. Active requests: ${networkRequests}`);
+function clientOptions(config, logger) {
+    return {
+        ...config.endpoint,
+        maxReconnects: config.maxReconnects,
+        verbose: config.verbose,
+        logger
     };
-    
-    const onResponseReceived = () => {
-        networkRequests = Math.max(0, networkRequests - 1);
-        lastNetworkActivity = Date.now();
-        if (verboseLogging) console.log(`Network response received. Active requests: ${networkRequests}`);
-    };
-    
-    const {Network} = Page._client;
-    Network.requestWillBeSent(onRequestWillBeSent);
-    Network.responseReceived(onResponseReceived);
-    
-    try {
-        // Multiple concurrent load detection strategies
-        const loadStrategies = [
-            // Strategy 1: Standard load event
-            Page.loadEventFired().then(() => {
-                loadMethod = 'loadEventFired';
-                if (verboseLogging) console.log('Load detected via loadEventFired');
-                return true;
-            }).catch(() => false),
-            
-            // Strategy 2: DOM content loaded
-            new Promise(resolve => {
-                setTimeout(async () => {
-                    try {
-                        await Promise.race([
-                            Page.domContentLoaded(),
-                            new Promise((_, reject) => setTimeout(() => reject(new Error('DOM timeout')), domTimeout))
-                        ]);
-                        loadMethod = 'domContentLoaded';
-                        if (verboseLogging) console.log('Load detected via domContentLoaded');
-                        resolve(true);
-                    } catch {
-                        resolve(false);
-                    }
-                }, 1000);
-            }),
-            
-            // Strategy 3: Network idle detection
-            new Promise(resolve => {
-                const checkNetworkIdle = () => {
-                    if (networkRequests === 0 && Date.now() - lastNetworkActivity > maxNetworkIdleTime) {
-                        loadMethod = 'networkIdle';
-                        if (verboseLogging) console.log('Load detected via network idle');
-                        resolve(true);
-                    } else {
-                        setTimeout(checkNetworkIdle, 500);
-                    }
-                };
-                setTimeout(checkNetworkIdle, 2000);
-                setTimeout(() => resolve(false), networkIdleTimeout);
-            }),
-            
-            // Strategy 4: Content verification
-            new Promise(resolve => {
-                setTimeout(async () => {
-                    try {
-                        const result = await Page._client.Runtime.evaluate({
-                            expression: 'document.readyState === "complete" && document.body && document.body.children.length > 0'
-                        });
-                        if (result.result.value) {
-                            loadMethod = 'contentVerification';
-                            if (verboseLogging) console.log('Load detected via content verification');
-                            resolve(true);
-                        } else {
-                            resolve(false);
-                        }
-                    } catch {
-                        resolve(false);
-                    }
-                }, 3000);
-            })
-        ];
-        
-        // Wait for any strategy to succeed or all to timeout
-        const results = await Promise.allSettled(loadStrategies);
-        const successful = results.some(result => result.status === 'fulfilled' && result.value);
-        
-        if (successful) {
-            console.log(`Page loaded successfully via ${loadMethod}`);
-            return { success: true, method: loadMethod };
-        } else {
-            console.log('All load detection strategies failed, using fixed delay fallback');
-            await new Promise(resolve => setTimeout(resolve, 3000));
-            return { success: false, method: 'fixedDelay' };
-        }
-        
-    } finally {
-        // Clean up event listeners
-        Network.requestWillBeSent(null);
-        Network.responseReceived(null);
-    }
 }
 
-async function takeScreenshot() {
-    let client;
+// Each mode receives a run context: the client, the logger and the result
+// object it fills in as phases complete (reported as JSON with --json).
+async function takeScreenshot(config, run) {
+    const { client, logger, result } = run;
+    const region = captureRegion(config);
+    const emulation = resolveEmulation(config.emulation);
+    validateWaitConditions(config.wait);
+    const compare = baselineOptions(config);
+    const budgets = parseBudgets(config.budget);
+    const interception = parseInterception(config);
+    const scenario = config.scenario ? loadScenario(config.scenario) : null;
+    const targetUrl = config.testUrl || (scenario && scenario.url);
+    if (scenario && !targetUrl) {
+        throw new ConfigError('--scenario needs --url or a "url" in the scenario file');
+    }
+    const { setup, steps } = splitSetupSteps(scenario ? scenario.steps : []);
+    const stepOptions = { url: targetUrl, timeout: config.timeout, logger };
+    let recorder = null;
+    let collector = null;
+    let meter = null;
+    let interceptor = null;
+    let fixtures = null;
     
     try {
-        console.log('Connecting to Chrome via nginx proxy...');
-
-        const healthCheck = await fetch('http://localhost:80/health');
-        console.log('Health check response status:', healthCheck.status);
-        if (!healthCheck.ok) {
-            throw new Error('Health check failed');
+        if (!targetUrl) {
+            fixtures = new FixtureServer();
+            await fixtures.listen(0);
+            logger.log(`Serving the test page from ${fixtures.url()}`);
         }
-        console.log('Health check passed.');
         
-        // Wait for Chrome to be ready
-        await waitForChromeReady();
+        logger.log('Connecting to Chrome via nginx proxy...');
+        await client.connect();
         
-        // Connect to Chrome through nginx proxy with retry mechanism
-        client = await connectWithRetry({
-            host: 'localhost',
-            port: 80
-        });
-        
-        const {Network, Page, Runtime} = client;
+        if (emulation) {
+            await client.emulate(emulation);
+        }
+        result.emulation = emulation;
+        logger.log(`Emulation: ${describeEmulation(emulation)}`);
         
-        // Enable necessary domains
-        console.log('Enabling Chrome DevTools domains...');
-        await Network.enable();
-        console.log('Network domain enabled');
-        await Page.enable();
-        console.log('Page domain enabled');
-        await Runtime.enable();
-        console.log('Runtime domain enabled');
+        if (config.harFile) {
+            recorder = client.recordHar({ content: config.harContent });
+        }
+        if (config.collectDiagnostics) {
+            collector = client.collectDiagnostics();
+        }
+        if (config.metrics) {
+            meter = await client.collectMetrics();
+        }
+        if (interception) {
+            interceptor = await client.interceptNetwork(interception);
+            await interceptor.setCookies(targetUrl || fixtures.url());
+        }
+        if (scenario) {
+            result.steps = [];
+            await runSteps(client, setup, { ...stepOptions, pending: steps }, result.steps);
+        }
         
         // Try multiple test URLs for reliability
-        const testUrls = config.testUrl ? [config.testUrl] : [
-            'https://httpbin.org/html',
-            'https://example.com',
-            'data:text/html,<html><head><title>Test</title></head><body><h1>Chrome Connection Test</h1><p>This is a test page.</p></body></html>'
-        ];
+        const testUrls = targetUrl ? [targetUrl] : [fixtures.url(), FALLBACK_TEST_URL];
         
         let navigationSuccess = false;
         let loadResult = null;
@@ -210,159 +143,467 @@ async function takeScreenshot() {
         
         for (let i = 0; i < testUrls.length && !navigationSuccess; i++) {
             testUrl = testUrls[i];
-            console.log(`Connected successfully. Navigating to ${testUrl}...`);
+            logger.log(`Connected successfully. Navigating to ${testUrl}...`);
+            if (recorder) recorder.startPage(testUrl);
             
             try {
-                // Navigate to test URL
-                const navigationResult = await Page.navigate({url: testUrl});
-                console.log('Navigation initiated, frameId:', navigationResult.frameId);
+                await client.navigate(testUrl);
                 
                 // Wait for page load using enhanced detection
-                console.log('Waiting for page to load...');
-                loadResult = await waitForPageLoad(Page, testUrl, {
-                    verboseLogging: config.verbose,
-                    loadTimeout: config.testUrl ? config.timeout : (i === 0 ? 15000 : 10000),
-                    networkIdleTimeout: config.testUrl ? Math.min(config.timeout * 0.3, 5000) : (i === 0 ? 5000 : 3000)
+                logger.log('Waiting for page to load...');
+                loadResult = await client.waitForLoad({
+                    url: testUrl,
+                    loadTimeout: targetUrl ? config.timeout : (i === 0 ? 15000 : 10000),
+                    ...config.wait
                 });
                 
-                // Verify page loaded successfully
-                if (loadResult.success || loadResult.method === 'fixedDelay') {
-                    console.log(`Successfully loaded ${testUrl} using method: ${loadResult.method}`);
+                // Verify page loaded successfully; the last URL is captured as is
+                if (loadResult.success || i === testUrls.length - 1) {
+                    logger.log(`Successfully loaded ${testUrl} using method: ${loadResult.method}`);
                     navigationSuccess = true;
                 } else {
-                    console.log(`Failed to load ${testUrl}, trying next URL...`);
+                    logger.log(`Failed to load ${testUrl}, trying next URL...`);
                 }
                 
             } catch (navError) {
-                console.log(`Navigation to ${testUrl} failed: ${navError.message}`);
+                logger.log(`Navigation to ${testUrl} failed: ${navError.message}`);
                 if (i === testUrls.length - 1) {
-                    throw new Error(`All test URLs failed. Last error: ${navError.message}`);
+                    throw new NavigationError(`All test URLs failed. Last error: ${navError.message}`, { cause: navError });
                 }
-                console.log('Trying next URL...');
+                logger.log('Trying next URL...');
             }
         }
         
         if (!navigationSuccess) {
-            throw new Error('All navigation attempts failed');
+            throw new NavigationError('All navigation attempts failed');
         }
         
-        console.log(`Using test URL: ${testUrl}`);
+        logger.log(`Using test URL: ${testUrl}`);
+        result.url = testUrl;
+        result.loadMethod = loadResult.method;
         
-        // Wait a bit more for content to render
-        console.log('Waiting for content to render...');
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        console.log('Taking screenshot...');
+        if (scenario) {
+            logger.log(`Running ${steps.length} scenario step(s)...`);
+            await client.timed('steps', () => runSteps(client, steps, { ...stepOptions, offset: setup.length }, result.steps));
+        }
         
-        // Take screenshot
-        const screenshotOptions = {
-            format: config.screenshotFormat
-        };
+        // Wait a bit more for content to render
+        logger.log('Waiting for content to render...');
+        await client.timed('render', () => new Promise(resolve => setTimeout(resolve, 2000)));
         
-        if (config.screenshotFormat === 'jpeg' && config.screenshotQuality) {
-            screenshotOptions.quality = config.screenshotQuality;
+        if (meter) {
+            await reportMetrics(meter, budgets, run);
         }
         
-        const screenshot = await Page.captureScreenshot(screenshotOptions);
+        let output;
+        if (config.screenshotFormat === 'pdf') {
+            logger.log('Printing PDF...');
+            output = await client.pdf(config.pdf);
+        } else {
+            logger.log('Taking screenshot...');
+            output = await client.screenshot({
+                format: config.screenshotFormat,
+                quality: config.screenshotQuality,
+                ...region
+            });
+        }
         
         // Save screenshot to file
         const filename = `screenshot.${config.screenshotFormat}`;
-        fs.writeFileSync(filename, screenshot.data, 'base64');
+        fs.writeFileSync(filename, output);
+        result.outputFile = path.resolve(filename);
         
-        console.log(`Screenshot saved as ${filename}`);
-        
-    } catch (error) {
-        console.log('Failed to connect or take screenshot.');
-        
-        // Enhanced error diagnostics
-        console.error('Error Type:', error.constructor.name);
-        console.error('Error Message:', error.message);
-        
-        if (error.stack) {
-            console.error('Stack Trace:');
-            console.error(error.stack);
-        }
-        
-        // Additional Chrome connection diagnostics
-        if (error.message.includes('connect') || error.message.includes('ECONNREFUSED')) {
-            console.error('\nDiagnostic Info:');
-            console.error('- Check if Chrome is running on the expected port');
-            console.error('- Verify nginx proxy configuration');
-            console.error('- Ensure Docker container networking is correct');
-            
-            try {
-                // Try direct health check
-                const healthResponse = await fetch('http://localhost:80/health');
-                console.error(`- Health endpoint status: ${healthResponse.status}`);
-            } catch (healthError) {
-                console.error(`- Health endpoint unreachable: ${healthError.message}`);
-            }
-            
-            try {
-                // Try direct Chrome DevTools endpoint
-                const chromeResponse = await fetch('http://localhost:80/json/version');
-                if (chromeResponse.ok) {
-                    const data = await chromeResponse.json();
-                    console.error(`- Chrome version accessible: ${data.Browser}`);
-                } else {
-                    console.error(`- Chrome endpoint status: ${chromeResponse.status}`);
-                }
-            } catch (chromeError) {
-                console.error(`- Chrome endpoint unreachable: ${chromeError.message}`);
-            }
-        }
+        logger.log(`${config.screenshotFormat === 'pdf' ? 'PDF' : 'Screenshot'} saved as ${filename}`);
         
-        // Navigation-specific diagnostics
-        if (error.message.includes('navigate') || error.message.includes('timeout')) {
-            console.error('\nNavigation Diagnostics:');
-            console.error('- Network connectivity issues may be present');
-            console.error('- Target URL may be unreachable or slow');
-            console.error('- Consider using fallback test URLs');
+        if (compare) {
+            result.comparison = compareCapture(output, filename, compare);
+            logger.log(`Baseline: ${describeComparison(result.comparison)}`);
         }
         
-        process.exit(1);
+    } catch (error) {
+        logger.log('Failed to connect or take screenshot.');
+        await printDiagnostics(error, run);
+        throw error;
     } finally {
-        if (client) {
-            try {
-                await client.close();
-                console.log('Chrome connection closed cleanly');
-            } catch (closeError) {
-                console.error('Error closing Chrome connection:', closeError.message);
-            }
+        // Written on failure too: a failing page is when the HAR matters most
+        if (recorder) await saveHar(recorder, config, run);
+        if (collector) reportDiagnostics(collector, run);
+        if (interceptor) await reportInterception(interceptor, run);
+        await closeClient(run);
+        if (fixtures) await fixtures.close();
+    }
+    
+    if (config.failOnConsoleError && hasPageErrors(result.diagnostics)) {
+        throw new PageError(`Page errors on ${result.url}: ${describeDiagnostics(result.diagnostics)}`);
+    }
+    if (result.budgets && exceededBudgets(result.budgets).length > 0) {
+        throw new BudgetError(`Performance budget exceeded on ${result.url}: ${describeBudgetFailures(result.budgets)}`);
+    }
+    if (isRegression(result.comparison)) {
+        throw new VisualRegressionError(`Screenshot: ${describeComparison(result.comparison)}`);
+    }
+}
+
+function isRegression(comparison) {
+    return !!comparison && ['mismatch', 'missing'].includes(comparison.status);
+}
+
+// --baseline settings for compareCapture(), or null without --baseline
+function baselineOptions(config, { batch = false } = {}) {
+    if (!config.baseline) {
+        if (config.updateBaseline) {
+            throw new ConfigError('--update-baseline needs --baseline');
         }
+        return null;
+    }
+    if (config.screenshotFormat !== 'png') {
+        throw new ConfigError('--baseline compares png screenshots only');
     }
+    if (batch && path.extname(config.baseline).toLowerCase() === '.png') {
+        throw new ConfigError('--baseline must be a directory when used with --urls-file');
+    }
+    
+    const options = {
+        baseline: config.baseline,
+        threshold: config.threshold,
+        maxDiff: config.maxDiff,
+        update: config.updateBaseline
+    };
+    validateCompareOptions(options);
+    return options;
 }
 
-// Configuration and command line argument parsing
-function parseArguments() {
-    const args = process.argv.slice(2);
-    const config = {
-        verbose: args.includes('--verbose') || args.includes('-v'),
-        testUrl: null,
-        timeout: 15000,
-        screenshotFormat: 'png',
-        screenshotQuality: 80,
-        dryRun: args.includes('--dry-run'),
-        help: args.includes('--help') || args.includes('-h')
+async function saveHar(recorder, config, { logger, result }) {
+    try {
+        const har = await recorder.stop();
+        writeHar(config.harFile, har);
+        result.harFile = path.resolve(config.harFile);
+        logger.log(`HAR with ${har.log.entries.length} request(s) saved as ${config.harFile}`);
+    } catch (error) {
+        logger.error(`Failed to write HAR file ${config.harFile}: ${error.message}`);
+    }
+}
+
+// Puts the --collect-diagnostics report on the result and logs what the page
+// reported, exceptions first since they are what usually breaks a capture
+function reportDiagnostics(collector, { logger, result }) {
+    const diagnostics = collector.stop();
+    result.diagnostics = diagnostics;
+    logger.log(`Diagnostics: ${describeDiagnostics(diagnostics)}`);
+    
+    diagnostics.exceptions.forEach(exception => {
+        logger.log(`  EXCEPTION  ${exception.message}${exception.url ? ` (${exception.url}:${exception.line})` : ''}`);
+    });
+    diagnostics.console.filter(message => ['error', 'assert'].includes(message.level)).forEach(message => {
+        logger.log(`  CONSOLE    ${message.text}`);
+    });
+    diagnostics.failedRequests.forEach(failed => {
+        logger.log(`  FAILED     ${failed.method} ${failed.url}: ${failed.errorText}`);
+    });
+    diagnostics.httpErrors.forEach(httpError => {
+        logger.log(`  HTTP ${httpError.status}   ${httpError.url}`);
+    });
+}
+
+// Puts the --metrics report (and --budget results) on the result. Read once
+// the page has rendered, before the capture, so LCP and CLS cover the
+// content that ends up in the screenshot.
+async function reportMetrics(meter, budgets, { logger, result }) {
+    result.metrics = await meter.stop();
+    logger.log(`Metrics: ${describeMetrics(result.metrics)}`);
+    
+    if (Object.keys(budgets).length > 0) {
+        result.budgets = checkBudgets(result.metrics, budgets);
+        result.budgets.forEach(({ metric, value, budget, unit, status }) => {
+            logger.log(`  ${status.toUpperCase().padEnd(10)} ${metric} ${value === null ? 'n/a' : value + unit} (budget ${budget}${unit})`);
+        });
+    }
+}
+
+// Puts what the network options intercepted on the result, listing the
+// blocked and mocked requests with the rule that matched each
+async function reportInterception(interceptor, { logger, result }) {
+    result.interception = await interceptor.stop();
+    logger.log(`Interception: ${describeInterception(result.interception)}`);
+    result.interception.requests.forEach(({ action, url, rule }) => {
+        logger.log(`  ${action.toUpperCase().padEnd(10)} ${url} (${rule})`);
+    });
+}
+
+// The --full-page / --selector / --clip choice as screenshot() options
+function captureRegion(config) {
+    const regionFlags = [config.fullPage, config.selector, config.clip].filter(Boolean).length;
+    if (regionFlags > 1) {
+        throw new ConfigError('Only one of --full-page, --selector or --clip can be used');
+    }
+    if (config.screenshotFormat === 'pdf') {
+        if (regionFlags > 0) {
+            throw new ConfigError('--full-page, --selector and --clip do not apply to PDF output');
+        }
+        // Fail on bad paper size or margins before connecting
+        buildPrintOptions(config.pdf);
+    }
+    
+    return {
+        fullPage: config.fullPage,
+        selector: config.selector,
+        clip: config.clip ? parseClip(config.clip) : undefined
+    };
+}
+
+async function captureBatch(config, run) {
+    const { client, logger, result } = run;
+    
+    // Fail on a bad --device/--viewport or wait condition before touching Chrome
+    if (config.harFile) {
+        throw new ConfigError('--har records a single page and cannot be combined with --urls-file');
+    }
+    resolveEmulation(config.emulation);
+    validateWaitConditions(config.wait);
+    const baseline = baselineOptions(config, { batch: true });
+    const budgets = parseBudgets(config.budget);
+    const entries = loadManifest(config.urlsFile);
+    logger.log(`Loaded ${entries.length} URL(s) from ${config.urlsFile}`);
+    
+    const batchOptions = {
+        outDir: config.outDir,
+        format: config.screenshotFormat,
+        quality: config.screenshotQuality,
+        region: captureRegion(config),
+        pdf: config.pdf,
+        emulation: config.emulation,
+        wait: config.wait,
+        baseline,
+        steps: config.scenario ? loadScenario(config.scenario).steps : null,
+        diagnostics: config.collectDiagnostics,
+        failOnConsoleError: config.failOnConsoleError,
+        metrics: config.metrics,
+        budgets: Object.keys(budgets).length > 0 ? budgets : null,
+        interception: parseInterception(config),
+        timeout: config.timeout,
+        concurrency: config.concurrency,
+        logger
     };
+    let summary;
     
-    // Parse specific arguments
-    args.forEach((arg, index) => {
-        if (arg === '--url' && args[index + 1]) {
-            config.testUrl = args[index + 1];
+    try {
+        logger.log('Connecting to Chrome via nginx proxy...');
+        if (config.concurrency > 1) {
+            logger.log(`Capturing with ${config.concurrency} parallel targets`);
+            summary = await runParallelBatch(clientOptions(config, logger), entries, batchOptions);
+        } else {
+            await client.connect();
+            summary = await runBatch(client, entries, batchOptions);
         }
-        if (arg === '--timeout' && args[index + 1]) {
-            config.timeout = parseInt(args[index + 1]) || 15000;
+    } catch (error) {
+        logger.log('Failed to connect for batch capture.');
+        await printDiagnostics(error, run);
+        throw error;
+    } finally {
+        await closeClient(run);
+    }
+    
+    const summaryFile = path.join(config.outDir, 'summary.json');
+    fs.writeFileSync(summaryFile, JSON.stringify(summary, null, 2));
+    result.batch = summary;
+    result.outputFile = path.resolve(summaryFile);
+    printBatchSummary(summary, logger);
+    logger.log(`Summary written to ${summaryFile}`);
+    
+    if (summary.failed > 0) {
+        throw new BatchError(`${summary.failed} of ${summary.total} capture(s) failed`);
+    }
+    if (summary.regressions > 0) {
+        throw new VisualRegressionError(`${summary.regressions} of ${summary.total} capture(s) do not match their baseline`);
+    }
+}
+
+function printBatchSummary(summary, logger) {
+    logger.log('\n=== Batch Summary ===');
+    logger.log(`Total: ${summary.total}, succeeded: ${summary.succeeded}, failed: ${summary.failed}`);
+    if (summary.results.some(result => result.comparison)) {
+        logger.log(`Baseline regressions: ${summary.regressions}`);
+    }
+    
+    const methods = Object.entries(summary.loadMethods)
+        .map(([method, count]) => `${method}=${count}`)
+        .join(', ');
+    logger.log(`Load methods: ${methods || 'none'}`);
+    if (summary.reconnects > 0) {
+        logger.log(`Reconnects: ${summary.reconnects}`);
+    }
+    
+    summary.results.forEach(result => {
+        if (result.status === 'success') {
+            logger.log(`  OK    ${result.url} -> ${result.file} (${result.loadMethod}, ${result.durationMs}ms)`);
+            if (result.comparison) {
+                logger.log(`        ${isRegression(result.comparison) ? 'DIFF' : 'same'}  ${describeComparison(result.comparison)}`);
+            }
+        } else {
+            logger.log(`  FAIL  ${result.url}: ${result.error}`);
         }
-        if (arg === '--format' && args[index + 1]) {
-            config.screenshotFormat = args[index + 1];
+        if (result.diagnostics) {
+            logger.log(`        ${describeDiagnostics(result.diagnostics)}`);
         }
-        if (arg === '--quality' && args[index + 1]) {
-            config.screenshotQuality = parseInt(args[index + 1]) || 80;
+        if (result.metrics) {
+            logger.log(`        ${describeMetrics(result.metrics)}`);
         }
     });
+}
+
+// Holds one CDP session through the proxy for --soak seconds and checks it
+// stays usable: periodic pings, latency percentiles and any disconnects,
+// including whether nginx's proxy timeouts closed the WebSocket.
+async function soakTest(config, run) {
+    const { client, logger, result } = run;
+    if (!(config.soak > 0) || !(config.pingInterval > 0) || !(config.proxyTimeout > 0)) {
+        throw new ConfigError('--soak, --ping-interval and --proxy-timeout must be positive numbers');
+    }
+    
+    let report;
+    try {
+        logger.log('Connecting to Chrome via nginx proxy...');
+        report = await runSoak(client, {
+            duration: config.soak * 1000,
+            interval: config.pingInterval,
+            pingTimeout: config.timeout,
+            proxyTimeout: config.proxyTimeout * 1000,
+            logger
+        });
+    } catch (error) {
+        await printDiagnostics(error, run);
+        throw error;
+    } finally {
+        await closeClient(run);
+    }
+    
+    result.soak = report;
+    printSoakReport(report, logger);
+    
+    if (!report.passed) {
+        throw new SoakTestError(`Soak test failed: ${report.disconnects.length} disconnect(s), ${report.errors.length} error(s)`);
+    }
+}
+
+function printSoakReport(report, logger) {
+    const { pings, latency } = report;
+    logger.log('\n=== Soak Test Report ===');
+    logger.log(`Duration: ${report.duration}ms, pings: ${pings.ok}/${pings.sent} answered (${pings.failed} failed, ${pings.timedOut} timed out)`);
+    if (latency) {
+        logger.log(`Latency (ms): min ${latency.min}, p50 ${latency.p50}, p90 ${latency.p90}, p99 ${latency.p99}, max ${latency.max}`);
+    }
+    report.disconnects.forEach(disconnect => {
+        logger.log(`Disconnected at ${disconnect.at}ms after ${disconnect.idleFor}ms idle (${disconnect.reason})`);
+    });
+    logger.log(`Reconnects: ${report.reconnects}, longest idle gap: ${report.longestIdle}ms, longest session: ${report.longestSession}ms`);
     
-    return config;
+    const timeout = `proxy timeout (${report.proxyTimeout / 1000}s)`;
+    if (report.proxyTimeoutHit) {
+        logger.log(`The ${timeout} closed an idle session; use a ping interval below it`);
+    } else if (report.outlivedProxyTimeout) {
+        logger.log(`A single session outlived the ${timeout} without being closed`);
+    } else {
+        logger.log(`The ${timeout} was not reached; run longer than it to verify keepalive`);
+    }
+}
+
+// Runs the same CDP workload straight against Chrome's debugging port and
+// through the proxy, then prints how much latency and throughput nginx costs.
+async function benchmark(config, run) {
+    const { client, logger, result } = run;
+    const direct = { host: config.directHost || client.endpoint.host, port: config.directPort };
+    
+    logger.log(`Benchmarking direct (${direct.host}:${direct.port}) vs nginx (${client.baseUrl})...`);
+    const report = await runBenchmark(client.endpoint, direct, {
+        evaluations: config.iterations,
+        logger
+    });
+    
+    result.benchmark = report;
+    logger.log('\n=== Proxy Benchmark ===');
+    logger.log(formatBenchmark(report));
+}
+
+async function testConnection(config, run) {
+    const { client, logger } = run;
+    
+    try {
+        logger.log('Testing Chrome connection via nginx proxy...');
+        await client.connect();
+        logger.log('Connection test completed successfully');
+    } catch (error) {
+        await printDiagnostics(error, run);
+        throw error;
+    } finally {
+        await closeClient(run);
+    }
+}
+
+async function closeClient({ client, logger }) {
+    try {
+        await client.close();
+    } catch (closeError) {
+        logger.error('Error closing Chrome connection:', closeError.message);
+    }
+}
+
+async function printDiagnostics(error, { client, logger }) {
+    // Enhanced error diagnostics
+    logger.error('Error Type:', error.constructor.name);
+    logger.error('Error Message:', error.message);
+    
+    if (error.stack) {
+        logger.error('Stack Trace:');
+        logger.error(error.stack);
+    }
+    
+    // Additional Chrome connection diagnostics
+    if (error instanceof HealthCheckError || error instanceof ChromeNotReadyError || error instanceof ConnectionError) {
+        logger.error('\nDiagnostic Info:');
+        logger.error('- Check if Chrome is running on the expected port');
+        logger.error('- Verify nginx proxy configuration');
+        logger.error('- Ensure Docker container networking is correct');
+        
+        logger.error(`- Proxy endpoint: ${client.baseUrl}`);
+        
+        try {
+            // Try direct health check
+            const healthResponse = await request(client.endpoint, '/health');
+            logger.error(`- Health endpoint status: ${healthResponse.status}`);
+        } catch (healthError) {
+            logger.error(`- Health endpoint unreachable: ${healthError.message}`);
+        }
+        
+        try {
+            // Try direct Chrome DevTools endpoint
+            const data = await fetchChromeVersion(client.endpoint);
+            logger.error(`- Chrome version accessible: ${data.Browser}`);
+        } catch (chromeError) {
+            logger.error(`- Chrome endpoint unreachable: ${chromeError.message}`);
+        }
+    }
+    
+    if (error instanceof ChromeUnavailableError) {
+        logger.error('\nDiagnostic Info:');
+        logger.error('- nginx is up but cannot reach Chrome behind it');
+        logger.error('- Check that Chrome is running and listening on CHROME_DEBUG_PORT');
+        logger.error(`- Full report: ${client.endpoint.httpUrl('/status')}`);
+    }
+    
+    // Navigation-specific diagnostics
+    if (error instanceof NavigationError) {
+        logger.error('\nNavigation Diagnostics:');
+        logger.error('- Network connectivity issues may be present');
+        logger.error('- Target URL may be unreachable or slow');
+        logger.error('- Consider using fallback test URLs');
+    }
+}
+
+// Configuration from the config file, its profiles, CHROME_PROXY_* variables
+// and the command line flags; see lib/config.js. Throws ConfigError for
+// anything invalid.
+function parseArguments(argv = process.argv.slice(2), env = process.env, cwd = process.cwd()) {
+    return resolveConfig({ argv, env, cwd });
 }
 
 function showHelp() {
@@ -373,98 +614,371 @@ Usage: node test-connection.js [options]
 
 Options:
   --verbose, -v          Enable verbose logging
-  --url <url>           Specify custom test URL
+  --url <url>           Specify custom test URL (default: a built-in local test page)
+  --urls-file <path>    Capture every URL in a text list or JSON manifest
+  --out-dir <dir>       Output directory for --urls-file (default: screenshots)
+  --concurrency <n>     Parallel tabs for --urls-file (default: 1)
   --timeout <ms>        Set page load timeout (default: 15000)
-  --format <format>     Screenshot format: png, jpeg, webp (default: png)
+  --max-reconnects <n>  Times to reconnect and retry a step when the CDP
+                        connection drops mid-run (default: 2, 0 to disable)
+  --wait-for <event>    Wait for load, domcontentloaded or networkidle
+  --wait-selector <css> Wait until an element matches the selector
+  --wait-function <js>  Wait until the JavaScript expression is truthy
+  --scenario <file>     Run the steps in a JSON scenario file (cookies, headers,
+                        clicks, typing, scrolling, scripts, waits) before capturing
+  --format <format>     Output format: png, jpeg, webp, pdf (default: png)
   --quality <quality>   Screenshot quality 1-100 (default: 80)
+  --full-page           Capture the whole scrollable page, not just the viewport
+  --selector <css>      Capture only the first element matching the selector
+  --clip <x,y,w,h>      Capture a fixed region in CSS pixels
+  --pdf                 Same as --format pdf
+  --paper <size>        PDF paper size: ${Object.keys(PAPER_SIZES).join(', ')} (default: letter)
+  --landscape           PDF in landscape orientation
+  --margin <margins>    PDF margins, one value or top,right,bottom,left (e.g. 1cm or 0.5in)
+  --print-background    Include background colors and images in the PDF
+  --header-template <html>
+                        PDF header HTML (Chrome's pageNumber/totalPages/title/url/date classes)
+  --footer-template <html>
+                        PDF footer HTML
+  --device <name>       Emulate a device preset (see below)
+  --viewport <WxH>      Viewport size in CSS pixels, e.g. 1280x720
+  --dpr <factor>        Device scale factor, e.g. 2
+  --user-agent <ua>     Override the browser user agent
+  --har <file>          Record the page's network traffic as a HAR 1.2 file
+  --har-content         Include response bodies in the HAR file
+  --collect-diagnostics Record console messages, page exceptions, failed requests
+                        and HTTP error responses in the result
+  --fail-on-console-error
+                        Fail the run when the page throws or logs a console error
+                        (implies --collect-diagnostics)
+  --metrics             Report performance metrics, navigation timing, Web Vitals
+                        (FCP, LCP, CLS) and request totals for the page
+  --budget <name=value,...>
+                        Fail the run when a metric exceeds its budget, e.g.
+                        lcp=2500,cls=0.1,requests=50 (implies --metrics; names:
+                        ttfb, fcp, lcp, cls, domContentLoaded, load, requests,
+                        bytes, jsHeap)
+  --block <patterns>    Fail requests matching URL patterns ('*' wildcards over the
+                        whole URL) or presets: ${Object.keys(BLOCK_PRESETS).join(', ')};
+                        comma-separated, repeatable
+  --header <name: value>
+                        Add a header to every request the page makes (repeatable)
+  --cookie <name=value> Set a cookie for the page, with optional ; Domain=, Path=,
+                        Secure and HttpOnly attributes (repeatable)
+  --throttle <preset>   Throttle the network: ${Object.keys(THROTTLE_PRESETS).join(', ')}
+  --mock <pattern=file> Answer requests matching the URL pattern with the file's
+                        content (repeatable)
+  --baseline <file|dir> Compare png captures with a baseline image (a directory with --urls-file)
+  --update-baseline     Save the new captures as the baseline instead of comparing
+  --threshold <0-1>     Per-pixel colour tolerance for --baseline (default: 0.1)
+  --max-diff <percent>  Share of differing pixels allowed for --baseline (default: 0)
   --dry-run             Test connection only, skip screenshot
+  --soak <seconds>      Hold one CDP session open and ping it for this long
+  --ping-interval <ms>  Time between --soak pings (default: 5000)
+  --proxy-timeout <s>   nginx proxy_read_timeout to check --soak against (default: 300)
+  --benchmark           Compare CDP latency and throughput direct vs through nginx
+  --direct-host <host>  Chrome host for --benchmark (default: the proxy host)
+  --direct-port <port>  Chrome debugging port for --benchmark
+                        (default: CHROME_DEBUG_PORT or ${DEFAULT_CHROME_PORT})
+  --iterations <n>      Runtime.evaluate round trips per path for --benchmark (default: 100)
+  --serve <[host:]port> Run an HTTP capture service (POST /screenshot, POST /pdf)
+                        on the given port; host defaults to 127.0.0.1
+  --max-queue <n>       Requests --serve queues before answering 503 (default: 20)
+  --serve-steps         Let --serve requests carry scenario steps (runs their
+                        JavaScript in Chrome; only for trusted callers)
+  --json                Print a JSON result object to stdout (logs go to stderr)
+  --host <host>         Proxy host (default: localhost)
+  --port <port>         Proxy port (default: 80, or 443 with --secure)
+  --secure              Use https/wss to reach the proxy
+  --ca-file <path>      CA certificate to trust for --secure
+  --insecure            Skip TLS certificate verification for --secure
+  --token <token>       Access token for a proxy that requires one
+  --instance <n>        Talk to Chrome instance n of a chrome-pool.js pool
+                        (/instance/<n>/ on the proxy) instead of the balanced pool
+  --config <file>       Read options from this file instead of looking for
+                        chrome-proxy.config.json or chrome-proxy.config.js
+  --profile <name>      Apply a named profile from the config file
+  --print-config        Print the resolved configuration and where each value
+                        came from, then exit
   --help, -h            Show this help message
 
+Exit codes:
+  0 success, 1 unexpected error, 2 invalid configuration, 3 health check failed,
+  4 Chrome not ready, 5 CDP connection failed, 6 navigation failed,
+  7 capture failed, 8 one or more batch captures failed,
+  9 capture differs from its baseline, 10 soak test saw disconnects or failed pings,
+  11 the proxy rejected the access token or needs one,
+  12 the page threw or logged a console error (--fail-on-console-error),
+  13 a --scenario step failed, 14 a --budget was exceeded,
+  15 the proxy's /status reports Chrome unreachable
+
+Device presets:
+  ${Object.keys(DEVICE_PRESETS).join(', ')}
+
+Configuration:
+  Options are resolved from, lowest precedence first: the config file, the
+  selected profile, environment variables and the command line flags. Config
+  files use the camelCase option names ("maxReconnects": 3), with named option
+  sets under "profiles"; see README.md.
+
+Environment:
+  CHROME_PROXY_<OPTION> Any option, e.g. CHROME_PROXY_HOST, CHROME_PROXY_TOKEN,
+                        CHROME_PROXY_MAX_RECONNECTS=5, CHROME_PROXY_SECURE=true
+  CHROME_PROXY_CONFIG   Config file, as --config
+  CHROME_PROXY_PROFILE  Profile, as --profile
+  CHROME_DEBUG_PORT     Default for --direct-port, as in start-chrome.sh
+
 Examples:
   node test-connection.js --verbose
   node test-connection.js --url https://google.com --timeout 20000
   node test-connection.js --dry-run --verbose
+  node test-connection.js --urls-file urls.txt --out-dir captures
+  node test-connection.js --url https://example.com/app --wait-for networkidle --wait-selector '#app'
+  node test-connection.js --url https://example.com --pdf --paper a4 --margin 1cm
+  node test-connection.js --url https://example.com --json > result.json
+  node test-connection.js --url https://example.com --har page.har --har-content
+  node test-connection.js --url https://example.com/app --fail-on-console-error --json
+  node test-connection.js --scenario login.json --full-page
+  node test-connection.js --url https://example.com --budget lcp=2500,cls=0.1 --json
+  node test-connection.js --url https://example.com --block ads,trackers,fonts --throttle slow-3g
+  node test-connection.js --url https://example.com/app --mock '*/api/user=user.json' --header 'X-Test: 1'
+  node test-connection.js --urls-file urls.txt --baseline baselines --max-diff 0.5
+  node test-connection.js --soak 900 --ping-interval 10000
+  node test-connection.js --benchmark --direct-port 48333 --iterations 500
+  node test-connection.js --serve 0.0.0.0:3000 --max-queue 50
+  node test-connection.js --instance 2 --url https://example.com
+  node test-connection.js --secure --ca-file /etc/ssl/certs/nginx-selfsigned.crt
+  node test-connection.js --token "$CHROME_PROXY_TOKEN" --url https://example.com
+  node test-connection.js --profile staging --print-config
 `);
 }
 
-// Main execution with configuration
-const config = parseArguments();
+// "3000" or "0.0.0.0:3000" -> { host, port }
+function parseListenAddress(value) {
+    const match = /^(?:(.+):)?(\d+)$/.exec(value);
+    const port = match ? parseInt(match[2]) : NaN;
+    if (!match || port > 65535) {
+        throw new ConfigError(`Invalid --serve address "${value}"; expected [host:]port`);
+    }
+    return { host: match[1] || '127.0.0.1', port };
+}
 
-if (config.help) {
-    showHelp();
-    process.exit(0);
+// Runs the HTTP capture service until SIGINT/SIGTERM. Resolves with an exit
+// code only if the service fails to start.
+async function serve(config) {
+    const server = new CaptureServer(clientOptions(config, console), {
+        maxQueue: config.maxQueue,
+        allowSteps: config.serveSteps,
+        timeout: config.timeout,
+        logger: console
+    });
+    
+    try {
+        const { host, port } = parseListenAddress(config.serve);
+        console.log('Connecting to Chrome via nginx proxy...');
+        const address = await server.listen(port, host);
+        console.log(`${server.client.chromeVersion.Browser} ready; capture service listening on http://${address.address}:${address.port}`);
+    } catch (error) {
+        console.error('Capture service failed to start:', error.message);
+        return exitCodeFor(error);
+    }
+    
+    const shutdown = async () => {
+        console.log('Shutting down capture service...');
+        await server.close();
+        process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+    
+    return null;
+}
+
+function runMode(config) {
+    if (config.dryRun) return 'dry-run';
+    if (config.soak !== null) return 'soak';
+    if (config.benchmark) return 'benchmark';
+    if (config.urlsFile) return 'batch';
+    return config.screenshotFormat === 'pdf' ? 'pdf' : 'screenshot';
 }
 
-async function runTest() {
+// Runs the configured test and resolves with the process exit code. With
+// --json the result object is printed to stdout once the run ends.
+async function runTest(config) {
     const startTime = Date.now();
+    const logger = config.json ? stderrLogger : console;
+    const result = {
+        success: false,
+        mode: runMode(config),
+        endpoint: null,
+        chromeVersion: null,
+        proxyStatus: null,
+        connectionAttempts: 0,
+        reconnects: 0,
+        url: null,
+        loadMethod: null,
+        emulation: null,
+        outputFile: null,
+        harFile: null,
+        steps: null,
+        diagnostics: null,
+        metrics: null,
+        budgets: null,
+        interception: null,
+        comparison: null,
+        soak: null,
+        benchmark: null,
+        timings: {},
+        error: null,
+        exitCode: null
+    };
+    let client = null;
+    let exitCode;
     
     try {
-        console.log('=== Chrome Connection Test Started ===');
+        logger.log('=== Chrome Connection Test Started ===');
         if (config.verbose) {
-            console.log('Configuration:', {
+            logger.log('Configuration:', {
+                configFile: config.configFile,
+                profile: config.profile,
                 verbose: config.verbose,
                 testUrl: config.testUrl || 'auto-detect',
+                urlsFile: config.urlsFile,
+                concurrency: config.concurrency,
                 timeout: config.timeout,
                 screenshotFormat: config.screenshotFormat,
-                dryRun: config.dryRun
+                fullPage: config.fullPage,
+                selector: config.selector,
+                clip: config.clip,
+                emulation: config.emulation,
+                wait: config.wait,
+                harFile: config.harFile,
+                scenario: config.scenario,
+                collectDiagnostics: config.collectDiagnostics,
+                metrics: config.metrics,
+                budget: config.budget,
+                block: config.block,
+                throttle: config.throttle,
+                mock: config.mock,
+                pdf: config.screenshotFormat === 'pdf' ? config.pdf : undefined,
+                dryRun: config.dryRun,
+                soak: config.soak,
+                endpoint: new ProxyEndpoint(config.endpoint).httpUrl()
             });
         }
         
+        client = new ChromeProxyClient(clientOptions(config, logger));
+        result.endpoint = client.baseUrl;
+        const run = { client, logger, result };
+        
         if (config.dryRun) {
-            console.log('Running in dry-run mode (connection test only)');
-            await testConnection();
+            logger.log('Running in dry-run mode (connection test only)');
+            await testConnection(config, run);
+        } else if (config.soak !== null) {
+            await soakTest(config, run);
+        } else if (config.benchmark) {
+            await benchmark(config, run);
+        } else if (config.urlsFile) {
+            await captureBatch(config, run);
         } else {
-            await takeScreenshot();
+            await takeScreenshot(config, run);
         }
         
         const duration = Date.now() - startTime;
-        console.log(`=== Test completed successfully in ${duration}ms ===`);
-        process.exit(0);
+        logger.log(`=== Test completed successfully in ${duration}ms ===`);
+        result.success = true;
+        exitCode = 0;
         
     } catch (error) {
         const duration = Date.now() - startTime;
-        console.error(`=== Test failed after ${duration}ms ===`);
-        console.error('Error:', error.message);
-        process.exit(1);
+        logger.error(`=== Test failed after ${duration}ms ===`);
+        logger.error('Error:', error.message);
+        result.error = describeError(error);
+        exitCode = exitCodeFor(error);
+    }
+    
+    if (client) {
+        result.chromeVersion = client.chromeVersion;
+        result.proxyStatus = client.proxyStatus;
+        result.connectionAttempts = client.connectionAttempts;
+        // Parallel batches resume sessions on their own per-tab clients
+        result.reconnects = result.batch ? result.batch.reconnects : client.reconnects;
+        result.timings = { ...client.timings };
+    }
+    result.timings.total = Date.now() - startTime;
+    result.exitCode = exitCode;
+    
+    if (config.json) {
+        process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
     }
+    
+    return exitCode;
 }
 
-async function testConnection() {
-    let client;
+// Invalid options end the run before it starts, but --json still gets a
+// result object; the mode is guessed from the flags as given, with the output
+// format read as the option parser reads it.
+function reportInvalidOptions(error, argv) {
+    const has = flag => argv.some(arg => arg === flag || arg.startsWith(`${flag}=`));
+    const exitCode = exitCodeFor(error);
     
-    try {
-        console.log('Testing Chrome connection via nginx proxy...');
-        
-        const healthCheck = await fetch('http://localhost:80/health');
-        console.log('Health check response status:', healthCheck.status);
-        if (!healthCheck.ok) {
-            throw new Error('Health check failed');
-        }
-        console.log('Health check passed.');
-        
-        await waitForChromeReady();
-        
-        client = await connectWithRetry({
-            host: 'localhost',
-            port: 80
+    console.error('Error:', error.message);
+    if (has('--json')) {
+        const mode = runMode({
+            dryRun: has('--dry-run'),
+            soak: has('--soak') ? 0 : null,
+            benchmark: has('--benchmark'),
+            urlsFile: has('--urls-file'),
+            screenshotFormat: resolveFlags(argv).screenshotFormat
         });
-        
-        const {Network, Page, Runtime} = client;
-        
-        console.log('Enabling Chrome DevTools domains...');
-        await Network.enable();
-        await Page.enable();  
-        await Runtime.enable();
-        console.log('All domains enabled successfully');
-        
-        console.log('Connection test completed successfully');
-        
-    } finally {
-        if (client) {
-            await client.close();
-            console.log('Chrome connection closed cleanly');
+        process.stdout.write(`${JSON.stringify({ success: false, mode, error: describeError(error), exitCode }, null, 2)}\n`);
+    }
+    return exitCode;
+}
+
+async function main() {
+    const argv = process.argv.slice(2);
+    
+    // Help must work even when the config file or environment is broken
+    if (argv.includes('--help') || argv.includes('-h')) {
+        showHelp();
+        process.exit(0);
+    }
+    
+    let config;
+    try {
+        config = parseArguments(argv);
+    } catch (error) {
+        process.exit(reportInvalidOptions(error, argv));
+    }
+    
+    if (config.printConfig) {
+        console.log(JSON.stringify(describeConfig(config), null, 2));
+        process.exit(0);
+    }
+    
+    if (config.serve) {
+        const exitCode = await serve(config);
+        if (exitCode !== null) {
+            process.exit(exitCode);
         }
+        return;
     }
+    
+    process.exit(await runTest(config));
+}
+
+if (require.main === module) {
+    main();
 }
 
-runTest();
\ No newline at end of file
+module.exports = {
+    parseArguments,
+    runTest,
+    serve,
+    soakTest,
+    benchmark,
+    captureBatch,
+    takeScreenshot,
+    testConnection
+};
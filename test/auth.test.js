@@ -0,0 +1,188 @@
+jest.mock('chrome-remote-interface');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { EventEmitter } = require('events');
+const CDP = require('chrome-remote-interface');
+const {
+    AuthServer,
+    ChromeProxyClient,
+    ProxyEndpoint,
+    connectWithRetry,
+    resolveConfig,
+    extractToken,
+    loadTokens,
+    exitCodeFor,
+    AuthenticationError,
+    ConfigError,
+    EXIT_CODES
+} = require('../index');
+const { parseArguments: parseAuthArguments } = require('../auth-service');
+
+const TOKEN = 's3cret-token';
+
+function get(port, requestPath, headers = {}) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path: requestPath, headers }, res => {
+            res.resume();
+            res.on('end', () => resolve(res));
+        }).on('error', reject);
+    });
+}
+
+// Plays nginx with auth_request: /health is public, everything else is only
+// served when the auth server accepts the request's token
+function startGuardedProxy(auth) {
+    const seen = [];
+    const server = http.createServer((req, res) => {
+        seen.push({ url: req.url, authorization: req.headers.authorization });
+        if (req.url !== '/health' && !auth.isAuthorized(extractToken(req))) {
+            res.writeHead(401);
+            return res.end();
+        }
+        const routes = {
+            '/health': 'healthy',
+            '/json/version': { Browser: 'HeadlessChrome/120.0' },
+            '/json/list': [{ type: 'page', webSocketDebuggerUrl: 'ws://127.0.0.1:48333/devtools/page/1' }]
+        };
+        const body = routes[req.url];
+        res.writeHead(body ? 200 : 404);
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, seen, port: server.address().port }));
+    });
+}
+
+function createFakeCdp() {
+    return Object.assign(new EventEmitter(), {
+        Network: { enable: jest.fn().mockResolvedValue({}) },
+        Page: { enable: jest.fn().mockResolvedValue({}) },
+        Runtime: { enable: jest.fn().mockResolvedValue({}) },
+        close: jest.fn().mockResolvedValue()
+    });
+}
+
+describe('AuthServer', () => {
+    let auth;
+    let port;
+
+    beforeEach(async () => {
+        auth = new AuthServer([TOKEN, 'other-token']);
+        port = (await auth.listen(0)).port;
+    });
+
+    afterEach(async () => {
+        await auth.close();
+    });
+
+    test('accepts a bearer header or a token in the original URI', async () => {
+        expect((await get(port, '/auth', { Authorization: `Bearer ${TOKEN}` })).statusCode).toBe(204);
+        expect((await get(port, '/auth', { 'X-Original-URI': '/devtools/page/1?token=other-token' })).statusCode).toBe(204);
+        expect(auth.stats).toEqual({ allowed: 2, denied: 0 });
+    });
+
+    test('refuses requests without a valid token', async () => {
+        const missing = await get(port, '/auth', { 'X-Original-URI': '/json/version' });
+        expect(missing.statusCode).toBe(401);
+        expect(missing.headers['www-authenticate']).toContain('Bearer');
+        expect((await get(port, '/auth', { Authorization: 'Bearer wrong' })).statusCode).toBe(401);
+        expect((await get(port, '/auth', { Authorization: `Basic ${TOKEN}` })).statusCode).toBe(401);
+        expect(auth.stats.denied).toBe(3);
+    });
+
+    test('needs at least one token', () => {
+        expect(() => new AuthServer([])).toThrow(ConfigError);
+    });
+});
+
+describe('AuthServer without tokens', () => {
+    test('lets every request through', async () => {
+        const open = new AuthServer(null);
+        const { port } = await open.listen(0);
+        try {
+            expect((await get(port, '/auth', { 'X-Original-URI': '/json/version' })).statusCode).toBe(204);
+            expect((await get(port, '/auth', { Authorization: 'Bearer anything' })).statusCode).toBe(204);
+            expect(open.stats).toEqual({ allowed: 2, denied: 0 });
+        } finally {
+            await open.close();
+        }
+    });
+
+    test('is what auth-service.js runs when no token is configured', () => {
+        expect(parseAuthArguments([], {}).required).toBe(false);
+        expect(parseAuthArguments(['--token', TOKEN], {}).required).toBe(true);
+        expect(parseAuthArguments([], { CHROME_PROXY_TOKENS: TOKEN }).required).toBe(true);
+        expect(parseAuthArguments([], { CHROME_PROXY_TOKENS_FILE: '/run/secrets/tokens' }).required).toBe(true);
+    });
+});
+
+describe('loadTokens', () => {
+    test('combines tokens from arguments, CHROME_PROXY_TOKENS and a file', () => {
+        const file = path.join(os.tmpdir(), `tokens-${process.pid}.txt`);
+        fs.writeFileSync(file, '# CI\nfile-token\n\n a \n');
+        try {
+            expect(loadTokens({ tokens: ['a'], tokensFile: file, env: { CHROME_PROXY_TOKENS: 'b, c,' } })).toEqual(['a', 'b', 'c', 'file-token']);
+        } finally {
+            fs.unlinkSync(file);
+        }
+        expect(() => loadTokens({ tokensFile: '/nonexistent/tokens', env: {} })).toThrow(ConfigError);
+    });
+});
+
+describe('client authentication', () => {
+    let auth;
+    let proxy;
+
+    beforeEach(async () => {
+        auth = new AuthServer([TOKEN]);
+        proxy = await startGuardedProxy(auth);
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => proxy.server.close(resolve));
+        jest.resetAllMocks();
+    });
+
+    test('sends the token as a bearer header and in the WebSocket URL', async () => {
+        CDP.mockResolvedValue(createFakeCdp());
+        const client = new ChromeProxyClient({ host: '127.0.0.1', port: proxy.port, token: TOKEN });
+
+        await client.connect();
+
+        expect(proxy.seen.map(request => request.authorization)).toEqual(proxy.seen.map(() => `Bearer ${TOKEN}`));
+        expect(proxy.seen.map(request => request.url)).toEqual(['/health', '/status', '/json/version', '/json/list']);
+        expect(CDP).toHaveBeenCalledWith({ target: `ws://127.0.0.1:${proxy.port}/devtools/page/1?token=${TOKEN}`, local: true });
+        expect(client.endpoint.toJSON()).toMatchObject({ authenticated: true });
+        expect(JSON.stringify(client.endpoint)).not.toContain(TOKEN);
+    });
+
+    test('fails fast with AuthenticationError when the token is missing or wrong', async () => {
+        const client = new ChromeProxyClient({ host: '127.0.0.1', port: proxy.port, readyTimeout: 10000 });
+        const error = await client.connect().catch(caught => caught);
+
+        expect(error).toBeInstanceOf(AuthenticationError);
+        expect(error.message).toContain('requires a token');
+        expect(exitCodeFor(error)).toBe(EXIT_CODES.AUTH_FAILED);
+        expect(client.timings.healthCheck).toBeLessThan(1000);
+
+        const wrong = new ChromeProxyClient({ host: '127.0.0.1', port: proxy.port, token: 'wrong' });
+        await expect(wrong.connect()).rejects.toThrow('rejected the token');
+        expect(CDP).not.toHaveBeenCalled();
+    });
+
+    test('does not retry a WebSocket upgrade the proxy refused', async () => {
+        CDP.mockRejectedValue(new Error('Unexpected server response: 401'));
+        const endpoint = new ProxyEndpoint({ host: '127.0.0.1', port: proxy.port, token: TOKEN });
+
+        await expect(connectWithRetry(endpoint, 3)).rejects.toBeInstanceOf(AuthenticationError);
+        expect(CDP).toHaveBeenCalledTimes(1);
+    });
+
+    test('reads the token from CHROME_PROXY_TOKEN', () => {
+        expect(resolveConfig({ env: { CHROME_PROXY_TOKEN: TOKEN }, cwd: os.tmpdir() }).endpoint).toEqual({ token: TOKEN });
+    });
+});
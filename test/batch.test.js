@@ -0,0 +1,182 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseManifest, runBatch, encodePng, ManifestError, NavigationError } = require('../index');
+const { outputFilename } = require('../lib/batch');
+
+function createFakeClient() {
+    return {
+        reconnects: 0,
+        emulate: jest.fn().mockResolvedValue(),
+        navigate: jest.fn().mockResolvedValue({ frameId: 'frame-1' }),
+        waitForLoad: jest.fn().mockResolvedValue({ success: true, method: 'loadEventFired' }),
+        screenshot: jest.fn().mockResolvedValue(Buffer.from('image')),
+        pdf: jest.fn().mockResolvedValue(Buffer.from('%PDF-1.4'))
+    };
+}
+
+describe('parseManifest', () => {
+    test('reads plain text lists, skipping blanks and comments', () => {
+        const entries = parseManifest('# staging pages\nhttps://example.com\n\nhttps://example.com/about\n');
+        expect(entries).toEqual([
+            { url: 'https://example.com' },
+            { url: 'https://example.com/about' }
+        ]);
+    });
+
+    test('applies manifest defaults to each entry', () => {
+        const entries = parseManifest(JSON.stringify({
+            defaults: { format: 'jpeg', timeout: 20000 },
+            urls: ['https://example.com', { url: 'https://example.org', format: 'webp', viewport: { width: 390, height: 844 } }]
+        }));
+
+        expect(entries[0]).toEqual({ url: 'https://example.com', format: 'jpeg', timeout: 20000 });
+        expect(entries[1]).toMatchObject({ format: 'webp', timeout: 20000, viewport: { width: 390, height: 844 } });
+    });
+
+    test('normalizes viewports and validates devices', () => {
+        const [entry] = parseManifest('[{"url": "https://example.com", "viewport": "1024x768"}]');
+        expect(entry.viewport).toEqual({ width: 1024, height: 768 });
+        expect(() => parseManifest('[{"url": "https://example.com", "device": "nokia-3310"}]')).toThrow(/Unknown device/);
+    });
+
+    test('normalizes clip regions given as strings', () => {
+        const [entry] = parseManifest('[{"url": "https://example.com", "clip": "0, 100, 800, 600"}]');
+        expect(entry.clip).toEqual({ x: 0, y: 100, width: 800, height: 600 });
+    });
+
+    test('rejects invalid entries with ManifestError', () => {
+        expect(() => parseManifest('[{"url": "https://example.com", "format": "gif"}]')).toThrow(ManifestError);
+        expect(() => parseManifest('[{"format": "png"}]')).toThrow(/has no url/);
+        expect(() => parseManifest('{"pages": []}')).toThrow(/"urls" array/);
+        expect(() => parseManifest('[{"url": "https://example.com", "delay": 5}]')).toThrow(/unknown option/);
+        expect(() => parseManifest('[{"url": "https://example.com", "fullPage": true, "selector": "main"}]')).toThrow(/only use one of/);
+        expect(() => parseManifest('[{"url": "https://example.com", "clip": "0,0,-1,10"}]')).toThrow(ManifestError);
+        expect(() => parseManifest('[{"url": "https://example.com", "format": "pdf", "fullPage": true}]')).toThrow(/pdf format/);
+        expect(() => parseManifest('[{"url": "https://example.com", "format": "pdf", "pdf": {"paper": "b9"}}]')).toThrow(/paper size/);
+        expect(() => parseManifest('[{"url": "https://example.com", "waitFor": "idle"}]')).toThrow(/wait event/);
+    });
+});
+
+describe('outputFilename', () => {
+    test('builds unique, readable names from the index and URL', () => {
+        expect(outputFilename({ url: 'https://example.com/a/b?c=1' }, 0, 'png')).toBe('001-example-com-a-b-c-1.png');
+        expect(outputFilename({ url: 'https://example.com', name: 'Home Page' }, 11, 'jpeg')).toBe('012-home-page.jpeg');
+    });
+});
+
+describe('runBatch', () => {
+    let outDir;
+
+    beforeEach(() => {
+        outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    });
+
+    test('captures every entry and records failures without stopping', async () => {
+        const client = createFakeClient();
+        client.navigate
+            .mockResolvedValueOnce({ frameId: 'frame-1' })
+            .mockRejectedValueOnce(new NavigationError('net::ERR_NAME_NOT_RESOLVED'))
+            .mockResolvedValueOnce({ frameId: 'frame-1' });
+
+        const summary = await runBatch(client, [
+            { url: 'https://example.com' },
+            { url: 'https://invalid.test' },
+            { url: 'https://example.org', format: 'jpeg', viewport: { width: 800, height: 600 } }
+        ], { outDir, renderDelay: 0 });
+
+        expect(summary).toMatchObject({ total: 3, succeeded: 2, failed: 1, reconnects: 0, loadMethods: { loadEventFired: 2 } });
+        expect(summary.results[1]).toMatchObject({ status: 'failed', errorCode: 'NAVIGATION_FAILED' });
+        expect(fs.readdirSync(outDir).sort()).toEqual(['001-example-com.png', '003-example-org.jpeg']);
+        expect(client.emulate).toHaveBeenCalledWith(expect.objectContaining({ width: 800, height: 600 }));
+        expect(summary.results[2].emulation).toMatchObject({ width: 800, height: 600, mobile: false });
+    });
+
+    test('lets an entry region replace the batch-wide region', async () => {
+        const client = createFakeClient();
+
+        await runBatch(client, [
+            { url: 'https://example.com' },
+            { url: 'https://example.org', selector: '#hero' }
+        ], { outDir, renderDelay: 0, region: { fullPage: true } });
+
+        expect(client.screenshot.mock.calls[0][0]).toMatchObject({ fullPage: true });
+        expect(client.screenshot.mock.calls[1][0]).toMatchObject({ fullPage: undefined, selector: '#hero' });
+    });
+
+    test('prints pdf entries with batch and entry print options', async () => {
+        const client = createFakeClient();
+
+        const summary = await runBatch(client, [
+            { url: 'https://example.com/report', format: 'pdf', pdf: { landscape: true } }
+        ], { outDir, renderDelay: 0, pdf: { paper: 'a4' } });
+
+        expect(client.pdf).toHaveBeenCalledWith({ paper: 'a4', landscape: true });
+        expect(client.screenshot).not.toHaveBeenCalled();
+        expect(summary.results[0].file).toMatch(/001-example-com-report\.pdf$/);
+    });
+
+    test('resets emulation after an entry that overrode it', async () => {
+        const client = createFakeClient();
+
+        await runBatch(client, [
+            { url: 'https://example.com', viewport: { width: 800, height: 600 } },
+            { url: 'https://example.org' }
+        ], { outDir, renderDelay: 0 });
+
+        expect(client.emulate.mock.calls[0][0]).toMatchObject({ width: 800, height: 600 });
+        expect(client.emulate.mock.calls[1][0]).toBeNull();
+    });
+
+    test('lets entry emulation replace the batch-wide device', async () => {
+        const client = createFakeClient();
+
+        const summary = await runBatch(client, [
+            { url: 'https://example.com' },
+            { url: 'https://example.org', device: 'desktop-1080p' }
+        ], { outDir, renderDelay: 0, emulation: { device: 'iphone-14', dpr: '2' } });
+
+        expect(summary.results[0].emulation).toMatchObject({ device: 'iphone-14', width: 390, deviceScaleFactor: 2 });
+        expect(summary.results[1].emulation).toMatchObject({ device: 'desktop-1080p', width: 1920, deviceScaleFactor: 1 });
+    });
+
+    test('lets entry wait conditions override the batch-wide ones one by one', async () => {
+        const client = createFakeClient();
+
+        await runBatch(client, [
+            { url: 'https://example.com' },
+            { url: 'https://example.org', waitSelector: '#app', timeout: 5000 }
+        ], { outDir, renderDelay: 0, wait: { waitFor: 'networkidle', waitSelector: 'main' } });
+
+        expect(client.waitForLoad.mock.calls[0][0]).toEqual({
+            url: 'https://example.com', loadTimeout: 15000, waitFor: 'networkidle', waitSelector: 'main'
+        });
+        expect(client.waitForLoad.mock.calls[1][0]).toEqual({
+            url: 'https://example.org', loadTimeout: 5000, waitFor: 'networkidle', waitSelector: '#app'
+        });
+    });
+
+    test('compares captures with their baselines and counts regressions', async () => {
+        const white = encodePng({ width: 2, height: 2, data: Buffer.alloc(16, 255) });
+        const black = encodePng({ width: 2, height: 2, data: Buffer.from(Array(4).fill([0, 0, 0, 255]).flat()) });
+        const baselineDir = path.join(outDir, 'baselines');
+        const entries = [{ url: 'https://example.com' }, { url: 'https://example.org' }, { url: 'https://example.net', format: 'jpeg' }];
+        const client = createFakeClient();
+        client.screenshot.mockResolvedValue(white);
+
+        const first = await runBatch(client, entries.slice(0, 1), { outDir, renderDelay: 0, baseline: { baseline: baselineDir, update: true } });
+        expect(first.results[0].comparison).toMatchObject({ status: 'updated', baseline: path.join(baselineDir, '001-example-com.png') });
+
+        client.screenshot.mockResolvedValueOnce(black);
+        const summary = await runBatch(client, entries, { outDir, renderDelay: 0, baseline: { baseline: baselineDir } });
+
+        expect(summary).toMatchObject({ succeeded: 2, failed: 1, regressions: 2 });
+        expect(summary.results[0].comparison).toMatchObject({ status: 'mismatch', mismatch: 100, diffFile: path.join(outDir, '001-example-com.diff.png') });
+        expect(summary.results[1].comparison).toMatchObject({ status: 'missing' });
+        expect(summary.results[2]).toMatchObject({ status: 'failed', errorCode: 'INVALID_CONFIG' });
+    });
+});
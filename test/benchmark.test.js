@@ -0,0 +1,130 @@
+jest.mock('chrome-remote-interface');
+
+const http = require('http');
+const { EventEmitter } = require('events');
+const CDP = require('chrome-remote-interface');
+const { runBenchmark, formatBenchmark, ConfigError, ConnectionError } = require('../index');
+const { compareResults } = require('../lib/benchmark');
+
+function createFakeCdp() {
+    return Object.assign(new EventEmitter(), {
+        Page: {
+            enable: jest.fn().mockResolvedValue({}),
+            navigate: jest.fn().mockResolvedValue({ frameId: 'frame' }),
+            loadEventFired: jest.fn().mockResolvedValue({ timestamp: 1 }),
+            captureScreenshot: jest.fn().mockResolvedValue({ data: 'A'.repeat(4096) })
+        },
+        Runtime: { evaluate: jest.fn().mockResolvedValue({ result: { value: 1 } }) },
+        Emulation: { setDeviceMetricsOverride: jest.fn().mockResolvedValue({}) },
+        close: jest.fn().mockResolvedValue()
+    });
+}
+
+// Chrome's HTTP endpoints, as served directly or through nginx
+function startChromeHttp() {
+    const state = { opened: [], closed: [] };
+    const server = http.createServer((req, res) => {
+        const send = (status, body) => {
+            res.writeHead(status);
+            res.end(typeof body === 'string' ? body : JSON.stringify(body));
+        };
+        const port = server.address().port;
+
+        if (req.url === '/json/version') return send(200, { Browser: 'HeadlessChrome/120.0' });
+        if (req.url.startsWith('/json/new') && req.method === 'PUT') {
+            const id = `target-${port}`;
+            state.opened.push(id);
+            return send(200, { id, type: 'page', webSocketDebuggerUrl: `ws://127.0.0.1:48333/devtools/page/${id}` });
+        }
+        if (req.url.startsWith('/json/close/')) {
+            state.closed.push(req.url.slice('/json/close/'.length));
+            return send(200, 'Target is closing');
+        }
+        send(404, '');
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, state, port: server.address().port }));
+    });
+}
+
+describe('runBenchmark', () => {
+    let direct;
+    let nginx;
+
+    beforeEach(async () => {
+        direct = await startChromeHttp();
+        nginx = await startChromeHttp();
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => direct.server.close(resolve));
+        await new Promise(resolve => nginx.server.close(resolve));
+        CDP.mockReset();
+    });
+
+    test('runs the same workload on both paths and reports the proxy overhead', async () => {
+        const sessions = [];
+        CDP.mockImplementation(async () => {
+            const cdp = createFakeCdp();
+            sessions.push(cdp);
+            return cdp;
+        });
+
+        const report = await runBenchmark(
+            { host: '127.0.0.1', port: nginx.port },
+            { port: direct.port },
+            { connects: 2, evaluations: 5, screenshots: 3, warmup: 1 }
+        );
+
+        // 2 timed connects plus the workload session on each path
+        expect(sessions).toHaveLength(6);
+        expect(CDP.mock.calls.map(([options]) => options.target)).toEqual([
+            ...Array(3).fill(`ws://127.0.0.1:${direct.port}/devtools/page/target-${direct.port}`),
+            ...Array(3).fill(`ws://127.0.0.1:${nginx.port}/devtools/page/target-${nginx.port}`)
+        ]);
+        expect(sessions[2].Runtime.evaluate).toHaveBeenCalledTimes(6);
+        expect(sessions[2].Page.captureScreenshot).toHaveBeenCalledTimes(4);
+        expect(sessions.every(session => session.close.mock.calls.length === 1)).toBe(true);
+        expect(direct.state.closed).toEqual(direct.state.opened);
+        expect(nginx.state.closed).toEqual(nginx.state.opened);
+
+        expect(report.direct).toMatchObject({ name: 'direct', browser: 'HeadlessChrome/120.0', screenshot: { bytes: 3 * 4096 } });
+        expect(report.nginx.evaluate).toMatchObject({ p50: expect.any(Number), p99: expect.any(Number) });
+        expect(report.overhead.evaluate).toMatchObject({ p50: expect.any(Number) });
+
+        const table = formatBenchmark(report);
+        expect(table.split('\n')[0]).toMatch(/^Metric\s+direct\s+nginx\s+overhead$/);
+        expect(table).toMatch(/evaluate p50 \(ms\)/);
+        expect(table).toMatch(/screenshot throughput .* MB\/s .*% of direct/);
+    });
+
+    test('names the path that cannot be reached', async () => {
+        const error = await runBenchmark({ host: '127.0.0.1', port: nginx.port }, { port: 9 }).catch(err => err);
+        expect(error).toBeInstanceOf(ConnectionError);
+        expect(error.message).toMatch(/direct path \(http:\/\/127\.0\.0\.1:9\)/);
+        expect(CDP).not.toHaveBeenCalled();
+    });
+
+    test('rejects iteration counts that are not positive integers', async () => {
+        await expect(runBenchmark({ port: nginx.port }, {}, { evaluations: 0 })).rejects.toThrow(ConfigError);
+    });
+});
+
+describe('compareResults', () => {
+    const stats = (p50, extra = {}) => ({ min: p50, p50, p90: p50, p99: p50, max: p50, mean: p50, ...extra });
+
+    test('reports the extra median latency and the share of direct throughput', () => {
+        const overhead = compareResults(
+            { connect: stats(4), evaluate: stats(0.5), screenshot: stats(100, { bytesPerSecond: 2000000 }) },
+            { connect: stats(5), evaluate: stats(0.6), screenshot: stats(110, { bytesPerSecond: 1800000 }) }
+        );
+
+        expect(overhead).toEqual({
+            connect: { p50: 1, percent: 25 },
+            evaluate: { p50: 0.1, percent: 20 },
+            screenshot: { p50: 10, percent: 10 },
+            throughputPercent: 90
+        });
+    });
+});
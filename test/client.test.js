@@ -0,0 +1,410 @@
+jest.mock('chrome-remote-interface');
+
+const os = require('os');
+const http = require('http');
+const { EventEmitter } = require('events');
+const CDP = require('chrome-remote-interface');
+const {
+    ChromeProxyClient,
+    ProxyEndpoint,
+    resolveConfig,
+    parseClip,
+    resolveEmulation,
+    connectWithRetry,
+    HealthCheckError,
+    ConnectionError,
+    NavigationError,
+    CaptureError,
+    ConfigError
+} = require('../index');
+
+function createFakeCdp(overrides = {}) {
+    return Object.assign(new EventEmitter(), {
+        Network: { enable: jest.fn().mockResolvedValue({}) },
+        Page: {
+            enable: jest.fn().mockResolvedValue({}),
+            navigate: jest.fn().mockResolvedValue({ frameId: 'frame-1' }),
+            captureScreenshot: jest.fn().mockResolvedValue({ data: Buffer.from('image').toString('base64') })
+        },
+        Runtime: { enable: jest.fn().mockResolvedValue({}) },
+        close: jest.fn().mockResolvedValue(),
+        ...overrides
+    });
+}
+
+const CHROME_ROUTES = {
+    '/health': { status: 200, body: 'healthy' },
+    '/json/version': { status: 200, body: { Browser: 'HeadlessChrome/120.0' } },
+    '/json/list': {
+        status: 200,
+        body: [{ type: 'page', webSocketDebuggerUrl: 'ws://127.0.0.1:48333/devtools/page/1' }]
+    }
+};
+
+// Stands in for nginx: serves the given routes and 404s everything else
+function startProxy(routes) {
+    const server = http.createServer((req, res) => {
+        const route = routes[req.url];
+        if (!route) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+        res.writeHead(route.status);
+        res.end(typeof route.body === 'string' ? route.body : JSON.stringify(route.body));
+    });
+    
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+describe('ChromeProxyClient', () => {
+    let proxy;
+    
+    async function useProxy(routes) {
+        proxy = await startProxy(routes);
+        return { host: '127.0.0.1', port: proxy.address().port };
+    }
+    
+    afterEach(async () => {
+        if (proxy) {
+            await new Promise(resolve => proxy.close(resolve));
+            proxy = null;
+        }
+        jest.resetAllMocks();
+    });
+
+    test('connects through the proxy and enables domains', async () => {
+        const cdp = createFakeCdp();
+        CDP.mockResolvedValue(cdp);
+        const address = await useProxy(CHROME_ROUTES);
+
+        const client = new ChromeProxyClient(address);
+        await client.connect();
+
+        expect(CDP).toHaveBeenCalledWith({
+            target: `ws://127.0.0.1:${address.port}/devtools/page/1`,
+            local: true
+        });
+        expect(cdp.Network.enable).toHaveBeenCalled();
+        expect(cdp.Page.enable).toHaveBeenCalled();
+        expect(cdp.Runtime.enable).toHaveBeenCalled();
+        expect(client.chromeVersion.Browser).toBe('HeadlessChrome/120.0');
+        expect(client.connectionAttempts).toBe(1);
+        expect(Object.keys(client.timings)).toEqual(['healthCheck', 'chromeReady', 'connect']);
+
+        await client.close();
+        expect(cdp.close).toHaveBeenCalled();
+    });
+
+    test('reconnects after Chrome drops the session', async () => {
+        const first = createFakeCdp();
+        const second = createFakeCdp();
+        CDP.mockResolvedValueOnce(first).mockResolvedValueOnce(second);
+        const address = await useProxy(CHROME_ROUTES);
+
+        const client = new ChromeProxyClient(address);
+        await client.connect();
+        first.emit('disconnect');
+        expect(() => client.requireConnection()).toThrow(ConnectionError);
+
+        await client.connect();
+        expect(client.client).toBe(second);
+        expect(CDP).toHaveBeenCalledTimes(2);
+    });
+
+    test('resumes a navigation interrupted by a dropped session', async () => {
+        const first = createFakeCdp();
+        const second = createFakeCdp({
+            Runtime: {
+                enable: jest.fn().mockResolvedValue({}),
+                evaluate: jest.fn().mockResolvedValue({ result: { value: 'https://example.com/' } })
+            }
+        });
+        first.Page.navigate.mockImplementation(() => {
+            setImmediate(() => first.emit('disconnect'));
+            return new Promise(() => {});
+        });
+        CDP.mockResolvedValueOnce(first).mockResolvedValueOnce(second);
+        const address = await useProxy(CHROME_ROUTES);
+
+        const client = await new ChromeProxyClient(address).connect();
+        await expect(client.navigate('https://example.com')).resolves.toMatchObject({ frameId: 'frame-1' });
+        expect(second.Page.navigate).toHaveBeenCalledWith({ url: 'https://example.com' });
+        expect(second.Network.enable).toHaveBeenCalled();
+        expect(client.reconnects).toBe(1);
+    });
+
+    test('restores emulation and reloads a lost page before retrying a capture', async () => {
+        const emulation = () => ({
+            setDeviceMetricsOverride: jest.fn().mockResolvedValue({}),
+            setTouchEmulationEnabled: jest.fn().mockResolvedValue({}),
+            setUserAgentOverride: jest.fn().mockResolvedValue({})
+        });
+        const first = createFakeCdp({ Emulation: emulation() });
+        const second = createFakeCdp({
+            Emulation: emulation(),
+            Runtime: {
+                enable: jest.fn().mockResolvedValue({}),
+                evaluate: jest.fn().mockResolvedValue({ result: { value: 'about:blank' } })
+            }
+        });
+        first.Page.captureScreenshot.mockImplementation(() => {
+            first.emit('disconnect');
+            return Promise.reject(new Error('WebSocket connection closed'));
+        });
+        CDP.mockResolvedValueOnce(first).mockResolvedValueOnce(second);
+        const address = await useProxy(CHROME_ROUTES);
+
+        const client = await new ChromeProxyClient(address).connect();
+        const loadPage = jest.spyOn(client, 'loadPage').mockResolvedValue({ success: true, method: 'loadEventFired' });
+        const settings = resolveEmulation({ viewport: '390x844' });
+        await client.emulate(settings);
+        await client.navigate('https://example.com');
+        await client.waitForLoad({ url: 'https://example.com', loadTimeout: 5000 });
+
+        expect((await client.screenshot()).toString()).toBe('image');
+        expect(second.Emulation.setDeviceMetricsOverride).toHaveBeenCalledWith(expect.objectContaining({ width: 390, height: 844 }));
+        expect(second.Page.navigate).toHaveBeenCalledWith({ url: 'https://example.com' });
+        expect(loadPage).toHaveBeenLastCalledWith(second, { url: 'https://example.com', loadTimeout: 5000 });
+        expect(second.Page.captureScreenshot).toHaveBeenCalled();
+        expect(client.emulation).toBe(settings);
+    });
+
+    test('gives up on a step after maxReconnects dropped sessions', async () => {
+        const dropping = () => {
+            const cdp = createFakeCdp();
+            cdp.Page.navigate.mockImplementation(() => {
+                cdp.emit('disconnect');
+                return Promise.reject(new Error('WebSocket connection closed'));
+            });
+            return cdp;
+        };
+        CDP.mockResolvedValueOnce(dropping()).mockResolvedValueOnce(dropping());
+        const address = await useProxy(CHROME_ROUTES);
+
+        const client = await new ChromeProxyClient({ ...address, maxReconnects: 1 }).connect();
+        await expect(client.navigate('about:blank')).rejects.toThrow(/connection/i);
+        expect(client.reconnects).toBe(1);
+        expect(CDP).toHaveBeenCalledTimes(2);
+    });
+
+    test('throws HealthCheckError when the proxy health check fails', async () => {
+        const address = await useProxy({ '/health': { status: 502, body: 'bad gateway' } });
+
+        const client = new ChromeProxyClient(address);
+        await expect(client.connect()).rejects.toBeInstanceOf(HealthCheckError);
+        expect(CDP).not.toHaveBeenCalled();
+    });
+
+    test('throws NavigationError when Chrome reports a navigation error', async () => {
+        CDP.mockResolvedValue(createFakeCdp());
+        const address = await useProxy(CHROME_ROUTES);
+
+        const client = await new ChromeProxyClient(address).connect();
+        client.client.Page.navigate.mockResolvedValue({ frameId: 'frame-1', errorText: 'net::ERR_NAME_NOT_RESOLVED' });
+
+        await expect(client.navigate('https://invalid.test')).rejects.toBeInstanceOf(NavigationError);
+    });
+
+    test('returns screenshots as buffers and rejects unknown formats', async () => {
+        CDP.mockResolvedValue(createFakeCdp());
+        const address = await useProxy(CHROME_ROUTES);
+
+        const client = await new ChromeProxyClient(address).connect();
+        const image = await client.screenshot({ format: 'jpeg', quality: 90 });
+
+        expect(image.toString()).toBe('image');
+        expect(client.client.Page.captureScreenshot).toHaveBeenCalledWith({ format: 'jpeg', quality: 90 });
+        await expect(client.screenshot({ format: 'gif' })).rejects.toBeInstanceOf(CaptureError);
+    });
+
+    test('captures the full page, an element or a clip region', async () => {
+        CDP.mockResolvedValue(createFakeCdp());
+        const address = await useProxy(CHROME_ROUTES);
+
+        const client = await new ChromeProxyClient(address).connect();
+        const { Page, Runtime } = client.client;
+        Page.getLayoutMetrics = jest.fn().mockResolvedValue({ cssContentSize: { x: 0, y: 0, width: 1280, height: 4000.5 } });
+        Runtime.evaluate = jest.fn().mockResolvedValue({ result: { value: { x: 10, y: 900, width: 300, height: 200 } } });
+
+        await client.screenshot({ fullPage: true });
+        expect(Page.captureScreenshot).toHaveBeenLastCalledWith({
+            format: 'png',
+            clip: { x: 0, y: 0, width: 1280, height: 4001, scale: 1 },
+            captureBeyondViewport: true
+        });
+
+        await client.screenshot({ format: 'webp', selector: '#chart' });
+        expect(Runtime.evaluate.mock.calls[0][0].expression).toContain('document.querySelector("#chart")');
+        expect(Page.captureScreenshot).toHaveBeenLastCalledWith({
+            format: 'webp',
+            clip: { x: 10, y: 900, width: 300, height: 200, scale: 1 },
+            captureBeyondViewport: true
+        });
+
+        await client.screenshot({ format: 'jpeg', quality: 70, clip: parseClip('0,0,640,480') });
+        expect(Page.captureScreenshot).toHaveBeenLastCalledWith({
+            format: 'jpeg',
+            quality: 70,
+            clip: { x: 0, y: 0, width: 640, height: 480, scale: 1 },
+            captureBeyondViewport: true
+        });
+    });
+
+    test('rejects missing elements and conflicting capture regions', async () => {
+        CDP.mockResolvedValue(createFakeCdp());
+        const address = await useProxy(CHROME_ROUTES);
+
+        const client = await new ChromeProxyClient(address).connect();
+        client.client.Runtime.evaluate = jest.fn().mockResolvedValue({ result: { value: null } });
+
+        await expect(client.screenshot({ selector: '.missing' })).rejects.toThrow('No element matches selector .missing');
+        await expect(client.screenshot({ fullPage: true, selector: '#chart' })).rejects.toBeInstanceOf(CaptureError);
+        expect(() => parseClip('10,10,0,100')).toThrow(ConfigError);
+        expect(() => parseClip('10,10,100')).toThrow(/expected x,y,width,height/);
+    });
+
+    test('prints the page to PDF with the requested options', async () => {
+        CDP.mockResolvedValue(createFakeCdp());
+        const address = await useProxy(CHROME_ROUTES);
+
+        const client = await new ChromeProxyClient(address).connect();
+        client.client.Page.printToPDF = jest.fn().mockResolvedValue({ data: Buffer.from('%PDF-1.4').toString('base64') });
+
+        const pdf = await client.pdf({ paper: 'a4', landscape: true });
+
+        expect(pdf.toString()).toBe('%PDF-1.4');
+        expect(client.client.Page.printToPDF).toHaveBeenCalledWith(expect.objectContaining({
+            paperWidth: 8.27,
+            paperHeight: 11.69,
+            landscape: true
+        }));
+    });
+
+    test('applies and clears device emulation', async () => {
+        CDP.mockResolvedValue(createFakeCdp());
+        const address = await useProxy(CHROME_ROUTES);
+
+        const client = await new ChromeProxyClient(address).connect();
+        const Emulation = {
+            setDeviceMetricsOverride: jest.fn().mockResolvedValue({}),
+            clearDeviceMetricsOverride: jest.fn().mockResolvedValue({}),
+            setTouchEmulationEnabled: jest.fn().mockResolvedValue({}),
+            setUserAgentOverride: jest.fn().mockResolvedValue({})
+        };
+        client.client.Emulation = Emulation;
+
+        await client.emulate(resolveEmulation({ device: 'iphone-14' }));
+        expect(Emulation.setDeviceMetricsOverride).toHaveBeenCalledWith({ width: 390, height: 844, deviceScaleFactor: 3, mobile: true });
+        expect(Emulation.setTouchEmulationEnabled).toHaveBeenCalledWith({ enabled: true });
+        expect(Emulation.setUserAgentOverride.mock.calls[0][0].userAgent).toContain('iPhone');
+        expect(client.emulation.device).toBe('iphone-14');
+
+        await client.emulate(null);
+        expect(Emulation.clearDeviceMetricsOverride).toHaveBeenCalled();
+        expect(Emulation.setUserAgentOverride).toHaveBeenLastCalledWith({ userAgent: '' });
+        expect(client.emulation).toBeNull();
+    });
+
+    test('requires connect() before page operations', async () => {
+        const client = new ChromeProxyClient();
+        await expect(client.navigate('https://example.com')).rejects.toBeInstanceOf(ConnectionError);
+    });
+});
+
+describe('connectWithRetry', () => {
+    let proxy;
+    let endpoint;
+    
+    beforeEach(async () => {
+        proxy = await startProxy(CHROME_ROUTES);
+        endpoint = new ProxyEndpoint({ host: '127.0.0.1', port: proxy.address().port });
+    });
+    
+    afterEach(async () => {
+        await new Promise(resolve => proxy.close(resolve));
+        jest.resetAllMocks();
+    });
+
+    test('retries failed connections before succeeding', async () => {
+        const cdp = createFakeCdp();
+        CDP.mockRejectedValueOnce(new Error('ECONNREFUSED')).mockResolvedValueOnce(cdp);
+
+        await expect(connectWithRetry(endpoint, 2)).resolves.toBe(cdp);
+        expect(CDP).toHaveBeenCalledTimes(2);
+    });
+
+    test('throws ConnectionError once retries are exhausted', async () => {
+        CDP.mockRejectedValue(new Error('ECONNREFUSED'));
+
+        await expect(connectWithRetry(endpoint, 1)).rejects.toMatchObject({ name: 'ConnectionError', attempts: 1 });
+    });
+
+    test('reports each attempt and connects to an explicit target', async () => {
+        const onAttempt = jest.fn();
+        CDP.mockResolvedValue(createFakeCdp());
+
+        await connectWithRetry(endpoint, 3, undefined, {
+            target: { id: 'tab-2', webSocketDebuggerUrl: 'ws://127.0.0.1:48333/devtools/page/tab-2' },
+            onAttempt
+        });
+
+        expect(onAttempt).toHaveBeenCalledWith(1);
+        expect(CDP).toHaveBeenCalledWith({ target: `ws://127.0.0.1:${proxy.address().port}/devtools/page/tab-2`, local: true });
+    });
+
+    test('only patches tls.connect while the WebSocket to a secure endpoint opens', async () => {
+        const tls = require('tls');
+        const original = tls.connect;
+        const secure = new ProxyEndpoint({ host: '127.0.0.1', port: 48443, secure: true, insecure: true });
+        const target = { id: 'tab-1', webSocketDebuggerUrl: 'ws://127.0.0.1:48333/devtools/page/tab-1' };
+        const patched = [];
+        CDP.mockImplementation(async () => {
+            patched.push(tls.connect !== original);
+            if (patched.length === 1) throw new Error('ECONNREFUSED');
+            return createFakeCdp();
+        });
+
+        await connectWithRetry(secure, 2, undefined, { target });
+        expect(patched).toEqual([true, true]);
+        expect(tls.connect).toBe(original);
+
+        CDP.mockRejectedValue(new Error('ECONNREFUSED'));
+        await expect(connectWithRetry(secure, 1, undefined, { target })).rejects.toThrow(ConnectionError);
+        expect(tls.connect).toBe(original);
+    });
+});
+
+describe('ProxyEndpoint', () => {
+    test('defaults to localhost on port 80, or 443 when secure', () => {
+        expect(new ProxyEndpoint().httpUrl('/health')).toBe('http://localhost:80/health');
+        expect(new ProxyEndpoint({ secure: true }).wsUrl('/devtools/page/1')).toBe('wss://localhost:443/devtools/page/1');
+    });
+
+    test('puts every URL under the base path of a pool instance', () => {
+        const endpoint = new ProxyEndpoint({ basePath: 'instance/2/' });
+        expect(endpoint.httpUrl('/json/version')).toBe('http://localhost:80/instance/2/json/version');
+        expect(endpoint.wsUrl('/devtools/page/1')).toBe('ws://localhost:80/instance/2/devtools/page/1');
+        expect(new ProxyEndpoint({ basePath: '/' }).httpUrl('/health')).toBe('http://localhost:80/health');
+    });
+
+    test('only applies TLS options to secure endpoints', () => {
+        expect(new ProxyEndpoint({ insecure: true }).tlsOptions()).toEqual({});
+        expect(new ProxyEndpoint({ secure: true, insecure: true }).tlsOptions()).toEqual({ rejectUnauthorized: false });
+    });
+
+    test('takes CHROME_PROXY_* environment variables through the config layer', () => {
+        const fromEnv = env => resolveConfig({ env, cwd: os.tmpdir() }).endpoint;
+
+        expect(fromEnv({
+            CHROME_PROXY_HOST: 'proxy.internal',
+            CHROME_PROXY_PORT: '8443',
+            CHROME_PROXY_SECURE: 'true',
+            CHROME_PROXY_INSECURE: '0'
+        })).toEqual({ host: 'proxy.internal', port: 8443, secure: true, insecure: false });
+        expect(fromEnv({})).toEqual({});
+        expect(() => fromEnv({ CHROME_PROXY_PORT: 'https' })).toThrow(ConfigError);
+    });
+});
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    resolveConfig,
+    resolveFlags,
+    describeConfig,
+    loadConfigFile,
+    exitCodeFor,
+    ConfigError,
+    EXIT_CODES
+} = require('../index');
+
+describe('resolveConfig', () => {
+    let cwd;
+
+    beforeEach(() => {
+        cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(cwd, { recursive: true, force: true });
+    });
+
+    const writeConfig = (data, name = 'chrome-proxy.config.json') => {
+        const file = path.join(cwd, name);
+        fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+        return file;
+    };
+    const resolve = (argv = [], env = {}) => resolveConfig({ argv, env, cwd });
+
+    test('defaults to the settings the CLI always had', () => {
+        const config = resolve();
+
+        expect(config).toMatchObject({
+            testUrl: null,
+            outDir: 'screenshots',
+            concurrency: 1,
+            timeout: 15000,
+            maxReconnects: 2,
+            screenshotFormat: 'png',
+            screenshotQuality: 80,
+            fullPage: false,
+            emulation: {},
+            wait: {},
+            pdf: { landscape: false, printBackground: false },
+            endpoint: {},
+            budget: null,
+            soak: null,
+            directPort: 48333,
+            configFile: null,
+            profile: null,
+            sources: {}
+        });
+    });
+
+    test('maps flags onto the config, including --flag=value and aliases', () => {
+        const config = resolve([
+            '--url', 'https://example.com', '--timeout=5000', '-v', '--pdf', '--margin', '1cm',
+            '--device', 'ipad', '--wait-for', 'networkidle', '--port', '9222', '--instance', '2',
+            '--fail-on-console-error', '--budget', 'lcp=2500', '--budget', 'cls=0.1'
+        ]);
+
+        expect(config).toMatchObject({
+            testUrl: 'https://example.com',
+            timeout: 5000,
+            verbose: true,
+            screenshotFormat: 'pdf',
+            pdf: { margin: '1cm' },
+            emulation: { device: 'ipad' },
+            wait: { waitFor: 'networkidle' },
+            endpoint: { port: 9222, basePath: '/instance/2' },
+            collectDiagnostics: true,
+            metrics: true,
+            budget: { lcp: 2500, cls: 0.1 }
+        });
+        expect(config.sources.timeout).toBe('--timeout');
+    });
+
+    test('layers file, profile, environment and flags in that order', () => {
+        const file = writeConfig({
+            host: 'file-host',
+            timeout: 20000,
+            concurrency: 2,
+            maxReconnects: 4,
+            budget: { lcp: 3000 },
+            profiles: {
+                ci: { timeout: 30000, concurrency: 3, json: true, budget: { cls: 0.2 } }
+            }
+        });
+
+        const config = resolve(['--profile', 'ci', '--concurrency', '8'], {
+            CHROME_PROXY_TIMEOUT: '40000',
+            CHROME_PROXY_CONCURRENCY: '5'
+        });
+
+        expect(config).toMatchObject({
+            configFile: file,
+            profile: 'ci',
+            json: true,
+            maxReconnects: 4,
+            timeout: 40000,
+            concurrency: 8,
+            endpoint: { host: 'file-host' },
+            budget: { lcp: 3000, cls: 0.2 }
+        });
+        expect(config.sources).toMatchObject({
+            host: 'chrome-proxy.config.json',
+            json: 'profile ci',
+            timeout: 'CHROME_PROXY_TIMEOUT',
+            concurrency: '--concurrency'
+        });
+    });
+
+    test('picks the profile from the flag, the environment or the file', () => {
+        writeConfig({
+            profile: 'a',
+            profiles: { a: { timeout: 1000 }, b: { timeout: 2000 }, c: { timeout: 3000 } }
+        });
+
+        expect(resolve().timeout).toBe(1000);
+        expect(resolve([], { CHROME_PROXY_PROFILE: 'b' }).timeout).toBe(2000);
+        expect(resolve(['--profile', 'c'], { CHROME_PROXY_PROFILE: 'b' }).timeout).toBe(3000);
+        expect(() => resolve(['--profile', 'prod'])).toThrow('Unknown profile "prod" in chrome-proxy.config.json; available: a, b, c');
+    });
+
+    test('reads a .js config file named by --config or CHROME_PROXY_CONFIG', () => {
+        writeConfig('module.exports = { viewport: \'1280x720\', profiles: { hd: { dpr: 2 } } };', 'settings.config.js');
+
+        expect(resolve(['--config', 'settings.config.js', '--profile', 'hd']).emulation).toEqual({ viewport: '1280x720', dpr: 2 });
+        expect(resolve([], { CHROME_PROXY_CONFIG: 'settings.config.js' }).configFile).toBe(path.join(cwd, 'settings.config.js'));
+        expect(() => resolve(['--config', 'missing.json'])).toThrow('Config file missing.json not found');
+    });
+
+    test('reads booleans and the legacy port variable from the environment', () => {
+        const config = resolve([], { CHROME_PROXY_SECURE: 'yes', CHROME_PROXY_FULL_PAGE: '1', CHROME_DEBUG_PORT: '9333' });
+
+        expect(config).toMatchObject({ endpoint: { secure: true }, fullPage: true, directPort: 9333 });
+        expect(resolve([], { CHROME_DEBUG_PORT: '9333', CHROME_PROXY_DIRECT_PORT: '9444' }).directPort).toBe(9444);
+        expect(() => resolve([], { CHROME_PROXY_SECURE: 'maybe' })).toThrow('CHROME_PROXY_SECURE must be true or false (got "maybe")');
+    });
+
+    test('rejects invalid values with their source', () => {
+        const reject = (argv, message, env = {}) => {
+            let error;
+            try {
+                resolve(argv, env);
+            } catch (caught) {
+                error = caught;
+            }
+            expect(error).toBeInstanceOf(ConfigError);
+            expect(error.message).toMatch(message);
+            expect(exitCodeFor(error)).toBe(EXIT_CODES.INVALID_CONFIG);
+        };
+
+        reject(['--format', 'gif'], '--format must be one of png, jpeg, webp, pdf (got "gif")');
+        reject(['--format', 'jpeg', '--quality', '0'], '--quality must be an integer between 1 and 100 (got "0")');
+        reject(['--quality', '90'], 'quality (from --quality) only applies to jpeg screenshots, not png');
+        reject(['--timeout', 'soon'], '--timeout must be an integer of at least 1 (got "soon")');
+        reject(['--soak', '0'], '--soak must be a number above 0');
+        reject(['--frobnicate'], 'Unknown option --frobnicate; see --help');
+        reject(['https://example.com'], 'Unexpected argument "https://example.com"');
+        reject(['--url'], '--url needs a value');
+        reject(['--url', '--verbose'], '--url needs a value');
+        reject(['--budget', 'speed=1'], /--budget: Unknown budget "speed"/);
+        reject(['--wait-for', 'idle'], 'Unsupported wait event "idle"');
+        reject([], 'CHROME_PROXY_MAX_RECONNECTS must be an integer of at least 0 (got "-1")', { CHROME_PROXY_MAX_RECONNECTS: '-1' });
+    });
+
+    test('rejects config files with unknown keys, wrong types or invalid JSON', () => {
+        writeConfig({ screenshotFromat: 'jpeg' });
+        expect(() => resolve()).toThrow('Unknown option "screenshotFromat" in chrome-proxy.config.json');
+
+        writeConfig({ profiles: { mobile: { quality: 150 } } });
+        expect(() => resolve(['--profile', 'mobile'])).toThrow('"quality" in profile "mobile" of chrome-proxy.config.json must be an integer between 1 and 100 (got 150)');
+
+        writeConfig({ timeout: '5000' });
+        expect(() => resolve()).toThrow('"timeout" in chrome-proxy.config.json must be an integer of at least 1 (got "5000")');
+
+        writeConfig({ profiles: { ci: { printConfig: true } } });
+        expect(() => resolve(['--profile', 'ci'])).toThrow('Unknown option "printConfig"');
+
+        const file = writeConfig('{"timeout": 5000,}');
+        expect(() => loadConfigFile(file)).toThrow(/Invalid JSON in config file/);
+        expect(() => resolve()).toThrow(ConfigError);
+    });
+
+    test('adds up repeated list flags and replaces lists across sources', () => {
+        writeConfig({ block: ['images'], header: 'X-From-File: 1', profiles: { ci: { block: 'ads,fonts' } } });
+
+        expect(resolve()).toMatchObject({ block: ['images'], header: ['X-From-File: 1'], cookie: [], mock: [], throttle: null });
+        expect(resolve(['--profile', 'ci']).block).toEqual(['ads', 'fonts']);
+        expect(resolve(['--block', 'ads,trackers', '--block=*.woff2', '--throttle', 'slow-3g'], { CHROME_PROXY_BLOCK: 'media' })).toMatchObject({
+            block: ['ads', 'trackers', '*.woff2'],
+            throttle: 'slow-3g',
+            sources: { block: '--block', header: 'chrome-proxy.config.json' }
+        });
+        expect(resolve([], { CHROME_PROXY_BLOCK: 'media' }).block).toEqual(['media']);
+
+        writeConfig({ block: ['images', 3] });
+        expect(() => resolve()).toThrow('"block" in chrome-proxy.config.json must be a string or an array of non-empty strings (got ["images",3])');
+        writeConfig({});
+        expect(() => resolve(['--block', 'ads,'])).toThrow('--block must be a non-empty value (got "ads,")');
+        expect(() => resolve(['--header', 'X-Test'])).toThrow('Invalid header "X-Test"; expected "Name: value"');
+        expect(() => resolve(['--throttle', '5g'])).toThrow('--throttle must be one of offline, slow-3g, fast-3g, 4g (got "5g")');
+    });
+
+    test('needs a config file for a profile', () => {
+        expect(() => resolve(['--profile', 'ci'])).toThrow(/Profile "ci" needs a config file/);
+    });
+});
+
+describe('resolveFlags', () => {
+    test('reads the output format the way resolveConfig does', () => {
+        expect(resolveFlags([]).screenshotFormat).toBe('png');
+        expect(resolveFlags(['--format', 'pdf']).screenshotFormat).toBe('pdf');
+        expect(resolveFlags(['--format=jpeg']).screenshotFormat).toBe('jpeg');
+        expect(resolveFlags(['--format', 'jpeg', '--pdf']).screenshotFormat).toBe('pdf');
+        expect(resolveFlags(['--pdf=false']).screenshotFormat).toBe('png');
+    });
+
+    test('skips what does not parse instead of throwing', () => {
+        const config = resolveFlags(['--bogus', '--format', 'gif', '--pdf', '--paper', 'b9', '--timeout']);
+
+        expect(config.screenshotFormat).toBe('pdf');
+        expect(config.pdf.paper).toBe('b9');
+        expect(config.timeout).toBe(15000);
+    });
+});
+
+describe('describeConfig', () => {
+    test('masks the token and keeps the sources', () => {
+        const config = resolveConfig({ argv: ['--token', 's3cret', '--host', 'proxy'], env: {}, cwd: os.tmpdir() });
+        const described = describeConfig(config);
+
+        expect(described.config.endpoint).toEqual({ host: 'proxy', token: '***' });
+        expect(described.sources).toEqual({ token: '--token', host: '--host' });
+        expect(described.config.sources).toBeUndefined();
+        expect(config.endpoint.token).toBe('s3cret');
+    });
+});
@@ -0,0 +1,43 @@
+const { resolveEmulation, parseViewport, describeEmulation, DEVICE_PRESETS, ConfigError } = require('../index');
+
+describe('resolveEmulation', () => {
+    test('returns null when nothing is requested', () => {
+        expect(resolveEmulation({})).toBeNull();
+        expect(resolveEmulation()).toBeNull();
+    });
+
+    test('starts from a device preset and applies explicit overrides', () => {
+        const settings = resolveEmulation({ device: 'pixel-7', viewport: '400x800', dpr: '2' });
+
+        expect(settings).toMatchObject({
+            device: 'pixel-7',
+            width: 400,
+            height: 800,
+            deviceScaleFactor: 2,
+            mobile: true,
+            hasTouch: true,
+            userAgent: DEVICE_PRESETS['pixel-7'].userAgent
+        });
+    });
+
+    test('uses desktop defaults for a bare viewport or user agent', () => {
+        expect(resolveEmulation({ viewport: '1440x900' })).toEqual({
+            width: 1440, height: 900, deviceScaleFactor: 1, mobile: false, hasTouch: false
+        });
+        expect(resolveEmulation({ userAgent: 'CaptureBot/1.0' })).toMatchObject({ width: 1280, userAgent: 'CaptureBot/1.0' });
+    });
+
+    test('rejects unknown devices and malformed values', () => {
+        expect(() => resolveEmulation({ device: 'nokia-3310' })).toThrow(ConfigError);
+        expect(() => resolveEmulation({ dpr: 'zero' })).toThrow(/scale factor/);
+        expect(() => parseViewport('1280*720')).toThrow(/WIDTHxHEIGHT/);
+        expect(() => parseViewport({ width: 0, height: 10 })).toThrow(ConfigError);
+    });
+});
+
+describe('describeEmulation', () => {
+    test('summarizes the applied settings for run output', () => {
+        expect(describeEmulation(null)).toBe('browser defaults');
+        expect(describeEmulation(resolveEmulation({ device: 'iphone-14' }))).toMatch(/^iphone-14 390x844 @3x mobile touch UA "Mozilla/);
+    });
+});
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DiagnosticsCollector, hasPageErrors, describeDiagnostics, runBatch } = require('../index');
+const { remoteObjectText } = require('../lib/diagnostics');
+const { createFakeCdp } = require('./helpers/fake-cdp');
+
+// CDP client whose events can be fired by hand
+function fakeCdp() {
+    return createFakeCdp([
+        'Runtime.consoleAPICalled',
+        'Runtime.exceptionThrown',
+        'Network.requestWillBeSent',
+        'Network.responseReceived',
+        'Network.loadingFailed'
+    ]);
+}
+
+const frame = { functionName: 'render', url: 'https://example.com/app.js', lineNumber: 41, columnNumber: 9 };
+
+function request(requestId, url, type = 'Script') {
+    return { requestId, request: { url, method: 'GET' }, type };
+}
+
+describe('DiagnosticsCollector', () => {
+    test('records console messages, exceptions, failed requests and HTTP errors', () => {
+        const cdp = fakeCdp();
+        const collector = new DiagnosticsCollector(cdp).start();
+
+        cdp.emit('Runtime.consoleAPICalled', { type: 'log', args: [{ type: 'string', value: 'ready' }, { type: 'number', value: 3 }] });
+        cdp.emit('Runtime.consoleAPICalled', {
+            type: 'error',
+            args: [{ type: 'object', subtype: 'error', description: 'TypeError: x is undefined\n    at render' }],
+            stackTrace: { callFrames: [frame] }
+        });
+        cdp.emit('Runtime.consoleAPICalled', { type: 'warning', args: [{ type: 'number', unserializableValue: 'NaN' }] });
+        cdp.emit('Runtime.exceptionThrown', {
+            exceptionDetails: {
+                text: 'Uncaught',
+                lineNumber: 41,
+                columnNumber: 9,
+                url: 'https://example.com/app.js',
+                exception: { type: 'object', description: 'ReferenceError: foo is not defined\n    at render (app.js:42:10)' },
+                stackTrace: { callFrames: [frame] }
+            }
+        });
+        cdp.emit('Network.requestWillBeSent', request('1', 'https://example.com/app.js'));
+        cdp.emit('Network.requestWillBeSent', request('2', 'https://cdn.example.com/lib.js'));
+        cdp.emit('Network.requestWillBeSent', request('3', 'https://example.com/api', 'Fetch'));
+        cdp.emit('Network.responseReceived', { requestId: '1', type: 'Script', response: { url: 'https://example.com/app.js', status: 200 } });
+        cdp.emit('Network.responseReceived', { requestId: '3', type: 'Fetch', response: { url: 'https://example.com/api', status: 503, statusText: 'Service Unavailable' } });
+        cdp.emit('Network.loadingFailed', { requestId: '2', type: 'Script', errorText: 'net::ERR_NAME_NOT_RESOLVED', canceled: false });
+
+        const report = collector.stop();
+
+        expect(report.console).toEqual([
+            { level: 'log', text: 'ready 3', url: null, line: null },
+            { level: 'error', text: 'TypeError: x is undefined\n    at render', url: 'https://example.com/app.js', line: 42 },
+            { level: 'warn', text: 'NaN', url: null, line: null }
+        ]);
+        expect(report.exceptions).toEqual([{
+            message: 'ReferenceError: foo is not defined',
+            url: 'https://example.com/app.js',
+            line: 42,
+            column: 10,
+            stack: '    at render (https://example.com/app.js:42:10)'
+        }]);
+        expect(report.failedRequests).toEqual([{
+            url: 'https://cdn.example.com/lib.js',
+            method: 'GET',
+            type: 'Script',
+            errorText: 'net::ERR_NAME_NOT_RESOLVED',
+            canceled: false,
+            blockedReason: null
+        }]);
+        expect(report.httpErrors).toEqual([{
+            url: 'https://example.com/api',
+            method: 'GET',
+            status: 503,
+            statusText: 'Service Unavailable',
+            type: 'Fetch'
+        }]);
+        expect(report.counts).toEqual({ console: 3, consoleErrors: 1, exceptions: 1, failedRequests: 1, httpErrors: 1 });
+        expect(describeDiagnostics(report)).toBe('1 exception(s), 1 console error(s), 1 failed request(s), 1 HTTP error(s)');
+        expect(Object.values(cdp.listeners).every(handlers => handlers.length === 0)).toBe(true);
+    });
+
+    test('keeps at most maxEntries per list and counts the rest as dropped', () => {
+        const cdp = fakeCdp();
+        const collector = new DiagnosticsCollector(cdp, { maxEntries: 2 }).start();
+
+        for (let i = 0; i < 5; i++) {
+            cdp.emit('Runtime.consoleAPICalled', { type: 'error', args: [{ type: 'string', value: `boom ${i}` }] });
+        }
+        const report = collector.stop();
+
+        expect(report.console.map(message => message.text)).toEqual(['boom 0', 'boom 1']);
+        expect(report.counts.consoleErrors).toBe(5);
+        expect(report.dropped).toEqual({ console: 3, exceptions: 0, failedRequests: 0, httpErrors: 0 });
+    });
+});
+
+describe('hasPageErrors', () => {
+    const counts = { console: 0, consoleErrors: 0, exceptions: 0, failedRequests: 0, httpErrors: 0 };
+
+    test('fails on exceptions and console errors but not on failed requests', () => {
+        expect(hasPageErrors({ counts: { ...counts, exceptions: 1 } })).toBe(true);
+        expect(hasPageErrors({ counts: { ...counts, consoleErrors: 2 } })).toBe(true);
+        expect(hasPageErrors({ counts: { ...counts, console: 4, failedRequests: 3, httpErrors: 1 } })).toBe(false);
+        expect(hasPageErrors(null)).toBe(false);
+    });
+
+    test('turns console arguments into text', () => {
+        expect(remoteObjectText({ type: 'object', value: { a: 1 } })).toBe('{"a":1}');
+        expect(remoteObjectText({ type: 'bigint', unserializableValue: '12n' })).toBe('12n');
+        expect(remoteObjectText({ type: 'undefined' })).toBe('undefined');
+    });
+});
+
+describe('batch diagnostics', () => {
+    let outDir;
+
+    beforeEach(() => {
+        outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'diagnostics-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    });
+
+    // Batch client whose page throws while loading the given URLs
+    function createFakeClient(throwingUrls) {
+        const cdp = fakeCdp();
+        let current = null;
+        return {
+            reconnects: 0,
+            collectDiagnostics: () => new DiagnosticsCollector(cdp).start(),
+            navigate: jest.fn(async url => {
+                current = url;
+            }),
+            waitForLoad: jest.fn(async () => {
+                if (throwingUrls.includes(current)) {
+                    cdp.emit('Runtime.exceptionThrown', { exceptionDetails: { text: 'Uncaught Error: boom' } });
+                }
+                return { success: true, method: 'loadEventFired' };
+            }),
+            screenshot: jest.fn().mockResolvedValue(Buffer.from('image'))
+        };
+    }
+
+    test('reports diagnostics per entry and fails pages that threw with --fail-on-console-error', async () => {
+        const entries = [{ url: 'https://example.com' }, { url: 'https://example.com/broken' }];
+        const options = { outDir, renderDelay: 0, diagnostics: true };
+
+        const reported = await runBatch(createFakeClient(['https://example.com/broken']), entries, options);
+        expect(reported.failed).toBe(0);
+        expect(reported.results.map(result => result.diagnostics.counts.exceptions)).toEqual([0, 1]);
+
+        const failing = await runBatch(createFakeClient(['https://example.com/broken']), entries, { ...options, failOnConsoleError: true });
+        expect(failing.failed).toBe(1);
+        expect(failing.results[1]).toMatchObject({ status: 'failed', errorCode: 'PAGE_ERRORS' });
+        expect(failing.results[1].diagnostics.exceptions[0].message).toBe('Uncaught Error: boom');
+        expect(failing.results[1].file).not.toBeNull();
+    });
+});
@@ -0,0 +1,62 @@
+const {
+    EXIT_CODES,
+    exitCodeFor,
+    describeError,
+    HealthCheckError,
+    ChromeNotReadyError,
+    ConnectionError,
+    NavigationError,
+    CaptureError,
+    ManifestError,
+    BatchError,
+    VisualRegressionError,
+    SoakTestError,
+    AuthenticationError,
+    PageError,
+    ScenarioError,
+    BudgetError,
+    ChromeUnavailableError
+} = require('../index');
+
+describe('exitCodeFor', () => {
+    test('gives each failure phase its own exit code', () => {
+        const codes = [
+            new HealthCheckError('down'),
+            new ChromeNotReadyError('not ready'),
+            new ConnectionError('refused'),
+            new NavigationError('timeout'),
+            new CaptureError('failed'),
+            new BatchError('1 of 2 failed'),
+            new VisualRegressionError('3% of pixels differ'),
+            new SoakTestError('session lost'),
+            new AuthenticationError('token rejected'),
+            new PageError('page threw'),
+            new ScenarioError('step 2 failed'),
+            new BudgetError('lcp 3120ms > 2500ms'),
+            new ChromeUnavailableError('connection refused')
+        ].map(exitCodeFor);
+
+        expect(new Set(codes).size).toBe(codes.length);
+        expect(codes).not.toContain(EXIT_CODES.SUCCESS);
+        expect(codes).not.toContain(EXIT_CODES.UNKNOWN_ERROR);
+    });
+
+    test('treats manifest errors as configuration errors and untyped errors as unknown', () => {
+        expect(exitCodeFor(new ManifestError('bad'))).toBe(EXIT_CODES.INVALID_CONFIG);
+        expect(exitCodeFor(new Error('boom'))).toBe(EXIT_CODES.UNKNOWN_ERROR);
+        expect(exitCodeFor(null)).toBe(EXIT_CODES.SUCCESS);
+    });
+});
+
+describe('describeError', () => {
+    test('reports the category, code and exit code', () => {
+        expect(describeError(new NavigationError('net::ERR_TIMED_OUT'))).toEqual({
+            category: 'navigation',
+            code: 'NAVIGATION_FAILED',
+            type: 'NavigationError',
+            message: 'net::ERR_TIMED_OUT',
+            exitCode: EXIT_CODES.NAVIGATION_FAILED
+        });
+        expect(describeError(new TypeError('oops'))).toMatchObject({ category: 'unknown', code: null, exitCode: 1 });
+    });
+});
@@ -0,0 +1,88 @@
+const http = require('http');
+const { FixtureServer, ProxyEndpoint, decodePng } = require('../index');
+const { request } = require('../lib/http');
+
+describe('FixtureServer', () => {
+    let fixtures;
+    let endpoint;
+
+    beforeAll(async () => {
+        fixtures = new FixtureServer();
+        const { port } = await fixtures.listen(0);
+        endpoint = new ProxyEndpoint({ host: '127.0.0.1', port });
+    });
+
+    afterAll(async () => {
+        await fixtures.close();
+    });
+
+    test('serves the static test page and an index of fixtures', async () => {
+        const page = await request(endpoint, '/html');
+        expect(page.status).toBe(200);
+        expect(page.headers['content-type']).toBe('text/html; charset=utf-8');
+        expect(page.body).toContain('<title>Test</title>');
+        expect(page.body).toContain('Chrome Connection Test');
+
+        const index = await request(endpoint, '/');
+        expect(index.body).toContain('<code>/redirect/3</code>');
+        expect(fixtures.url('/form')).toBe(`http://127.0.0.1:${endpoint.port}/form`);
+    });
+
+    test('follows a redirect chain down to /html', async () => {
+        const first = await request(endpoint, '/redirect/3');
+        expect(first.status).toBe(302);
+        expect(first.headers.location).toBe('/redirect/2');
+        expect((await request(endpoint, '/redirect/1')).headers.location).toBe('/html');
+    });
+
+    test('answers with the requested status, 404 for unknown paths and 405 for other methods', async () => {
+        expect((await request(endpoint, '/status/500')).status).toBe(500);
+        expect((await request(endpoint, '/status/404')).body).toContain('404 Not Found');
+        expect((await request(endpoint, '/status/999')).status).toBe(400);
+        expect((await request(endpoint, '/nope')).status).toBe(404);
+
+        const post = await request(endpoint, '/html', { method: 'POST' });
+        expect(post.status).toBe(405);
+        expect(post.headers.allow).toBe('GET, HEAD');
+    });
+
+    test('holds slow responses back and serves large pages of the requested size', async () => {
+        const start = Date.now();
+        const slow = await request(endpoint, '/slow?ms=150');
+        expect(Date.now() - start).toBeGreaterThanOrEqual(140);
+        expect(slow.body).toContain('Answered after 150ms');
+
+        const large = await request(endpoint, '/large?kb=64');
+        expect(large.body.length).toBeGreaterThan(60 * 1024);
+        expect(large.body.length).toBeLessThan(70 * 1024);
+
+        const image = await new Promise(resolve => http.get(fixtures.url('/slow-image?ms=0'), res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve(Buffer.concat(chunks)));
+        }));
+        expect(decodePng(image)).toMatchObject({ width: 1, height: 1 });
+    });
+
+    test('caps query values and records every request', async () => {
+        const capped = new FixtureServer({ maxDelay: 10 });
+        await capped.listen(0);
+        try {
+            const response = await request(new ProxyEndpoint({ host: '127.0.0.1', port: capped.server.address().port }), '/slow?ms=60000');
+            expect(response.body).toContain('Answered after 10ms');
+            expect(capped.requests).toEqual(['/slow?ms=60000']);
+        } finally {
+            await capped.close();
+        }
+    });
+
+    test('closes at once while a response is still held back', async () => {
+        const server = new FixtureServer();
+        await server.listen(0);
+        const pending = request(new ProxyEndpoint({ host: '127.0.0.1', port: server.server.address().port }), '/slow?ms=30000');
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        await server.close();
+        await expect(pending).rejects.toThrow();
+    });
+});
@@ -0,0 +1,140 @@
+const { HarRecorder } = require('../index');
+const { entryTimings } = require('../lib/har');
+const { createFakeCdp } = require('./helpers/fake-cdp');
+
+// CDP client whose events can be fired by hand
+function fakeClient() {
+    return createFakeCdp([
+        'Network.requestWillBeSent',
+        'Network.responseReceived',
+        'Network.dataReceived',
+        'Network.loadingFinished',
+        'Network.loadingFailed',
+        'Page.domContentEventFired',
+        'Page.loadEventFired'
+    ], {
+        Network: {
+            getResponseBody: jest.fn(async ({ requestId }) => {
+                if (requestId === 'doc') return { body: '<h1>Hi</h1>', base64Encoded: false };
+                throw new Error('No resource with given identifier found');
+            })
+        }
+    });
+}
+
+const WALL = 1700000000;
+
+function request(requestId, url, timestamp, extra = {}) {
+    return {
+        requestId,
+        request: { url, method: 'GET', headers: { Accept: '*/*' } },
+        timestamp,
+        wallTime: WALL + timestamp,
+        type: 'Document',
+        ...extra
+    };
+}
+
+function response(url, status, extra = {}) {
+    return {
+        url,
+        status,
+        statusText: status === 200 ? 'OK' : 'Found',
+        headers: { 'Content-Type': 'text/html' },
+        mimeType: 'text/html',
+        protocol: 'http/1.1',
+        remoteIPAddress: '[::1]',
+        ...extra
+    };
+}
+
+describe('HarRecorder', () => {
+    test('records a navigation with redirects, failures and pending requests as HAR 1.2', async () => {
+        const client = fakeClient();
+        const recorder = new HarRecorder(client, { content: true, browser: { name: 'HeadlessChrome', version: '120.0' } }).start();
+        recorder.startPage('http://example.com/');
+
+        client.emit('Network.requestWillBeSent', request('doc', 'http://example.com/', 10));
+        client.emit('Network.requestWillBeSent', request('doc', 'http://example.com/home?lang=en', 10.05, {
+            redirectResponse: response('http://example.com/', 302, { headers: { Location: '/home?lang=en' } })
+        }));
+        client.emit('Network.responseReceived', { requestId: 'doc', response: response('http://example.com/home?lang=en', 200) });
+        client.emit('Network.dataReceived', { requestId: 'doc', dataLength: 11 });
+        client.emit('Network.loadingFinished', { requestId: 'doc', timestamp: 10.2, encodedDataLength: 300 });
+        client.emit('Network.requestWillBeSent', request('img', 'http://cdn.invalid/a.png', 10.25, { type: 'Image' }));
+        client.emit('Network.loadingFailed', { requestId: 'img', timestamp: 10.3, errorText: 'net::ERR_NAME_NOT_RESOLVED' });
+        client.emit('Network.requestWillBeSent', request('xhr', 'http://example.com/poll', 10.4, { type: 'XHR' }));
+        client.emit('Page.domContentEventFired', { timestamp: 10.5 });
+        client.emit('Page.loadEventFired', { timestamp: 11 });
+
+        const har = await recorder.stop();
+
+        expect(Object.values(client.listeners).every(handlers => handlers.length === 0)).toBe(true);
+        expect(har.log).toMatchObject({
+            version: '1.2',
+            creator: { name: 'nginx-chrome-debugger-proxy' },
+            browser: { name: 'HeadlessChrome', version: '120.0' },
+            pages: [{
+                id: 'page_1',
+                title: 'http://example.com/',
+                startedDateTime: new Date((WALL + 10) * 1000).toISOString(),
+                pageTimings: { onContentLoad: 500, onLoad: 1000 }
+            }]
+        });
+
+        const [redirect, doc, image, poll] = har.log.entries;
+        expect(redirect.response).toMatchObject({ status: 302, redirectURL: '/home?lang=en', httpVersion: 'HTTP/1.1' });
+        expect(redirect.time).toBeCloseTo(50);
+        expect(doc).toMatchObject({
+            pageref: 'page_1',
+            serverIPAddress: '::1',
+            _resourceType: 'document',
+            request: { url: 'http://example.com/home?lang=en', queryString: [{ name: 'lang', value: 'en' }] },
+            response: { status: 200, content: { size: 11, mimeType: 'text/html', text: '<h1>Hi</h1>' }, _transferSize: 300 }
+        });
+        expect(image).toMatchObject({ response: { status: 0 }, _error: 'net::ERR_NAME_NOT_RESOLVED' });
+        expect(poll).toMatchObject({ response: { status: 0 }, _error: 'Still pending when the recording stopped' });
+        expect(poll.time).toBeCloseTo(600);
+    });
+
+    test('leaves bodies out unless content is requested', async () => {
+        const client = fakeClient();
+        const recorder = new HarRecorder(client).start();
+
+        client.emit('Network.requestWillBeSent', request('doc', 'http://example.com/', 1));
+        client.emit('Network.responseReceived', { requestId: 'doc', response: response('http://example.com/', 200) });
+        client.emit('Network.loadingFinished', { requestId: 'doc', timestamp: 1.1, encodedDataLength: 100 });
+
+        const har = await recorder.stop();
+        expect(client.Network.getResponseBody).not.toHaveBeenCalled();
+        expect(har.log.entries[0].response.content.text).toBeUndefined();
+        expect(har.log.pages).toHaveLength(1);
+    });
+});
+
+describe('entryTimings', () => {
+    test('splits Chrome resource timing into HAR phases', () => {
+        const timing = {
+            requestTime: 100.01,
+            dnsStart: 1, dnsEnd: 5,
+            connectStart: 5, connectEnd: 20,
+            sslStart: 10, sslEnd: 20,
+            sendStart: 21, sendEnd: 22,
+            receiveHeadersEnd: 72
+        };
+
+        const timings = entryTimings(timing, 100, 100.1);
+        expect(timings.blocked).toBeCloseTo(11);
+        expect(timings).toMatchObject({ dns: 4, connect: 15, ssl: 10, send: 1, wait: 50 });
+        expect(timings.receive).toBeCloseTo(18);
+    });
+
+    test('reports skipped phases as -1', () => {
+        const timings = entryTimings({
+            requestTime: 1, dnsStart: -1, dnsEnd: -1, connectStart: -1, connectEnd: -1,
+            sslStart: -1, sslEnd: -1, sendStart: 0.5, sendEnd: 0.6, receiveHeadersEnd: 10
+        }, 1, 1.02);
+
+        expect(timings).toMatchObject({ dns: -1, connect: -1, ssl: -1, blocked: 0.5 });
+    });
+});
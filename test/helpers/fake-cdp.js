@@ -0,0 +1,29 @@
+// CDP client for unit tests. Each event named in `events` (e.g.
+// 'Network.loadingFinished') can be subscribed to the way
+// chrome-remote-interface allows, returning an unsubscribe function, and is
+// fired by hand with emit(). `domains` adds commands, usually jest.fn()s, next
+// to the events of the same domain.
+function createFakeCdp(events, domains = {}) {
+    const listeners = {};
+    const on = name => handler => {
+        (listeners[name] = listeners[name] || []).push(handler);
+        return () => {
+            listeners[name] = listeners[name].filter(h => h !== handler);
+        };
+    };
+
+    const client = {
+        listeners,
+        emit: (name, params = {}) => (listeners[name] || []).forEach(handler => handler(params))
+    };
+    events.forEach(name => {
+        const [domain, event] = name.split('.');
+        client[domain] = { ...client[domain], [event]: on(name) };
+    });
+    Object.entries(domains).forEach(([domain, commands]) => {
+        client[domain] = { ...client[domain], ...commands };
+    });
+    return client;
+}
+
+module.exports = { createFakeCdp };
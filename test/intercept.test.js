@@ -0,0 +1,271 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    NetworkInterceptor,
+    THROTTLE_PRESETS,
+    parseInterception,
+    describeInterception,
+    runBatch,
+    ChromeProxyClient,
+    ProxyEndpoint,
+    MockChromeServer,
+    ConfigError,
+    ConnectionError
+} = require('../index');
+
+// Resolves once the mock has received `count` commands of `method`
+async function receivedCommands(chrome, method, count = 1) {
+    const deadline = Date.now() + 2000;
+    while (Date.now() < deadline) {
+        const commands = chrome.received.filter(command => command.method === method);
+        if (commands.length >= count) return commands;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`${method} was not received`);
+}
+
+describe('parseInterception', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'intercept-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('is null when no network option is set', () => {
+        expect(parseInterception({})).toBeNull();
+        expect(parseInterception({ block: [], header: [], cookie: [], throttle: null, mock: [] })).toBeNull();
+    });
+
+    test('expands presets and parses headers, cookies and mocks', () => {
+        fs.writeFileSync(path.join(dir, 'user.json'), '{"name":"Test"}');
+
+        const settings = parseInterception({
+            block: ['fonts', 'ads', '*.woff2'],
+            header: ['X-Test: 1', 'Authorization: Bearer a:b'],
+            cookie: ['session=abc; Domain=.example.com; Path=/; Secure; HttpOnly', 'lang=en'],
+            throttle: 'slow-3g',
+            mock: ['*/api/user?id=*=user.json']
+        }, dir);
+
+        expect(settings.blocks[0]).toEqual({ rule: 'fonts', resourceType: 'Font' });
+        expect(settings.blocks).toContainEqual({ rule: 'ads', pattern: '*://*.doubleclick.net/*' });
+        expect(settings.blocks[settings.blocks.length - 1]).toEqual({ rule: '*.woff2', pattern: '*.woff2' });
+        expect(settings.headers).toEqual({ 'X-Test': '1', Authorization: 'Bearer a:b' });
+        expect(settings.cookies).toEqual([
+            { name: 'session', value: 'abc', domain: '.example.com', path: '/', secure: true, httpOnly: true },
+            { name: 'lang', value: 'en' }
+        ]);
+        expect(settings.throttle).toBe('slow-3g');
+        expect(settings.mocks).toEqual([{
+            pattern: '*/api/user?id=*',
+            file: 'user.json',
+            body: Buffer.from('{"name":"Test"}'),
+            contentType: 'application/json'
+        }]);
+    });
+
+    test('rejects malformed values with ConfigError', () => {
+        const reject = (options, message) => {
+            expect(() => parseInterception(options, dir)).toThrow(ConfigError);
+            expect(() => parseInterception(options, dir)).toThrow(message);
+        };
+
+        reject({ header: ['X-Test'] }, 'Invalid header "X-Test"; expected "Name: value"');
+        reject({ cookie: ['session'] }, 'Invalid cookie "session"; expected "name=value"');
+        reject({ cookie: ['a=b; SameSite=Lax'] }, 'unsupported attribute "SameSite"');
+        reject({ mock: ['user.json'] }, 'Invalid mock "user.json"; expected "pattern=file"');
+        reject({ mock: ['*/api=missing.json'] }, /Cannot read mock file missing.json/);
+        reject({ throttle: '5g' }, 'Unknown throttle preset "5g"; expected one of: offline, slow-3g, fast-3g, 4g');
+    });
+});
+
+describe('NetworkInterceptor against the mock Chrome endpoint', () => {
+    let dir;
+    let chrome;
+    let client;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'intercept-test-'));
+        chrome = new MockChromeServer();
+        const { port } = await chrome.listen(0);
+        client = new ChromeProxyClient({ endpoint: new ProxyEndpoint({ host: '127.0.0.1', port }), maxRetries: 1 });
+        await client.connect();
+    });
+
+    afterEach(async () => {
+        await client.close();
+        await chrome.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const pause = (requestId, url, resourceType = 'Script', headers = {}) => {
+        chrome.emit('Fetch.requestPaused', { requestId, request: { url, method: 'GET', headers }, resourceType });
+    };
+
+    test('blocks and mocks only the requests its rules match', async () => {
+        fs.writeFileSync(path.join(dir, 'user.json'), '{"name":"Test"}');
+        const interceptor = await client.interceptNetwork(parseInterception({
+            block: ['fonts', 'trackers'],
+            mock: ['*/api/user=user.json']
+        }, dir));
+
+        const [enable] = await receivedCommands(chrome, 'Fetch.enable');
+        expect(enable.params.patterns).toContainEqual({ urlPattern: '*', resourceType: 'Font' });
+        expect(enable.params.patterns).toContainEqual({ urlPattern: '*/api/user' });
+
+        pause('1', 'https://www.googletagmanager.com/gtm.js?id=GTM-X');
+        pause('2', 'https://example.com/api/user', 'Fetch');
+        pause('3', 'https://example.com/font.woff2', 'Font');
+        pause('4', 'https://example.com/app.js');
+        await receivedCommands(chrome, 'Fetch.failRequest', 2);
+        await receivedCommands(chrome, 'Fetch.continueRequest');
+        const [fulfill] = await receivedCommands(chrome, 'Fetch.fulfillRequest');
+
+        expect(fulfill.params).toMatchObject({ requestId: '2', responseCode: 200 });
+        expect(fulfill.params.responseHeaders).toContainEqual({ name: 'Content-Type', value: 'application/json' });
+        expect(Buffer.from(fulfill.params.body, 'base64').toString()).toBe('{"name":"Test"}');
+        expect(chrome.received.filter(command => command.method === 'Fetch.failRequest').map(command => command.params))
+            .toEqual([{ requestId: '1', errorReason: 'BlockedByClient' }, { requestId: '3', errorReason: 'BlockedByClient' }]);
+
+        const report = await interceptor.stop();
+        expect(report).toEqual({
+            blocked: 2,
+            mocked: 1,
+            requests: [
+                { action: 'blocked', url: 'https://www.googletagmanager.com/gtm.js?id=GTM-X', rule: 'trackers' },
+                { action: 'mocked', url: 'https://example.com/api/user', rule: '*/api/user' },
+                { action: 'blocked', url: 'https://example.com/font.woff2', rule: 'fonts' }
+            ],
+            throttle: null,
+            headers: [],
+            cookies: []
+        });
+        expect(describeInterception(report)).toBe('2 blocked, 1 mocked request(s)');
+        await receivedCommands(chrome, 'Fetch.disable');
+    });
+
+    test('adds headers to every request, sets cookies and throttles until stopped', async () => {
+        const interceptor = await client.interceptNetwork(parseInterception({
+            header: ['X-Test: 1'],
+            cookie: ['session=abc', 'lang=en; Domain=.example.com'],
+            throttle: 'fast-3g'
+        }));
+        await interceptor.setCookies('https://example.com/app');
+
+        const [enable] = await receivedCommands(chrome, 'Fetch.enable');
+        expect(enable.params.patterns).toEqual([{ urlPattern: '*' }]);
+        const [cookies] = await receivedCommands(chrome, 'Network.setCookies');
+        expect(cookies.params.cookies).toEqual([
+            { url: 'https://example.com/app', name: 'session', value: 'abc' },
+            { name: 'lang', value: 'en', domain: '.example.com' }
+        ]);
+
+        pause('1', 'https://example.com/app', 'Document', { Accept: 'text/html', 'X-Test': '0' });
+        const [continued] = await receivedCommands(chrome, 'Fetch.continueRequest');
+        expect(continued.params).toEqual({
+            requestId: '1',
+            headers: [{ name: 'Accept', value: 'text/html' }, { name: 'X-Test', value: '1' }]
+        });
+
+        const report = await interceptor.stop();
+        const conditions = chrome.received.filter(command => command.method === 'Network.emulateNetworkConditions').map(command => command.params);
+        expect(conditions).toEqual([
+            THROTTLE_PRESETS['fast-3g'],
+            { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 }
+        ]);
+        expect(describeInterception(report)).toBe('0 blocked, 0 mocked request(s), throttled to fast-3g, 1 header(s), 2 cookie(s)');
+        await expect(interceptor.setCookies('data:text/html,test')).rejects.toThrow('Cookie session needs a Domain to be set for data:text/html,test');
+    });
+
+    test('applies the interception again when the session is resumed', async () => {
+        const interceptor = await client.interceptNetwork(parseInterception({
+            block: ['fonts'],
+            header: ['X-Test: 1'],
+            cookie: ['session=abc'],
+            throttle: 'slow-3g'
+        }));
+        await interceptor.setCookies('https://example.com/app');
+
+        chrome.dropConnections();
+        while (!client.dropped) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        await client.navigate('about:blank');
+
+        expect(client.reconnects).toBe(1);
+        await receivedCommands(chrome, 'Fetch.enable', 2);
+        expect(await receivedCommands(chrome, 'Network.setCookies', 2)).toHaveLength(2);
+        const conditions = chrome.received.filter(command => command.method === 'Network.emulateNetworkConditions');
+        expect(conditions.map(command => command.params)).toEqual([THROTTLE_PRESETS['slow-3g'], THROTTLE_PRESETS['slow-3g']]);
+
+        pause('1', 'https://example.com/font.woff2', 'Font');
+        pause('2', 'https://example.com/app.js');
+        const [failed] = await receivedCommands(chrome, 'Fetch.failRequest');
+        const [continued] = await receivedCommands(chrome, 'Fetch.continueRequest');
+        expect(failed.params).toEqual({ requestId: '1', errorReason: 'BlockedByClient' });
+        expect(continued.params.headers).toContainEqual({ name: 'X-Test', value: '1' });
+        expect((await interceptor.stop()).blocked).toBe(1);
+    });
+
+    test('fails the resumed step when the interception cannot be restored', async () => {
+        await client.interceptNetwork(parseInterception({ block: ['fonts'] }));
+        chrome.handle('Fetch.enable', () => {
+            throw new Error('Fetch domain unavailable');
+        });
+
+        chrome.dropConnections();
+        while (!client.dropped) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        const error = await client.navigate('about:blank').catch(caught => caught);
+
+        expect(error).toBeInstanceOf(ConnectionError);
+        expect(error.message).toBe('Could not restore NetworkInterceptor on the new session: Fetch domain unavailable');
+    });
+});
+
+describe('batch interception', () => {
+    let outDir;
+
+    beforeEach(() => {
+        outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'intercept-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    });
+
+    test('intercepts each entry and keeps the report when it fails', async () => {
+        const cdp = {
+            Network: { emulateNetworkConditions: jest.fn().mockResolvedValue({}), setCookies: jest.fn().mockResolvedValue({}) },
+            Fetch: { enable: jest.fn().mockResolvedValue({}), disable: jest.fn().mockResolvedValue({}), requestPaused: () => () => {} }
+        };
+        const client = {
+            reconnects: 0,
+            interceptNetwork: jest.fn(settings => new NetworkInterceptor(cdp, settings).start()),
+            navigate: jest.fn().mockResolvedValue({}),
+            waitForLoad: jest.fn().mockResolvedValue({ success: true, method: 'loadEventFired' }),
+            screenshot: jest.fn()
+                .mockResolvedValueOnce(Buffer.from('image'))
+                .mockRejectedValueOnce(new Error('Capture timed out'))
+        };
+        const entries = [{ url: 'https://example.com' }, { url: 'https://example.com/pricing' }];
+        const interception = parseInterception({ block: ['images'], cookie: ['session=abc'], throttle: 'offline' });
+
+        const summary = await runBatch(client, entries, { outDir, renderDelay: 0, interception });
+
+        expect(client.interceptNetwork).toHaveBeenCalledTimes(2);
+        expect(cdp.Network.setCookies.mock.calls.map(([{ cookies }]) => cookies[0].url)).toEqual(['https://example.com', 'https://example.com/pricing']);
+        expect(cdp.Fetch.disable).toHaveBeenCalledTimes(2);
+        expect(summary.results.map(result => result.interception)).toEqual([
+            { blocked: 0, mocked: 0, requests: [], throttle: 'offline', headers: [], cookies: ['session'] },
+            { blocked: 0, mocked: 0, requests: [], throttle: 'offline', headers: [], cookies: ['session'] }
+        ]);
+        expect(summary.results[1].status).toBe('failed');
+    });
+});
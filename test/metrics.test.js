@@ -0,0 +1,187 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    MetricsCollector,
+    parseBudgets,
+    checkBudgets,
+    exceededBudgets,
+    describeMetrics,
+    describeBudgetFailures,
+    runBatch,
+    ChromeProxyClient,
+    ProxyEndpoint,
+    MockChromeServer,
+    FixtureServer,
+    ConfigError
+} = require('../index');
+const { createFakeCdp } = require('./helpers/fake-cdp');
+
+// CDP client whose Network events can be fired by hand and whose page reports
+// the given timing and vitals
+function fakeCdp(page = {}) {
+    return createFakeCdp([
+        'Network.requestWillBeSent',
+        'Network.loadingFinished',
+        'Network.loadingFailed'
+    ], {
+        Performance: {
+            enable: jest.fn().mockResolvedValue({}),
+            disable: jest.fn().mockResolvedValue({}),
+            getMetrics: jest.fn().mockResolvedValue({ metrics: [{ name: 'Nodes', value: 120 }, { name: 'JSHeapUsedSize', value: 3145728 }] })
+        },
+        Page: {
+            addScriptToEvaluateOnNewDocument: jest.fn().mockResolvedValue({ identifier: '7' }),
+            removeScriptToEvaluateOnNewDocument: jest.fn().mockResolvedValue({})
+        },
+        Runtime: {
+            evaluate: jest.fn().mockResolvedValue({
+                result: {
+                    value: {
+                        url: 'https://example.com/',
+                        timing: { ttfb: 83.6, domContentLoaded: 211.9, load: 390.2 },
+                        vitals: { fcp: 236.4, lcp: 412.1, cls: 0.012345 },
+                        ...page
+                    }
+                }
+            })
+        }
+    });
+}
+
+const report = {
+    timing: { ttfb: 84, domContentLoaded: 212, load: 390 },
+    vitals: { fcp: 236, lcp: 3120, cls: null },
+    network: { requests: 64, failed: 0, bytes: 319871 },
+    metrics: { JSHeapUsedSize: 3145728 }
+};
+
+describe('MetricsCollector', () => {
+    test('reports timing, vitals, network totals and Chrome metrics for the page', async () => {
+        const cdp = fakeCdp();
+        const collector = await new MetricsCollector(cdp).start();
+
+        expect(cdp.Performance.enable).toHaveBeenCalled();
+        expect(cdp.Page.addScriptToEvaluateOnNewDocument.mock.calls[0][0].source).toContain('largest-contentful-paint');
+
+        cdp.emit('Network.requestWillBeSent', { requestId: '1' });
+        cdp.emit('Network.requestWillBeSent', { requestId: '2' });
+        cdp.emit('Network.requestWillBeSent', { requestId: '3' });
+        cdp.emit('Network.loadingFinished', { requestId: '1', encodedDataLength: 1000 });
+        cdp.emit('Network.loadingFinished', { requestId: '2', encodedDataLength: 24 });
+        cdp.emit('Network.loadingFailed', { requestId: '3', errorText: 'net::ERR_FAILED' });
+
+        const metrics = await collector.stop();
+
+        expect(metrics).toEqual({
+            url: 'https://example.com/',
+            timing: { ttfb: 84, domContentLoaded: 212, load: 390 },
+            vitals: { fcp: 236, lcp: 412, cls: 0.0123 },
+            network: { requests: 3, failed: 1, bytes: 1024 },
+            metrics: { Nodes: 120, JSHeapUsedSize: 3145728 }
+        });
+        expect(describeMetrics(metrics)).toBe('TTFB 84ms, FCP 236ms, LCP 412ms, CLS 0.0123, load 390ms, 3 request(s), 1KB');
+        expect(cdp.Page.removeScriptToEvaluateOnNewDocument).toHaveBeenCalledWith({ identifier: '7' });
+        expect(Object.values(cdp.listeners).every(handlers => handlers.length === 0)).toBe(true);
+    });
+
+    test('leaves values the page could not give as null', async () => {
+        const cdp = fakeCdp();
+        cdp.Runtime.evaluate.mockRejectedValue(new Error('Execution context was destroyed'));
+        cdp.Performance.getMetrics.mockRejectedValue(new Error('Performance domain not enabled'));
+
+        const metrics = await (await new MetricsCollector(cdp).start()).stop();
+
+        expect(metrics.timing).toEqual({ ttfb: null, domContentLoaded: null, load: null });
+        expect(metrics.vitals).toEqual({ fcp: null, lcp: null, cls: null });
+        expect(metrics.metrics).toEqual({});
+    });
+});
+
+describe('budgets', () => {
+    test('are parsed from name=value lists or objects', () => {
+        expect(parseBudgets('lcp=2500, cls=0.1,requests=50')).toEqual({ lcp: 2500, cls: 0.1, requests: 50 });
+        expect(parseBudgets({ bytes: 500000 })).toEqual({ bytes: 500000 });
+        expect(parseBudgets(null)).toEqual({});
+        expect(() => parseBudgets('speed=1')).toThrow(ConfigError);
+        expect(() => parseBudgets('speed=1')).toThrow(/expected one of: ttfb, fcp, lcp/);
+        expect(() => parseBudgets('lcp=fast')).toThrow('Budget lcp must be a non-negative number');
+        expect(() => parseBudgets('lcp')).toThrow('Budget lcp must be a non-negative number');
+    });
+
+    test('fail only when a measured value is over its limit', () => {
+        const results = checkBudgets(report, parseBudgets('lcp=2500,requests=64,cls=0.1,jsHeap=1000000'));
+
+        expect(results).toEqual([
+            { metric: 'lcp', budget: 2500, value: 3120, unit: 'ms', status: 'fail' },
+            { metric: 'requests', budget: 64, value: 64, unit: '', status: 'pass' },
+            { metric: 'cls', budget: 0.1, value: null, unit: '', status: 'unmeasured' },
+            { metric: 'jsHeap', budget: 1000000, value: 3145728, unit: 'B', status: 'fail' }
+        ]);
+        expect(exceededBudgets(results).map(result => result.metric)).toEqual(['lcp', 'jsHeap']);
+        expect(describeBudgetFailures(results)).toBe('lcp 3120ms > 2500ms, jsHeap 3072KB > 976.6KB');
+    });
+});
+
+describe('batch metrics', () => {
+    let outDir;
+
+    beforeEach(() => {
+        outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    });
+
+    test('measures each entry and fails the ones over budget', async () => {
+        const client = {
+            reconnects: 0,
+            collectMetrics: jest.fn(() => new MetricsCollector(fakeCdp()).start()),
+            navigate: jest.fn().mockResolvedValue({}),
+            waitForLoad: jest.fn().mockResolvedValue({ success: true, method: 'loadEventFired' }),
+            screenshot: jest.fn().mockResolvedValue(Buffer.from('image'))
+        };
+        const entries = [{ url: 'https://example.com' }];
+
+        const measured = await runBatch(client, entries, { outDir, renderDelay: 0, metrics: true });
+        expect(measured.failed).toBe(0);
+        expect(measured.results[0].metrics.vitals.lcp).toBe(412);
+
+        const failing = await runBatch(client, entries, { outDir, renderDelay: 0, budgets: { lcp: 400 } });
+        expect(failing.results[0]).toMatchObject({ status: 'failed', errorCode: 'BUDGET_EXCEEDED', error: 'Budget exceeded: lcp 412ms > 400ms' });
+        expect(failing.results[0].budgets).toEqual([{ metric: 'lcp', budget: 400, value: 412, unit: 'ms', status: 'fail' }]);
+    });
+});
+
+describe('metrics against the mock Chrome endpoint', () => {
+    test('counts the document request and reads Chrome metrics', async () => {
+        const fixtures = new FixtureServer();
+        const chrome = new MockChromeServer({ loadDelay: 10 });
+        await fixtures.listen(0);
+        const { port } = await chrome.listen(0);
+        const client = new ChromeProxyClient({ endpoint: new ProxyEndpoint({ host: '127.0.0.1', port }), maxRetries: 1 });
+
+        try {
+            await client.connect();
+            const collector = await client.collectMetrics();
+            await client.navigate(fixtures.url('/redirect/1'));
+            await client.waitForLoad({ url: fixtures.url('/redirect/1') });
+            const metrics = await collector.stop();
+
+            expect(metrics.network).toMatchObject({ requests: 2, failed: 0 });
+            expect(metrics.network.bytes).toBeGreaterThan(0);
+            expect(metrics.metrics.JSHeapUsedSize).toBe(1048576);
+            expect(chrome.received.map(command => command.method)).toEqual(expect.arrayContaining([
+                'Performance.enable',
+                'Page.addScriptToEvaluateOnNewDocument',
+                'Performance.getMetrics',
+                'Page.removeScriptToEvaluateOnNewDocument'
+            ]));
+        } finally {
+            await client.close();
+            await chrome.close();
+            await fixtures.close();
+        }
+    });
+});
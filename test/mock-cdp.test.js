@@ -0,0 +1,232 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const {
+    ChromeProxyClient,
+    ProxyEndpoint,
+    MockChromeServer,
+    FixtureServer,
+    connectWithRetry,
+    createTarget,
+    runSteps,
+    decodePng,
+    remoteObject,
+    NavigationError,
+    ConnectionError
+} = require('../index');
+const { request } = require('../lib/http');
+
+const execFileAsync = promisify(execFile);
+
+describe('MockChromeServer', () => {
+    let chrome;
+    let fixtures;
+    let endpoint;
+    let client;
+
+    beforeAll(async () => {
+        fixtures = new FixtureServer();
+        await fixtures.listen(0);
+    });
+
+    afterAll(async () => {
+        await fixtures.close();
+    });
+
+    beforeEach(async () => {
+        chrome = new MockChromeServer({ loadDelay: 10 });
+        const { port } = await chrome.listen(0);
+        endpoint = new ProxyEndpoint({ host: '127.0.0.1', port });
+        client = new ChromeProxyClient({ endpoint, maxRetries: 1 });
+    });
+
+    afterEach(async () => {
+        await client.close();
+        await chrome.close();
+    });
+
+    test('serves the /json endpoints like Chrome', async () => {
+        expect((await request(endpoint, '/json/version')).json().Browser).toBe('HeadlessChrome/120.0.6099.109');
+
+        const [page] = (await request(endpoint, '/json/list')).json();
+        expect(page).toMatchObject({ type: 'page', url: 'about:blank' });
+        expect(page.webSocketDebuggerUrl).toBe(`ws://127.0.0.1:${endpoint.port}/devtools/page/${page.id}`);
+
+        expect((await request(endpoint, '/json/new?about:blank')).status).toBe(405);
+        const created = (await request(endpoint, `/json/new?${fixtures.url()}`, { method: 'PUT' })).json();
+        expect(created.url).toBe(fixtures.url());
+        expect((await request(endpoint, `/json/close/${created.id}`)).status).toBe(200);
+        expect((await request(endpoint, `/json/close/${created.id}`)).status).toBe(404);
+    });
+
+    test('opens a tab on a URL with a query and a fragment', async () => {
+        const url = fixtures.url('/html?a=1&b=two%20words#section');
+
+        const created = await createTarget(endpoint, url);
+
+        expect(created.url).toBe(url);
+    });
+
+    test('loads a fixture page and captures a screenshot of the viewport size', async () => {
+        await client.connect();
+        await client.navigate(fixtures.url('/html'));
+        const loaded = await client.waitForLoad({ url: fixtures.url('/html') });
+
+        expect(loaded).toEqual({ success: true, method: 'loadEventFired' });
+        expect(client.chromeVersion.Browser).toBe('HeadlessChrome/120.0.6099.109');
+        const { result } = await client.client.Runtime.evaluate({ expression: 'document.title' });
+        expect(result.value).toBe('Test');
+
+        await client.emulate({ width: 320, height: 240, deviceScaleFactor: 1, mobile: false });
+        expect(decodePng(await client.screenshot())).toMatchObject({ width: 320, height: 240 });
+        expect(chrome.received.map(command => command.method)).toEqual(expect.arrayContaining(['Network.enable', 'Page.enable', 'Runtime.enable', 'Page.navigate']));
+    });
+
+    test('reports redirects and HTTP errors through Network events', async () => {
+        await client.connect();
+        const recorder = client.recordHar();
+        const collector = client.collectDiagnostics();
+
+        recorder.startPage(fixtures.url('/redirect/2'));
+        await client.navigate(fixtures.url('/redirect/2'));
+        await client.waitForLoad({ url: fixtures.url('/redirect/2') });
+        await client.navigate(fixtures.url('/status/404'));
+        await client.waitForLoad({ url: fixtures.url('/status/404') });
+
+        const har = await recorder.stop();
+        expect(har.log.entries.map(entry => [new URL(entry.request.url).pathname, entry.response.status])).toEqual([
+            ['/redirect/2', 302],
+            ['/redirect/1', 302],
+            ['/html', 200],
+            ['/status/404', 404]
+        ]);
+        expect(collector.stop().httpErrors).toEqual([expect.objectContaining({ status: 404, type: 'Document' })]);
+    });
+
+    test('sends events and overridden answers to the client', async () => {
+        await client.connect();
+        const collector = client.collectDiagnostics();
+        chrome.handle('Runtime.evaluate', ({ expression }) => ({ result: remoteObject(expression === 'document.readyState' ? 'loading' : undefined) }));
+
+        chrome.emit('Runtime.exceptionThrown', { exceptionDetails: { text: 'Uncaught', exception: { description: 'Error: boom' } } });
+        const loaded = await client.waitForLoad({ loadTimeout: 200, pollInterval: 20 });
+
+        expect(loaded).toEqual({ success: false, method: 'timeout' });
+        expect(collector.stop().exceptions.map(exception => exception.message)).toEqual(['Error: boom']);
+
+        chrome.handle('Page.captureScreenshot', () => {
+            throw new Error('Unable to capture screenshot');
+        });
+        await expect(client.screenshot()).rejects.toThrow('Failed to capture screenshot: Unable to capture screenshot');
+    });
+
+    test('fails navigation to an unreachable page with Chrome\'s error text', async () => {
+        await client.connect();
+        const unreachable = new FixtureServer();
+        await unreachable.listen(0);
+        const url = unreachable.url();
+        await unreachable.close();
+
+        const error = await client.navigate(url).catch(caught => caught);
+        expect(error).toBeInstanceOf(NavigationError);
+        expect(error.message).toBe(`Failed to navigate to ${url}: net::ERR_CONNECTION_REFUSED`);
+    });
+
+    test('resumes the session after Chrome drops the connection', async () => {
+        await client.connect();
+        await client.navigate(fixtures.url('/html'));
+        await client.waitForLoad({ url: fixtures.url('/html') });
+
+        chrome.dropConnections();
+        while (!client.dropped) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+
+        expect(decodePng(await client.screenshot()).width).toBe(800);
+        expect(client.reconnects).toBe(1);
+        expect(chrome.received.filter(command => command.method === 'Network.enable')).toHaveLength(2);
+    });
+
+    test('keeps recording HAR, diagnostics and metrics across a reconnect', async () => {
+        await client.connect();
+        const recorder = client.recordHar();
+        const collector = client.collectDiagnostics();
+        const meter = await client.collectMetrics();
+
+        chrome.dropConnections();
+        while (!client.dropped) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+
+        recorder.startPage(fixtures.url('/html'));
+        await client.navigate(fixtures.url('/html'));
+        await client.waitForLoad({ url: fixtures.url('/html') });
+        chrome.emit('Runtime.exceptionThrown', { exceptionDetails: { text: 'Uncaught', exception: { description: 'Error: after reconnect' } } });
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(client.reconnects).toBe(1);
+        expect((await recorder.stop()).log.entries.map(entry => entry.request.url)).toEqual([fixtures.url('/html')]);
+        expect(collector.stop().exceptions.map(exception => exception.message)).toEqual(['Error: after reconnect']);
+        expect((await meter.stop()).network.requests).toBe(1);
+        expect(chrome.received.filter(command => command.method === 'Page.addScriptToEvaluateOnNewDocument')).toHaveLength(2);
+        expect(client.collectors.every(tracked => tracked.stopped)).toBe(true);
+    });
+
+    test('sets scenario headers again on the resumed session', async () => {
+        await client.connect();
+        const results = await runSteps(client, [{ action: 'setHeaders', headers: { Authorization: 'Bearer s3cret' } }]);
+
+        chrome.dropConnections();
+        while (!client.dropped) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        await client.navigate(fixtures.url('/html'));
+
+        expect(results[0].status).toBe('success');
+        const headers = chrome.received.filter(command => command.method === 'Network.setExtraHTTPHeaders');
+        expect(headers.map(command => command.params.headers)).toEqual([{ Authorization: 'Bearer s3cret' }, { Authorization: 'Bearer s3cret' }]);
+        expect(chrome.received.indexOf(headers[1])).toBeLessThan(chrome.received.findIndex(command => command.method === 'Page.navigate'));
+    });
+
+    test('connectWithRetry gives up on an endpoint without targets', async () => {
+        [...chrome.targets.values()].forEach(target => chrome.closeTarget(target));
+
+        await expect(connectWithRetry(endpoint, 1)).rejects.toThrow(ConnectionError);
+        await expect(connectWithRetry(endpoint, 1)).rejects.toThrow('No inspectable targets');
+    });
+});
+
+describe('test-connection.js offline', () => {
+    let chrome;
+    let cwd;
+
+    beforeEach(async () => {
+        chrome = new MockChromeServer({ loadDelay: 10 });
+        await chrome.listen(0);
+        cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-cdp-test-'));
+    });
+
+    afterEach(async () => {
+        await chrome.close();
+        fs.rmSync(cwd, { recursive: true, force: true });
+    });
+
+    test('captures the built-in fixture page when no --url is given', async () => {
+        const { stdout } = await execFileAsync('node', [
+            path.resolve(__dirname, '..', 'test-connection.js'),
+            '--host', '127.0.0.1',
+            '--port', String(chrome.server.address().port),
+            '--collect-diagnostics',
+            '--json'
+        ], { cwd, timeout: 30000 });
+
+        const result = JSON.parse(stdout);
+        expect(result.success).toBe(true);
+        expect(result.url).toMatch(/^http:\/\/127\.0\.0\.1:\d+\/html$/);
+        expect(result.loadMethod).toBe('loadEventFired');
+        expect(result.diagnostics.counts.httpErrors).toBe(0);
+        expect(decodePng(fs.readFileSync(path.join(cwd, 'screenshot.png'))).width).toBe(800);
+    }, 40000);
+});
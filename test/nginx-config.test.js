@@ -0,0 +1,62 @@
+const { generateNginxConfig, ConfigError } = require('../index');
+
+const instances = [{ index: 1, port: 48333 }, { index: 2, port: 48334 }];
+
+describe('generateNginxConfig', () => {
+    test('defines an upstream per instance and one for the pool', () => {
+        const config = generateNginxConfig(instances);
+
+        expect(config).toContain('upstream chrome_instance_1 {\n        server 127.0.0.1:48333');
+        expect(config).toContain('upstream chrome_instance_2 {\n        server 127.0.0.1:48334');
+        expect(config).toMatch(/upstream chrome_pool \{\n\s+hash \$chrome_client consistent;\n\s+server 127\.0\.0\.1:48333 .*\n\s+server 127\.0\.0\.1:48334 /);
+    });
+
+    test('routes /instance/<n>/ to one instance and everything else to the pool', () => {
+        const config = generateNginxConfig(instances, { sslListen: null, authService: null, rewriter: null });
+
+        expect(config).toContain('location /instance/2/ {\n            proxy_pass http://chrome_instance_2/;');
+        expect(config).toContain('location = /instance/2/health {');
+        expect(config).toContain('proxy_pass http://chrome_instance_2/json/version;');
+        expect(config).toContain('location / {\n            proxy_pass http://chrome_pool;');
+        expect(config).toContain('proxy_set_header Upgrade $http_upgrade;');
+        expect(config).not.toContain('ssl_certificate');
+        expect(config).not.toContain('auth_request');
+    });
+
+    test('checks tokens on every route but /health and strips them before Chrome', () => {
+        const config = generateNginxConfig(instances, { sslListen: null, authService: '127.0.0.1:9000', rewriter: null });
+
+        expect(config).toContain('upstream auth_service {\n        server 127.0.0.1:9000;');
+        expect(config).toContain('location = /_auth {\n            internal;');
+        expect(config.match(/auth_request \/_auth;/g)).toHaveLength(5);
+        expect(config).toContain('rewrite ^/instance/2(/.*)$ $1? break;');
+        expect(config).toContain('rewrite ^ $uri? break;');
+        expect(config).toMatch(/location \/health \{\n\s+access_log off;\n\s+return 200/);
+    });
+
+    test('sends /json through the rewriter, which reaches the instances via a loopback server', () => {
+        const config = generateNginxConfig(instances, { sslListen: null, authService: null });
+
+        expect(config).toContain('upstream json_rewriter {\n        server 127.0.0.1:8182;');
+        expect(config).toContain('location ~ ^(/instance/[0-9]+)?/json {\n            proxy_pass http://json_rewriter;');
+        expect(config).toContain('proxy_set_header X-Forwarded-Host $http_host;');
+        // Both servers hash the same client address, so /json and the WebSocket agree
+        expect(config).toContain('listen 80;\n        server_name _;\n        set $chrome_client $remote_addr;');
+        expect(config).toContain('listen 127.0.0.1:8183;\n        set $chrome_client $http_x_real_ip;');
+        expect(config).toContain('location /instance/2/ {\n            proxy_pass http://chrome_instance_2/;\n        }');
+    });
+
+    test('adds a TLS server unless disabled', () => {
+        const config = generateNginxConfig(instances, { chromeHost: 'chrome', sslCertificate: '/certs/proxy.crt', rewriter: null });
+
+        expect(config).toContain('listen 80;');
+        expect(config).toContain('listen 443 ssl;');
+        expect(config).toContain('ssl_certificate /certs/proxy.crt;');
+        expect(config).toContain('server chrome:48334 ');
+        expect(config.match(/location \/instance\/1\/ \{/g)).toHaveLength(2);
+    });
+
+    test('needs at least one instance', () => {
+        expect(() => generateNginxConfig([])).toThrow(ConfigError);
+    });
+});
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+const {
+    AuthServer,
+    JsonRewriter,
+    StatusServer,
+    MockChromeServer,
+    ChromeProxyClient,
+    AuthenticationError
+} = require('../index');
+
+const TOKEN = 'nginx-test-token';
+const PROXY_PORT = 48960;
+
+// nginx.conf runs through a real nginx here, so the suite only runs where
+// nginx is installed (as in the Docker image)
+const NGINX = [...(process.env.PATH || '').split(path.delimiter), '/usr/sbin', '/usr/local/sbin']
+    .map(dir => path.join(dir, 'nginx'))
+    .find(file => fs.existsSync(file));
+
+function get(port, requestPath, headers = {}) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path: requestPath, headers }, res => {
+            let body = '';
+            res.on('data', chunk => {
+                body += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        }).on('error', reject);
+    });
+}
+
+// nginx creates these at startup, in system directories unless told otherwise
+const TEMP_PATHS = ['client_body', 'proxy', 'fastcgi', 'uwsgi', 'scgi'];
+
+// The repo's nginx.conf with its addresses swapped for the test services and
+// its paths for a scratch directory; the TLS server is left out
+function testConfig(dir, ports) {
+    const config = fs.readFileSync(path.join(__dirname, '..', 'nginx.conf'), 'utf8');
+    const plain = config.slice(0, config.indexOf('    server {\n        listen 443')) + '}\n';
+    return `error_log ${dir}/error.log;\n` + plain
+        .replace('http {\n', `http {\n    access_log ${dir}/access.log;\n${TEMP_PATHS.map(name => `    ${name}_temp_path ${dir}/${name};\n`).join('')}`)
+        .replace('127.0.0.1:48333', `127.0.0.1:${ports.chrome}`)
+        .replace('127.0.0.1:8181', `127.0.0.1:${ports.auth}`)
+        .replace('127.0.0.1:8182', `127.0.0.1:${ports.rewriter}`)
+        .replace('127.0.0.1:8184', `127.0.0.1:${ports.status}`)
+        .replace('listen 80;', `listen 127.0.0.1:${PROXY_PORT};`);
+}
+
+async function waitForProxy(nginx) {
+    const deadline = Date.now() + 5000;
+    while (Date.now() < deadline) {
+        if (nginx.exitCode !== null) {
+            throw new Error(`nginx exited with code ${nginx.exitCode}`);
+        }
+        try {
+            if ((await get(PROXY_PORT, '/health')).status === 200) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error('nginx did not start');
+}
+
+(NGINX ? describe : describe.skip)('nginx.conf', () => {
+    let dir;
+    let chrome;
+    let rewriter;
+    let status;
+    let auth;
+    let nginx;
+
+    async function startProxy(tokens) {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nginx-test-'));
+        fs.chmodSync(dir, 0o755);
+        chrome = new MockChromeServer();
+        const chromePort = (await chrome.listen(0)).port;
+        rewriter = new JsonRewriter({ upstream: { host: '127.0.0.1', port: chromePort } });
+        status = new StatusServer({ upstream: { host: '127.0.0.1', port: chromePort } });
+        auth = new AuthServer(tokens);
+        const ports = {
+            chrome: chromePort,
+            rewriter: (await rewriter.listen(0)).port,
+            status: (await status.listen(0)).port,
+            auth: (await auth.listen(0)).port
+        };
+        fs.writeFileSync(path.join(dir, 'nginx.conf'), testConfig(dir, ports));
+        nginx = spawn(NGINX, ['-p', dir, '-c', path.join(dir, 'nginx.conf'), '-g', `daemon off; pid ${dir}/nginx.pid;`], { stdio: 'ignore' });
+        await waitForProxy(nginx);
+    }
+
+    afterEach(async () => {
+        if (nginx && nginx.exitCode === null) {
+            await new Promise(resolve => {
+                nginx.once('exit', resolve);
+                nginx.kill('SIGQUIT');
+            });
+        }
+        await Promise.all([chrome, rewriter, status, auth].filter(Boolean).map(server => server.close()));
+        fs.rmSync(dir, { recursive: true, force: true });
+        nginx = chrome = rewriter = status = auth = null;
+    });
+
+    test('requires the token once tokens are configured', async () => {
+        await startProxy([TOKEN]);
+
+        expect((await get(PROXY_PORT, '/health')).status).toBe(200);
+        expect((await get(PROXY_PORT, '/json/version')).status).toBe(401);
+        expect((await get(PROXY_PORT, '/json/version', { Authorization: `Bearer ${TOKEN}` })).status).toBe(200);
+
+        const client = new ChromeProxyClient({ host: '127.0.0.1', port: PROXY_PORT, token: TOKEN, maxRetries: 1 });
+        await client.connect();
+        expect(client.chromeVersion.Browser).toBe(chrome.options.browser);
+        expect(client.proxyStatus).toMatchObject({ status: 'ok' });
+        await client.close();
+
+        const anonymous = new ChromeProxyClient({ host: '127.0.0.1', port: PROXY_PORT, maxRetries: 1 });
+        await expect(anonymous.connect()).rejects.toThrow(AuthenticationError);
+    });
+
+    test('lets clients without a token through when none is configured', async () => {
+        await startProxy(null);
+
+        expect((await get(PROXY_PORT, '/json/version')).status).toBe(200);
+
+        const client = new ChromeProxyClient({ host: '127.0.0.1', port: PROXY_PORT, maxRetries: 1 });
+        await client.connect();
+        expect(client.chromeVersion.Browser).toBe(chrome.options.browser);
+        await client.close();
+    });
+});
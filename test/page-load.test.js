@@ -0,0 +1,126 @@
+const { waitForPageLoad, validateWaitConditions, ConfigError, NavigationError } = require('../index');
+const { createFakeCdp } = require('./helpers/fake-cdp');
+
+// Minimal CDP client whose Runtime.evaluate answers from the current fake
+// page state
+function fakeClient(page = {}) {
+    const state = { readyState: 'loading', selectors: [], globals: {}, ...page };
+
+    const client = createFakeCdp([
+        'Page.loadEventFired',
+        'Page.domContentEventFired',
+        'Network.requestWillBeSent',
+        'Network.loadingFinished',
+        'Network.loadingFailed'
+    ], {
+        Runtime: {
+            evaluate: jest.fn(async ({ expression }) => {
+                if (expression === 'document.readyState') {
+                    return { result: { value: state.readyState } };
+                }
+                const selector = expression.match(/^!!document\.querySelector\((.*)\)$/);
+                if (selector) {
+                    return { result: { value: state.selectors.includes(JSON.parse(selector[1])) } };
+                }
+                if (expression in state.globals) {
+                    return state.globals[expression];
+                }
+                return { result: {}, exceptionDetails: { text: 'Uncaught', exception: { description: `ReferenceError: ${expression} is not defined` } } };
+            })
+        }
+    });
+    client.state = state;
+    return client;
+}
+
+const fast = { loadTimeout: 1000, pollInterval: 10, networkIdleTime: 50 };
+
+describe('waitForPageLoad', () => {
+    test('resolves via the load event when nothing explicit is requested', async () => {
+        const client = fakeClient();
+        setTimeout(() => client.emit('Page.loadEventFired'), 30);
+
+        await expect(waitForPageLoad(client, 'https://example.com', fast))
+            .resolves.toEqual({ success: true, method: 'loadEventFired' });
+        expect(Object.values(client.listeners).every(handlers => handlers.length === 0)).toBe(true);
+    });
+
+    test('treats a complete readyState as load even if the event was missed', async () => {
+        const client = fakeClient({ readyState: 'complete' });
+
+        await expect(waitForPageLoad(client, 'https://example.com', fast))
+            .resolves.toEqual({ success: true, method: 'loadEventFired' });
+    });
+
+    test('failed requests do not keep the network from going idle', async () => {
+        const client = fakeClient({ readyState: 'interactive' });
+        client.emit('Network.requestWillBeSent', { requestId: 'stale' });
+        setTimeout(() => {
+            client.emit('Network.requestWillBeSent', { requestId: '1' });
+            client.emit('Network.requestWillBeSent', { requestId: '2' });
+        }, 5);
+        setTimeout(() => {
+            client.emit('Network.loadingFinished', { requestId: '1' });
+            client.emit('Network.loadingFailed', { requestId: '2' });
+            client.emit('Network.loadingFinished', { requestId: 'unknown' });
+        }, 20);
+
+        await expect(waitForPageLoad(client, 'https://example.com', { ...fast, waitFor: 'networkidle' }))
+            .resolves.toEqual({ success: true, method: 'networkidle' });
+    });
+
+    test('requires every explicit condition', async () => {
+        const client = fakeClient({ readyState: 'complete' });
+        setTimeout(() => client.state.selectors.push('#app'), 30);
+        setTimeout(() => {
+            client.state.globals['window.appReady'] = { result: { value: true } };
+        }, 60);
+
+        await expect(waitForPageLoad(client, 'https://example.com', {
+            ...fast,
+            waitFor: 'load',
+            waitSelector: '#app',
+            waitFunction: 'window.appReady'
+        })).resolves.toEqual({ success: true, method: 'load+selector+function' });
+    });
+
+    test('fails with the pending conditions once the timeout passes', async () => {
+        const client = fakeClient({ readyState: 'complete' });
+
+        const wait = waitForPageLoad(client, 'https://example.com', {
+            ...fast,
+            loadTimeout: 100,
+            waitSelector: '#missing',
+            waitFunction: 'window.appReady'
+        });
+
+        await expect(wait).rejects.toThrow(NavigationError);
+        await expect(wait).rejects.toThrow(/selector #missing, function window\.appReady.*ReferenceError/);
+    });
+
+    test('does not let a never-settling wait function outlive the timeout', async () => {
+        const client = fakeClient({ readyState: 'complete' });
+        client.Runtime.evaluate.mockImplementation(() => new Promise(() => {}));
+        const started = Date.now();
+
+        await expect(waitForPageLoad(client, 'https://example.com', { ...fast, loadTimeout: 100, waitFunction: 'new Promise(() => {})' }))
+            .rejects.toThrow(/Timed out after 100ms/);
+        expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    test('resolves without success when nothing is detected in time', async () => {
+        const client = fakeClient();
+
+        await expect(waitForPageLoad(client, 'https://example.com', { ...fast, loadTimeout: 50 }))
+            .resolves.toEqual({ success: false, method: 'timeout' });
+    });
+});
+
+describe('validateWaitConditions', () => {
+    test('rejects unknown events and empty selectors or functions', () => {
+        expect(() => validateWaitConditions({ waitFor: 'idle' })).toThrow(ConfigError);
+        expect(() => validateWaitConditions({ waitSelector: ' ' })).toThrow(/selector/);
+        expect(() => validateWaitConditions({ waitFunction: '' })).toThrow(/expression/);
+        expect(validateWaitConditions({ waitFor: 'domcontentloaded' })).toMatchObject({ waitFor: 'domcontentloaded' });
+    });
+});
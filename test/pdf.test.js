@@ -0,0 +1,53 @@
+const { buildPrintOptions, ConfigError } = require('../index');
+const { parseLength, parseMargins } = require('../lib/pdf');
+
+describe('buildPrintOptions', () => {
+    test('defaults to US letter in portrait without backgrounds', () => {
+        expect(buildPrintOptions()).toEqual({
+            paperWidth: 8.5,
+            paperHeight: 11,
+            landscape: false,
+            printBackground: false
+        });
+    });
+
+    test('maps paper, orientation, margins and backgrounds', () => {
+        expect(buildPrintOptions({ paper: 'A4', landscape: true, margin: '0.5in', printBackground: true })).toEqual({
+            paperWidth: 8.27,
+            paperHeight: 11.69,
+            landscape: true,
+            printBackground: true,
+            marginTop: 0.5,
+            marginRight: 0.5,
+            marginBottom: 0.5,
+            marginLeft: 0.5
+        });
+    });
+
+    test('enables header/footer and blanks the missing template', () => {
+        const params = buildPrintOptions({ footerTemplate: '<span class="pageNumber"></span>' });
+
+        expect(params.displayHeaderFooter).toBe(true);
+        expect(params.headerTemplate).toBe('<span></span>');
+        expect(params.footerTemplate).toBe('<span class="pageNumber"></span>');
+    });
+
+    test('rejects unknown paper sizes', () => {
+        expect(() => buildPrintOptions({ paper: 'b9' })).toThrow(ConfigError);
+    });
+});
+
+describe('margins', () => {
+    test('converts units to inches', () => {
+        expect(parseLength('2.54cm')).toBeCloseTo(1);
+        expect(parseLength('25.4mm')).toBeCloseTo(1);
+        expect(parseLength('48px')).toBe(0.5);
+        expect(parseLength(2)).toBe(2);
+    });
+
+    test('accepts one value or four in CSS order', () => {
+        expect(parseMargins('1in,0,0.5in,0')).toEqual({ top: 1, right: 0, bottom: 0.5, left: 0 });
+        expect(() => parseMargins('1in,2in')).toThrow(/top,right,bottom,left/);
+        expect(() => parseLength('1em')).toThrow(ConfigError);
+    });
+});
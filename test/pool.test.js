@@ -0,0 +1,111 @@
+jest.mock('chrome-remote-interface');
+jest.mock('../lib/page-load', () => ({
+    ...jest.requireActual('../lib/page-load'),
+    waitForPageLoad: jest.fn().mockResolvedValue({ success: true, method: 'loadEventFired' })
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { EventEmitter } = require('events');
+const CDP = require('chrome-remote-interface');
+const { runParallelBatch } = require('../index');
+
+// Fake nginx + Chrome HTTP side: hands out numbered targets and tracks which
+// ones are still open.
+function startProxy() {
+    const state = { nextId: 1, open: new Set() };
+    const server = http.createServer((req, res) => {
+        const send = (status, body) => {
+            res.writeHead(status);
+            res.end(typeof body === 'string' ? body : JSON.stringify(body));
+        };
+        
+        if (req.url === '/health') return send(200, 'healthy');
+        if (req.url === '/json/version') return send(200, { Browser: 'HeadlessChrome/120.0' });
+        if (req.url.startsWith('/json/new') && req.method === 'PUT') {
+            const id = `target-${state.nextId++}`;
+            state.open.add(id);
+            return send(200, { id, type: 'page', webSocketDebuggerUrl: `ws://127.0.0.1:48333/devtools/page/${id}` });
+        }
+        if (req.url.startsWith('/json/close/')) {
+            state.open.delete(req.url.slice('/json/close/'.length));
+            return send(200, 'Target is closing');
+        }
+        send(404, '');
+    });
+    
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, state }));
+    });
+}
+
+function createFakeCdp(navigate) {
+    return Object.assign(new EventEmitter(), {
+        Network: { enable: jest.fn().mockResolvedValue({}) },
+        Page: {
+            enable: jest.fn().mockResolvedValue({}),
+            navigate: jest.fn(navigate),
+            captureScreenshot: jest.fn().mockResolvedValue({ data: Buffer.from('image').toString('base64') })
+        },
+        Runtime: { enable: jest.fn().mockResolvedValue({}) },
+        close: jest.fn().mockResolvedValue()
+    });
+}
+
+describe('runParallelBatch', () => {
+    let proxy;
+    let outDir;
+
+    beforeEach(async () => {
+        proxy = await startProxy();
+        outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-test-'));
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => proxy.server.close(resolve));
+        fs.rmSync(outDir, { recursive: true, force: true });
+        CDP.mockReset();
+    });
+
+    test('spreads entries over separate targets and closes them afterwards', async () => {
+        CDP.mockImplementation(async () => createFakeCdp(async () => ({ frameId: 'frame' })));
+
+        const summary = await runParallelBatch(
+            { host: '127.0.0.1', port: proxy.server.address().port },
+            [1, 2, 3, 4].map(n => ({ url: `https://example.com/${n}` })),
+            { concurrency: 2, outDir, renderDelay: 0 }
+        );
+
+        expect(summary).toMatchObject({ total: 4, succeeded: 4, failed: 0 });
+        expect(CDP).toHaveBeenCalledTimes(2);
+        expect(new Set(summary.results.map(result => result.targetId)).size).toBe(2);
+        expect(fs.readdirSync(outDir)).toHaveLength(4);
+        expect(proxy.state.open.size).toBe(0);
+    });
+
+    test('abandons a hung target without stalling the other entries', async () => {
+        CDP.mockImplementation(async ({ target }) => createFakeCdp(async ({ url }) => {
+            if (url.endsWith('/hang') && target.endsWith('target-1')) {
+                return new Promise(() => {});
+            }
+            return { frameId: 'frame' };
+        }));
+
+        const summary = await runParallelBatch(
+            { host: '127.0.0.1', port: proxy.server.address().port },
+            [
+                { url: 'https://example.com/hang', timeout: 100 },
+                { url: 'https://example.com/a' },
+                { url: 'https://example.com/b' },
+                { url: 'https://example.com/c' }
+            ],
+            { concurrency: 2, outDir, renderDelay: 0, hungPageMargin: 0 }
+        );
+
+        expect(summary).toMatchObject({ total: 4, succeeded: 3, failed: 1 });
+        expect(summary.results[0]).toMatchObject({ status: 'failed', errorCode: 'CAPTURE_FAILED' });
+        expect(proxy.state.open.size).toBe(0);
+    });
+});
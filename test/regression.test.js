@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const {
+    decodePng,
+    encodePng,
+    compareImages,
+    checkBaseline,
+    compareCapture,
+    validateCompareOptions,
+    ConfigError
+} = require('../index');
+
+// Solid-colour RGBA image, optionally with some pixels painted another colour
+function image(width, height, rgba, painted = {}) {
+    const data = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        data.set(painted[i] || rgba, i * 4);
+    }
+    return { width, height, data };
+}
+
+const WHITE = [255, 255, 255, 255];
+const RED = [255, 0, 0, 255];
+
+describe('png', () => {
+    test('round-trips RGBA images', () => {
+        const original = image(3, 2, WHITE, { 4: [10, 20, 30, 128] });
+        expect(decodePng(encodePng(original))).toEqual(original);
+    });
+
+    test('undoes every row filter type in RGB images', () => {
+        // 2x5 RGB image, one row per filter type (0 = none ... 4 = Paeth)
+        const width = 2;
+        const rows = [[1, 2, 3, 4, 5, 6], [10, 20, 30, 40, 50, 60], [7, 8, 9, 200, 100, 0], [9, 9, 9, 1, 2, 3], [255, 0, 128, 64, 32, 16]];
+        const paeth = (a, b, c) => {
+            const p = a + b - c;
+            const pa = Math.abs(p - a);
+            const pb = Math.abs(p - b);
+            const pc = Math.abs(p - c);
+            return pa <= pb && pa <= pc ? a : (pb <= pc ? b : c);
+        };
+        const raw = [];
+        rows.forEach((row, y) => {
+            const up = y > 0 ? rows[y - 1] : [0, 0, 0, 0, 0, 0];
+            raw.push(y);
+            row.forEach((value, x) => {
+                const left = x >= 3 ? row[x - 3] : 0;
+                const upLeft = x >= 3 ? up[x - 3] : 0;
+                const predictor = [0, left, up[x], (left + up[x]) >> 1, paeth(left, up[x], upLeft)][y];
+                raw.push((value - predictor + 256) & 0xff);
+            });
+        });
+
+        // Re-encode our own RGBA output's chunks around the filtered RGB data
+        const png = encodePng(image(width, rows.length, WHITE));
+        const ihdrEnd = 8 + 8 + 13 + 4;
+        const header = Buffer.from(png.subarray(0, ihdrEnd));
+        header[8 + 8 + 9] = 2; // colour type RGB
+        const idat = zlib.deflateSync(Buffer.from(raw));
+        const idatChunk = Buffer.alloc(12 + idat.length);
+        idatChunk.writeUInt32BE(idat.length, 0);
+        idatChunk.write('IDAT', 4, 'latin1');
+        idat.copy(idatChunk, 8);
+
+        // CRCs are not checked when decoding
+        const decoded = decodePng(Buffer.concat([header, idatChunk, png.subarray(png.length - 12)]));
+        const pixel = (x, y) => [...decoded.data.subarray((y * width + x) * 4, (y * width + x) * 4 + 4)];
+
+        rows.forEach((row, y) => {
+            expect(pixel(0, y)).toEqual([...row.slice(0, 3), 255]);
+            expect(pixel(1, y)).toEqual([...row.slice(3), 255]);
+        });
+    });
+
+    test('rejects files that are not PNGs', () => {
+        expect(() => decodePng(Buffer.from('GIF89a'))).toThrow(/not a PNG/);
+    });
+});
+
+describe('compareImages', () => {
+    test('counts pixels beyond the colour threshold and marks them red in the diff', () => {
+        const expected = image(4, 4, WHITE);
+        const actual = image(4, 4, WHITE, { 0: RED, 5: [250, 250, 250, 255] });
+
+        const result = compareImages(actual, expected, { threshold: 0.1 });
+        expect(result).toMatchObject({ width: 4, height: 4, diffPixels: 1, mismatch: 6.25, sizeMatches: true });
+        expect([...result.diff.data.subarray(0, 4)]).toEqual(RED);
+        expect(compareImages(actual, expected, { threshold: 0 }).diffPixels).toBe(2);
+    });
+
+    test('treats pixels outside the smaller image as different', () => {
+        const result = compareImages(image(4, 2, WHITE), image(4, 4, WHITE));
+        expect(result).toMatchObject({ width: 4, height: 4, diffPixels: 8, mismatch: 50, sizeMatches: false });
+    });
+});
+
+describe('checkBaseline', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('reports a missing baseline, then creates it with update', () => {
+        const png = encodePng(image(2, 2, WHITE));
+        const baseline = path.join(dir, 'baselines', 'home.png');
+
+        expect(checkBaseline(png, baseline)).toMatchObject({ status: 'missing', baseline });
+        expect(checkBaseline(png, baseline, { update: true })).toMatchObject({ status: 'updated' });
+        expect(checkBaseline(png, baseline)).toMatchObject({ status: 'match', mismatch: 0, diffFile: null });
+    });
+
+    test('fails over the allowed difference and writes a diff image', () => {
+        const file = path.join(dir, 'screenshot.png');
+        fs.mkdirSync(path.join(dir, 'baselines'));
+        fs.writeFileSync(path.join(dir, 'baselines', 'screenshot.png'), encodePng(image(2, 2, WHITE)));
+        const changed = encodePng(image(2, 2, WHITE, { 3: RED }));
+
+        const result = compareCapture(changed, file, { baseline: path.join(dir, 'baselines') });
+        expect(result).toMatchObject({ status: 'mismatch', mismatch: 25, diffPixels: 1, diffFile: path.join(dir, 'screenshot.diff.png') });
+        expect(decodePng(fs.readFileSync(result.diffFile))).toMatchObject({ width: 2, height: 2 });
+
+        expect(compareCapture(changed, file, { baseline: path.join(dir, 'baselines'), maxDiff: 25 }).status).toBe('match');
+    });
+
+    test('removes the diff image of an earlier run once the capture matches again', () => {
+        const file = path.join(dir, 'screenshot.png');
+        const baselines = path.join(dir, 'baselines');
+        fs.mkdirSync(baselines);
+        fs.writeFileSync(path.join(baselines, 'screenshot.png'), encodePng(image(2, 2, WHITE)));
+
+        const failed = compareCapture(encodePng(image(2, 2, WHITE, { 3: RED })), file, { baseline: baselines });
+        expect(fs.existsSync(failed.diffFile)).toBe(true);
+
+        expect(compareCapture(encodePng(image(2, 2, WHITE)), file, { baseline: baselines })).toMatchObject({ status: 'match', diffFile: null });
+        expect(fs.existsSync(failed.diffFile)).toBe(false);
+    });
+
+    test('reports an unreadable baseline as a configuration error', () => {
+        const baseline = path.join(dir, 'broken.png');
+        fs.writeFileSync(baseline, 'not an image');
+
+        expect(() => checkBaseline(encodePng(image(1, 1, WHITE)), baseline)).toThrow(ConfigError);
+    });
+});
+
+describe('validateCompareOptions', () => {
+    test('rejects out-of-range thresholds and limits', () => {
+        expect(() => validateCompareOptions({ threshold: 1.5 })).toThrow(/between 0 and 1/);
+        expect(() => validateCompareOptions({ maxDiff: NaN })).toThrow(/percentage/);
+        expect(() => validateCompareOptions({ threshold: 0, maxDiff: 100 })).not.toThrow();
+    });
+});
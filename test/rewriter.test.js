@@ -0,0 +1,156 @@
+jest.mock('chrome-remote-interface');
+
+const http = require('http');
+const CDP = require('chrome-remote-interface');
+const { JsonRewriter, ProxyEndpoint, connectWithRetry, rewriteDebuggerUrls } = require('../index');
+const { stripToken } = require('../lib/rewriter');
+
+// Chrome's /json endpoints, naming the address Chrome was reached on
+function startChrome() {
+    const seen = [];
+    const server = http.createServer((req, res) => {
+        seen.push({ url: req.url, host: req.headers.host, realIp: req.headers['x-real-ip'] });
+        const own = req.headers.host;
+        if (req.url.endsWith('/json/list')) {
+            res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
+            return res.end(JSON.stringify([{
+                id: 'AB12',
+                type: 'page',
+                devtoolsFrontendUrl: `/devtools/inspector.html?ws=${own}/devtools/page/AB12`,
+                webSocketDebuggerUrl: `ws://${own}/devtools/page/AB12`
+            }]));
+        }
+        if (req.url.endsWith('/json/version')) {
+            res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
+            return res.end(JSON.stringify({ Browser: 'HeadlessChrome/120.0', webSocketDebuggerUrl: `ws://${own}/devtools/browser/b-1` }));
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end('Target is closing');
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, seen, port: server.address().port }));
+    });
+}
+
+function get(port, requestPath, headers) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path: requestPath, headers }, res => {
+            let body = '';
+            res.on('data', chunk => {
+                body += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        }).on('error', reject);
+    });
+}
+
+describe('rewriteDebuggerUrls', () => {
+    test('points WebSocket URLs at the proxy with its scheme, host and prefix', () => {
+        const target = {
+            id: 'AB12',
+            devtoolsFrontendUrl: '/devtools/inspector.html?ws=127.0.0.1:48333/devtools/page/AB12',
+            webSocketDebuggerUrl: 'ws://127.0.0.1:48333/devtools/page/AB12'
+        };
+
+        expect(rewriteDebuggerUrls([target], { secure: false, host: 'proxy.example' })).toEqual([{
+            id: 'AB12',
+            devtoolsFrontendUrl: '/devtools/inspector.html?ws=proxy.example%2Fdevtools%2Fpage%2FAB12',
+            webSocketDebuggerUrl: 'ws://proxy.example/devtools/page/AB12'
+        }]);
+        expect(rewriteDebuggerUrls(target, { secure: true, host: 'proxy.example:8443', prefix: '/instance/2', token: 'a b' })).toMatchObject({
+            devtoolsFrontendUrl: '/devtools/inspector.html?wss=proxy.example%3A8443%2Finstance%2F2%2Fdevtools%2Fpage%2FAB12%3Ftoken%3Da%2520b',
+            webSocketDebuggerUrl: 'wss://proxy.example:8443/instance/2/devtools/page/AB12?token=a%20b'
+        });
+        expect(rewriteDebuggerUrls({ Browser: 'HeadlessChrome/120.0' }, { host: 'proxy.example' })).toEqual({ Browser: 'HeadlessChrome/120.0' });
+    });
+
+    test('takes the token out of forwarded paths but leaves the rest of the query', () => {
+        expect(stripToken('/json/list?token=abc')).toBe('/json/list');
+        expect(stripToken('/json/list?token=abc&foo=1')).toBe('/json/list?foo=1');
+        expect(stripToken('/json/new?https://example.com&token=abc')).toBe('/json/new?https://example.com');
+        expect(stripToken('/json/new?https://example.com')).toBe('/json/new?https://example.com');
+    });
+});
+
+describe('JsonRewriter', () => {
+    let chrome;
+    let rewriter;
+    let port;
+
+    beforeEach(async () => {
+        chrome = await startChrome();
+        rewriter = new JsonRewriter({ upstream: { host: '127.0.0.1', port: chrome.port } });
+        port = (await rewriter.listen(0)).port;
+    });
+
+    afterEach(async () => {
+        await rewriter.close();
+        await new Promise(resolve => chrome.server.close(resolve));
+    });
+
+    test('rewrites /json responses to the address nginx was reached on', async () => {
+        const list = await get(port, '/json/list', { 'X-Forwarded-Host': 'proxy.example', 'X-Forwarded-Proto': 'http' });
+        const version = await get(port, '/json/version', { 'X-Forwarded-Host': 'proxy.example:443', 'X-Forwarded-Proto': 'https' });
+
+        expect(JSON.parse(list.body)[0].webSocketDebuggerUrl).toBe('ws://proxy.example/devtools/page/AB12');
+        expect(JSON.parse(list.body)[0].devtoolsFrontendUrl).toBe('/devtools/inspector.html?ws=proxy.example%2Fdevtools%2Fpage%2FAB12');
+        expect(JSON.parse(version.body).webSocketDebuggerUrl).toBe('wss://proxy.example:443/devtools/browser/b-1');
+        expect(list.headers['content-type']).toBe('application/json; charset=UTF-8');
+        expect(Number(list.headers['content-length'])).toBe(Buffer.byteLength(list.body));
+    });
+
+    test('keeps pool prefixes, hands the caller its token back and never forwards it', async () => {
+        const list = await get(port, '/instance/2/json/list?token=s3cret', {
+            'X-Forwarded-Host': 'proxy.example',
+            'X-Real-IP': '203.0.113.7'
+        });
+
+        expect(JSON.parse(list.body)[0].webSocketDebuggerUrl).toBe('ws://proxy.example/instance/2/devtools/page/AB12?token=s3cret');
+        expect(chrome.seen[0]).toEqual({ url: '/instance/2/json/list', host: `127.0.0.1:${chrome.port}`, realIp: '203.0.113.7' });
+    });
+
+    test('passes other responses through and answers 502 when Chrome is down', async () => {
+        const closed = await get(port, '/json/close/AB12', { 'X-Forwarded-Host': 'proxy.example' });
+        expect(closed).toMatchObject({ status: 200, body: 'Target is closing' });
+
+        await new Promise(resolve => chrome.server.close(resolve));
+        chrome.server.listen(0);
+        const down = await get(port, '/json/version', { 'X-Forwarded-Host': 'proxy.example' });
+        expect(down.status).toBe(502);
+    });
+});
+
+describe('following webSocketDebuggerUrl', () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    test('uses URLs that point at the proxy as they are', async () => {
+        CDP.mockResolvedValue({});
+        const endpoint = new ProxyEndpoint({ host: 'proxy.example', secure: true, token: 's3cret' });
+
+        await connectWithRetry(endpoint, 1, undefined, {
+            target: { webSocketDebuggerUrl: 'wss://proxy.example/instance/3/devtools/page/AB12' }
+        });
+        await connectWithRetry(endpoint, 1, undefined, {
+            target: { webSocketDebuggerUrl: 'wss://proxy.example/devtools/page/CD34?token=s3cret' }
+        });
+
+        expect(CDP.mock.calls.map(([options]) => options.target)).toEqual([
+            'wss://proxy.example/instance/3/devtools/page/AB12?token=s3cret',
+            'wss://proxy.example/devtools/page/CD34?token=s3cret'
+        ]);
+    });
+
+    test('falls back to the endpoint when Chrome names its own address', async () => {
+        CDP.mockResolvedValue({});
+        const endpoint = new ProxyEndpoint({ host: 'proxy.example', basePath: '/instance/2' });
+
+        await connectWithRetry(endpoint, 1, undefined, {
+            target: { webSocketDebuggerUrl: 'ws://127.0.0.1:48334/devtools/page/AB12' }
+        });
+
+        expect(CDP).toHaveBeenCalledWith({ target: 'ws://proxy.example:80/instance/2/devtools/page/AB12', local: true });
+    });
+});
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    loadScenario,
+    parseScenario,
+    validateSteps,
+    runSteps,
+    parseManifest,
+    runBatch,
+    exitCodeFor,
+    ConfigError,
+    ManifestError,
+    ScenarioError,
+    EXIT_CODES
+} = require('../index');
+const { splitSetupSteps, describeStep } = require('../lib/scenario');
+
+// ChromeProxyClient stand-in over a CDP session that records every command.
+// `evaluate` answers Runtime.evaluate calls by expression.
+function createFakeClient(evaluate = () => ({ result: { value: true } })) {
+    const calls = [];
+    const record = name => jest.fn(async params => {
+        calls.push([name, params]);
+        return name === 'Runtime.evaluate' ? evaluate(params.expression) : {};
+    });
+    const subscribe = () => () => {};
+    const session = {
+        Network: {
+            setCookies: record('Network.setCookies'),
+            setExtraHTTPHeaders: record('Network.setExtraHTTPHeaders'),
+            requestWillBeSent: subscribe,
+            loadingFinished: subscribe,
+            loadingFailed: subscribe
+        },
+        Page: { domContentEventFired: subscribe, loadEventFired: subscribe },
+        Runtime: { evaluate: record('Runtime.evaluate') },
+        Input: { dispatchMouseEvent: record('Input.dispatchMouseEvent'), dispatchKeyEvent: record('Input.dispatchKeyEvent') }
+    };
+
+    return {
+        calls,
+        currentUrl: 'https://example.com/app',
+        withReconnect: jest.fn((step, fn) => fn(session)),
+        setExtraHeaders: jest.fn((headers, target) => target.Network.setExtraHTTPHeaders({ headers }))
+    };
+}
+
+describe('scenario files', () => {
+    test('accept an array of steps or an object with a url', () => {
+        const steps = [{ action: 'click', selector: '#accept' }];
+
+        expect(parseScenario(steps)).toEqual({ url: null, steps });
+        expect(parseScenario({ url: 'https://example.com', steps })).toEqual({ url: 'https://example.com', steps });
+    });
+
+    test('are read from disk with ConfigError for unreadable or invalid files', () => {
+        const file = path.join(os.tmpdir(), `scenario-${process.pid}.json`);
+        fs.writeFileSync(file, '{"steps": [{"action": "wait", "ms": 10}]');
+        try {
+            expect(() => loadScenario(file)).toThrow(/Invalid JSON in scenario/);
+            fs.writeFileSync(file, '{"url": "https://example.com", "steps": [{"action": "wait", "ms": 10}]}');
+            expect(loadScenario(file).url).toBe('https://example.com');
+        } finally {
+            fs.unlinkSync(file);
+        }
+        expect(() => loadScenario('/nonexistent/scenario.json')).toThrow(ConfigError);
+    });
+
+    test('reject steps that could never run, naming the step', () => {
+        expect(() => validateSteps([])).toThrow(/non-empty "steps" array/);
+        expect(() => validateSteps([{ action: 'hover', selector: 'a' }])).toThrow(/step 1 needs an action: setCookies, setHeaders/);
+        expect(() => validateSteps([{ action: 'wait', ms: 5 }, { action: 'click' }])).toThrow(/step 2 \(click\) needs a CSS "selector"/);
+        expect(() => validateSteps([{ action: 'click', selector: 'a', text: 'x' }])).toThrow(/unknown option\(s\): text/);
+        expect(() => validateSteps([{ action: 'setCookies', cookies: [{ name: 'a', value: 1 }] }])).toThrow(/string value/);
+        expect(() => validateSteps([{ action: 'setHeaders', headers: { 'X-Test': true } }])).toThrow(/must be strings/);
+        expect(() => validateSteps([{ action: 'scroll', selector: 'main', y: 10 }])).toThrow(/either a selector or x\/y/);
+        expect(() => validateSteps([{ action: 'wait', ms: 5, selector: 'a' }])).toThrow(/exactly one of/);
+        expect(() => validateSteps([{ action: 'wait', event: 'idle' }])).toThrow(/event must be one of/);
+        expect(() => validateSteps([{ action: 'type', text: 'x', timeout: -1 }])).toThrow(/timeout/);
+    });
+
+    test('run leading cookie and header steps before the page opens', () => {
+        const steps = [
+            { action: 'setCookies', cookies: [{ name: 'session', value: 'abc' }] },
+            { action: 'setHeaders', headers: { 'X-Test': '1' } },
+            { action: 'click', selector: '#menu' },
+            { action: 'setHeaders', headers: {} }
+        ];
+
+        expect(splitSetupSteps(steps)).toEqual({ setup: steps.slice(0, 2), steps: steps.slice(2) });
+    });
+
+    test('describe steps without typed text or header values', () => {
+        expect(describeStep({ action: 'type', selector: '#password', text: 'hunter2' })).toBe('type 7 character(s) into #password');
+        expect(describeStep({ action: 'setHeaders', headers: { Authorization: 'Bearer s3cret' } })).toBe('set header(s) Authorization');
+        expect(describeStep({ action: 'wait', selector: '.ready', name: 'wait for the app' })).toBe('wait for the app');
+    });
+});
+
+describe('runSteps', () => {
+    test('drives the page through Network, Runtime and Input', async () => {
+        const client = createFakeClient(expression => {
+            if (expression.includes('getBoundingClientRect')) {
+                return { result: { value: { x: 100, y: 50, width: 80, height: 20 } } };
+            }
+            if (expression === 'document.title') {
+                return { result: { value: 'Dashboard' } };
+            }
+            return { result: { value: true } };
+        });
+        const steps = [
+            { action: 'setCookies', cookies: [{ name: 'session', value: 'abc' }, { name: 'lang', value: 'en', domain: '.example.com' }] },
+            { action: 'setHeaders', headers: { 'X-Test': '1' } },
+            { action: 'click', selector: '#login' },
+            { action: 'type', selector: '#q', text: 'a\n' },
+            { action: 'scroll', y: 800 },
+            { action: 'evaluate', expression: 'document.title' }
+        ];
+
+        const results = await runSteps(client, steps, { url: 'https://example.com/login' });
+
+        expect(client.calls.filter(([name]) => name.startsWith('Network'))).toEqual([
+            ['Network.setCookies', { cookies: [{ url: 'https://example.com/login', name: 'session', value: 'abc' }, { name: 'lang', value: 'en', domain: '.example.com' }] }],
+            ['Network.setExtraHTTPHeaders', { headers: { 'X-Test': '1' } }]
+        ]);
+        expect(client.calls.filter(([name]) => name === 'Input.dispatchMouseEvent').map(([, params]) => params)).toEqual([
+            { type: 'mouseMoved', x: 100, y: 50 },
+            { type: 'mousePressed', x: 100, y: 50, button: 'left', clickCount: 1 },
+            { type: 'mouseReleased', x: 100, y: 50, button: 'left', clickCount: 1 }
+        ]);
+        expect(client.calls.filter(([name]) => name === 'Input.dispatchKeyEvent').map(([, params]) => [params.type, params.key, params.text])).toEqual([
+            ['keyDown', 'a', 'a'],
+            ['keyUp', 'a', undefined],
+            ['keyDown', 'Enter', '\r'],
+            ['keyUp', 'Enter', undefined]
+        ]);
+        expect(client.calls.some(([name, params]) => name === 'Runtime.evaluate' && params.expression === 'window.scrollTo(0, 800)')).toBe(true);
+        expect(results.map(result => result.status)).toEqual(['success', 'success', 'success', 'success', 'success', 'success']);
+        expect(results[5]).toMatchObject({ index: 6, action: 'evaluate', value: 'Dashboard' });
+        expect(client.withReconnect).toHaveBeenCalledWith('step 3', expect.any(Function));
+    });
+
+    test('stops at the failing step and reports the rest as skipped', async () => {
+        const client = createFakeClient(expression => (expression.includes('throw')
+            ? { exceptionDetails: { text: 'Uncaught', exception: { description: 'Error: not logged in' } } }
+            : { result: { value: null } }));
+        const results = [{ index: 1, action: 'setCookies', status: 'success' }];
+
+        const error = await runSteps(client, [
+            { action: 'evaluate', expression: 'throw new Error("not logged in")' },
+            { action: 'click', selector: '#menu' }
+        ], { offset: 1 }, results).catch(caught => caught);
+
+        expect(error).toBeInstanceOf(ScenarioError);
+        expect(error.message).toBe('Step 2 (evaluate throw new Error("not logged in")) failed: Error: not logged in');
+        expect(exitCodeFor(error)).toBe(EXIT_CODES.SCENARIO_FAILED);
+        expect(results.map(result => [result.index, result.status])).toEqual([[1, 'success'], [2, 'failed'], [3, 'skipped']]);
+        expect(results[1].error).toBe('Error: not logged in');
+
+        await expect(runSteps(client, [{ action: 'click', selector: '#missing' }])).rejects.toThrow('No element matches selector #missing');
+    });
+
+    test('waits for a fixed time or a page condition', async () => {
+        const client = createFakeClient(expression => ({ result: { value: expression.includes('.ready') } }));
+
+        const results = await runSteps(client, [
+            { action: 'wait', ms: 5 },
+            { action: 'wait', selector: '.ready', timeout: 1000 }
+        ]);
+        expect(results.map(result => result.status)).toEqual(['success', 'success']);
+
+        await expect(runSteps(client, [{ action: 'wait', function: 'window.appReady', timeout: 300 }])).rejects.toThrow(ScenarioError);
+    });
+});
+
+describe('batch scenarios', () => {
+    let outDir;
+
+    beforeEach(() => {
+        outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenario-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    });
+
+    test('validates entry steps as part of the manifest', () => {
+        const [entry] = parseManifest('[{"url": "https://example.com", "steps": [{"action": "click", "selector": "#accept"}]}]');
+        expect(entry.steps).toEqual([{ action: 'click', selector: '#accept' }]);
+        expect(() => parseManifest('[{"url": "https://example.com", "steps": [{"action": "click"}]}]')).toThrow(ManifestError);
+    });
+
+    test('runs entry steps in place of the batch-wide ones and clears their headers afterwards', async () => {
+        const client = {
+            ...createFakeClient(),
+            reconnects: 0,
+            navigate: jest.fn().mockResolvedValue({}),
+            waitForLoad: jest.fn().mockResolvedValue({ success: true, method: 'loadEventFired' }),
+            screenshot: jest.fn().mockResolvedValue(Buffer.from('image'))
+        };
+        const entries = [
+            { url: 'https://example.com/a', steps: [{ action: 'setHeaders', headers: { 'X-Variant': 'b' } }] },
+            { url: 'https://example.com/b' }
+        ];
+
+        const summary = await runBatch(client, entries, { outDir, renderDelay: 0, steps: [{ action: 'scroll', y: 400 }] });
+
+        expect(summary.results.map(result => result.steps.map(step => step.description))).toEqual([
+            ['set header(s) X-Variant'],
+            ['scroll to 0,400']
+        ]);
+        expect(client.calls.filter(([name]) => name === 'Network.setExtraHTTPHeaders').map(([, params]) => params.headers)).toEqual([
+            { 'X-Variant': 'b' },
+            {}
+        ]);
+    });
+
+    test('reports the steps after the navigation as skipped when a setup step fails', async () => {
+        const client = {
+            ...createFakeClient(),
+            reconnects: 0,
+            setExtraHeaders: jest.fn().mockRejectedValue(new Error('Session closed')),
+            navigate: jest.fn().mockResolvedValue({}),
+            waitForLoad: jest.fn().mockResolvedValue({ success: true, method: 'loadEventFired' }),
+            screenshot: jest.fn().mockResolvedValue(Buffer.from('image'))
+        };
+        const steps = [
+            { action: 'setHeaders', headers: { 'X-Variant': 'b' } },
+            { action: 'click', selector: '#accept' },
+            { action: 'scroll', y: 400 }
+        ];
+
+        const summary = await runBatch(client, [{ url: 'https://example.com/a' }], { outDir, renderDelay: 0, steps });
+
+        expect(client.navigate).not.toHaveBeenCalled();
+        expect(summary.results[0].status).toBe('failed');
+        expect(summary.results[0].steps.map(step => [step.index, step.description, step.status])).toEqual([
+            [1, 'set header(s) X-Variant', 'failed'],
+            [2, 'click #accept', 'skipped'],
+            [3, 'scroll to 0,400', 'skipped']
+        ]);
+    });
+});
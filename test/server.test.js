@@ -0,0 +1,225 @@
+jest.mock('chrome-remote-interface');
+jest.mock('../lib/page-load', () => ({
+    ...jest.requireActual('../lib/page-load'),
+    waitForPageLoad: jest.fn().mockResolvedValue({ success: true, method: 'loadEventFired' })
+}));
+
+const http = require('http');
+const { EventEmitter } = require('events');
+const CDP = require('chrome-remote-interface');
+const { CaptureServer, parseRequest, ConfigError } = require('../index');
+
+function createFakeCdp(navigate = async () => ({ frameId: 'frame' })) {
+    return Object.assign(new EventEmitter(), {
+        Network: { enable: jest.fn().mockResolvedValue({}) },
+        Page: {
+            enable: jest.fn().mockResolvedValue({}),
+            navigate: jest.fn(navigate),
+            captureScreenshot: jest.fn().mockResolvedValue({ data: Buffer.from('image').toString('base64') }),
+            printToPDF: jest.fn().mockResolvedValue({ data: Buffer.from('%PDF-1.4').toString('base64') })
+        },
+        Runtime: { enable: jest.fn().mockResolvedValue({}) },
+        Emulation: {
+            setDeviceMetricsOverride: jest.fn().mockResolvedValue({}),
+            clearDeviceMetricsOverride: jest.fn().mockResolvedValue({}),
+            setTouchEmulationEnabled: jest.fn().mockResolvedValue({}),
+            setUserAgentOverride: jest.fn().mockResolvedValue({})
+        },
+        close: jest.fn().mockResolvedValue()
+    });
+}
+
+// Stands in for nginx in front of Chrome; with `auth.reject` set it refuses
+// everything but /health the way the token check does
+function startProxy(auth = {}) {
+    const server = http.createServer((req, res) => {
+        if (auth.reject && req.url !== '/health') {
+            res.writeHead(401);
+            res.end();
+            return;
+        }
+        const routes = {
+            '/health': 'healthy',
+            '/json/version': { Browser: 'HeadlessChrome/120.0' },
+            '/json/list': [{ type: 'page', webSocketDebuggerUrl: 'ws://127.0.0.1:48333/devtools/page/1' }]
+        };
+        const body = routes[req.url];
+        res.writeHead(body ? 200 : 404);
+        res.end(body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body));
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+function post(address, path, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: address.address, port: address.port, path, method: 'POST' }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        });
+        req.on('error', reject);
+        req.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+}
+
+function get(address, path) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: address.address, port: address.port, path }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks)) }));
+        }).on('error', reject);
+    });
+}
+
+describe('CaptureServer', () => {
+    let proxy;
+    let server;
+    let address;
+
+    async function startServer(options = {}, auth = {}) {
+        proxy = await startProxy(auth);
+        server = new CaptureServer(
+            { host: '127.0.0.1', port: proxy.address().port },
+            { renderDelay: 0, ...options }
+        );
+        address = await server.listen(0);
+    }
+
+    afterEach(async () => {
+        await server.close();
+        await new Promise(resolve => proxy.close(resolve));
+        CDP.mockReset();
+    });
+
+    test('serves screenshots and PDFs over one warm CDP session', async () => {
+        const cdp = createFakeCdp();
+        CDP.mockResolvedValue(cdp);
+        await startServer();
+
+        const screenshot = await post(address, '/screenshot', { url: 'https://example.com', viewport: '800x600' });
+        expect(screenshot.status).toBe(200);
+        expect(screenshot.headers['content-type']).toBe('image/png');
+        expect(screenshot.headers['x-load-method']).toBe('loadEventFired');
+        expect(screenshot.body.toString()).toBe('image');
+        expect(cdp.Emulation.setDeviceMetricsOverride).toHaveBeenCalledWith(expect.objectContaining({ width: 800, height: 600 }));
+
+        const pdf = await post(address, '/pdf', { url: 'https://example.com', paper: 'a4', landscape: true });
+        expect(pdf.status).toBe(200);
+        expect(pdf.headers['content-type']).toBe('application/pdf');
+        expect(pdf.body.toString()).toBe('%PDF-1.4');
+        expect(cdp.Page.printToPDF).toHaveBeenCalledWith(expect.objectContaining({ landscape: true, paperWidth: 8.27 }));
+
+        expect(CDP).toHaveBeenCalledTimes(1);
+        expect((await get(address, '/health')).body).toMatchObject({
+            status: 'ok',
+            chromeVersion: { Browser: 'HeadlessChrome/120.0' },
+            processed: 2,
+            failed: 0
+        });
+    });
+
+    test('answers invalid requests with 400 and unknown routes with 404/405', async () => {
+        CDP.mockResolvedValue(createFakeCdp());
+        await startServer();
+
+        const invalid = await post(address, '/screenshot', { url: 'https://example.com', waitFor: 'idle' });
+        expect(invalid.status).toBe(400);
+        expect(JSON.parse(invalid.body).error).toMatchObject({ category: 'config', exitCode: 2 });
+        expect((await post(address, '/screenshot', 'not json')).status).toBe(400);
+        const local = await post(address, '/pdf', { url: 'file:///etc/passwd' });
+        expect(local.status).toBe(400);
+        expect(JSON.parse(local.body).error.message).toBe('Only http and https URLs can be captured, not "file:///etc/passwd"');
+        const steps = await post(address, '/screenshot', { url: 'https://example.com', steps: [{ action: 'evaluate', expression: '1' }] });
+        expect(steps.status).toBe(400);
+        expect(JSON.parse(steps.body).error.category).toBe('config');
+        expect((await post(address, '/other', {})).status).toBe(404);
+        expect((await get(address, '/screenshot')).status).toBe(405);
+    });
+
+    test('refuses requests beyond the queue limit with 503', async () => {
+        let release;
+        const blocked = new Promise(resolve => {
+            release = resolve;
+        });
+        CDP.mockResolvedValue(createFakeCdp(async () => {
+            await blocked;
+            return { frameId: 'frame' };
+        }));
+        await startServer({ maxQueue: 1 });
+
+        const first = post(address, '/screenshot', { url: 'https://example.com/slow' });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        const second = await post(address, '/screenshot', { url: 'https://example.com/next' });
+        expect(second.status).toBe(503);
+        expect(second.headers['retry-after']).toBe('5');
+
+        release();
+        expect((await first).status).toBe(200);
+    });
+
+    test('reconnects when Chrome drops the session', async () => {
+        const dropped = createFakeCdp();
+        const replacement = createFakeCdp();
+        CDP.mockResolvedValueOnce(dropped).mockResolvedValueOnce(replacement);
+        await startServer();
+
+        dropped.emit('disconnect');
+        expect((await get(address, '/health')).body.status).toBe('disconnected');
+
+        const response = await post(address, '/screenshot', { url: 'https://example.com' });
+        expect(response.status).toBe(200);
+        expect(replacement.Page.captureScreenshot).toHaveBeenCalled();
+        expect((await get(address, '/health')).body).toMatchObject({ status: 'ok', reconnects: 1 });
+    });
+
+    test('answers 502 when the proxy rejects the token', async () => {
+        const dropped = createFakeCdp();
+        const auth = { reject: false };
+        CDP.mockResolvedValue(dropped);
+        await startServer({}, auth);
+
+        dropped.emit('disconnect');
+        auth.reject = true;
+        const response = await post(address, '/screenshot', { url: 'https://example.com' });
+
+        expect(response.status).toBe(502);
+        const { error } = JSON.parse(response.body);
+        expect(error.category).toBe('auth');
+        expect(error.message).toMatch(/^The proxy rejected the capture service's credentials; check its --token: /);
+    });
+});
+
+describe('parseRequest', () => {
+    test('folds top-level print options into the pdf settings', () => {
+        expect(parseRequest('pdf', JSON.stringify({ url: 'https://example.com', paper: 'a4', margin: '1cm' })))
+            .toMatchObject({ format: 'pdf', pdf: { paper: 'a4', margin: '1cm' } });
+    });
+
+    test('rejects bodies that are not entry objects', () => {
+        expect(() => parseRequest('screenshot', '[]')).toThrow(ConfigError);
+        expect(() => parseRequest('screenshot', JSON.stringify({ url: 'https://example.com', format: 'pdf' }))).toThrow(/POST \/pdf/);
+        expect(() => parseRequest('pdf', JSON.stringify({ format: 'png' }))).toThrow(ConfigError);
+    });
+
+    test('only accepts http and https URLs', () => {
+        ['file:///etc/passwd', 'chrome://settings', 'data:text/html,<h1>x</h1>', 'javascript:alert(1)', 'view-source:https://example.com', 'example.com']
+            .forEach(url => {
+                expect(() => parseRequest('screenshot', JSON.stringify({ url }))).toThrow(ConfigError);
+                expect(() => parseRequest('screenshot', JSON.stringify({ url }))).toThrow('Only http and https URLs can be captured');
+            });
+        expect(parseRequest('screenshot', JSON.stringify({ url: 'HTTPS://Example.com/page' })).url).toBe('HTTPS://Example.com/page');
+        expect(parseRequest('screenshot', JSON.stringify({ url: 'http://127.0.0.1:8080/' })).url).toBe('http://127.0.0.1:8080/');
+    });
+
+    test('only accepts steps when the operator allows them', () => {
+        const body = JSON.stringify({ url: 'https://example.com', steps: [{ action: 'evaluate', expression: 'document.cookie' }] });
+
+        expect(() => parseRequest('screenshot', body)).toThrow(ConfigError);
+        expect(() => parseRequest('screenshot', body)).toThrow('Scenario steps are disabled on this capture service (start it with --serve-steps to allow them)');
+        expect(parseRequest('screenshot', body, { allowSteps: true }).steps).toEqual([{ action: 'evaluate', expression: 'document.cookie' }]);
+    });
+});
@@ -0,0 +1,100 @@
+const { EventEmitter } = require('events');
+const { runSoak } = require('../index');
+const { classifyDisconnect } = require('../lib/soak');
+const { latencyStats } = require('../lib/utils');
+
+function fakeSession(evaluate = async () => ({ result: { value: 1 } })) {
+    return Object.assign(new EventEmitter(), {
+        Runtime: { evaluate: jest.fn(evaluate) }
+    });
+}
+
+// Just the parts of ChromeProxyClient the soak test uses: connect() hands out
+// the given sessions in turn and a 'disconnect' forgets the current one.
+function fakeClient(...sessions) {
+    const client = {
+        client: null,
+        verbose: false,
+        get connected() {
+            return !!this.client;
+        },
+        connect: jest.fn(async () => {
+            const session = sessions.shift();
+            if (!session) {
+                throw new Error('Chrome is gone');
+            }
+            session.on('disconnect', () => {
+                if (client.client === session) client.client = null;
+            });
+            client.client = session;
+            return client;
+        })
+    };
+    return client;
+}
+
+describe('runSoak', () => {
+    test('pings the session for the whole duration and reports latency', async () => {
+        const session = fakeSession();
+        const report = await runSoak(fakeClient(session), { duration: 120, interval: 20 });
+
+        expect(session.Runtime.evaluate).toHaveBeenCalledWith({ expression: '1', returnByValue: true });
+        expect(report.pings.sent).toBeGreaterThanOrEqual(3);
+        expect(report.pings.ok).toBe(report.pings.sent);
+        expect(report.latency).toMatchObject({ min: expect.any(Number), p50: expect.any(Number), p99: expect.any(Number) });
+        expect(report.duration).toBeGreaterThanOrEqual(120);
+        expect(report).toMatchObject({ disconnects: [], reconnects: 0, proxyTimeoutHit: false, passed: true });
+    });
+
+    test('records a dropped session and carries on over a new one', async () => {
+        const dropped = fakeSession();
+        const replacement = fakeSession();
+        setTimeout(() => dropped.emit('disconnect'), 50);
+
+        const report = await runSoak(fakeClient(dropped, replacement), { duration: 150, interval: 20 });
+
+        expect(report.disconnects).toEqual([expect.objectContaining({ reason: 'unexpected' })]);
+        expect(report.reconnects).toBe(1);
+        expect(replacement.Runtime.evaluate).toHaveBeenCalled();
+        expect(report.passed).toBe(false);
+    });
+
+    test('counts unanswered and failed pings and stops when reconnecting fails', async () => {
+        let calls = 0;
+        const session = fakeSession(() => {
+            calls++;
+            if (calls === 1) return new Promise(() => {});
+            if (calls === 2) return Promise.reject(new Error('Session closed'));
+            session.emit('disconnect');
+            return Promise.reject(new Error('WebSocket is not open'));
+        });
+
+        const report = await runSoak(fakeClient(session), { duration: 5000, interval: 10, pingTimeout: 30 });
+
+        expect(report.pings).toEqual({ sent: 3, ok: 0, failed: 2, timedOut: 1 });
+        expect(report.latency).toBeNull();
+        expect(report.errors.map(error => error.message)).toEqual([
+            'Ping got no answer within 30ms',
+            'Session closed',
+            'WebSocket is not open',
+            'Reconnect failed: Chrome is gone'
+        ]);
+        expect(report.duration).toBeLessThan(5000);
+    });
+});
+
+describe('classifyDisconnect', () => {
+    test('blames the proxy only when the session sat idle for its timeout', () => {
+        expect(classifyDisconnect(300000, 300000)).toBe('proxy-timeout');
+        expect(classifyDisconnect(290000, 300000)).toBe('proxy-timeout');
+        expect(classifyDisconnect(5000, 300000)).toBe('unexpected');
+    });
+});
+
+describe('latencyStats', () => {
+    test('reports nearest-rank percentiles', () => {
+        const samples = Array.from({ length: 100 }, (_, i) => 100 - i);
+        expect(latencyStats(samples)).toEqual({ min: 1, p50: 50, p90: 90, p95: 95, p99: 99, max: 100, mean: 50.5 });
+        expect(latencyStats([])).toBeNull();
+    });
+});
@@ -0,0 +1,187 @@
+const http = require('http');
+const CDP = require('chrome-remote-interface');
+const {
+    StatusServer,
+    MockChromeServer,
+    ChromeProxyClient,
+    ProxyEndpoint,
+    checkStatus,
+    collectStatus,
+    exitCodeFor,
+    ChromeUnavailableError,
+    EXIT_CODES
+} = require('../index');
+
+function get(port, requestPath, method = 'GET') {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, path: requestPath, method }, res => {
+            let body = '';
+            res.on('data', chunk => {
+                body += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, body, json: () => JSON.parse(body) }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+// A port nothing listens on, as Chrome's is after a crash
+async function deadPort() {
+    const server = http.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+    return port;
+}
+
+// Stands in for nginx: a static /health and everything else from `routes`
+function startProxy(routes) {
+    const server = http.createServer(async (req, res) => {
+        if (req.url === '/health') {
+            res.writeHead(200);
+            return res.end('healthy\n');
+        }
+        const route = routes[req.url];
+        if (!route) {
+            res.writeHead(404);
+            return res.end();
+        }
+        const { status, body } = await route();
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+describe('StatusServer', () => {
+    let chrome;
+    let status;
+
+    afterEach(async () => {
+        if (status) await status.close();
+        if (chrome) await chrome.close();
+        status = null;
+        chrome = null;
+    });
+
+    async function startStatus(upstream, options = {}) {
+        status = new StatusServer({ upstream, ...options });
+        return (await status.listen(0)).port;
+    }
+
+    test('reports Chrome\'s version, targets and attached sessions', async () => {
+        chrome = new MockChromeServer({ browser: 'HeadlessChrome/121.0' });
+        const upstream = await chrome.listen(0);
+        const port = await startStatus({ host: '127.0.0.1', port: upstream.port });
+
+        const idle = await get(port, '/status');
+        expect(idle.status).toBe(200);
+        expect(idle.json()).toMatchObject({
+            status: 'ok',
+            upstream: { address: `127.0.0.1:${upstream.port}`, reachable: true, error: null },
+            chrome: { browser: 'HeadlessChrome/121.0', protocolVersion: '1.3' },
+            targets: { total: 1, pages: 1 },
+            sessions: 0
+        });
+        expect(idle.json().upstream.latency).toBeGreaterThanOrEqual(0);
+
+        const [target] = chrome.targets.values();
+        const session = await CDP({ target: `ws://127.0.0.1:${upstream.port}/devtools/page/${target.id}`, local: true });
+        try {
+            expect((await get(port, '/status')).json().sessions).toBe(1);
+        } finally {
+            await session.close();
+        }
+    });
+
+    test('answers 503 with the reason while Chrome is unreachable', async () => {
+        const logger = { log: jest.fn(), error: jest.fn() };
+        const upstreamPort = await deadPort();
+        const port = await startStatus({ host: '127.0.0.1', port: upstreamPort }, { logger });
+
+        const response = await get(port, '/status');
+
+        expect(response.status).toBe(503);
+        expect(response.json()).toMatchObject({
+            status: 'unavailable',
+            upstream: { reachable: false, latency: null, error: expect.stringContaining('ECONNREFUSED') },
+            chrome: null,
+            targets: null,
+            sessions: null
+        });
+        expect(logger.error).toHaveBeenCalledWith(expect.stringContaining(`127.0.0.1:${upstreamPort} is unavailable`));
+    });
+
+    test('only serves GET /status', async () => {
+        const port = await startStatus({ host: '127.0.0.1', port: await deadPort() });
+
+        expect((await get(port, '/health')).status).toBe(404);
+        expect((await get(port, '/status', 'POST')).status).toBe(405);
+    });
+});
+
+describe('checkStatus', () => {
+    let proxy;
+
+    afterEach(async () => {
+        if (proxy) await new Promise(resolve => proxy.close(resolve));
+        proxy = null;
+    });
+
+    async function useProxy(routes) {
+        proxy = await startProxy(routes);
+        return new ProxyEndpoint({ host: '127.0.0.1', port: proxy.address().port });
+    }
+
+    test('fails fast with ChromeUnavailableError when the proxy reports Chrome down', async () => {
+        const upstream = { host: '127.0.0.1', port: await deadPort() };
+        const endpoint = await useProxy({
+            '/status': async () => ({ status: 503, body: await collectStatus(upstream) }),
+            '/json/version': async () => ({ status: 502, body: {} })
+        });
+        const client = new ChromeProxyClient({ endpoint, readyTimeout: 30000 });
+
+        const startTime = Date.now();
+        const error = await client.connect().catch(caught => caught);
+
+        expect(error).toBeInstanceOf(ChromeUnavailableError);
+        expect(error.message).toMatch(new RegExp(`Chrome unreachable at 127.0.0.1:${upstream.port}: .*ECONNREFUSED`));
+        expect(exitCodeFor(error)).toBe(EXIT_CODES.CHROME_UNAVAILABLE);
+        expect(Date.now() - startTime).toBeLessThan(5000);
+        expect(client.timings.chromeReady).toBeUndefined();
+    });
+
+    test('returns the report while Chrome is up', async () => {
+        const report = { status: 'ok', upstream: { address: '127.0.0.1:48333', reachable: true }, chrome: { browser: 'HeadlessChrome/121.0' }, targets: { total: 2, pages: 1 }, sessions: 1 };
+        const endpoint = await useProxy({ '/status': async () => ({ status: 200, body: report }) });
+        const logger = { log: jest.fn(), error: jest.fn() };
+
+        expect(await checkStatus(endpoint, logger)).toEqual(report);
+        expect(logger.log).toHaveBeenCalledWith('Proxy status: HeadlessChrome/121.0, 2 target(s), 1 active session(s)');
+    });
+
+    test('leaves the polling to the caller when the proxy has no status endpoint', async () => {
+        const endpoint = await useProxy({ '/status': async () => ({ status: 502, body: { message: 'Bad Gateway' } }) });
+
+        expect(await checkStatus(endpoint)).toBeNull();
+        expect(await checkStatus(new ProxyEndpoint({ host: '127.0.0.1', port: await deadPort() }))).toBeNull();
+    });
+
+    test('lets the client poll /json/version behind an older proxy', async () => {
+        const chrome = new MockChromeServer();
+        const { port } = await chrome.listen(0);
+        try {
+            const client = new ChromeProxyClient({ host: '127.0.0.1', port });
+            await client.connect();
+            expect(client.proxyStatus).toBeNull();
+            expect(client.chromeVersion.Browser).toBe(chrome.options.browser);
+            await client.close();
+        } finally {
+            await chrome.close();
+        }
+    });
+});
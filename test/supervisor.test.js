@@ -0,0 +1,152 @@
+const http = require('http');
+const { EventEmitter } = require('events');
+const { ChromeSupervisor, ConfigError, ChromeNotReadyError } = require('../index');
+
+// Stands in for child_process.spawn: each "Chrome" is an HTTP server on its
+// --remote-debugging-port answering /json/version, and killing it closes the
+// server and emits 'exit' like a real child process. `respond` replaces the
+// /json/version answer.
+function fakeSpawn() {
+    const children = [];
+    let nextPid = 1000;
+
+    const spawn = jest.fn((command, args) => {
+        const port = parseInt(args.find(arg => arg.startsWith('--remote-debugging-port=')).split('=')[1]);
+        const child = Object.assign(new EventEmitter(), { pid: nextPid++, port, healthy: true, exited: false });
+        const server = http.createServer((req, res) => {
+            if (req.url === '/json/version' && child.respond) {
+                return child.respond(res);
+            }
+            if (req.url === '/json/version' && child.healthy) {
+                res.writeHead(200);
+                return res.end(JSON.stringify({ Browser: 'HeadlessChrome/120.0' }));
+            }
+            res.writeHead(500);
+            res.end();
+        });
+        child.kill = jest.fn(signal => {
+            if (child.exited) return;
+            child.exited = true;
+            server.close(() => child.emit('exit', null, signal));
+        });
+        child.crash = () => child.kill('SIGSEGV');
+        child.server = server;
+        server.listen(port, '127.0.0.1');
+        children.push(child);
+        return child;
+    });
+
+    return { spawn, children };
+}
+
+function waitUntil(check, timeout = 5000) {
+    const start = Date.now();
+    return new Promise((resolve, reject) => {
+        const poll = () => {
+            if (check()) return resolve();
+            if (Date.now() - start > timeout) return reject(new Error('Condition not met in time'));
+            setTimeout(poll, 20);
+        };
+        poll();
+    });
+}
+
+describe('ChromeSupervisor', () => {
+    let supervisor;
+
+    afterEach(async () => {
+        if (supervisor) await supervisor.stop();
+        supervisor = null;
+    });
+
+    test('starts one Chrome per port and reports them ready', async () => {
+        const { spawn } = fakeSpawn();
+        supervisor = new ChromeSupervisor({ instances: 2, basePort: 48700, spawn, healthInterval: 50 });
+
+        const status = await supervisor.start();
+
+        expect(spawn).toHaveBeenCalledTimes(2);
+        const args = spawn.mock.calls[1][1];
+        expect(args).toContain('--remote-debugging-port=48701');
+        expect(args).toContain('--headless');
+        expect(args.find(arg => arg.startsWith('--user-data-dir='))).toMatch(/instance-2$/);
+        expect(status).toEqual([
+            expect.objectContaining({ index: 1, port: 48700, state: 'ready', restarts: 0 }),
+            expect.objectContaining({ index: 2, port: 48701, state: 'ready', restarts: 0 })
+        ]);
+    });
+
+    test('restarts an instance that exits', async () => {
+        const { spawn, children } = fakeSpawn();
+        supervisor = new ChromeSupervisor({ instances: 2, basePort: 48710, spawn, healthInterval: 50, restartDelay: 10 });
+        await supervisor.start();
+
+        children[0].crash();
+        await waitUntil(() => supervisor.status()[0].restarts === 1 && supervisor.status()[0].state === 'ready');
+
+        expect(spawn).toHaveBeenCalledTimes(3);
+        expect(children[2].port).toBe(48710);
+        expect(supervisor.status()[0].lastExit.reason).toBe('killed by SIGSEGV');
+        expect(supervisor.status()[1]).toMatchObject({ state: 'ready', restarts: 0 });
+    });
+
+    test('kills and restarts an instance that stops answering health checks', async () => {
+        const { spawn, children } = fakeSpawn();
+        supervisor = new ChromeSupervisor({ instances: 1, basePort: 48720, spawn, healthInterval: 30, maxFailures: 2, restartDelay: 10 });
+        await supervisor.start();
+
+        children[0].healthy = false;
+        await waitUntil(() => supervisor.status()[0].restarts === 1 && supervisor.status()[0].state === 'ready');
+
+        expect(children[0].kill).toHaveBeenCalledWith('SIGKILL');
+        expect(children[1].healthy).toBe(true);
+    });
+
+    test('leaves an instance that exits during a health check to the exit handler', async () => {
+        const { spawn, children } = fakeSpawn();
+        const logger = { log: jest.fn(), error: jest.fn() };
+        supervisor = new ChromeSupervisor({ instances: 1, basePort: 48740, spawn, logger, healthInterval: 30, maxFailures: 1, restartDelay: 200 });
+        await supervisor.start();
+
+        // Chrome exits while /json/version is still waiting for an answer
+        const [child] = children;
+        child.respond = res => {
+            child.respond = null;
+            child.exited = true;
+            child.emit('exit', null, 'SIGSEGV');
+            expect(supervisor.status()[0].state).toBe('restarting');
+            res.writeHead(500, { Connection: 'close' });
+            res.end();
+            child.server.close();
+        };
+        await waitUntil(() => supervisor.status()[0].lastExit !== null);
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(supervisor.status()[0]).toMatchObject({ state: 'restarting', lastExit: { reason: 'killed by SIGSEGV' } });
+        expect(child.kill).not.toHaveBeenCalled();
+        expect(logger.error).not.toHaveBeenCalledWith(expect.stringContaining('health check failed'));
+        expect(logger.error).not.toHaveBeenCalledWith(expect.stringContaining('Health check failed'));
+
+        await waitUntil(() => supervisor.status()[0].restarts === 1 && supervisor.status()[0].state === 'ready');
+    });
+
+    test('gives up and stops everything when an instance never becomes ready', async () => {
+        const { spawn, children } = fakeSpawn();
+        const failing = jest.fn((command, args) => {
+            const child = spawn(command, args);
+            child.healthy = child.port !== 48731;
+            return child;
+        });
+        supervisor = new ChromeSupervisor({ instances: 2, basePort: 48730, spawn: failing, readyTimeout: 1500 });
+
+        await expect(supervisor.start()).rejects.toThrow(ChromeNotReadyError);
+        expect(children.every(child => child.exited)).toBe(true);
+    });
+
+    test('only uses ports in the Chrome range', () => {
+        expect(() => new ChromeSupervisor({ basePort: 9222 })).toThrow(ConfigError);
+        expect(() => new ChromeSupervisor({ instances: 3, basePort: 48999 })).toThrow('outside the Chrome port range 48000-49000');
+        expect(() => new ChromeSupervisor({ instances: 0 })).toThrow(ConfigError);
+        expect(new ChromeSupervisor({ instances: 2, basePort: 48999 }).instances.map(instance => instance.port)).toEqual([48999, 49000]);
+    });
+});
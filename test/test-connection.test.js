@@ -2,11 +2,46 @@ const { exec } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
+const { MockChromeServer, FixtureServer } = require('../index');
 
 const execAsync = promisify(exec);
 
+// The smallest JPEG header and end marker; the mock only renders PNGs
+const JPEG = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0xFF, 0xD9]);
+
+// The CLI runs against a MockChromeServer standing in for the proxy and
+// captures pages from a local FixtureServer, so no browser or network is needed
+let fixtures;
+let chrome;
+let port;
+
+beforeAll(async () => {
+    fixtures = new FixtureServer();
+    await fixtures.listen(0);
+});
+
+afterAll(async () => {
+    await fixtures.close();
+});
+
+beforeEach(async () => {
+    chrome = new MockChromeServer();
+    ({ port } = await chrome.listen(0));
+});
+
+afterEach(async () => {
+    await chrome.close();
+});
+
+function run(args = '') {
+    return execAsync(`node test-connection.js ${args} --host 127.0.0.1 --port ${port}`, {
+        timeout: 60000,
+        cwd: path.resolve(__dirname, '..')
+    });
+}
+
 describe('Test Connection Screenshot Generation', () => {
-    const screenshotFiles = ['screenshot.png', 'screenshot.jpeg', 'screenshot.webp'];
+    const screenshotFiles = ['screenshot.png', 'screenshot.jpeg', 'screenshot.webp', 'screenshot.pdf'];
     
     beforeEach(() => {
         // Clean up any existing screenshots before each test
@@ -28,10 +63,7 @@ describe('Test Connection Screenshot Generation', () => {
 
     test('should successfully run test-connection and generate screenshot', async () => {
         // Run the test-connection script
-        const { stdout, stderr } = await execAsync('node test-connection.js', { 
-            timeout: 60000,
-            cwd: path.resolve(__dirname, '..')
-        });
+        const { stdout, stderr } = await run();
 
         // Verify the script ran successfully (no errors thrown)
         expect(stdout).toContain('Test completed successfully');
@@ -55,10 +87,8 @@ describe('Test Connection Screenshot Generation', () => {
     }, 120000); // 2 minute timeout
 
     test('should generate JPEG screenshot when format is specified', async () => {
-        const { stdout } = await execAsync('node test-connection.js --format jpeg', { 
-            timeout: 60000,
-            cwd: path.resolve(__dirname, '..')
-        });
+        chrome.handle('Page.captureScreenshot', () => ({ data: JPEG.toString('base64') }));
+        const { stdout } = await run('--format jpeg');
 
         expect(stdout).toContain('Test completed successfully');
         
@@ -73,13 +103,23 @@ describe('Test Connection Screenshot Generation', () => {
         expect(buffer[0]).toBe(0xFF);
         expect(buffer[1]).toBe(0xD8);
         expect(buffer[2]).toBe(0xFF);
+        const capture = chrome.received.find(command => command.method === 'Page.captureScreenshot');
+        expect(capture.params.format).toBe('jpeg');
+    }, 120000);
+
+    test('should generate PDF when --pdf is specified', async () => {
+        const { stdout } = await run('--pdf --paper a4 --margin 1cm');
+
+        expect(stdout).toContain('PDF saved as screenshot.pdf');
+        expect(stdout).toContain('Test completed successfully');
+        
+        // PDF file signature check (%PDF-)
+        const buffer = fs.readFileSync('screenshot.pdf');
+        expect(buffer.subarray(0, 5).toString('latin1')).toBe('%PDF-');
     }, 120000);
 
     test('should handle verbose mode correctly', async () => {
-        const { stdout } = await execAsync('node test-connection.js --verbose', { 
-            timeout: 60000,
-            cwd: path.resolve(__dirname, '..')
-        });
+        const { stdout } = await run('--verbose');
 
         expect(stdout).toContain('Configuration:');
         expect(stdout).toContain('verbose: true');
@@ -90,10 +130,7 @@ describe('Test Connection Screenshot Generation', () => {
     }, 120000);
 
     test('should run connection test in dry-run mode', async () => {
-        const { stdout } = await execAsync('node test-connection.js --dry-run', { 
-            timeout: 60000,
-            cwd: path.resolve(__dirname, '..')
-        });
+        const { stdout } = await run('--dry-run');
 
         expect(stdout).toContain('Running in dry-run mode');
         expect(stdout).toContain('Connection test completed successfully');
@@ -106,10 +143,7 @@ describe('Test Connection Screenshot Generation', () => {
     }, 120000);
 
     test('should display help when --help flag is used', async () => {
-        const { stdout } = await execAsync('node test-connection.js --help', { 
-            timeout: 30000,
-            cwd: path.resolve(__dirname, '..')
-        });
+        const { stdout } = await run('--help');
 
         expect(stdout).toContain('Chrome Connection Test Tool');
         expect(stdout).toContain('Usage: node test-connection.js [options]');
@@ -119,15 +153,53 @@ describe('Test Connection Screenshot Generation', () => {
         expect(stdout).toContain('--format <format>');
         expect(stdout).toContain('--quality <quality>');
         expect(stdout).toContain('--dry-run');
+        expect(stdout).toContain('--host <host>');
+        expect(stdout).toContain('--port <port>');
+        expect(stdout).toContain('--secure');
+        expect(stdout).toContain('--ca-file <path>');
+        expect(stdout).toContain('--insecure');
+        expect(stdout).toContain('--json');
+        expect(stdout).toContain('--max-reconnects <n>');
+        expect(stdout).toContain('--wait-for <event>');
+        expect(stdout).toContain('--wait-selector <css>');
+        expect(stdout).toContain('--wait-function <js>');
+        expect(stdout).toContain('--scenario <file>');
+        expect(stdout).toContain('--har <file>');
+        expect(stdout).toContain('--har-content');
+        expect(stdout).toContain('--collect-diagnostics');
+        expect(stdout).toContain('--fail-on-console-error');
+        expect(stdout).toContain('--metrics');
+        expect(stdout).toContain('--budget <name=value,...>');
+        expect(stdout).toContain('--block <patterns>');
+        expect(stdout).toContain('--header <name: value>');
+        expect(stdout).toContain('--cookie <name=value>');
+        expect(stdout).toContain('--throttle <preset>');
+        expect(stdout).toContain('--mock <pattern=file>');
+        expect(stdout).toContain('--config <file>');
+        expect(stdout).toContain('--profile <name>');
+        expect(stdout).toContain('--print-config');
+        expect(stdout).toContain('--baseline <file|dir>');
+        expect(stdout).toContain('--update-baseline');
+        expect(stdout).toContain('--threshold <0-1>');
+        expect(stdout).toContain('--max-diff <percent>');
+        expect(stdout).toContain('--soak <seconds>');
+        expect(stdout).toContain('--ping-interval <ms>');
+        expect(stdout).toContain('--proxy-timeout <s>');
+        expect(stdout).toContain('--benchmark');
+        expect(stdout).toContain('--direct-port <port>');
+        expect(stdout).toContain('--iterations <n>');
+        expect(stdout).toContain('--serve <[host:]port>');
+        expect(stdout).toContain('--max-queue <n>');
+        expect(stdout).toContain('--serve-steps');
+        expect(stdout).toContain('--instance <n>');
+        expect(stdout).toContain('--token <token>');
+        expect(stdout).toContain('Exit codes:');
         expect(stdout).toContain('--help, -h');
     }, 30000);
 
     test('should handle custom URL parameter', async () => {
-        const customUrl = 'https://example.com';
-        const { stdout } = await execAsync(`node test-connection.js --url ${customUrl} --verbose`, { 
-            timeout: 60000,
-            cwd: path.resolve(__dirname, '..')
-        });
+        const customUrl = fixtures.url('/html');
+        const { stdout } = await run(`--url ${customUrl} --verbose`);
 
         expect(stdout).toContain(`testUrl: '${customUrl}'`);
         expect(stdout).toContain('Test completed successfully');
@@ -137,10 +209,7 @@ describe('Test Connection Screenshot Generation', () => {
     }, 120000);
 
     test('should validate screenshot file size is reasonable', async () => {
-        await execAsync('node test-connection.js', { 
-            timeout: 60000,
-            cwd: path.resolve(__dirname, '..')
-        });
+        await run();
 
         const defaultScreenshot = 'screenshot.png';
         const stats = fs.statSync(defaultScreenshot);
@@ -152,25 +221,125 @@ describe('Test Connection Screenshot Generation', () => {
 });
 
 describe('Test Connection Error Scenarios', () => {
-    test('should handle timeout parameter correctly', async () => {
-        // Test with a very short timeout to ensure parameter is processed
-        const { stdout } = await execAsync('node test-connection.js --timeout 5000 --verbose', { 
-            timeout: 60000,
+    test('should report an unreachable proxy as JSON with a distinct exit code', async () => {
+        // Port 9 (discard) is not expected to have an HTTP server listening
+        const error = await execAsync('node test-connection.js --dry-run --json --port 9', {
+            timeout: 30000,
             cwd: path.resolve(__dirname, '..')
+        }).catch(err => err);
+
+        expect(error.code).toBe(3);
+        const result = JSON.parse(error.stdout);
+        expect(result).toMatchObject({
+            success: false,
+            mode: 'dry-run',
+            endpoint: 'http://localhost:9',
+            error: { category: 'health-check', code: 'HEALTH_CHECK_FAILED', exitCode: 3 },
+            exitCode: 3
         });
+        expect(result.timings.total).toBeGreaterThanOrEqual(0);
+    }, 30000);
+
+    test('should reject invalid options with the configuration exit code', async () => {
+        const error = await execAsync('node test-connection.js --clip 1,2 --json', {
+            timeout: 30000,
+            cwd: path.resolve(__dirname, '..')
+        }).catch(err => err);
+
+        expect(error.code).toBe(2);
+        expect(JSON.parse(error.stdout).error.category).toBe('config');
+    }, 30000);
+
+    test('should reject an unknown wait event before connecting', async () => {
+        const error = await execAsync('node test-connection.js --wait-for idle --json --port 9', {
+            timeout: 30000,
+            cwd: path.resolve(__dirname, '..')
+        }).catch(err => err);
+
+        expect(error.code).toBe(2);
+        expect(JSON.parse(error.stdout).error.message).toMatch(/Unsupported wait event "idle"/);
+    }, 30000);
+
+    test('should refuse to record a HAR file for a batch', async () => {
+        const error = await execAsync('node test-connection.js --urls-file urls.txt --har out.har --json --port 9', {
+            timeout: 30000,
+            cwd: path.resolve(__dirname, '..')
+        }).catch(err => err);
+
+        expect(error.code).toBe(2);
+        expect(JSON.parse(error.stdout).error.message).toMatch(/--har/);
+    }, 30000);
+
+    test('should only compare png captures with a baseline', async () => {
+        const error = await execAsync('node test-connection.js --format jpeg --baseline baselines --json --port 9', {
+            timeout: 30000,
+            cwd: path.resolve(__dirname, '..')
+        }).catch(err => err);
+
+        expect(error.code).toBe(2);
+        expect(JSON.parse(error.stdout).error.message).toMatch(/png/);
+    }, 30000);
+
+    test('should report a rejected PDF run as pdf however the format is given', async () => {
+        for (const flags of ['--pdf', '--format pdf', '--format=pdf']) {
+            const error = await execAsync(`node test-connection.js ${flags} --paper b9 --json --port 9`, {
+                timeout: 30000,
+                cwd: path.resolve(__dirname, '..')
+            }).catch(err => err);
+
+            expect(error.code).toBe(2);
+            expect(JSON.parse(error.stdout)).toMatchObject({ mode: 'pdf', error: { category: 'config' } });
+        }
+    }, 30000);
+
+    test('should reject a soak duration that is not a positive number', async () => {
+        const error = await execAsync('node test-connection.js --soak soon --json --port 9', {
+            timeout: 30000,
+            cwd: path.resolve(__dirname, '..')
+        }).catch(err => err);
+
+        expect(error.code).toBe(2);
+        expect(JSON.parse(error.stdout)).toMatchObject({ mode: 'soak', error: { category: 'config' } });
+    }, 30000);
+
+    test('should reject a benchmark without iterations before connecting', async () => {
+        const error = await execAsync('node test-connection.js --benchmark --iterations 0 --json --port 9', {
+            timeout: 30000,
+            cwd: path.resolve(__dirname, '..')
+        }).catch(err => err);
+
+        expect(error.code).toBe(2);
+        expect(JSON.parse(error.stdout)).toMatchObject({ mode: 'benchmark', error: { category: 'config' } });
+    }, 30000);
+
+    test('should reject an invalid --serve address before connecting', async () => {
+        const error = await execAsync('node test-connection.js --serve localhost:http --port 9', {
+            timeout: 30000,
+            cwd: path.resolve(__dirname, '..')
+        }).catch(err => err);
+
+        expect(error.code).toBe(2);
+        expect(error.stderr).toMatch(/Invalid --serve address/);
+    }, 30000);
+
+    test('should handle timeout parameter correctly', async () => {
+        // Test with a very short timeout to ensure parameter is processed
+        const { stdout } = await run('--timeout 5000 --verbose');
 
         expect(stdout).toContain('timeout: 5000');
+        fs.unlinkSync('screenshot.png');
     }, 120000);
 
     test('should handle quality parameter for JPEG', async () => {
-        const { stdout } = await execAsync('node test-connection.js --format jpeg --quality 90 --verbose', { 
-            timeout: 60000,
-            cwd: path.resolve(__dirname, '..')
-        });
+        chrome.handle('Page.captureScreenshot', () => ({ data: JPEG.toString('base64') }));
+        const { stdout } = await run('--format jpeg --quality 90 --verbose');
 
         expect(stdout).toContain('Test completed successfully');
         
         const jpegScreenshot = 'screenshot.jpeg';
         expect(fs.existsSync(jpegScreenshot)).toBe(true);
+        fs.unlinkSync(jpegScreenshot);
+        const capture = chrome.received.find(command => command.method === 'Page.captureScreenshot');
+        expect(capture.params).toMatchObject({ format: 'jpeg', quality: 90 });
     }, 120000);
 });
\ No newline at end of file